@@ -0,0 +1,498 @@
+#!/usr/bin/env node
+/**
+ * TAX CALCULATOR CLI
+ *
+ * Runs the same Old vs New regime comparison as docs/index.html from a terminal.
+ *
+ * Usage:
+ *   node cli/taxcalc.js <profile.json> [more.json ...] [--year 2024-25] [--as-of 2025-10-01] [--json] [--no-log] [--verbose]
+ *   node cli/taxcalc.js <profile.json> --itr-json return.json
+ *   node cli/taxcalc.js <profile.json> --cg-csv tax-pnl.csv
+ *   node cli/taxcalc.js <profile.json> --loss-ledger losses.json --carry-forward next-losses.json
+ *   node cli/taxcalc.js <household.json> --household
+ *
+ * A profile file holds one profile object or an array of profiles (bulk runs).
+ * Profile fields are the same as the form / TaxEngine.normalizeProfile():
+ * flat amounts (grossSalary, healthInsuranceSelf, ...) or the dynamic lists
+ * (employmentPeriods, rentPayments, investments80C, donations, advanceTaxPayments, dividendReceipts,
+ * arrearsByYear, capitalGainsLots, propertySales with reinvestments, capitalLossLedger,
+ * houseProperties, minorChildren, equityAwards with equitySales) and perquisites
+ * (valued under Rule 3, inSalary when the salary already includes them, see docs/scripts/perquisites.js).
+ * A household file holds { financialYear, members: [profiles with name], parentsHealthInsurance,
+ * houseProperties (with owners), investments80C, transfers, minorChildren } (see docs/scripts/household.js).
+ * The financial year comes from --year, else the profile's financialYear,
+ * else the default year in TaxYearRegistry. The advance tax plan is laid out as of
+ * --as-of, else the profile's planAsOfDate, else 1 April of the year.
+ * See cli/examples/profile.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const TaxEngine = require('../docs/scripts/taxEngine.js');
+const Household = require('../docs/scripts/household.js');
+
+const USAGE = `Usage: node cli/taxcalc.js <profile.json> [more.json ...] [options]
+
+Options:
+  --year FY   Financial year to calculate (${TaxYearRegistry.listYears().join(', ')})
+  --as-of DATE
+              Lay out the advance tax plan as of this date (YYYY-MM-DD)
+  --json      Print machine-readable JSON instead of the text report
+  --no-log    Omit the step-by-step calculation log from the text report
+  --verbose   Forward calculator debug output to stderr
+  --itr-json FILE
+              Write a draft ITR-1/ITR-2 JSON for the recommended regime (single profile only; not uploadable)
+  --cg-csv FILE
+              Read capital gains sales from a broker tax P&L CSV (single profile only)
+  --loss-ledger FILE
+              Read capital losses brought forward, year by year (single profile only)
+  --carry-forward FILE
+              Write the capital losses to carry into next year (single profile only)
+  --household Treat the file as a household and decide who claims what (one file only)
+  --help      Show this message`;
+
+// Rows of the side-by-side table: [label, value getter]
+const REPORT_ROWS = [
+    ['Gross Income', r => r.grossIncome.total],
+    ['Exemptions', r => (r.exemptions ? r.exemptions.total : 0)],
+    ['Deductions', r => r.deductions.total],
+    ['Taxable Income', r => r.taxableIncome],
+    ['Tax on Slabs', r => r.slabTax.tax],
+    ['87A Rebate', r => -r.rebate.amount],
+    ['Marginal Relief', r => -(r.marginalRelief || 0)],
+    ['Surcharge', r => r.surcharge.amount],
+    ['Health & Edu Cess', r => r.cess.amount],
+    ['Capital Gains Tax', r => r.capitalGainsTax.total],
+    ['Section 89 Relief', r => -(r.section89Relief || 0)],
+    ['FINAL TAX', r => r.finalTax],
+    ['Interest 234A/B/C', r => r.interest.total],
+    ['Taxes Already Paid', r => -r.taxesPaid.total],
+    ['Payable / (Refund)', r => r.netPayable]
+];
+
+/**
+ * Parse command-line arguments
+ * @param {Array} argv - process.argv without node and script path
+ * @returns {Object} {files, year, asOf, json, showLog, verbose, itrJson, cgCsv, lossLedger, carryForward, household, help}
+ */
+function parseArgs(argv) {
+    const options = {
+        files: [], year: null, asOf: null, json: false, showLog: true, verbose: false,
+        itrJson: null, cgCsv: null, lossLedger: null, carryForward: null, household: false, help: false
+    };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--year') {
+            options.year = argv[++i];
+            if (!options.year || !TaxYearRegistry.hasYear(options.year)) {
+                throw new Error(`Unsupported financial year: ${options.year || '(missing)'}`);
+            }
+        } else if (arg === '--as-of') {
+            options.asOf = argv[++i];
+            if (!TaxPayments.parseDate(options.asOf)) throw new Error(`--as-of needs a date (YYYY-MM-DD): ${options.asOf || '(missing)'}`);
+        } else if (arg === '--itr-json') {
+            options.itrJson = argv[++i];
+            if (!options.itrJson) throw new Error('--itr-json needs an output file');
+        } else if (arg === '--cg-csv') {
+            options.cgCsv = argv[++i];
+            if (!options.cgCsv) throw new Error('--cg-csv needs a CSV file');
+        } else if (arg === '--loss-ledger') {
+            options.lossLedger = argv[++i];
+            if (!options.lossLedger) throw new Error('--loss-ledger needs a JSON file');
+        } else if (arg === '--carry-forward') {
+            options.carryForward = argv[++i];
+            if (!options.carryForward) throw new Error('--carry-forward needs an output file');
+        } else if (arg === '--household') options.household = true;
+        else if (arg === '--json') options.json = true;
+        else if (arg === '--no-log') options.showLog = false;
+        else if (arg === '--verbose') options.verbose = true;
+        else if (arg === '--help' || arg === '-h') options.help = true;
+        else if (arg.startsWith('--')) throw new Error(`Unknown option: ${arg}`);
+        else options.files.push(arg);
+    }
+    return options;
+}
+
+/**
+ * Read profiles from a JSON file (single object or array)
+ * @param {string} file - Path to the profile file
+ * @returns {Array} [{name, profile}]
+ */
+function loadProfiles(file) {
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const list = Array.isArray(parsed) ? parsed : [parsed];
+    const base = path.basename(file);
+    return list.map((profile, index) => ({
+        name: profile.name || (list.length > 1 ? `${base}#${index + 1}` : base),
+        profile
+    }));
+}
+
+/**
+ * Read capital gains sales from a broker P&L export, matching its columns automatically
+ * @param {string} file - Path to the CSV
+ * @returns {Array} Lots for profile.capitalGainsLots
+ */
+function loadCapitalGainsCsv(file) {
+    const imported = CapitalGainsLedger.fromCsv(fs.readFileSync(file, 'utf8'));
+    if (imported.missing.length > 0) {
+        const labels = imported.missing.map(field => CapitalGainsLedger.IMPORT_FIELDS[field].label);
+        const found = imported.headers.length > 0 ? `columns found: ${imported.headers.join(', ')}` : 'no heading row found';
+        throw new Error(`${path.basename(file)} has no column for ${labels.join(', ')} (${found})`);
+    }
+    imported.skipped.forEach(s => console.error(`${path.basename(file)} row ${s.row} skipped: ${s.reason}`));
+    return imported.lots;
+}
+
+/**
+ * Run the engine, keeping calculator debug output off stdout
+ * (the calculators log HRA steps via console.log for the browser console)
+ */
+function quietly(run, verbose) {
+    const originalLog = console.log;
+    console.log = verbose ? (...args) => console.error(...args) : () => {};
+    try {
+        return run();
+    } finally {
+        console.log = originalLog;
+    }
+}
+
+function computeQuietly(profile, year, verbose) {
+    return quietly(() => TaxEngine.computeTaxComparison(profile, TaxYearRegistry.getConfig(year || profile.financialYear)), verbose);
+}
+
+function pad(text, width, alignRight = false) {
+    const str = String(text);
+    if (str.length >= width) return str;
+    return alignRight ? ' '.repeat(width - str.length) + str : str + ' '.repeat(width - str.length);
+}
+
+/**
+ * Format one comparison as a text report
+ */
+function formatReport(name, comparison, showLog) {
+    const { newResult, oldResult, betterRegime, savings, warnings, errors } = comparison;
+    const lines = [];
+    const rule = '-'.repeat(62);
+
+    lines.push(`Profile: ${name} (FY ${comparison.financialYear})`);
+    lines.push(rule);
+    lines.push(pad('', 22) + pad('Old Regime', 20, true) + pad('New Regime', 20, true));
+    lines.push(rule);
+
+    for (const [label, getValue] of REPORT_ROWS) {
+        const oldValue = getValue(oldResult);
+        const newValue = getValue(newResult);
+        if (oldValue === 0 && newValue === 0 && label !== 'FINAL TAX') continue;
+        if (label === 'FINAL TAX') lines.push(rule);
+        lines.push(
+            pad(label, 22) +
+            pad(TaxUtils.formatCurrency(oldValue), 20, true) +
+            pad(TaxUtils.formatCurrency(newValue), 20, true)
+        );
+    }
+    lines.push(
+        pad('Effective Rate', 22) +
+        pad(TaxUtils.formatPercent(oldResult.effectiveRate, 2), 20, true) +
+        pad(TaxUtils.formatPercent(newResult.effectiveRate, 2), 20, true)
+    );
+    lines.push(rule);
+
+    const regimeName = betterRegime === 'new' ? 'New Regime' : 'Old Regime';
+    lines.push(savings > 0
+        ? `Recommended: ${regimeName} (saves ${TaxUtils.formatCurrency(savings)})`
+        : 'Recommended: New Regime (both regimes give the same tax)');
+
+    const { itrForm } = comparison;
+    lines.push('', `ITR form: ${itrForm.name}`);
+    itrForm.factors.forEach(f => lines.push(`  - ${f.label}: ${f.value}. ${f.explanation}`));
+
+    const plan = (betterRegime === 'new' ? newResult : oldResult).advanceTaxPlan;
+    if (plan.required) {
+        lines.push('', `Advance tax plan - ${regimeName} (${TaxUtils.formatCurrency(plan.liability)} after TDS/TCS, as of ${TaxPayments.formatDate(plan.asOfDate)})`);
+        if (plan.needsTdsEstimate) {
+            lines.push('  No TDS entered: the plan assumes none is deducted from salary. Add tdsDeducted if your employer deducts it.');
+        }
+        lines.push('  ' + pad('Due date', 24) + pad('Cumulative', 14, true) + pad('Paid', 14, true) + pad('To pay', 14, true) + pad('234C', 10, true) + '  Status');
+        plan.instalments.forEach(i => {
+            lines.push('  ' +
+                pad(`${TaxPayments.formatDate(i.date)} (${Math.round(i.cumulativePercent * 100)}%)`, 24) +
+                pad(TaxUtils.formatCurrency(i.required), 14, true) +
+                pad(TaxUtils.formatCurrency(i.paid), 14, true) +
+                pad(TaxUtils.formatCurrency(i.toPay), 14, true) +
+                pad(TaxUtils.formatCurrency(i.interest), 10, true) +
+                `  ${i.status}`);
+        });
+    }
+
+    const section89 = (betterRegime === 'new' ? newResult : oldResult).section89;
+    if (section89.source === 'computed') {
+        const current = section89.current;
+        lines.push('', `Form 10E - Section 89(1) relief (${regimeName})`);
+        [
+            ['Income without arrears', current.incomeWithoutArrears],
+            ['Arrears', section89.arrearsTotal],
+            ['Tax with arrears', current.taxWithArrears],
+            ['Tax without arrears', current.taxWithoutArrears],
+            ['Tax on arrears (this year)', current.taxOnArrears],
+            ['Tax on arrears (Annexure I)', section89.pastYearsTax],
+            ['Relief u/s 89(1)', section89.relief]
+        ].forEach(([label, amount]) => lines.push('  ' + pad(label, 30) + pad(TaxUtils.formatCurrency(amount), 14, true)));
+        lines.push('  Annexure I');
+        lines.push('  ' + pad('Year', 16) + pad('Income', 14, true) + pad('Arrears', 14, true) + pad('Tax before', 14, true) + pad('Tax after', 14, true) + pad('Difference', 14, true));
+        section89.years.forEach(y => {
+            lines.push('  ' +
+                pad(`FY ${y.financialYear} (${y.regime})`, 16) +
+                pad(TaxUtils.formatCurrency(y.totalIncome), 14, true) +
+                pad(TaxUtils.formatCurrency(y.arrears), 14, true) +
+                pad(TaxUtils.formatCurrency(y.taxWithout), 14, true) +
+                pad(TaxUtils.formatCurrency(y.taxWith), 14, true) +
+                pad(TaxUtils.formatCurrency(y.difference), 14, true));
+        });
+    }
+    section89.skipped.forEach(s => lines.push(`  ! Arrears for FY ${s.financialYear || '?'} not considered: ${s.reason}`));
+
+    const lossCarryForward = (betterRegime === 'new' ? newResult : oldResult).capitalGainsTax.lossCarryForward;
+    if (CapitalLossLedger.hasEntries(lossCarryForward)) {
+        lines.push('', `Schedule CFL - capital losses carried forward (to FY ${lossCarryForward.nextFinancialYear})`);
+        lines.push('  ' + pad('', 46) + pad('Short-term', 14, true) + pad('Long-term', 14, true));
+        CapitalLossLedger.toScheduleRows(lossCarryForward).forEach(row => {
+            lines.push('  ' + pad(row.label, 46) + pad(TaxUtils.formatCurrency(row.stcl), 14, true) + pad(TaxUtils.formatCurrency(row.ltcl), 14, true));
+        });
+        if (lossCarryForward.filedLate) {
+            lines.push('  ! Return filed after the due date: this year\'s loss is not carried forward (Section 80)');
+        }
+    }
+
+    const houseProperty = (betterRegime === 'new' ? newResult : oldResult).houseProperty;
+    if (houseProperty.carriedForward > 0) {
+        lines.push('', `House property loss carried forward: ${TaxUtils.formatCurrency(houseProperty.carriedForward)}` +
+            ` (this year ${TaxUtils.formatCurrency(houseProperty.lossCarryForward)}; set off only against house property income)`);
+    }
+
+    if (errors.length > 0) {
+        lines.push('', 'Errors:');
+        errors.forEach(e => lines.push(`  ! ${e}`));
+    }
+    if (warnings.length > 0) {
+        lines.push('', 'Warnings:');
+        warnings.forEach(w => lines.push(`  - ${w}`));
+    }
+
+    if (showLog) {
+        for (const result of [oldResult, newResult]) {
+            lines.push('', `Calculation log - ${result.regimeName}`);
+            result.log.forEach(entry => {
+                const amount = entry.amount !== null && entry.amount !== undefined
+                    ? ` ${TaxUtils.formatCurrency(entry.amount)}` : '';
+                lines.push(`  [${entry.section}] ${entry.item}:${amount}`);
+                if (entry.explanation) lines.push(`      ${entry.explanation}`);
+            });
+        }
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Format a household optimisation as a text report
+ * @param {string} name - File name
+ * @param {Object} household - Result of Household.optimize()
+ */
+function formatHouseholdReport(name, household) {
+    const lines = [];
+    const rule = '-'.repeat(62);
+
+    lines.push(`Household: ${name} (FY ${household.financialYear})`);
+    lines.push(rule);
+    lines.push(pad('', 22) + pad('Old Regime', 14, true) + pad('New Regime', 14, true) + pad('Pick', 12, true));
+    lines.push(rule);
+    household.members.forEach(m => {
+        lines.push(pad(m.name, 22) +
+            pad(TaxUtils.formatCurrency(m.comparison.oldResult.finalTax), 14, true) +
+            pad(TaxUtils.formatCurrency(m.comparison.newResult.finalTax), 14, true) +
+            pad(m.regime === 'new' ? 'New' : 'Old', 12, true));
+    });
+    lines.push(rule);
+    lines.push(pad('Household tax', 22) + pad(TaxUtils.formatCurrency(household.totalTax), 28, true));
+    if (household.savings > 0) {
+        lines.push(pad('Saved vs starting point', 22) + pad(TaxUtils.formatCurrency(household.savings), 28, true));
+    }
+
+    lines.push('', 'Recommendations:');
+    household.recommendations.forEach(r => lines.push(`  - ${r}`));
+
+    const notClubbed = household.clubbing.filter(c => !c.clubbed);
+    if (notClubbed.length > 0) {
+        lines.push('', 'Transfers not clubbed:');
+        notClubbed.forEach(c => lines.push(`  - ${c.from} to ${c.to}: ${c.reason}`));
+    }
+    return lines.join('\n');
+}
+
+/**
+ * JSON-friendly view of one comparison (log entries without timestamps)
+ */
+function toJson(name, comparison) {
+    const stripLog = result => ({
+        ...result,
+        log: result.log.map(({ timestamp, ...entry }) => entry)
+    });
+    return {
+        name,
+        financialYear: comparison.financialYear,
+        recommendedRegime: comparison.betterRegime,
+        savings: comparison.savings,
+        itrForm: comparison.itrForm,
+        warnings: comparison.warnings,
+        errors: comparison.errors,
+        old: stripLog(comparison.oldResult),
+        new: stripLog(comparison.newResult)
+    };
+}
+
+/**
+ * Write the draft ITR JSON for the recommended regime and report what still needs filling
+ * @param {Object} comparison - Result of TaxEngine.computeTaxComparison()
+ * @param {string} file - Output path
+ * @param {string} year - --year option, if any
+ */
+function writeItrJson(comparison, file, year) {
+    const result = comparison.betterRegime === 'new' ? comparison.newResult : comparison.oldResult;
+    const config = TaxYearRegistry.getConfig(year || comparison.financialYear);
+    const itrExport = ItrExport.buildExport(result, comparison.userData, comparison.itrForm, config);
+
+    if (!itrExport.json) {
+        itrExport.errors.forEach(e => console.error(`ITR export: ${e.message}`));
+        return false;
+    }
+
+    fs.writeFileSync(file, JSON.stringify(itrExport.json, null, 2) + '\n');
+    console.error(`Wrote ${itrExport.form} draft JSON (${result.regimeName}) to ${file}`);
+    console.error('This draft cannot be uploaded to the e-filing portal: enter the figures in the official utility and file from there.');
+    if (itrExport.errors.length > 0) {
+        console.error('Schema errors:');
+        itrExport.errors.forEach(e => console.error(`  ! ${e.path}: ${e.message}`));
+    }
+    if (itrExport.unfilled.length > 0) {
+        console.error(`Fill these in the utility before filing (${itrExport.unfilled.length}):`);
+        itrExport.unfilled.forEach(u => console.error(`  - ${u.title} (${u.path})`));
+    }
+    return itrExport.errors.length === 0;
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        process.exit(1);
+    }
+
+    if (options.help || options.files.length === 0) {
+        console.error(USAGE);
+        process.exit(options.help ? 0 : 1);
+    }
+
+    if (options.household) {
+        if (options.files.length !== 1) {
+            console.error('--household needs exactly one household file');
+            process.exit(1);
+        }
+        let household;
+        try {
+            household = JSON.parse(fs.readFileSync(options.files[0], 'utf8'));
+            if (options.year) household.financialYear = options.year;
+            if (options.asOf) (household.members || []).forEach(m => { m.planAsOfDate = options.asOf; });
+            household = quietly(() => Household.optimize(household), options.verbose);
+        } catch (error) {
+            console.error(`Household calculation failed: ${error.message}`);
+            process.exit(1);
+        }
+        const name = path.basename(options.files[0]);
+        if (options.json) {
+            process.stdout.write(JSON.stringify({
+                ...household,
+                members: household.members.map(m => ({ ...toJson(m.name, m.comparison), assigned: m.assigned }))
+            }, null, 2) + '\n');
+        } else {
+            process.stdout.write(formatHouseholdReport(name, household) + '\n');
+        }
+        return;
+    }
+
+    let profiles = [];
+    try {
+        options.files.forEach(file => { profiles = profiles.concat(loadProfiles(file)); });
+    } catch (error) {
+        console.error(`Could not read profile: ${error.message}`);
+        process.exit(1);
+    }
+
+    if (options.itrJson && profiles.length !== 1) {
+        console.error('--itr-json needs exactly one profile');
+        process.exit(1);
+    }
+
+    if ((options.lossLedger || options.carryForward) && profiles.length !== 1) {
+        console.error('--loss-ledger and --carry-forward need exactly one profile');
+        process.exit(1);
+    }
+    if (options.lossLedger) {
+        try {
+            profiles[0].profile.capitalLossLedger = CapitalLossLedger.fromJson(fs.readFileSync(options.lossLedger, 'utf8'));
+        } catch (error) {
+            console.error(`Could not read loss ledger: ${error.message}`);
+            process.exit(1);
+        }
+    }
+
+    if (options.cgCsv) {
+        if (profiles.length !== 1) {
+            console.error('--cg-csv needs exactly one profile');
+            process.exit(1);
+        }
+        try {
+            profiles[0].profile.capitalGainsLots = loadCapitalGainsCsv(options.cgCsv);
+        } catch (error) {
+            console.error(`Could not import capital gains: ${error.message}`);
+            process.exit(1);
+        }
+    }
+
+    if (options.asOf) profiles.forEach(({ profile }) => { profile.planAsOfDate = options.asOf; });
+
+    let outputs;
+    try {
+        outputs = profiles.map(({ name, profile }) => ({
+            name,
+            comparison: computeQuietly(profile, options.year, options.verbose)
+        }));
+    } catch (error) {
+        console.error(`Calculation failed: ${error.message}`);
+        process.exit(1);
+    }
+
+    if (options.json) {
+        const json = outputs.map(({ name, comparison }) => toJson(name, comparison));
+        process.stdout.write(JSON.stringify(json.length === 1 ? json[0] : json, null, 2) + '\n');
+    } else {
+        process.stdout.write(outputs.map(({ name, comparison }) => formatReport(name, comparison, options.showLog)).join('\n\n') + '\n');
+    }
+
+    if (options.carryForward) {
+        const { comparison } = outputs[0];
+        const result = comparison.betterRegime === 'new' ? comparison.newResult : comparison.oldResult;
+        const closing = CapitalLossLedger.toJson(result.capitalGainsTax.lossCarryForward);
+        fs.writeFileSync(options.carryForward, JSON.stringify(closing, null, 2) + '\n');
+        console.error(`Wrote ${closing.capitalLossLedger.length} year(s) of capital losses for FY ${closing.financialYear} to ${options.carryForward}`);
+    }
+
+    if (options.itrJson && !writeItrJson(outputs[0].comparison, options.itrJson, options.year)) {
+        process.exit(1);
+    }
+}
+
+main();
@@ -1,6 +1,6 @@
 /**
  * APP.JS - Main Orchestration
- * Tax Calculator FY 2025-26
+ * Tax Calculator (multi-year, see taxYears.js)
  * 
  * Handles:
  * - UI interactions (section toggle, regime switch)
@@ -32,14 +32,32 @@ document.addEventListener('DOMContentLoaded', () => {
 });
 
 function initializeApp() {
+    // Financial year picker (must run before any period rows are added)
+    populateFinancialYearOptions();
+    
     // Set up regime toggle
     setupRegimeToggle();
     
     // Add initial entries
     addInvestment80C();  // Add one empty investment row
     addDonation();       // Add one empty donation row
+    addAdvanceTaxPayment();  // Add one empty advance tax row
+    addArrearsEntry();   // Add one empty Section 89 arrears row
+    addCapitalGainsLot();  // Add one empty capital gains sale row
+    addPropertySale();   // Add one empty property sale row
+    addReinvestment();   // Add one empty reinvestment row
+    addCapitalLossEntry();  // Add one empty loss brought forward row
+    addHouseProperty();  // Add one empty house property row
+    addMinorChild();     // Add one empty minor child row
+    addPerquisiteLoan(); // Add one empty perquisite loan row
+    addEquityAward();    // Add one empty ESOP / RSU award row
+    addEquitySale();     // Add one empty ESOP / RSU sale row
     addRentPayment();    // Add one empty rent payment row
     
+    // Household members saved in this browser
+    householdMembers = TaxUtils.loadFromStorage(Household.STORAGE_KEY, { members: [] }).members || [];
+    renderHouseholdMembers();
+    
     // Update UI based on default selections
     updateUIForAge();
     updateUIForEmployment();
@@ -49,9 +67,62 @@ function initializeApp() {
     // Calculate on input change (debounced)
     setupAutoCalculate();
     
-    console.log('Tax Calculator initialized - FY 2025-26');
+    console.log(`Tax Calculator initialized - FY ${getSelectedFinancialYear()}`);
+}
+
+// ============================================
+// FINANCIAL YEAR PICKER
+// ============================================
+// FY start year the period pickers are currently built for
+let activeFYStartYear = null;
+
+function populateFinancialYearOptions() {
+    const select = document.getElementById('financialYear');
+    if (!select) return;
+    
+    select.innerHTML = TaxYearRegistry.listYears().map(fy => {
+        const config = TaxYearRegistry.getConfig(fy);
+        const label = `FY ${fy.slice(2)}${config.provisional ? ' (provisional)' : ''}`;
+        return `<option value="${fy}" ${fy === TaxYearRegistry.DEFAULT_YEAR ? 'selected' : ''}>${label}</option>`;
+    }).join('');
+    
+    activeFYStartYear = getActiveTaxConfig().fyStartYear;
 }
 
+/**
+ * Switch the calculator to another financial year.
+ * Employment and rent periods keep their months and move to the new FY's calendar years.
+ */
+function onFinancialYearChange(financialYear) {
+    const config = TaxYearRegistry.getConfig(financialYear);
+    const yearShift = config.fyStartYear - activeFYStartYear;
+    activeFYStartYear = config.fyStartYear;
+    
+    const shiftPeriods = (entries) => entries.forEach(entry => {
+        entry.startYear = Number(entry.startYear) + yearShift;
+        entry.endYear = Number(entry.endYear) + yearShift;
+        ['startYear', 'endYear'].forEach(field => {
+            const selectEl = document.getElementById(`${entry.id}_${field}`);
+            if (selectEl) selectEl.innerHTML = buildFYYearOptions(entry[field]);
+        });
+    });
+    shiftPeriods(window.employmentPeriods);
+    shiftPeriods(rentPayments);
+    
+    updateEmploymentSummary();
+    updateCapitalGainsSummary();  // Sales are re-classified against the new FY
+    updatePropertySalesSummary();
+    refreshCapitalLossYearOptions();  // Loss years are counted back from the new FY
+    updateCapitalLossSummary();
+    updateHousePropertySummary();  // Limits of the new FY
+    updateEquitySummary();  // Perquisites and sales are counted in the FY they fall in
+    
+    // Recalculation is triggered by the global 'change' listener (setupAutoCalculate)
+    console.log(`[App] Financial year changed to FY ${financialYear}`);
+}
+
+window.onFinancialYearChange = onFinancialYearChange;
+
 // ============================================
 // DOCUMENT EXTRACTION INTEGRATION
 // Called by taxDocumentUploader.js after Gemini extraction
@@ -166,12 +237,13 @@ function addRentPayment() {
     // Default to full FY
     const isFirst = rentPayments.length === 0;
     
+    const fyStartYear = getActiveTaxConfig().fyStartYear;
     const entry = {
         id,
         startMonth: 4,
-        startYear: 2025,
+        startYear: fyStartYear,
         endMonth: 3,
-        endYear: 2026,
+        endYear: fyStartYear + 1,
         amount: 0,
         isMetro: false,
         city: 'Non-Metro' 
@@ -188,8 +260,7 @@ function addRentPayment() {
                             ${[...Array(12)].map((_, i) => `<option value="${i + 1}" ${entry.startMonth === i + 1 ? 'selected' : ''}>${getMonthName(i + 1)}</option>`).join('')}
                         </select>
                         <select id="${id}_startYear" oninput="updateRentPayment('${id}', 'startYear', this.value)" style="padding: 6px 8px; font-size: 13px;">
-                            <option value="2025">2025</option>
-                            <option value="2026">2026</option>
+                            ${buildFYYearOptions(entry.startYear)}
                         </select>
                     </div>
                 </div>
@@ -200,8 +271,7 @@ function addRentPayment() {
                             ${[...Array(12)].map((_, i) => `<option value="${i + 1}" ${entry.endMonth === i + 1 ? 'selected' : ''}>${getMonthName(i + 1)}</option>`).join('')}
                         </select>
                         <select id="${id}_endYear" oninput="updateRentPayment('${id}', 'endYear', this.value)" style="padding: 6px 8px; font-size: 13px;">
-                            <option value="2025" ${entry.endYear === 2025 ? 'selected' : ''}>2025</option>
-                            <option value="2026" ${entry.endYear === 2026 ? 'selected' : ''}>2026</option>
+                            ${buildFYYearOptions(entry.endYear)}
                         </select>
                     </div>
                 </div>
@@ -298,8 +368,18 @@ function populateGlobalFieldsFromExtraction(aggregatedData) {
     // === EDUCATION LOAN INTEREST (80E) - Unlimited ===
     setField('educationLoanInterest', aggregatedData.totalEducationLoanInterest, '80E');
 
-    // === HOME LOAN (Section 24b + 80C Principal) ===
-    setField('homeLoanInterest', aggregatedData.totalHomeLoanInterest, 'Home Loan Interest');
+    // === HOME LOAN (Section 24b on the first house + 80C Principal) ===
+    if (aggregatedData.totalHomeLoanInterest > 0) {
+        if (window.houseProperties.length === 0) {
+            window.addHouseProperty();
+        }
+        const house = window.houseProperties[0];
+        const interestInput = document.getElementById(`${house.id}_interest`);
+        if (interestInput) {
+            interestInput.value = aggregatedData.totalHomeLoanInterest;
+            interestInput.dispatchEvent(new Event('input', { bubbles: true }));
+        }
+    }
     setField('homeLoanPrincipal', aggregatedData.totalHomeLoanPrincipal, 'Home Loan Principal');
     
     // === LEGACY HOME LOAN (80EE / 80EEA / 80EEB) ===
@@ -359,17 +439,22 @@ function populateGlobalFieldsFromExtraction(aggregatedData) {
     setField('otherIncomeFromEmployer', aggregatedData.totalOtherIncomeFromEmployer, 'Other Income');
     setField('nonRelativeGifts', aggregatedData.totalGiftsFromNonRelatives, 'Non-Relative Gifts');
 
-    // === 26AS SPECIFIC FIELDS (May not have UI fields) ===
-    // TCS, Advance Tax, Self Assessment Tax - typically read-only info
-    // Just log for now - could add display fields later
-    if (aggregatedData.totalTCS > 0) {
-        console.log(`[App] TCS Collected: ₹${aggregatedData.totalTCS}`);
-    }
-    if (aggregatedData.totalAdvanceTax > 0) {
-        console.log(`[App] Advance Tax Paid: ₹${aggregatedData.totalAdvanceTax}`);
-    }
-    if (aggregatedData.totalSelfAssessmentTax > 0) {
-        console.log(`[App] Self Assessment Tax Paid: ₹${aggregatedData.totalSelfAssessmentTax}`);
+    // === TAXES ALREADY PAID (Form 16 Part A / 26AS) ===
+    setField('tdsDeducted', aggregatedData.totalTDS, 'TDS Deducted');
+    setField('tcsCollected', aggregatedData.totalTCS, 'TCS Collected');
+    setField('selfAssessmentTaxPaid', aggregatedData.totalSelfAssessmentTax, 'Self-Assessment Tax Paid');
+
+    // === ADVANCE TAX (dated list - documents give the total, date left for the user) ===
+    if (aggregatedData.totalAdvanceTax && aggregatedData.totalAdvanceTax > 0) {
+        if (window.advanceTaxPayments.length === 0) {
+            window.addAdvanceTaxPayment();
+        }
+        const entry = window.advanceTaxPayments[0];
+        const amountInput = document.getElementById(`${entry.id}_amount`);
+        if (amountInput) {
+            amountInput.value = aggregatedData.totalAdvanceTax;
+            amountInput.dispatchEvent(new Event('input', { bubbles: true }));
+        }
     }
 
     // === 80C DEDUCTIONS (Special Handling) ===
@@ -488,22 +573,26 @@ function setSectionExpanded(sectionId, expanded) {
 function checkSectionHasData(sectionId) {
     // Map of section IDs to their input field IDs
     const sectionFieldsMap = {
-        'personal': ['ageCategory', 'employmentType', 'employerType'],
+        'personal': ['ageCategory', 'employmentType', 'employerType', 'residentialStatus'],
         '80c': [], // Check investments80C array
         'nps': ['npsContribution', 'npsExtraContribution', 'employerNPSContribution'],
         '80d': ['healthInsuranceSelf', 'healthInsuranceParents', 'preventiveCheckup'],
-        'homeloan': ['homeLoanInterest', 'homeLoanPrincipal'],
+        'homeloan': ['homeLoanPrincipal'],
         'legacy-home': ['section80EEInterest', 'section80EEAInterest'],
         '80e': ['educationLoanInterest'],
         '80eeb': ['section80EEBInterest'],
         'donations': [], // Check donations array
-        'capitalgains': ['stcgEquity', 'ltcgEquity', 'realEstateSaleValue', 'realEstatePurchaseValue'],
-        'otherincome': ['savingsInterest', 'fdInterest', 'dividendIncome', 'rentalIncome', 'agriculturalIncome', 'familyPension', 'nonRelativeGifts'],
+        'equity': [], // Check equityAwards array
+        'capitalgains': [], // Check capitalGainsLots, propertySales and capitalLosses arrays
+        'houseproperty': ['housePropertyLossBroughtForward'], // + houseProperties array
+        'otherincome': ['savingsInterest', 'fdInterest', 'dividendIncome', 'agriculturalIncome', 'familyPension', 'nonRelativeGifts'], // + minorChildren array
         'disabilities': ['selfDisabilityLevel', 'dependentDisabilityLevel', 'specifiedDiseaseExpenses'],
         'agniveer': ['agniveerContribution'],
         'retirement': ['gratuityReceived', 'leaveEncashmentReceived', 'yearsOfService', 'lastDrawnSalary', 'vrsCompensationReceived', 'retrenchmentCompensation'],
         '80gga': ['scientificResearchDonation'],
-        'reliefs': ['section89Relief']
+        'reliefs': ['section89Relief'], // + arrearsEntries array
+        'itrdetails': ['numberOfHouseProperties', 'businessIncomeType', 'hasForeignAssets', 'isCompanyDirector', 'holdsUnlistedShares'],
+        'taxespaid': ['tdsDeducted', 'tcsCollected', 'selfAssessmentTaxPaid', 'returnFilingDate'] // + advanceTaxPayments array
     };
     
     const fields = sectionFieldsMap[sectionId];
@@ -516,6 +605,30 @@ function checkSectionHasData(sectionId) {
     if (sectionId === 'donations') {
         return window.donations.some(don => don.amount > 0);
     }
+    if (sectionId === 'taxespaid' && window.advanceTaxPayments.some(p => p.amount > 0)) {
+        return true;
+    }
+    if (sectionId === 'reliefs' && window.arrearsEntries.some(a => a.amount > 0)) {
+        return true;
+    }
+    if (sectionId === 'capitalgains' && window.capitalGainsLots.some(l => l.cost > 0 || l.proceeds > 0)) {
+        return true;
+    }
+    if (sectionId === 'capitalgains' && window.propertySales.some(s => s.saleValue > 0 || s.cost > 0)) {
+        return true;
+    }
+    if (sectionId === 'capitalgains' && window.capitalLosses.some(l => l.stcl > 0 || l.ltcl > 0)) {
+        return true;
+    }
+    if (sectionId === 'equity' && window.equityAwards.some(a => EquityCompensation.isEntered(a))) {
+        return true;
+    }
+    if (sectionId === 'houseproperty' && window.houseProperties.some(p => HouseProperty.isEntered(p))) {
+        return true;
+    }
+    if (sectionId === 'otherincome' && window.minorChildren.some(c => c.income > 0 || c.skillIncome > 0)) {
+        return true;
+    }
     
     // Check each field for non-default value
     for (const fieldId of fields) {
@@ -530,6 +643,8 @@ function checkSectionHasData(sectionId) {
             if (!['ageCategory', 'employmentType', 'employerType', 'parentsAgeCategory'].includes(fieldId)) {
                 if (input.selectedIndex > 0) return true;
             }
+        } else if (tagName === 'input' && input.type === 'checkbox') {
+            if (input.checked) return true;
         } else if (tagName === 'input') {
             const numVal = parseFloat(value) || 0;
             if (numVal > 0) return true;
@@ -562,8 +677,8 @@ function updateSectionDataState(sectionId, hasData) {
 function expandSectionsWithData() {
     const allSections = [
         'personal', '80c', 'nps', '80d', 'homeloan', 'legacy-home', '80e', '80eeb',
-        'donations', 'capitalgains', 'otherincome', 'disabilities', 'agniveer',
-        'retirement', '80gga', 'reliefs'
+        'donations', 'equity', 'capitalgains', 'houseproperty', 'otherincome', 'disabilities', 'agniveer',
+        'retirement', '80gga', 'reliefs', 'itrdetails', 'taxespaid'
     ];
     
     allSections.forEach(sectionId => {
@@ -673,91 +788,32 @@ function setupAutoCalculate() {
 // COLLECT ALL USER DATA
 // ============================================
 function collectUserData() {
-    // Process employment periods - auto-compute Basic if not provided
-    const processedPeriods = window.employmentPeriods.map(p => {
-        const months = calculatePeriodMonths(p);
-        return {
-            ...p,
-            monthsWorked: months,
-            // Auto-compute Basic as 50% of gross if not provided
-            basicPlusDA: p.basicPlusDA > 0 ? p.basicPlusDA : (p.grossSalary * 0.5)
-        };
-    });
-    
-    // Aggregate totals from all periods
-    const totalGrossSalary = processedPeriods.reduce((sum, p) => sum + (p.grossSalary || 0), 0);
-    const totalBasicPlusDA = processedPeriods.reduce((sum, p) => sum + (p.basicPlusDA || 0), 0);
-    const totalEPF = processedPeriods.reduce((sum, p) => sum + (p.epfContribution || 0), 0);
-    const totalEmployerNPS = processedPeriods.reduce((sum, p) => sum + (p.employerNPSContribution || 0), 0);
-    const totalHRA = processedPeriods.reduce((sum, p) => sum + (p.hraReceived || 0), 0);
-    
-    // Aggregate new salary components
-    const totalBonus = processedPeriods.reduce((sum, p) => sum + (p.bonus || 0), 0);
-    const totalSpecialAllowance = processedPeriods.reduce((sum, p) => sum + (p.specialAllowance || 0), 0);
-    const totalCommission = processedPeriods.reduce((sum, p) => sum + (p.commission || 0), 0);
-    const totalLTA = processedPeriods.reduce((sum, p) => sum + (p.ltaReceived || 0), 0);
-    const totalTelephoneReimb = processedPeriods.reduce((sum, p) => sum + (p.telephoneReimb || 0), 0);
-    const totalBooksReimb = processedPeriods.reduce((sum, p) => sum + (p.booksReimb || 0), 0);
-    const totalConveyanceAllowance = processedPeriods.reduce((sum, p) => sum + (p.conveyanceAllowance || 0), 0);
-    const totalDriverAllowance = processedPeriods.reduce((sum, p) => sum + (p.driverAllowance || 0), 0);
-    // Additional allowances (no UI but extracted)
-    const totalChildrenEdAllowance = processedPeriods.reduce((sum, p) => sum + (p.childrenEducationAllowance || 0), 0);
-    const totalHostelAllowance = processedPeriods.reduce((sum, p) => sum + (p.hostelAllowance || 0), 0);
-    const totalMealVouchers = processedPeriods.reduce((sum, p) => sum + (p.mealVouchers || 0), 0);
-    const totalPerquisites = processedPeriods.reduce((sum, p) => sum + (p.perquisitesValue || 0), 0);
-    const totalProfitsInLieu = processedPeriods.reduce((sum, p) => sum + (p.profitsInLieuOfSalary || 0), 0);
-    
+    // Raw profile from the form - aggregation and validation happen in TaxEngine
     return {
+        financialYear: getSelectedFinancialYear(),
+        
         // Personal Info
         ageCategory: TaxUtils.getSelectValue('ageCategory'),
         employmentType: TaxUtils.getSelectValue('employmentType'),
         employerType: TaxUtils.getSelectValue('employerType'),
+        residentialStatus: TaxUtils.getSelectValue('residentialStatus') || 'resident',
         // City Type now comes from rentPayments
         
-        // Employment Periods (NEW - for per-period HRA calculation)
-        employmentPeriods: processedPeriods,
-        
-        // Aggregated Salary (for backward compatibility)
-        grossSalary: totalGrossSalary,
-        basicPlusDA: totalBasicPlusDA > 0 ? totalBasicPlusDA : totalGrossSalary * 0.5,
+        // Employment Periods (per-period HRA calculation; salary totals are aggregated from these)
+        employmentPeriods: window.employmentPeriods,
         professionalTax: TaxUtils.getInputValue('professionalTax'),
-        epfContribution: totalEPF,
         
         // Rent Payments (Dynamic)
         // NOTE: r.amount = TOTAL rent paid for the period (not monthly)
-        rentPayments: rentPayments.filter(r => r.amount > 0),
-        // Sum of all rent period durations (for validation - should not exceed 12)
-        totalRentMonths: rentPayments.reduce((sum, r) => sum + calculatePeriodMonths(r), 0),
-        // Annual rent = sum of all period totals (amount is already total for period)
-        annualRentPaid: rentPayments.reduce((sum, r) => sum + r.amount, 0),
-        rentPaid: rentPayments.reduce((sum, r) => sum + r.amount, 0), // Aggregate for backward compatibility
-        
-        // Aggregated HRA for backward compatibility
-        hraReceived: totalHRA,
-        
-        // New Salary Components (aggregated from periods)
-        bonus: totalBonus,
-        specialAllowance: totalSpecialAllowance,
-        commission: totalCommission,
-        ltaReceived: totalLTA,
-        telephoneReimb: totalTelephoneReimb,
-        booksReimb: totalBooksReimb,
-        conveyanceAllowance: totalConveyanceAllowance,
-        driverAllowance: totalDriverAllowance,
-        // Additional extracted components (no UI but passed to calculators)
-        childrenEducationAllowance: totalChildrenEdAllowance,
-        hostelAllowance: totalHostelAllowance,
-        mealVouchers: totalMealVouchers,
-        perquisitesValue: totalPerquisites,
-        profitsInLieuOfSalary: totalProfitsInLieu,
+        rentPayments: rentPayments,
         
         // 80C Investments (from dynamic list)
-        investments80C: window.investments80C.filter(i => i.amount > 0),
+        investments80C: window.investments80C,
         
-        // NPS - aggregated from periods + direct inputs
+        // NPS - employer share from periods takes precedence over this input
         npsContribution: TaxUtils.getInputValue('npsContribution'),
         npsExtraContribution: TaxUtils.getInputValue('npsExtraContribution'),
-        employerNPSContribution: totalEmployerNPS > 0 ? totalEmployerNPS : TaxUtils.getInputValue('employerNPSContribution'),
+        employerNPSContribution: TaxUtils.getInputValue('employerNPSContribution'),
         
         // Health Insurance
         healthInsuranceSelf: TaxUtils.getInputValue('healthInsuranceSelf'),
@@ -765,10 +821,8 @@ function collectUserData() {
         parentsAgeCategory: TaxUtils.getSelectValue('parentsAgeCategory'),
         preventiveCheckup: TaxUtils.getInputValue('preventiveCheckup'),
         
-        // Home Loan
-        homeLoanInterest: TaxUtils.getInputValue('homeLoanInterest'),
+        // Home Loan (interest is entered per house below)
         homeLoanPrincipal: TaxUtils.getInputValue('homeLoanPrincipal'),
-        isPropertyLetOut: TaxUtils.getCheckboxValue('isPropertyLetOut'),
         
         // Education Loan
         educationLoanInterest: TaxUtils.getInputValue('educationLoanInterest'),
@@ -782,33 +836,39 @@ function collectUserData() {
         
         // Donations (from dynamic list)
         // Passed RAW to calculator for internal categorization (80G vs 80GGC vs 80GGA)
-        donations: window.donations.filter(d => d.amount > 0),
+        donations: window.donations,
+        
+        // Capital Gains (sale by sale; the engine classifies and nets them)
+        capitalGainsLots: window.capitalGainsLots,
         
-        // REMOVED: politicalPartyDonation (now calculated internally from donations list)
+        // Property and other asset sales with Section 54 / 54F / 54EC reinvestments
+        propertySales: window.propertySales,
+        reinvestments: window.reinvestments,
+        section54TwoHouses: TaxUtils.getCheckboxValue('section54TwoHouses'),
+        ownsMoreThanOneHouse: TaxUtils.getCheckboxValue('ownsMoreThanOneHouse'),
         
-        // Capital Gains
-        stcgEquity: TaxUtils.getInputValue('stcgEquity'),
-        ltcgEquity: TaxUtils.getInputValue('ltcgEquity'),
+        // Capital losses brought forward, year by year
+        capitalLossLedger: window.capitalLosses,
         
-        // Real Estate
-        realEstateSaleValue: TaxUtils.getInputValue('realEstateSaleValue'),
-        realEstatePurchaseValue: TaxUtils.getInputValue('realEstatePurchaseValue'),
-        realEstatePurchaseDate: document.getElementById('realEstatePurchaseDate')?.value || '',
-        realEstateTransferExpenses: TaxUtils.getInputValue('realEstateTransferExpenses'),
+        // House properties (self-occupied, let out or deemed let out) and their loans
+        houseProperties: window.houseProperties,
+        housePropertyLossBroughtForward: TaxUtils.getInputValue('housePropertyLossBroughtForward'),
         
-        // Exemptions
-        investmentSec54: TaxUtils.getInputValue('investmentSec54'),
-        investmentSec54EC: TaxUtils.getInputValue('investmentSec54EC'),
-        capitalGainDeposit: TaxUtils.getInputValue('capitalGainDeposit'),
+        // Perquisites valued under Rule 3 (added to the salary)
+        perquisites: collectPerquisites(),
         
-        stclCarryForward: TaxUtils.getInputValue('stclCarryForward'),
-        ltclCarryForward: TaxUtils.getInputValue('ltclCarryForward'),
+        // ESOP / RSU vests and exercises, and sales of those shares
+        equityAwards: window.equityAwards,
+        equitySales: window.equitySales,
+        
+        // Minor children's income, clubbed with the parent whose income is higher (Section 64(1A))
+        minorChildren: window.minorChildren,
+        spouseIncome: TaxUtils.getInputValue('spouseIncome'),
         
         // Other Income
         savingsInterest: TaxUtils.getInputValue('savingsInterest'),
         fdInterest: TaxUtils.getInputValue('fdInterest'),
         dividendIncome: TaxUtils.getInputValue('dividendIncome'),
-        rentalIncome: TaxUtils.getInputValue('rentalIncome'),
         agriculturalIncome: TaxUtils.getInputValue('agriculturalIncome'),
         familyPension: TaxUtils.getInputValue('familyPension'),
         nonRelativeGifts: TaxUtils.getInputValue('nonRelativeGifts'),
@@ -817,17 +877,6 @@ function collectUserData() {
         selfDisabilityLevel: TaxUtils.getSelectValue('selfDisabilityLevel') || null,
         dependentDisabilityLevel: TaxUtils.getSelectValue('dependentDisabilityLevel') || null,
         specifiedDiseaseExpenses: TaxUtils.getInputValue('specifiedDiseaseExpenses'),
-        
-        // Aggregate fields for calculators
-        ppfContribution: window.investments80C.filter(i => i.type === 'ppf').reduce((s, i) => s + i.amount, 0),
-        elssInvestment: window.investments80C.filter(i => i.type === 'elss').reduce((s, i) => s + i.amount, 0),
-        lifeInsurancePremium: window.investments80C.filter(i => i.type === 'lifeInsurance').reduce((s, i) => s + i.amount, 0),
-        nscInvestment: window.investments80C.filter(i => i.type === 'nsc').reduce((s, i) => s + i.amount, 0),
-        scssInvestment: window.investments80C.filter(i => i.type === 'scss').reduce((s, i) => s + i.amount, 0),
-        taxSaverFD: window.investments80C.filter(i => i.type === 'taxSaverFD').reduce((s, i) => s + i.amount, 0),
-        sukanyaSamriddhi: window.investments80C.filter(i => i.type === 'sukanyaSamriddhi').reduce((s, i) => s + i.amount, 0),
-        tuitionFees: window.investments80C.filter(i => i.type === 'tuitionFees').reduce((s, i) => s + i.amount, 0),
-        stampDuty: window.investments80C.filter(i => i.type === 'stampDuty').reduce((s, i) => s + i.amount, 0),
 
         // Retirement Benefits (Section 10)
         gratuityReceived: TaxUtils.getInputValue('gratuityReceived'),
@@ -837,9 +886,26 @@ function collectUserData() {
         vrsCompensationReceived: TaxUtils.getInputValue('vrsCompensationReceived'),
         retrenchmentCompensation: TaxUtils.getInputValue('retrenchmentCompensation'),
 
-        // Section 89 Relief
+        // Section 89 Relief (arrears by year; manual figure is the fallback)
+        arrearsByYear: window.arrearsEntries,
         section89Relief: TaxUtils.getInputValue('section89Relief'),
 
+        // ITR Form Details
+        numberOfHouseProperties: TaxUtils.getInputValue('numberOfHouseProperties'),
+        businessIncomeType: TaxUtils.getSelectValue('businessIncomeType') || 'none',
+        hasForeignAssets: TaxUtils.getCheckboxValue('hasForeignAssets'),
+        isCompanyDirector: TaxUtils.getCheckboxValue('isCompanyDirector'),
+        holdsUnlistedShares: TaxUtils.getCheckboxValue('holdsUnlistedShares'),
+
+        // Taxes Already Paid
+        tdsDeducted: TaxUtils.getInputValue('tdsDeducted'),
+        tcsCollected: TaxUtils.getInputValue('tcsCollected'),
+        advanceTaxPayments: window.advanceTaxPayments,
+        selfAssessmentTaxPaid: TaxUtils.getInputValue('selfAssessmentTaxPaid'),
+        returnFilingDate: document.getElementById('returnFilingDate')?.value || '',
+        // The planner marks instalments paid / missed / next as of today (local date)
+        planAsOfDate: new Date(Date.now() - new Date().getTimezoneOffset() * 60000).toISOString().slice(0, 10),
+
         // Section 80GGA - Scientific Research
         scientificResearchDonation: TaxUtils.getInputValue('scientificResearchDonation'),
         scientificDonationPaymentMode: TaxUtils.getSelectValue('scientificDonationPaymentMode') || 'online',
@@ -854,161 +920,33 @@ function collectUserData() {
         transportAllowanceReceived: TaxUtils.getInputValue('transportAllowanceReceived'),
         isDivyang: TaxUtils.getCheckboxValue('isDivyang'),
         
-        // LTA - already aggregated earlier from employment periods (line 1117)
+        // LTA - aggregated from employment periods by TaxEngine
         // ltaActualExpenses is for travel bills, currently not in UI
         ltaActualExpenses: TaxUtils.getInputValue('ltaActualExpenses')
     };
 }
 
-// ============================================
-// INPUT VALIDATION & NORMALIZATION
-// ============================================
-function validateAndNormalizeInputs(userData) {
-    const warnings = [];
-    
-    // 1. Auto-calculate Basic+DA if not provided (default to 50% of gross)
-    if (!userData.basicPlusDA || userData.basicPlusDA === 0) {
-        userData.basicPlusDA = userData.grossSalary * 0.5;
-    }
-    
-    // 2. Basic+DA cannot exceed Gross Salary
-    if (userData.basicPlusDA > userData.grossSalary && userData.grossSalary > 0) {
-        userData.basicPlusDA = userData.grossSalary * 0.5;
-        warnings.push('Basic+DA exceeded Gross Salary. Auto-adjusted to 50% of Gross.');
-    }
-    
-    // 3. EPF cannot exceed Basic+DA or 12%
-    const maxEPF = userData.basicPlusDA * 0.12;
-    if (userData.epfContribution > maxEPF * 2 && maxEPF > 0) {
-        warnings.push(`EPF contribution seems high (usually ~12% of Basic = ${TaxUtils.formatCurrency(maxEPF)}). Please verify.`);
-    }
-    
-    // 4. HRA and 80GG are mutually exclusive
-    if (userData.hraReceived > 0 && userData.rentPaid > 0) {
-        // HRA is being claimed, 80GG won't apply - this is handled in oldRegime.js
-    }
-    
-    // 5. NPS 80CCD(1B) capped at ₹50,000
-    if (userData.npsExtraContribution > 50000) {
-        userData.npsExtraContribution = 50000;
-        warnings.push('80CCD(1B) contribution capped at ₹50,000.');
-    }
-    
-    // 6. Employer NPS - check against limits
-    const maxEmployerNPSPercent = userData.employerType === 'government' ? 0.14 : 0.10;
-    const maxEmployerNPS = userData.basicPlusDA * maxEmployerNPSPercent;
-    if (userData.employerNPSContribution > maxEmployerNPS && maxEmployerNPS > 0) {
-        warnings.push(`Employer NPS exceeds ${maxEmployerNPSPercent * 100}% limit. Only ${TaxUtils.formatCurrency(maxEmployerNPS)} will be allowed.`);
-    }
-    
-    // 7. Preventive health checkup capped at ₹5,000
-    if (userData.preventiveCheckup > 5000) {
-        userData.preventiveCheckup = 5000;
-        warnings.push('Preventive health checkup capped at ₹5,000.');
-    }
-    
-    // 8. Professional Tax capped at ₹2,500 (constitutional limit)
-    if (userData.professionalTax > 2500) {
-        userData.professionalTax = 2500;
-        warnings.push('Professional tax capped at ₹2,500 (constitutional limit).');
-    }
-    
-    // 9. Gifts from non-relatives - only taxable if > ₹50,000 aggregate
-    // This is handled in calculation, no warning needed
-    
-    // 10. If years of service is 0 but gratuity is claimed, show warning
-    if (userData.gratuityReceived > 0 && (!userData.yearsOfService || userData.yearsOfService === 0)) {
-        warnings.push('Gratuity calculation requires years of service. Please enter for accurate formula.');
-    }
-    
-    // 11. Agricultural income partial integration warning
-    if (userData.agriculturalIncome > 5000 && userData.grossSalary > 0) {
-        warnings.push('Note: Agricultural income > ₹5,000 may trigger partial integration, affecting tax rate.');
-    }
-    
-    // 12. Rent Period Validation
-    if (userData.totalRentMonths > 0) {
-        if (userData.totalRentMonths > 12) {
-            warnings.push(`⚠️ Rent periods sum to ${userData.totalRentMonths} months (exceeds 12). Please check for overlapping periods.`);
-        } else if (userData.totalRentMonths < 12 && userData.hraReceived > 0) {
-            warnings.push(`ℹ️ Rent entered for only ${userData.totalRentMonths} month(s). HRA exemption will be calculated ONLY for these months, not the full year.`);
-        }
-    }
-    
-    // === NEW SALARY COMPONENT VALIDATIONS ===
-    const errors = [];  // Hard blocks
-    
-    // 12. Sum of salary components cannot exceed Gross Salary (HARD BLOCK)
-    const sumOfComponents = (userData.basicPlusDA || 0) + 
-                           (userData.hraReceived || 0) + 
-                           (userData.bonus || 0) + 
-                           (userData.specialAllowance || 0) +
-                           (userData.ltaReceived || 0) +
-                           (userData.telephoneReimb || 0) +
-                           (userData.booksReimb || 0) +
-                           (userData.fuelAllowance || 0);
-    if (sumOfComponents > userData.grossSalary && userData.grossSalary > 0) {
-        errors.push(`Total salary components (${TaxUtils.formatCurrency(sumOfComponents)}) exceed Gross Salary (${TaxUtils.formatCurrency(userData.grossSalary)}). Please correct.`);
-    }
-    
-    // 13. Basic salary ratio warnings
-    if (userData.grossSalary > 0) {
-        const basicRatio = userData.basicPlusDA / userData.grossSalary;
-        if (basicRatio < 0.40 && userData.basicPlusDA > 0) {
-            warnings.push(`Basic salary is ${(basicRatio * 100).toFixed(0)}% of gross (typical: 40-50%). Please verify your salary slip.`);
-        }
-        if (basicRatio > 0.60) {
-            warnings.push(`Basic salary is ${(basicRatio * 100).toFixed(0)}% of gross (typical: 40-50%). Please verify.`);
-        }
-    }
-    
-    // 14. HRA vs Basic ratio warning
-    if (userData.hraReceived > 0 && userData.basicPlusDA > 0) {
-        const hraRatio = userData.hraReceived / userData.basicPlusDA;
-        if (hraRatio > 0.50) {
-            warnings.push(`HRA (${(hraRatio * 100).toFixed(0)}% of Basic) seems high. Typical range: 40-50% of Basic.`);
-        }
-    }
-    
-    // 15. LTA in New Regime warning (no exemption available)
-    if (userData.ltaReceived > 0) {
-        warnings.push('LTA exemption is only available in Old Regime. In New Regime, LTA is fully taxable.');
-    }
-    
-    // Display warnings and errors
-    if (warnings.length > 0) {
-        console.log('Validation Warnings:', warnings);
-    }
-    if (errors.length > 0) {
-        console.error('Validation Errors (Hard Blocks):', errors);
-    }
-    
-    return { data: userData, warnings, errors };
-}
-
 // ============================================
 // MAIN CALCULATION
 // ============================================
 function calculateTax() {
-    let userData = collectUserData();
-    
-    // Validate and normalize inputs
-    const validation = validateAndNormalizeInputs(userData);
-    userData = validation.data;
+    // Headless engine does normalization, validation and both regime calculations
+    const comparison = TaxEngine.computeTaxComparison(collectUserData(), getActiveTaxConfig());
     
-    // Check for hard block errors - show but still calculate
-    const hasErrors = validation.errors && validation.errors.length > 0;
-    
-    // Initialize calculators
-    const newCalc = new NewRegimeCalculator(TAX_CONFIG);
-    const oldCalc = new OldRegimeCalculator(TAX_CONFIG);
+    // Hard block errors are shown but calculation still proceeds
+    if (comparison.warnings.length > 0) {
+        console.log('Validation Warnings:', comparison.warnings);
+    }
+    if (comparison.errors.length > 0) {
+        console.error('Validation Errors (Hard Blocks):', comparison.errors);
+    }
     
-    // Calculate both regimes
-    const newResult = newCalc.calculate(userData);
-    const oldResult = oldCalc.calculate(userData);
+    // Closing capital loss balance is kept in this browser to open next year's ledger
+    const recommended = comparison.betterRegime === 'new' ? comparison.newResult : comparison.oldResult;
+    saveCapitalLossCarryForward(recommended.capitalGainsTax.lossCarryForward);
     
     // Generate and display report (pass warnings and errors)
-    displayResults(newResult, oldResult, userData, validation.warnings, validation.errors);
+    displayResults(comparison.newResult, comparison.oldResult, comparison.userData, comparison.warnings, comparison.errors, comparison.itrForm);
 }
 
 // ============================================
@@ -1018,8 +956,25 @@ function calculateTax() {
 let lastNewResult = null;
 let lastOldResult = null;
 let lastUserData = null;
+let lastItrForm = null;
 
-function displayResults(newResult, oldResult, userData, warnings = [], errors = []) {
+/**
+ * Summarize what is left after taxes already paid (TDS, TCS, advance, self-assessment)
+ * @param {Object} result - Regime calculation result
+ * @returns {Object} { label, amount, color }
+ */
+function getBalanceSummary(result) {
+    if (result.refundDue > 0) {
+        return { label: 'Refund Due', amount: result.refundDue, color: 'var(--color-success)' };
+    }
+    return {
+        label: 'Balance Payable',
+        amount: result.balancePayable,
+        color: result.balancePayable > 0 ? 'var(--color-error)' : 'inherit'
+    };
+}
+
+function displayResults(newResult, oldResult, userData, warnings = [], errors = [], itrForm = null) {
     const panel = document.getElementById('resultsPanel');
     const betterRegime = newResult.finalTax <= oldResult.finalTax ? 'new' : 'old';
     const savings = Math.abs(newResult.finalTax - oldResult.finalTax);
@@ -1028,6 +983,7 @@ function displayResults(newResult, oldResult, userData, warnings = [], errors =
     lastNewResult = newResult;
     lastOldResult = oldResult;
     lastUserData = userData;
+    lastItrForm = itrForm;
     
     // Build errors HTML (Hard Blocks - Red)
     let errorsHtml = '';
@@ -1058,11 +1014,17 @@ function displayResults(newResult, oldResult, userData, warnings = [], errors =
     // Always use comparison view
     const html = generateComparisonReport(newResult, oldResult, betterRegime, savings, userData);
     
-    // Prepend errors and warnings to the output
-    panel.innerHTML = errorsHtml + warningsHtml + html;
+    // Prepend errors and warnings to the output, ITR form card goes last
+    panel.innerHTML = errorsHtml + warningsHtml + html + generateItrFormCard(itrForm);
 }
 
 function generateComparisonReport(newResult, oldResult, betterRegime, savings, userData) {
+    // Both regimes share the same profile, so taxes paid are identical; interest differs
+    const hasInterest = newResult.interest.total > 0 || oldResult.interest.total > 0;
+    const showBalance = newResult.taxesPaid.total > 0 || hasInterest;
+    const newBalance = getBalanceSummary(newResult);
+    const oldBalance = getBalanceSummary(oldResult);
+
     return `
         <!-- Savings Banner -->
         ${savings > 0 ? `
@@ -1080,11 +1042,13 @@ function generateComparisonReport(newResult, oldResult, betterRegime, savings, u
                 <div class="regime-result ${betterRegime === 'new' ? 'regime-result--better' : ''}">
                     <div class="label">New Regime</div>
                     <div class="amount">${TaxUtils.formatCurrency(newResult.finalTax)}</div>
+                    ${showBalance ? `<div style="font-size: 12px; margin-top: 4px; color: ${newBalance.color};">${newBalance.label}: ${TaxUtils.formatCurrency(newBalance.amount)}</div>` : ''}
                     ${betterRegime === 'new' ? '<span class="better-tag">✓ Better Choice</span>' : ''}
                 </div>
                 <div class="regime-result ${betterRegime === 'old' ? 'regime-result--better' : ''}">
                     <div class="label">Old Regime</div>
                     <div class="amount">${TaxUtils.formatCurrency(oldResult.finalTax)}</div>
+                    ${showBalance ? `<div style="font-size: 12px; margin-top: 4px; color: ${oldBalance.color};">${oldBalance.label}: ${TaxUtils.formatCurrency(oldBalance.amount)}</div>` : ''}
                     ${betterRegime === 'old' ? '<span class="better-tag">✓ Better Choice</span>' : ''}
                 </div>
             </div>
@@ -1154,10 +1118,32 @@ function generateComparisonReport(newResult, oldResult, betterRegime, savings, u
                         <td style="text-align: right; padding: 8px;">${TaxUtils.formatPercent(newResult.effectiveRate, 2)}</td>
                         <td style="text-align: right; padding: 8px;">${TaxUtils.formatPercent(oldResult.effectiveRate, 2)}</td>
                     </tr>
+                    ${hasInterest ? `
+                    <tr style="color: var(--color-error);">
+                        <td style="padding: 8px;">(+) Interest u/s 234A/B/C</td>
+                        <td style="text-align: right; padding: 8px;">${TaxUtils.formatCurrency(newResult.interest.total)}</td>
+                        <td style="text-align: right; padding: 8px;">${TaxUtils.formatCurrency(oldResult.interest.total)}</td>
+                    </tr>` : ''}
+                    ${showBalance ? `
+                    <tr style="color: var(--color-success);">
+                        <td style="padding: 8px;">(-) Taxes Already Paid</td>
+                        <td style="text-align: right; padding: 8px;">${TaxUtils.formatCurrency(newResult.taxesPaid.total)}</td>
+                        <td style="text-align: right; padding: 8px;">${TaxUtils.formatCurrency(oldResult.taxesPaid.total)}</td>
+                    </tr>
+                    <tr style="border-top: 2px solid var(--color-border); font-weight: bold;">
+                        <td style="padding: 12px 8px;">BALANCE PAYABLE / REFUND</td>
+                        <td style="text-align: right; padding: 12px 8px; color: ${newBalance.color};">${TaxUtils.formatCurrency(newBalance.amount)}${newResult.refundDue > 0 ? ' refund' : ''}</td>
+                        <td style="text-align: right; padding: 12px 8px; color: ${oldBalance.color};">${TaxUtils.formatCurrency(oldBalance.amount)}${oldResult.refundDue > 0 ? ' refund' : ''}</td>
+                    </tr>` : ''}
                 </tbody>
             </table>
         </div>
         
+        <!-- Advance Tax Planner (recommended regime) -->
+        ${generateAdvanceTaxPlanner(betterRegime === 'new' ? newResult : oldResult, betterRegime)}
+        ${generateForm10EAnnexure(betterRegime === 'new' ? newResult : oldResult, betterRegime)}
+        ${generateScheduleCFL(betterRegime === 'new' ? newResult : oldResult)}
+        
         <!-- WHAT SAVED YOU MONEY - Dynamic based on better regime -->
         <div class="result-card" id="savingsCard" style="background: linear-gradient(to bottom right, #f0fff4, #e8f7f7); border: 2px solid var(--color-success);">
             <h3 class="result-title" style="color: var(--color-success); margin: 0 0 12px 0;">
@@ -1271,6 +1257,308 @@ function generateComparisonReport(newResult, oldResult, betterRegime, savings, u
 }
 
 // Helper function to generate savings breakdown HTML
+/**
+ * Advance tax schedule (15 Jun / 15 Sep / 15 Dec / 15 Mar) for a regime's liability after TDS/TCS
+ * @param {Object} result - Regime calculation result (with advanceTaxPlan)
+ * @param {string} regimeName - 'new' or 'old'
+ * @returns {string} HTML (empty if advance tax is not required)
+ */
+function generateAdvanceTaxPlanner(result, regimeName) {
+    const plan = result.advanceTaxPlan;
+    if (!plan || !plan.required) return '';
+    
+    const statusLabels = {
+        paid: '<span style="color: var(--color-success);">✓ Paid</span>',
+        missed: '<span style="color: var(--color-error);">✗ Missed</span>',
+        next: '<strong style="color: var(--color-primary);">→ Next</strong>',
+        upcoming: '<span style="color: var(--color-text-secondary);">Upcoming</span>'
+    };
+    
+    return `
+        <div class="result-card">
+            <h3 class="result-title">📅 Advance Tax Planner (${regimeName === 'new' ? 'New' : 'Old'} Regime)</h3>
+            <p style="font-size: 13px; color: var(--color-text-secondary); margin-bottom: 12px;">
+                Tax ${TaxUtils.formatCurrency(result.finalTax)} - expected TDS/TCS ${TaxUtils.formatCurrency(result.taxesPaid.tds + result.taxesPaid.tcs)}
+                = <strong>${TaxUtils.formatCurrency(plan.liability)}</strong> to pay as advance tax.
+                Amounts are cumulative, so revising your income re-spreads the balance over the remaining dates.
+            </p>
+            ${plan.needsTdsEstimate ? `
+            <p style="font-size: 13px; color: var(--color-warning); margin-bottom: 12px;">
+                ⚠️ No TDS entered. This plan assumes none is deducted from your salary, as with a foreign employer or a contractor payroll.
+                If your employer deducts TDS, enter the expected amount under "Taxes Already Paid".
+            </p>` : ''}
+            <table style="width: 100%; font-size: 13px;">
+                <thead>
+                    <tr style="border-bottom: 2px solid var(--color-border);">
+                        <th style="text-align: left; padding: 8px;">Due Date</th>
+                        <th style="text-align: right; padding: 8px;">Cumulative Due</th>
+                        <th style="text-align: right; padding: 8px;">Paid by Then</th>
+                        <th style="text-align: right; padding: 8px;">Still to Pay</th>
+                        <th style="text-align: right; padding: 8px;">234C if Missed</th>
+                        <th style="text-align: right; padding: 8px;">Status</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${plan.instalments.map(i => `
+                    <tr style="${i.status === 'next' ? 'background: var(--color-primary-bg);' : ''}">
+                        <td style="padding: 8px;">${TaxPayments.formatDate(i.date)} (${Math.round(i.cumulativePercent * 100)}%)</td>
+                        <td style="text-align: right; padding: 8px;">${TaxUtils.formatCurrency(i.required)}</td>
+                        <td style="text-align: right; padding: 8px;">${TaxUtils.formatCurrency(i.paid)}</td>
+                        <td style="text-align: right; padding: 8px;">${TaxUtils.formatCurrency(i.toPay)}</td>
+                        <td style="text-align: right; padding: 8px; color: ${i.interest > 0 ? 'var(--color-error)' : 'inherit'};">${TaxUtils.formatCurrency(i.interest)}</td>
+                        <td style="text-align: right; padding: 8px;">${statusLabels[i.status]}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>
+            ${plan.nextInstalment ? `
+            <p style="font-size: 13px; margin-top: 12px;">
+                Next: pay <strong>${TaxUtils.formatCurrency(plan.nextInstalment.toPay)}</strong> by ${TaxPayments.formatDate(plan.nextInstalment.date)}.
+            </p>` : ''}
+            ${plan.missedInterest > 0 ? `
+            <p style="font-size: 13px; margin-top: 8px; color: var(--color-error);">
+                ⚠️ Missed instalments already carry ${TaxUtils.formatCurrency(plan.missedInterest)} interest u/s 234C. Paying the shortfall before 31 March keeps 234B interest away.
+            </p>` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Section 89(1) relief laid out like Form 10E (main table + Annexure I)
+ * @param {Object} result - Regime calculation result
+ * @param {string} regimeName - 'new' or 'old'
+ * @returns {string} HTML (empty unless arrears rows were entered)
+ */
+function generateForm10EAnnexure(result, regimeName) {
+    const section89 = result.section89;
+    if (!section89 || (section89.source !== 'computed' && section89.skipped.length === 0)) return '';
+    
+    const skippedHtml = section89.skipped.length > 0 ? `
+            <p style="font-size: 12px; color: var(--color-warning); margin-top: 8px;">
+                ${section89.skipped.map(s => `⚠️ FY ${s.financialYear || '?'} (${TaxUtils.formatCurrency(s.arrears)}) not considered: ${s.reason}`).join('<br>')}
+            </p>` : '';
+    
+    if (section89.source !== 'computed') {
+        return `
+        <div class="result-card">
+            <h3 class="result-title">🧮 Section 89(1) Relief - Form 10E</h3>
+            ${skippedHtml}
+        </div>
+        `;
+    }
+    
+    const current = section89.current;
+    const mainRows = [
+        ['1', 'Total income (excluding arrears)', current.incomeWithoutArrears],
+        ['2', 'Salary received in arrears or advance', section89.arrearsTotal],
+        ['3', 'Total income (including arrears) [1 + 2]', current.incomeWithArrears],
+        ['4', 'Tax on total income [as per 3]', current.taxWithArrears],
+        ['5', 'Tax on total income [as per 1]', current.taxWithoutArrears],
+        ['6', 'Tax on arrears [4 - 5]', current.taxOnArrears],
+        ['7', 'Tax computed in Annexure I (column 7 total)', section89.pastYearsTax],
+        ['8', 'Relief u/s 89(1) [6 - 7]', section89.relief]
+    ];
+    
+    return `
+        <div class="result-card">
+            <h3 class="result-title">🧮 Section 89(1) Relief - Form 10E (${regimeName === 'new' ? 'New' : 'Old'} Regime)</h3>
+            <table style="width: 100%; font-size: 13px; margin-bottom: 16px;">
+                <tbody>
+                    ${mainRows.map(([no, label, amount]) => `
+                    <tr style="${no === '8' ? 'border-top: 2px solid var(--color-primary); font-weight: bold; color: var(--color-success);' : ''}">
+                        <td style="padding: 6px 8px; width: 32px;">${no}</td>
+                        <td style="padding: 6px 8px;">${label}</td>
+                        <td style="text-align: right; padding: 6px 8px;">${TaxUtils.formatCurrency(amount)}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>
+            <h4 style="font-size: 14px; margin-bottom: 8px;">Annexure I - Arrears by year they relate to</h4>
+            <table style="width: 100%; font-size: 12px;">
+                <thead>
+                    <tr style="border-bottom: 2px solid var(--color-border);">
+                        <th style="text-align: left; padding: 6px;">(1) Previous Year</th>
+                        <th style="text-align: right; padding: 6px;">(2) Total Income</th>
+                        <th style="text-align: right; padding: 6px;">(3) Arrears</th>
+                        <th style="text-align: right; padding: 6px;">(4) Income incl. Arrears</th>
+                        <th style="text-align: right; padding: 6px;">(5) Tax on (2)</th>
+                        <th style="text-align: right; padding: 6px;">(6) Tax on (4)</th>
+                        <th style="text-align: right; padding: 6px;">(7) Difference</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${section89.years.map(y => `
+                    <tr>
+                        <td style="padding: 6px;">FY ${y.financialYear} <small style="color: var(--color-text-muted);">(${y.regime === 'new' ? 'new' : 'old'} regime)</small></td>
+                        <td style="text-align: right; padding: 6px;">${TaxUtils.formatCurrency(y.totalIncome)}</td>
+                        <td style="text-align: right; padding: 6px;">${TaxUtils.formatCurrency(y.arrears)}</td>
+                        <td style="text-align: right; padding: 6px;">${TaxUtils.formatCurrency(y.totalIncomeWithArrears)}</td>
+                        <td style="text-align: right; padding: 6px;">${TaxUtils.formatCurrency(y.taxWithout)}</td>
+                        <td style="text-align: right; padding: 6px;">${TaxUtils.formatCurrency(y.taxWith)}</td>
+                        <td style="text-align: right; padding: 6px;">${TaxUtils.formatCurrency(y.difference)}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>
+            ${skippedHtml}
+            <p style="font-size: 12px; color: var(--color-text-muted); margin-top: 12px;">
+                Tax includes cess; surcharge is not included. ${TAX_CONFIG.specialRules.section89Relief.deadline}.
+            </p>
+        </div>
+    `;
+}
+
+/**
+ * Capital losses brought forward, set off and carried forward, laid out like Schedule CFL
+ * @param {Object} result - Regime calculation result
+ * @returns {string} HTML (empty unless there are losses)
+ */
+function generateScheduleCFL(result) {
+    const schedule = result.capitalGainsTax.lossCarryForward;
+    if (!CapitalLossLedger.hasEntries(schedule)) return '';
+    
+    return `
+        <div class="result-card">
+            <h3 class="result-title">📉 Capital Losses - Schedule CFL</h3>
+            <table style="width: 100%; font-size: 13px;">
+                <thead>
+                    <tr style="border-bottom: 2px solid var(--color-border);">
+                        <th style="text-align: left; padding: 6px;">Loss of</th>
+                        <th style="text-align: right; padding: 6px;">Short-term</th>
+                        <th style="text-align: right; padding: 6px;">Long-term</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${CapitalLossLedger.toScheduleRows(schedule).map(row => `
+                    <tr style="${row.total ? 'border-top: 1px solid var(--color-border); font-weight: bold;' : ''}">
+                        <td style="padding: 6px;">${row.label}</td>
+                        <td style="text-align: right; padding: 6px;">${TaxUtils.formatCurrency(row.stcl)}</td>
+                        <td style="text-align: right; padding: 6px;">${TaxUtils.formatCurrency(row.ltcl)}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>
+            ${schedule.filedLate ? `
+            <p style="font-size: 12px; color: var(--color-warning); margin-top: 8px;">
+                ⚠️ Return filed after the due date: this year's loss is not carried forward (Section 80).
+            </p>` : ''}
+            <button class="add-entry-btn" onclick="downloadCapitalLossCarryForward()" style="margin-top: 12px;">📤 Download Balance for FY ${schedule.nextFinancialYear}</button>
+            <p style="font-size: 12px; color: var(--color-text-muted); margin-top: 8px;">
+                The balance is also saved in this browser: choose FY ${schedule.nextFinancialYear} next year and load it.
+            </p>
+        </div>
+    `;
+}
+
+/**
+ * Download the capital losses to carry into next year (importable in the loss ledger or a CLI profile)
+ */
+function downloadCapitalLossCarryForward() {
+    if (!lastNewResult || !lastOldResult) return;
+    
+    const result = lastNewResult.finalTax <= lastOldResult.finalTax ? lastNewResult : lastOldResult;
+    const closing = CapitalLossLedger.toJson(result.capitalGainsTax.lossCarryForward);
+    const blob = new Blob([JSON.stringify(closing, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `capital-losses_FY${closing.financialYear}.json`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(link.href);
+}
+
+/**
+ * ITR form recommendation with every deciding factor
+ * @param {Object} itrForm - Output of ItrEligibility.determineForm()
+ * @returns {string} HTML (empty if not available)
+ */
+function generateItrFormCard(itrForm) {
+    if (!itrForm) return '';
+    
+    return `
+        <div class="result-card">
+            <h3 class="result-title">📋 Which ITR Form to File</h3>
+            <div style="padding: 12px; background: var(--color-primary-bg); border-radius: 6px; margin-bottom: 12px;">
+                <div style="font-size: 18px; font-weight: 700; color: var(--color-primary);">${itrForm.name}</div>
+                <div style="font-size: 13px; color: var(--color-text-secondary); margin-top: 4px;">${itrForm.description}</div>
+            </div>
+            <table style="width: 100%; font-size: 13px;">
+                <thead>
+                    <tr style="border-bottom: 2px solid var(--color-border);">
+                        <th style="text-align: left; padding: 8px;">Deciding Factor</th>
+                        <th style="text-align: left; padding: 8px;">Your Profile</th>
+                        <th style="text-align: left; padding: 8px;">Effect</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${itrForm.factors.map(f => `
+                    <tr>
+                        <td style="padding: 8px; vertical-align: top;">${f.label}</td>
+                        <td style="padding: 8px; vertical-align: top;">${f.value}</td>
+                        <td style="padding: 8px; vertical-align: top; color: ${f.rulesOut.includes('ITR-1') ? 'var(--color-warning)' : 'inherit'};">
+                            ${f.explanation}
+                            ${f.rulesOut.length > 0 ? `<br><small style="color: var(--color-text-muted);">Rules out: ${f.rulesOut.join(', ')}</small>` : ''}
+                        </td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>
+            ${ItrExport.SUPPORTED_FORMS.includes(itrForm.form) ? `
+            <button onclick="downloadItrJson()" style="width: 100%; margin-top: 16px; padding: 12px; background: var(--color-primary); color: white; border: none; border-radius: var(--radius-md); font-size: 14px; font-weight: 600; cursor: pointer;">
+                ⬇️ Download ${itrForm.form} draft JSON
+            </button>
+            <p style="font-size: 12px; color: var(--color-text-muted); margin-top: 8px;">
+                A draft in the offline utility's layout, to check figures against. It cannot be uploaded to the e-filing portal:
+                enter the figures in the official utility and file from there.
+            </p>` : `
+            <p style="font-size: 12px; color: var(--color-text-muted); margin-top: 12px;">JSON download is available for ITR-1 and ITR-2 only.</p>`}
+            <div id="itrExportReport"></div>
+        </div>
+    `;
+}
+
+/**
+ * Download the draft ITR JSON for the recommended regime and list what could not be filled
+ */
+function downloadItrJson() {
+    if (!lastNewResult || !lastOldResult || !lastItrForm) return;
+
+    const result = lastNewResult.finalTax <= lastOldResult.finalTax ? lastNewResult : lastOldResult;
+    const itrExport = ItrExport.buildExport(result, lastUserData, lastItrForm, getActiveTaxConfig());
+    const report = document.getElementById('itrExportReport');
+
+    if (itrExport.json) {
+        const blob = new Blob([JSON.stringify(itrExport.json, null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `${itrExport.form}_AY${getActiveTaxConfig().assessmentYear}_draft.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(link.href);
+    }
+
+    if (report) {
+        report.innerHTML = generateItrExportReport(itrExport);
+    }
+}
+
+function generateItrExportReport(itrExport) {
+    const errorsHtml = itrExport.errors.length > 0 ? `
+        <div style="margin-top: 12px; padding: 10px; background: #fef2f2; border-left: 4px solid #ef4444; border-radius: 4px; font-size: 12px;">
+            <strong style="color: #dc2626;">Schema check failed:</strong>
+            <ul style="margin: 6px 0 0 16px;">
+                ${itrExport.errors.map(e => `<li>${e.path}: ${e.message}</li>`).join('')}
+            </ul>
+        </div>` : '';
+
+    const unfilledHtml = itrExport.unfilled.length > 0 ? `
+        <div style="margin-top: 12px; padding: 10px; background: #fffbeb; border-left: 4px solid #f59e0b; border-radius: 4px; font-size: 12px;">
+            <strong>Fill these in the utility before filing (${itrExport.unfilled.length}):</strong>
+            <ul style="margin: 6px 0 0 16px;">
+                ${itrExport.unfilled.map(u => `<li>${u.title} <small style="color: var(--color-text-muted);">${u.path}</small></li>`).join('')}
+            </ul>
+        </div>` : '';
+
+    return errorsHtml + unfilledHtml;
+}
+
 function generateSavingsBreakdown(result, regimeName) {
     const entries = result.log
         .filter(entry => entry.taxSaved && entry.taxSaved > 0)
@@ -1391,7 +1679,7 @@ function generatePotentialSavings(result, userData, betterRegime, displayedRegim
         {
             section: '24(b) - Home Loan Interest',
             limit: 200000,
-            used: regimeResult.deductions?.section24b || 0,
+            used: regimeResult.houseProperty?.selfOccupiedInterest.allowed || 0,
             type: 'expense_based',
             suggestion: 'Home loan interest for self-occupied property',
             applicableRegime: 'old'
@@ -1683,6 +1971,8 @@ document.addEventListener('keydown', (e) => {
 function generateDetailedModalComparison(newResult, oldResult, userData) {
     const betterRegime = newResult.finalTax <= oldResult.finalTax ? 'new' : 'old';
     const savings = Math.abs(newResult.finalTax - oldResult.finalTax);
+    const newBalance = getBalanceSummary(newResult);
+    const oldBalance = getBalanceSummary(oldResult);
     
     // Helper to determine which value is better (lower = better for tax, higher = better for deductions)
     const getBetterClass = (newVal, oldVal, higherIsBetter = true) => {
@@ -1696,7 +1986,7 @@ function generateDetailedModalComparison(newResult, oldResult, userData) {
     
     return `
         <h2 style="text-align: center; margin-bottom: 24px; color: var(--color-primary);">
-            📊 Detailed Tax Comparison - FY 2025-26
+            📊 Detailed Tax Comparison - FY ${newResult.financialYear}
         </h2>
         
         ${savings > 0 ? `
@@ -1782,6 +2072,22 @@ function generateDetailedModalComparison(newResult, oldResult, userData) {
                     <span>Effective Rate</span>
                     <span class="value">${TaxUtils.formatPercent(newResult.effectiveRate, 2)}</span>
                 </div>
+                ${newResult.taxesPaid.total > 0 || newResult.interest.total > 0 ? `
+                ${newResult.interest.total > 0 ? `
+                <div class="modal-item">
+                    <span>(+) Interest u/s 234A/B/C</span>
+                    <span class="value">${TaxUtils.formatCurrency(newResult.interest.total)}</span>
+                </div>
+                ` : ''}
+                <div class="modal-item">
+                    <span>(-) Taxes Already Paid</span>
+                    <span class="value">${TaxUtils.formatCurrency(newResult.taxesPaid.total)}</span>
+                </div>
+                <div class="modal-item" style="font-weight: 700; color: ${newBalance.color};">
+                    <span>${newBalance.label}</span>
+                    <span class="value">${TaxUtils.formatCurrency(newBalance.amount)}</span>
+                </div>
+                ` : ''}
             </div>
             
             <!-- OLD REGIME COLUMN -->
@@ -1891,6 +2197,22 @@ function generateDetailedModalComparison(newResult, oldResult, userData) {
                     <span>Effective Rate</span>
                     <span class="value">${TaxUtils.formatPercent(oldResult.effectiveRate, 2)}</span>
                 </div>
+                ${oldResult.taxesPaid.total > 0 || oldResult.interest.total > 0 ? `
+                ${oldResult.interest.total > 0 ? `
+                <div class="modal-item">
+                    <span>(+) Interest u/s 234A/B/C</span>
+                    <span class="value">${TaxUtils.formatCurrency(oldResult.interest.total)}</span>
+                </div>
+                ` : ''}
+                <div class="modal-item">
+                    <span>(-) Taxes Already Paid</span>
+                    <span class="value">${TaxUtils.formatCurrency(oldResult.taxesPaid.total)}</span>
+                </div>
+                <div class="modal-item" style="font-weight: 700; color: ${oldBalance.color};">
+                    <span>${oldBalance.label}</span>
+                    <span class="value">${TaxUtils.formatCurrency(oldBalance.amount)}</span>
+                </div>
+                ` : ''}
             </div>
         </div>
         
@@ -1912,6 +2234,142 @@ function generateDetailedModalComparison(newResult, oldResult, userData) {
     `;
 }
 
+// ============================================
+// HOUSEHOLD VIEW
+// ============================================
+// Saved member profiles (kept in this browser)
+let householdMembers = [];
+
+/**
+ * Save the current form as a named household member (replaces a member of the same name)
+ */
+function addHouseholdMember() {
+    const nameInput = document.getElementById('householdMemberName');
+    const name = nameInput.value.trim() || `Member ${householdMembers.length + 1}`;
+    const profile = JSON.parse(JSON.stringify(collectUserData()));
+    householdMembers = householdMembers.filter(m => m.name !== name).concat({ ...profile, name });
+    TaxUtils.saveToStorage(Household.STORAGE_KEY, { members: householdMembers });
+    nameInput.value = '';
+    renderHouseholdMembers();
+}
+
+function removeHouseholdMember(index) {
+    householdMembers = householdMembers.filter((m, i) => i !== index);
+    TaxUtils.saveToStorage(Household.STORAGE_KEY, { members: householdMembers });
+    renderHouseholdMembers();
+}
+
+/**
+ * List the members and offer them in the "whose parents" and "gifted by" choices
+ */
+function renderHouseholdMembers() {
+    const list = document.getElementById('householdMembersList');
+    if (!list) return;
+    list.innerHTML = householdMembers.map((m, index) => `
+        <div class="dynamic-entry">
+            <span style="flex: 1;">${m.name}</span>
+            <button class="entry-remove-btn" onclick="removeHouseholdMember(${index})" title="Remove">✕</button>
+        </div>
+    `).join('');
+
+    const options = householdMembers.map(m => `<option value="${m.name}">${m.name}</option>`).join('');
+    const parentsOf = document.getElementById('householdParentsOf');
+    parentsOf.innerHTML = '<option value="">Any member (siblings)</option>' + options;
+    document.getElementById('householdGiftFrom').innerHTML = options;
+}
+
+/**
+ * Household as Household.optimize() reads it, from the saved members and the shared fields
+ */
+function collectHouseholdData() {
+    const names = householdMembers.map(m => m.name);
+    const premium = TaxUtils.getInputValue('householdParentsPremium');
+    const parentsOf = document.getElementById('householdParentsOf').value;
+    const interest = TaxUtils.getInputValue('householdHouseInterest');
+    const principal = TaxUtils.getInputValue('householdHousePrincipal');
+    const share = Math.min(100, TaxUtils.getInputValue('householdHouseShare'));
+    const investment = TaxUtils.getInputValue('householdInvestment');
+    const giftIncome = TaxUtils.getInputValue('householdGiftIncome');
+    const giftFrom = document.getElementById('householdGiftFrom').value;
+
+    return {
+        financialYear: getActiveTaxConfig().financialYear,
+        members: householdMembers,
+        parentsHealthInsurance: premium > 0 ? [{
+            premium,
+            parentsAgeCategory: document.getElementById('householdParentsAge').value,
+            eligible: parentsOf ? [parentsOf] : names
+        }] : [],
+        houseProperties: (interest > 0 || principal > 0) && names.length >= 2 ? [{
+            name: 'Joint home',
+            use: 'selfOccupied',
+            interest,
+            principal,
+            owners: { [names[0]]: share, [names[1]]: 100 - share }
+        }] : [],
+        investments80C: investment > 0 ? [{ type: 'ppf', amount: investment }] : [],
+        transfers: giftIncome > 0 && giftFrom ? [{
+            from: giftFrom,
+            to: names.find(name => name !== giftFrom),
+            relation: 'spouse',
+            income: giftIncome,
+            incomeType: 'fdInterest',
+            adequateConsideration: document.getElementById('householdGiftConsideration').checked
+        }] : []
+    };
+}
+
+function optimizeHousehold() {
+    const container = document.getElementById('householdResults');
+    if (householdMembers.length === 0) {
+        container.innerHTML = '<p class="help-text">Add at least one member first.</p>';
+        return;
+    }
+    const household = Household.optimize(collectHouseholdData(), getActiveTaxConfig());
+    container.innerHTML = generateHouseholdReport(household);
+}
+
+/**
+ * Per-person regimes, household total and who should claim what
+ * @param {Object} household - Output of Household.optimize()
+ * @returns {string} HTML
+ */
+function generateHouseholdReport(household) {
+    return `
+        <div class="result-card" style="margin-top: 12px;">
+            <h3 class="result-title">👪 Household Tax (FY ${household.financialYear})</h3>
+            <table style="width: 100%; font-size: 13px;">
+                <thead>
+                    <tr style="border-bottom: 2px solid var(--color-border);">
+                        <th style="text-align: left; padding: 8px;">Member</th>
+                        <th style="text-align: right; padding: 8px;">Old Regime</th>
+                        <th style="text-align: right; padding: 8px;">New Regime</th>
+                        <th style="text-align: right; padding: 8px;">Pick</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${household.members.map(m => `
+                    <tr>
+                        <td style="padding: 8px;">${m.name}</td>
+                        <td style="padding: 8px; text-align: right;">${TaxUtils.formatCurrency(m.comparison.oldResult.finalTax)}</td>
+                        <td style="padding: 8px; text-align: right;">${TaxUtils.formatCurrency(m.comparison.newResult.finalTax)}</td>
+                        <td style="padding: 8px; text-align: right; font-weight: 600;">${m.regime === 'new' ? 'New' : 'Old'}</td>
+                    </tr>`).join('')}
+                    <tr style="border-top: 2px solid var(--color-border); font-weight: 700;">
+                        <td style="padding: 8px;" colspan="3">Household tax</td>
+                        <td style="padding: 8px; text-align: right;">${TaxUtils.formatCurrency(household.totalTax)}</td>
+                    </tr>
+                </tbody>
+            </table>
+            ${household.savings > 0 ? `<p style="font-size: 13px; color: var(--color-success); margin-top: 8px;">Saves ${TaxUtils.formatCurrency(household.savings)} over the starting split.</p>` : ''}
+            <ul style="margin: 8px 0 0 16px; font-size: 13px;">
+                ${household.recommendations.map(r => `<li style="margin-bottom: 4px;">${r}</li>`).join('')}
+                ${household.clubbing.filter(c => !c.clubbed).map(c => `<li style="margin-bottom: 4px;">${c.reason}</li>`).join('')}
+            </ul>
+        </div>
+    `;
+}
+
 // Expose modal functions globally
 window.openBreakdownModal = openBreakdownModal;
 window.closeBreakdownModal = closeBreakdownModal;
@@ -1922,6 +2380,11 @@ window.setDisplayedRegime = setDisplayedRegime;
 window.toggleOtherRegimeLog = toggleOtherRegimeLog;
 window.setPotentialRegime = setPotentialRegime;
 window.generateSavingsBreakdown = generateSavingsBreakdown;
+window.downloadItrJson = downloadItrJson;
+window.downloadCapitalLossCarryForward = downloadCapitalLossCarryForward;
+window.addHouseholdMember = addHouseholdMember;
+window.removeHouseholdMember = removeHouseholdMember;
+window.optimizeHousehold = optimizeHousehold;
 
 // ============================================
 // GLOBAL ERROR HANDLER
@@ -0,0 +1,556 @@
+/**
+ * CAPITAL GAINS LEDGER - Sale-by-sale (lot) capital gains, with broker P&L CSV import
+ *
+ * Each lot is one sale: { assetType, description, buyDate, sellDate, cost, proceeds, expenses,
+ * fmv31Jan2018 }. Lots are classified short-term / long-term with the holdingPeriod (months)
+ * of the asset's TAX_CONFIG.capitalGains entry (Section 50AA funds are always short-term);
+ * long-term equity bought on or before 31 Jan 2018 uses the grandfathered cost of
+ * Section 55(2)(ac). Gains are then netted within the year and the totals are fed to the
+ * calculators: stcgEquity (111A) / ltcgEquity (112A) to calculateCapitalGainsTax,
+ * stcgOther to slab income and ltcgOtherByClass (Section 112, each class at its own rate).
+ *
+ * CSV import: parseCsv() -> findHeaderRow() -> suggestMapping() (the user can change
+ * the column for each field) -> importRows().
+ */
+
+const CapitalGainsLedger = {
+    // Lot asset types -> TAX_CONFIG.capitalGains key holding their rates and holding periods
+    ASSET_TYPES: {
+        equityShare: { label: 'Listed equity share', configKey: 'equity' },
+        equityFund: { label: 'Equity mutual fund / ETF', configKey: 'equity' },
+        specifiedFund: { label: 'Debt / specified mutual fund', configKey: 'specifiedFund' },
+        gold: { label: 'Physical gold / gold fund', configKey: 'gold' },
+        goldEtf: { label: 'Gold ETF (listed)', configKey: 'goldEtf' },
+        unlistedShare: { label: 'Unlisted share', configKey: 'unlistedShares' },
+        foreignShare: { label: 'Foreign share', configKey: 'foreignShares' }
+    },
+
+    // Set-off order for losses of the year: gains taxed highest (or with no exemption) first
+    BUCKET_ORDER: ['stcgOther', 'stcgEquity', 'ltcgOther', 'ltcgEquity'],
+
+    DEFAULT_ASSET_TYPE: 'equityShare',
+
+    // Lot fields a CSV column can be mapped to, with header names used by broker tax P&L exports
+    IMPORT_FIELDS: {
+        description: {
+            label: 'Scrip / fund',
+            required: false,
+            aliases: ['symbol', 'scrip', 'scrip name', 'stock name', 'stock', 'security', 'security name', 'scheme name', 'scheme', 'instrument', 'name']
+        },
+        assetType: {
+            label: 'Asset type',
+            required: false,
+            aliases: ['asset type', 'asset class', 'instrument type', 'security type', 'segment', 'type']
+        },
+        buyDate: {
+            label: 'Buy date',
+            required: true,
+            aliases: ['buy date', 'entry date', 'purchase date', 'date of purchase', 'acquisition date', 'date of acquisition', 'buy trade date', 'bought on']
+        },
+        sellDate: {
+            label: 'Sell date',
+            required: true,
+            aliases: ['sell date', 'exit date', 'sale date', 'date of sale', 'redemption date', 'date of transfer', 'sell trade date', 'sold on']
+        },
+        cost: {
+            label: 'Cost (buy value)',
+            required: true,
+            aliases: ['buy value', 'purchase value', 'cost of acquisition', 'total buy value', 'buy amount', 'purchase amount', 'purchase cost', 'cost']
+        },
+        proceeds: {
+            label: 'Proceeds (sell value)',
+            required: true,
+            aliases: ['sell value', 'sale value', 'total sell value', 'sale consideration', 'full value of consideration', 'sell amount', 'sale amount', 'redemption value', 'redemption amount', 'proceeds']
+        },
+        expenses: {
+            label: 'Transfer expenses',
+            required: false,
+            aliases: ['transfer expenses', 'expenditure on transfer', 'total charges', 'charges', 'brokerage', 'expenses']
+        },
+        fmv31Jan2018: {
+            label: 'FMV on 31 Jan 2018 (total)',
+            required: false,
+            aliases: ['fair market value', 'fmv', 'fmv as on 31 01 2018', 'fmv on 31 01 2018', 'fmv as on 31 jan 2018', 'total fmv', 'fair market value as on 31 01 2018', 'grandfathered value']
+        }
+    },
+
+    MONTHS: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'],
+
+    // ============================================
+    // CLASSIFICATION
+    // ============================================
+
+    /**
+     * Months an asset must be held (more than) to be long-term
+     * @param {string} assetType - Key of ASSET_TYPES
+     * @param {Object} config - Tax configuration
+     * @returns {number}
+     */
+    getHoldingPeriod(assetType, config = TAX_CONFIG) {
+        const type = this.ASSET_TYPES[assetType] || this.ASSET_TYPES[this.DEFAULT_ASSET_TYPE];
+        return config.capitalGains.ltcg[type.configKey].holdingPeriod;
+    },
+
+    /**
+     * Name of a TAX_CONFIG.capitalGains class for the calculation log
+     * @param {string} configKey - e.g. 'gold', 'foreignShares'
+     * @returns {string}
+     */
+    getClassLabel(configKey) {
+        const type = Object.values(this.ASSET_TYPES).find(t => t.configKey === configKey);
+        return type ? type.label : 'Other assets';
+    },
+
+    /**
+     * Long-term if sold after the same date `months` months on from purchase
+     * @param {string} buyDate - 'YYYY-MM-DD'
+     * @param {string} sellDate - 'YYYY-MM-DD'
+     * @param {number} months - Holding period
+     * @returns {boolean}
+     */
+    isLongTerm(buyDate, sellDate, months) {
+        const [y, m, d] = buyDate.split('-').map(Number);
+        // Date.UTC rolls month and day overflow forward (29 Feb + 12 months -> 1 Mar)
+        const threshold = Date.UTC(y, m - 1 + months, d);
+        return Date.parse(sellDate) > threshold;
+    },
+
+    /**
+     * Section 55(2)(ac) cost of acquisition for equity held on 31 Jan 2018
+     * Higher of the actual cost and the lower of the FMV on that day and the sale price,
+     * so a fall after 2018 gives no loss beyond the actual cost.
+     * @param {number} cost - Actual cost of the lot
+     * @param {number} fmv - Fair market value of the lot on 31 Jan 2018
+     * @param {number} proceeds - Sale price of the lot
+     * @returns {number}
+     */
+    getGrandfatheredCost(cost, fmv, proceeds) {
+        return Math.max(cost, Math.min(fmv, proceeds));
+    },
+
+    /**
+     * Classify one lot
+     * @param {Object} lot - { assetType, description, buyDate, sellDate, cost, proceeds, expenses, fmv31Jan2018 }
+     * @param {Object} config - Tax configuration
+     * @returns {Object} Lot with gain, term ('short'|'long'), section and holdingPeriod, or an error.
+     *   Grandfathered lots also carry grandfatheredCost; old lots without an FMV carry missingFmv.
+     */
+    classifyLot(lot, config = TAX_CONFIG) {
+        const assetType = this.ASSET_TYPES[lot.assetType] ? lot.assetType : this.DEFAULT_ASSET_TYPE;
+        const cost = TaxUtils.validateNumber(lot.cost);
+        const proceeds = TaxUtils.validateNumber(lot.proceeds);
+        const expenses = TaxUtils.validateNumber(lot.expenses);
+        const classified = { ...lot, assetType, cost, proceeds, expenses, gain: proceeds - cost - expenses };
+
+        const buyDate = this.parseDate(lot.buyDate);
+        const sellDate = this.parseDate(lot.sellDate);
+        if (!buyDate || !sellDate) {
+            return { ...classified, error: 'Buy and sell dates are needed to tell short-term from long-term.' };
+        }
+        if (sellDate < buyDate) {
+            return { ...classified, buyDate, sellDate, error: 'Sell date is before the buy date.' };
+        }
+        if (TaxUtils.getFinancialYearKey(sellDate) !== config.financialYear) {
+            return { ...classified, buyDate, sellDate, error: `Sold outside FY ${config.financialYear}.` };
+        }
+
+        const type = this.ASSET_TYPES[assetType];
+        const { stcg, ltcg } = config.capitalGains;
+        const deemed = stcg[type.configKey] && stcg[type.configKey].deemedShortTermFrom;
+        const holdingPeriod = this.getHoldingPeriod(assetType, config);
+        const term = (deemed && buyDate >= deemed) || !this.isLongTerm(buyDate, sellDate, holdingPeriod) ? 'short' : 'long';
+
+        // Short-term gains without a special rate (stcg.other) are added to slab income
+        const rules = term === 'long' ? ltcg[type.configKey] : (stcg[type.configKey] || stcg.other);
+        const atSlab = rules.rate === 'slab';
+        const lotResult = {
+            ...classified,
+            buyDate,
+            sellDate,
+            holdingPeriod,
+            term,
+            section: rules.section || 'Slab rates',
+            bucket: term === 'short'
+                ? (atSlab ? 'stcgOther' : 'stcgEquity')
+                : (type.configKey === 'equity' ? 'ltcgEquity' : 'ltcgOther')
+        };
+
+        if (term === 'long' && rules.grandfathering && buyDate <= rules.grandfathering.date) {
+            const fmv = TaxUtils.validateNumber(lot.fmv31Jan2018);
+            if (fmv <= 0) return { ...lotResult, missingFmv: true };
+            const grandfatheredCost = this.getGrandfatheredCost(cost, fmv, proceeds);
+            return { ...lotResult, fmv31Jan2018: fmv, grandfatheredCost, gain: proceeds - grandfatheredCost - expenses };
+        }
+        return lotResult;
+    },
+
+    /**
+     * Short-term loss set off against the short-term gains taxed at slab rates (stcgOther),
+     * which come first in BUCKET_ORDER: this year's loss left after its own sales, then losses
+     * brought forward. The calculators take it out of slab income and set off the rest
+     * against the special-rate gains.
+     * @param {Object} userData - Normalized user data
+     * @returns {number}
+     */
+    getSlabLossSetOff(userData) {
+        const currentLoss = userData.currentYearCapitalLoss || { stcl: 0 };
+        const stcl = currentLoss.stcl + TaxUtils.validateNumber(userData.stclCarryForward);
+        return Math.min(Math.max(0, TaxUtils.validateNumber(userData.stcgOther)), stcl);
+    },
+
+    /**
+     * Classify and total a list of lots
+     * Short-term losses are set off against any gains, long-term losses only against
+     * long-term gains, in BUCKET_ORDER. What is left is carried forward.
+     * @param {Array} lots - Lots as entered / imported
+     * @param {Object} config - Tax configuration
+     * @returns {Object} { lots, excluded, shortTerm, longTerm, shortLossAgainstLong,
+     *   stcgEquity, stcgOther, ltcgEquity, ltcgOther, ltcgOtherByClass, unabsorbedLoss }
+     */
+    summarize(lots, config = TAX_CONFIG) {
+        const classified = (Array.isArray(lots) ? lots : []).map(lot => this.classifyLot(lot, config));
+        const counted = classified.filter(l => !l.error);
+        const totals = (term) => {
+            const termLots = counted.filter(l => l.term === term);
+            const gains = termLots.reduce((sum, l) => sum + Math.max(0, l.gain), 0);
+            const losses = termLots.reduce((sum, l) => sum + Math.max(0, -l.gain), 0);
+            return { count: termLots.length, gains, losses, net: gains - losses };
+        };
+        const shortTerm = totals('short');
+        const longTerm = totals('long');
+
+        // Gains by bucket; Section 112 gains kept per asset class as the rates may differ
+        const gains = [];
+        counted.filter(l => l.gain > 0).forEach(l => {
+            const classKey = l.bucket === 'ltcgOther' ? this.ASSET_TYPES[l.assetType].configKey : null;
+            let bucket = gains.find(g => g.bucket === l.bucket && g.classKey === classKey);
+            if (!bucket) {
+                bucket = { bucket: l.bucket, classKey, amount: 0 };
+                gains.push(bucket);
+            }
+            bucket.amount += l.gain;
+        });
+        gains.sort((a, b) => this.BUCKET_ORDER.indexOf(a.bucket) - this.BUCKET_ORDER.indexOf(b.bucket));
+
+        const setOff = (loss, buckets) => buckets.reduce((left, g) => {
+            const offset = Math.min(left, g.amount);
+            g.amount -= offset;
+            return left - offset;
+        }, loss);
+        const longGains = gains.filter(g => g.bucket.startsWith('ltcg'));
+        const longBefore = longGains.reduce((sum, g) => sum + g.amount, 0);
+        const shortLeft = setOff(shortTerm.losses, gains);
+        const shortLossAgainstLong = longBefore - longGains.reduce((sum, g) => sum + g.amount, 0);
+        const longLeft = setOff(longTerm.losses, longGains);
+
+        const total = (bucket) => TaxUtils.roundToRupee(gains.filter(g => g.bucket === bucket).reduce((sum, g) => sum + g.amount, 0));
+        const ltcgOtherByClass = {};
+        gains.filter(g => g.bucket === 'ltcgOther').forEach(g => {
+            ltcgOtherByClass[g.classKey] = TaxUtils.roundToRupee(g.amount);
+        });
+
+        return {
+            lots: classified,
+            excluded: classified.filter(l => l.error),
+            shortTerm,
+            longTerm,
+            shortLossAgainstLong,
+            stcgEquity: total('stcgEquity'),
+            stcgOther: total('stcgOther'),
+            ltcgEquity: total('ltcgEquity'),
+            ltcgOther: total('ltcgOther'),
+            ltcgOtherByClass,
+            unabsorbedLoss: {
+                shortTerm: TaxUtils.roundToRupee(shortLeft),
+                longTerm: TaxUtils.roundToRupee(longLeft)
+            }
+        };
+    },
+
+    /**
+     * Calculation log lines for a summary (the calculators add them under 'Capital Gains Ledger')
+     * @param {Object} ledger - From summarize()
+     * @returns {Array} [{ item, amount, explanation }]
+     */
+    describe(ledger) {
+        const fmt = TaxUtils.formatCurrency;
+        // Every grandfathered lot, so the cost used can be checked against the contract notes
+        const entries = ledger.lots.filter(l => l.grandfatheredCost !== undefined).map(l => ({
+            item: `Grandfathered cost: ${l.description || `bought ${l.buyDate}`}`,
+            amount: l.grandfatheredCost,
+            explanation: `Higher of cost ${fmt(l.cost)} and lower of FMV on 31 Jan 2018 ${fmt(l.fmv31Jan2018)} ` +
+                `and sale price ${fmt(l.proceeds)}. Gain ${fmt(l.proceeds)} - ${fmt(l.grandfatheredCost)}` +
+                (l.expenses > 0 ? ` - expenses ${fmt(l.expenses)}` : '') + ` = ${fmt(l.gain)}`
+        }));
+
+        entries.push(...[
+            ['Short-term lots', ledger.shortTerm],
+            ['Long-term lots', ledger.longTerm]
+        ].filter(([, t]) => t.count > 0).map(([item, t]) => ({
+            item: `${item} (${t.count})`,
+            amount: t.net,
+            explanation: `Gains ${fmt(t.gains)} - losses ${fmt(t.losses)} = ${fmt(t.net)}`
+        })));
+
+        if (ledger.shortLossAgainstLong > 0) {
+            entries.push({
+                item: 'Short-term loss vs long-term gains',
+                amount: ledger.shortLossAgainstLong,
+                explanation: `Short-term losses of this year left after short-term gains, set off against long-term gains.`
+            });
+        }
+        const { shortTerm, longTerm } = ledger.unabsorbedLoss;
+        if (shortTerm > 0 || longTerm > 0) {
+            entries.push({
+                item: 'Loss left after these sales',
+                amount: shortTerm + longTerm,
+                explanation: `Short-term ${fmt(shortTerm)}, long-term ${fmt(longTerm)}. Set off against other capital gains; any balance is carried forward.`
+            });
+        }
+        return entries;
+    },
+
+    // ============================================
+    // CSV IMPORT
+    // ============================================
+
+    /**
+     * Split CSV text into rows of trimmed cells (quoted fields, "" escapes, CRLF)
+     * @param {string} text - File contents
+     * @returns {Array} Array of rows (arrays of strings); blank lines are kept so
+     *   row indexes match the file's line numbers
+     */
+    parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+        const source = String(text || '').replace(/^\uFEFF/, '');
+
+        for (let i = 0; i < source.length; i++) {
+            const ch = source[i];
+            if (quoted) {
+                if (ch === '"' && source[i + 1] === '"') { cell += '"'; i++; }
+                else if (ch === '"') quoted = false;
+                else cell += ch;
+            } else if (ch === '"') {
+                quoted = true;
+            } else if (ch === ',') {
+                row.push(cell.trim());
+                cell = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && source[i + 1] === '\n') i++;
+                row.push(cell.trim());
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += ch;
+            }
+        }
+        row.push(cell.trim());
+        rows.push(row);
+
+        while (rows.length > 0 && rows[rows.length - 1].every(c => c === '')) rows.pop();
+        return rows;
+    },
+
+    /**
+     * Lower-case a header and reduce it to words ("Buy Value (Rs.)" -> "buy value rs")
+     */
+    normalizeHeader(header) {
+        return String(header || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    },
+
+    /**
+     * Suggest a column for each import field from the header names
+     * Exact alias matches win over partial ones; a column is used at most once.
+     * @param {Array} headers - Header cells
+     * @returns {Object} { field: columnIndex | null }
+     */
+    suggestMapping(headers) {
+        const normalized = headers.map(h => this.normalizeHeader(h));
+        const used = new Set();
+        const mapping = {};
+        const find = (aliases, matches) => {
+            for (const alias of aliases) {
+                const index = normalized.findIndex((h, i) => !used.has(i) && matches(h, alias));
+                if (index !== -1) return index;
+            }
+            return -1;
+        };
+
+        // Exact matches first across all fields, then partial ones for what is left
+        const fields = Object.entries(this.IMPORT_FIELDS);
+        fields.forEach(([field, spec]) => {
+            const index = find(spec.aliases, (h, alias) => h === alias);
+            mapping[field] = index === -1 ? null : index;
+            if (index !== -1) used.add(index);
+        });
+        fields.forEach(([field, spec]) => {
+            if (mapping[field] !== null) return;
+            const index = find(spec.aliases, (h, alias) => ` ${h} `.includes(` ${alias} `));
+            if (index !== -1) {
+                mapping[field] = index;
+                used.add(index);
+            }
+        });
+        return mapping;
+    },
+
+    /**
+     * Find the header row: broker exports often start with account details and a title
+     * @param {Array} rows - From parseCsv()
+     * @returns {number} Row index (-1 if no row maps the required date and value columns)
+     */
+    findHeaderRow(rows) {
+        const required = Object.keys(this.IMPORT_FIELDS).filter(f => this.IMPORT_FIELDS[f].required);
+        let best = -1;
+        let bestScore = 0;
+        rows.slice(0, 50).forEach((row, index) => {
+            const mapping = this.suggestMapping(row);
+            const score = required.filter(f => mapping[f] !== null).length;
+            if (score > bestScore) {
+                best = index;
+                bestScore = score;
+            }
+        });
+        return bestScore >= 2 ? best : -1;
+    },
+
+    /**
+     * Parse a date as written in broker exports
+     * Accepts YYYY-MM-DD, DD-MM-YYYY, DD/MM/YYYY, DD.MM.YYYY, DD-Mon-YYYY, DD Mon YYYY (2-digit years too)
+     * @param {string} value - Cell text
+     * @returns {string|null} 'YYYY-MM-DD' or null
+     */
+    parseDate(value) {
+        const text = String(value || '').trim();
+        let year, month, day;
+        let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T\s].*)?$/);
+        if (match) {
+            [, year, month, day] = match.map(Number);
+        } else if ((match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})(?:\s.*)?$/))) {
+            [, day, month, year] = match.map(Number);
+        } else if ((match = text.match(/^(\d{1,2})[-\s/]([A-Za-z]{3})[A-Za-z]*[-\s/,]+(\d{2}|\d{4})$/))) {
+            day = Number(match[1]);
+            month = this.MONTHS.indexOf(match[2].toLowerCase()) + 1;
+            year = Number(match[3]);
+        } else {
+            return null;
+        }
+        if (year < 100) year += 2000;
+
+        const date = new Date(Date.UTC(year, month - 1, day));
+        if (month < 1 || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+        return date.toISOString().slice(0, 10);
+    },
+
+    /**
+     * Parse an amount cell ("₹1,23,456.70", "Rs. 500", "(1,200)" for negatives)
+     * @param {string} value - Cell text
+     * @returns {number}
+     */
+    parseAmount(value) {
+        let text = String(value || '').trim();
+        const negative = /^\(.*\)$/.test(text) || text.startsWith('-');
+        text = text.replace(/rs\.?|inr|₹|[(),\s-]/gi, '');
+        const amount = parseFloat(text);
+        if (isNaN(amount)) return 0;
+        return negative ? -amount : amount;
+    },
+
+    /**
+     * Asset type from an asset-type cell, falling back to the import default
+     * @param {string} value - Cell text
+     * @param {string} fallback - Key of ASSET_TYPES
+     * @returns {string}
+     */
+    parseAssetType(value, fallback = this.DEFAULT_ASSET_TYPE) {
+        const text = String(value || '').trim();
+        if (this.ASSET_TYPES[text]) return text;
+        // Most specific first: "Gold ETF" before "ETF", "Debt fund" before "fund"
+        if (/gold/i.test(text)) return /etf/i.test(text) ? 'goldEtf' : 'gold';
+        if (/debt|liquid|gilt|bond|specified|50aa|\bfof\b|fund of fund/i.test(text)) return 'specifiedFund';
+        if (/foreign|overseas|international|\bus\b|nasdaq|nyse/i.test(text)) return 'foreignShare';
+        if (/unlisted|pre.?ipo/i.test(text)) return 'unlistedShare';
+        if (/fund|\bmf\b|etf|scheme/i.test(text)) return 'equityFund';
+        if (/equity|share|stock|eq\b/i.test(text)) return 'equityShare';
+        return fallback;
+    },
+
+    /**
+     * Turn data rows into lots with a confirmed column mapping
+     * @param {Array} rows - From parseCsv()
+     * @param {number} headerRow - Index of the header row
+     * @param {Object} mapping - { field: columnIndex | null }
+     * @param {string} defaultAssetType - Used when no asset type column is mapped
+     * @returns {Object} { lots, skipped: [{ row, reason }] }
+     */
+    importRows(rows, headerRow, mapping, defaultAssetType = this.DEFAULT_ASSET_TYPE) {
+        const lots = [];
+        const skipped = [];
+        const cell = (row, field) => (mapping[field] === null || mapping[field] === undefined ? '' : (row[mapping[field]] || ''));
+
+        rows.slice(headerRow + 1).forEach((row, i) => {
+            const rowNumber = headerRow + i + 2;  // 1-based line in the file
+            const buyDate = this.parseDate(cell(row, 'buyDate'));
+            const sellDate = this.parseDate(cell(row, 'sellDate'));
+            if (!buyDate || !sellDate) {
+                // Sub-total and section rows have no dates; report only rows that look like trades
+                if (cell(row, 'buyDate') || cell(row, 'sellDate')) {
+                    skipped.push({ row: rowNumber, reason: `Unreadable date "${cell(row, buyDate ? 'sellDate' : 'buyDate')}"` });
+                }
+                return;
+            }
+            lots.push({
+                assetType: mapping.assetType === null || mapping.assetType === undefined
+                    ? defaultAssetType
+                    : this.parseAssetType(cell(row, 'assetType'), defaultAssetType),
+                description: cell(row, 'description'),
+                buyDate,
+                sellDate,
+                cost: Math.abs(this.parseAmount(cell(row, 'cost'))),
+                proceeds: Math.abs(this.parseAmount(cell(row, 'proceeds'))),
+                expenses: Math.abs(this.parseAmount(cell(row, 'expenses'))),
+                fmv31Jan2018: Math.abs(this.parseAmount(cell(row, 'fmv31Jan2018')))
+            });
+        });
+
+        return { lots, skipped };
+    },
+
+    /**
+     * One-step import with the suggested mapping (CLI and quick checks)
+     * @param {string} text - CSV file contents
+     * @param {string} defaultAssetType - Used when no asset type column is mapped
+     * @returns {Object} { headers, headerRow, mapping, missing, lots, skipped }
+     */
+    fromCsv(text, defaultAssetType = this.DEFAULT_ASSET_TYPE) {
+        const rows = this.parseCsv(text);
+        const headerRow = this.findHeaderRow(rows);
+        if (headerRow === -1) {
+            return {
+                headers: [],
+                headerRow,
+                mapping: {},
+                missing: Object.keys(this.IMPORT_FIELDS).filter(f => this.IMPORT_FIELDS[f].required),
+                lots: [],
+                skipped: []
+            };
+        }
+
+        const headers = rows[headerRow];
+        const mapping = this.suggestMapping(headers);
+        const missing = Object.keys(this.IMPORT_FIELDS).filter(f => this.IMPORT_FIELDS[f].required && mapping[f] === null);
+        const { lots, skipped } = missing.length > 0
+            ? { lots: [], skipped: [] }
+            : this.importRows(rows, headerRow, mapping, defaultAssetType);
+        return { headers, headerRow, mapping, missing, lots, skipped };
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CapitalGainsLedger;
+}
@@ -0,0 +1,269 @@
+/**
+ * CAPITAL LOSS CARRY-FORWARD - Losses of earlier years, year by year (Schedule CFL)
+ *
+ * Capital losses not set off in the year they arise are carried forward for the
+ * number of years in TAX_CONFIG.capitalGains.lossSetoff (8): short-term losses
+ * against any capital gain, long-term losses against long-term gains only.
+ * Each year's balance is kept on its own so the oldest losses are used first
+ * and a year's loss lapses once its last year has passed.
+ *
+ * This year's own losses (not absorbed by this year's gains) are set off before
+ * any brought-forward loss, and are carried forward only if the return is filed
+ * by the due date (Section 80).
+ *
+ * Profile fields used: capitalLossLedger [{ financialYear, stcl, ltcl }],
+ * stclCarryForward / ltclCarryForward (single figures when the year is not known)
+ */
+
+const CapitalLossLedger = {
+    // localStorage key: { '<FY>': [closing balance of the year before, to open <FY> with] }
+    STORAGE_KEY: 'capitalLossLedger',
+
+    /**
+     * Assessment year of a financial year: '2019-20' -> '2020-21'
+     */
+    toAssessmentYear(financialYear) {
+        return TaxUtils.toFinancialYearKey(TaxUtils.getFinancialYearStart(financialYear) + 1);
+    },
+
+    /**
+     * Losses brought forward into the year, oldest first, with lapsed amounts split out
+     * Rows without a year (single figures) come first and are not checked for expiry.
+     * @param {Array} entries - [{ financialYear, stcl, ltcl }] as entered or imported
+     * @param {Object} config - Tax configuration of the current year
+     * @returns {Object} { years: [{ financialYear, age, stcl, ltcl }], expired, invalid, stcl, ltcl }
+     */
+    open(entries, config = TAX_CONFIG) {
+        const currentYear = TaxUtils.getFinancialYearStart(config.financialYear);
+        const rules = config.capitalGains.lossSetoff;
+        const byYear = new Map();
+        const expired = [];
+        const invalid = [];
+
+        entries.forEach(entry => {
+            const stcl = TaxUtils.validateNumber(entry.stcl);
+            const ltcl = TaxUtils.validateNumber(entry.ltcl);
+            if (stcl <= 0 && ltcl <= 0) return;
+
+            const financialYear = entry.financialYear || null;
+            const age = financialYear ? currentYear - TaxUtils.getFinancialYearStart(financialYear) : null;
+            if (financialYear && !(age > 0)) {
+                invalid.push({ ...entry, reason: `${financialYear} is not a year before FY ${config.financialYear}.` });
+                return;
+            }
+
+            // Each kind lapses after its own carry-forward period
+            const lapsedStcl = age > rules.stcl.carryforward ? stcl : 0;
+            const lapsedLtcl = age > rules.ltcl.carryforward ? ltcl : 0;
+            if (lapsedStcl > 0 || lapsedLtcl > 0) {
+                expired.push({ financialYear, stcl: lapsedStcl, ltcl: lapsedLtcl });
+            }
+            if (stcl - lapsedStcl <= 0 && ltcl - lapsedLtcl <= 0) return;
+
+            const key = financialYear || '';
+            const row = byYear.get(key) || { financialYear, age, stcl: 0, ltcl: 0 };
+            row.stcl += stcl - lapsedStcl;
+            row.ltcl += ltcl - lapsedLtcl;
+            byYear.set(key, row);
+        });
+
+        const years = [...byYear.values()].sort((a, b) => (b.age || Infinity) - (a.age || Infinity));
+        return {
+            years,
+            expired,
+            invalid,
+            stcl: years.reduce((sum, y) => sum + y.stcl, 0),
+            ltcl: years.reduce((sum, y) => sum + y.ltcl, 0)
+        };
+    },
+
+    /**
+     * Set-off of this year and the closing balance to carry into next year
+     * @param {Object} opening - From open()
+     * @param {Object} currentLoss - This year's losses not absorbed by its own gains { stcl, ltcl }
+     * @param {Object} used - Losses set off against this year's gains { stcl, ltcl }
+     * @param {Object} userData - Normalized user data (returnFilingDate)
+     * @param {Object} config - Tax configuration of the current year
+     * @returns {Object} Schedule CFL: { years, current, expired, lapsing, totals, closing, filedLate, ... }
+     */
+    buildSchedule(opening, currentLoss, used, userData = {}, config = TAX_CONFIG) {
+        const rules = config.capitalGains.lossSetoff;
+        const remaining = { stcl: used.stcl, ltcl: used.ltcl };
+        const setOff = (kind, amount) => {
+            const amountSetOff = Math.min(amount, remaining[kind]);
+            remaining[kind] -= amountSetOff;
+            return amountSetOff;
+        };
+
+        // This year's losses first, then the oldest brought-forward losses
+        const current = {
+            financialYear: config.financialYear,
+            assessmentYear: config.assessmentYear,
+            stcl: currentLoss.stcl,
+            ltcl: currentLoss.ltcl
+        };
+        current.stclSetOff = setOff('stcl', current.stcl);
+        current.ltclSetOff = setOff('ltcl', current.ltcl);
+
+        // Section 80: a loss is carried forward only from a return filed by the due date
+        const filingDate = TaxPayments.parseDate(userData.returnFilingDate);
+        const filedLate = Boolean(filingDate) &&
+            TaxPayments.dateKey(filingDate) > TaxPayments.dateKey(TaxPayments.getReturnDueDate(config));
+        current.stclCarried = filedLate ? 0 : current.stcl - current.stclSetOff;
+        current.ltclCarried = filedLate ? 0 : current.ltcl - current.ltclSetOff;
+
+        const lapsing = [];
+        const years = opening.years.map(year => {
+            const stclSetOff = setOff('stcl', year.stcl);
+            const ltclSetOff = setOff('ltcl', year.ltcl);
+            // Balance left after the year's last year of carry-forward lapses
+            const stclLeft = year.stcl - stclSetOff;
+            const ltclLeft = year.ltcl - ltclSetOff;
+            const stclLapses = year.age !== null && year.age >= rules.stcl.carryforward ? stclLeft : 0;
+            const ltclLapses = year.age !== null && year.age >= rules.ltcl.carryforward ? ltclLeft : 0;
+            if (stclLapses > 0 || ltclLapses > 0) {
+                lapsing.push({ financialYear: year.financialYear, stcl: stclLapses, ltcl: ltclLapses });
+            }
+            return {
+                ...year,
+                assessmentYear: year.financialYear ? this.toAssessmentYear(year.financialYear) : null,
+                stclSetOff,
+                ltclSetOff,
+                stclCarried: stclLeft - stclLapses,
+                ltclCarried: ltclLeft - ltclLapses
+            };
+        });
+
+        const sum = (rows, key) => rows.reduce((total, row) => total + row[key], 0);
+        const closing = years
+            .filter(y => y.stclCarried > 0 || y.ltclCarried > 0)
+            .map(y => ({ financialYear: y.financialYear, stcl: y.stclCarried, ltcl: y.ltclCarried }));
+        if (current.stclCarried > 0 || current.ltclCarried > 0) {
+            closing.push({ financialYear: current.financialYear, stcl: current.stclCarried, ltcl: current.ltclCarried });
+        }
+
+        return {
+            financialYear: config.financialYear,
+            nextFinancialYear: TaxUtils.toFinancialYearKey(TaxUtils.getFinancialYearStart(config.financialYear) + 1),
+            years,
+            current,
+            expired: opening.expired,
+            lapsing,
+            filedLate,
+            carryForwardYears: rules.stcl.carryforward,
+            totals: {
+                broughtForward: { stcl: opening.stcl, ltcl: opening.ltcl },
+                setOff: { stcl: sum(years, 'stclSetOff'), ltcl: sum(years, 'ltclSetOff') },
+                carriedForward: { stcl: sum(closing, 'stcl'), ltcl: sum(closing, 'ltcl') }
+            },
+            closing
+        };
+    },
+
+    /**
+     * Whether a schedule has anything to show
+     */
+    hasEntries(schedule) {
+        return Boolean(schedule) && (schedule.years.length > 0 || schedule.expired.length > 0 ||
+            schedule.current.stcl > 0 || schedule.current.ltcl > 0);
+    },
+
+    /**
+     * Rows in the order of Schedule CFL (capital loss columns only)
+     * @param {Object} schedule - From buildSchedule()
+     * @returns {Array} [{ label, stcl, ltcl, total }] - total marks the summary rows
+     */
+    toScheduleRows(schedule) {
+        const { totals, current } = schedule;
+        const lapsed = schedule.lapsing.reduce((sum, y) => ({ stcl: sum.stcl + y.stcl, ltcl: sum.ltcl + y.ltcl }), { stcl: 0, ltcl: 0 });
+        const rows = schedule.years.map(y => ({
+            label: y.assessmentYear ? `AY ${y.assessmentYear}` : 'Earlier years (year not given)',
+            stcl: y.stcl,
+            ltcl: y.ltcl,
+            total: false
+        }));
+        rows.push({ label: 'Total of earlier year losses', ...totals.broughtForward, total: true });
+        rows.push({ label: 'Adjustment of above losses in Schedule BFLA', ...totals.setOff, total: false });
+        if (lapsed.stcl > 0 || lapsed.ltcl > 0) {
+            rows.push({ label: `Lapsing (past ${schedule.carryForwardYears} years)`, ...lapsed, total: false });
+        }
+        rows.push({ label: `AY ${current.assessmentYear} (current year losses)`, stcl: current.stclCarried, ltcl: current.ltclCarried, total: false });
+        rows.push({ label: 'Total loss carried forward to future years', ...totals.carriedForward, total: true });
+        return rows;
+    },
+
+    /**
+     * Calculation log lines (the calculators add them as given)
+     * @param {Object} schedule - From buildSchedule()
+     * @returns {Array} [{ item, amount, explanation }]
+     */
+    describe(schedule) {
+        const fmt = TaxUtils.formatCurrency;
+        const yearLabel = y => (y.financialYear ? `FY ${y.financialYear}` : 'earlier years (year not given)');
+        const entries = [];
+
+        schedule.expired.forEach(y => entries.push({
+            item: `Lapsed: loss of FY ${y.financialYear}`,
+            amount: y.stcl + y.ltcl,
+            explanation: `More than ${schedule.carryForwardYears} years old: cannot be set off any more.`
+        }));
+        schedule.years.filter(y => y.stclSetOff > 0 || y.ltclSetOff > 0).forEach(y => entries.push({
+            item: `Brought forward from ${yearLabel(y)}`,
+            amount: y.stclSetOff + y.ltclSetOff,
+            explanation: `Short-term ${fmt(y.stclSetOff)}, long-term ${fmt(y.ltclSetOff)} set off this year (oldest losses first).`
+        }));
+        schedule.lapsing.forEach(y => entries.push({
+            item: `Lapses this year: loss of FY ${y.financialYear}`,
+            amount: y.stcl + y.ltcl,
+            explanation: 'Last year it could be set off; the unused balance is not carried forward.'
+        }));
+        if (schedule.filedLate && (schedule.current.stcl > schedule.current.stclSetOff || schedule.current.ltcl > schedule.current.ltclSetOff)) {
+            entries.push({
+                item: `Loss of FY ${schedule.financialYear} not carried forward`,
+                amount: schedule.current.stcl - schedule.current.stclSetOff + schedule.current.ltcl - schedule.current.ltclSetOff,
+                explanation: 'Return filed after the due date: this year\'s loss cannot be carried forward (Section 80).'
+            });
+        }
+        const carried = schedule.totals.carriedForward;
+        if (carried.stcl > 0 || carried.ltcl > 0) {
+            entries.push({
+                item: `Carried forward to FY ${schedule.nextFinancialYear}`,
+                amount: carried.stcl + carried.ltcl,
+                explanation: `Short-term ${fmt(carried.stcl)}, long-term ${fmt(carried.ltcl)} across ${schedule.closing.length} year(s). Enter these in next year's loss ledger.`
+            });
+        }
+        return entries;
+    },
+
+    /**
+     * Read a loss ledger file: an array of rows, { capitalLossLedger: [...] } or a closing balance export
+     * @param {string} text - JSON file contents
+     * @returns {Array} [{ financialYear, stcl, ltcl }]
+     */
+    fromJson(text) {
+        const parsed = JSON.parse(text);
+        const rows = Array.isArray(parsed) ? parsed : parsed.capitalLossLedger;
+        if (!Array.isArray(rows)) {
+            throw new Error('No capitalLossLedger list in the file');
+        }
+        return rows.map(row => ({
+            financialYear: row.financialYear || '',
+            stcl: TaxUtils.validateNumber(row.stcl),
+            ltcl: TaxUtils.validateNumber(row.ltcl)
+        }));
+    },
+
+    /**
+     * Closing balance as a file to open next year's ledger with (also a valid profile fragment)
+     * @param {Object} schedule - From buildSchedule()
+     * @returns {Object} { financialYear, capitalLossLedger }
+     */
+    toJson(schedule) {
+        return { financialYear: schedule.nextFinancialYear, capitalLossLedger: schedule.closing };
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CapitalLossLedger;
+}
@@ -17,6 +17,7 @@ const TAX_CONFIG = {
     // ============================================
     financialYear: '2025-26',
     assessmentYear: '2026-27',
+    fyStartYear: 2025,  // FY runs 1 April fyStartYear - 31 March fyStartYear + 1
     lastUpdated: '2026-01-01',
 
     // ============================================
@@ -63,9 +64,11 @@ const TAX_CONFIG = {
         ],
 
         // Section 87A Rebate - Increased in Budget 2025
+        // Residents only; limit tested on total income including special-rate gains
         rebate87A: {
             incomeLimit: 1200000,  // Rebate if taxable income ≤ ₹12L
-            maxRebate: 60000       // Max rebate ₹60,000
+            maxRebate: 60000,      // Max rebate ₹60,000
+            excludedSections: ['111A', '112', '112A']  // Finance Act 2025: no rebate against special-rate tax
         },
 
         // Marginal Relief for income slightly above ₹12L
@@ -142,9 +145,11 @@ const TAX_CONFIG = {
         },
 
         // Section 87A Rebate - Old Regime
+        // Residents only; limit tested on total income including special-rate gains
         rebate87A: {
             incomeLimit: 500000,  // Rebate if taxable income ≤ ₹5L
-            maxRebate: 12500      // Max rebate ₹12,500
+            maxRebate: 12500,     // Max rebate ₹12,500
+            excludedSections: ['112A']  // Section 112A(6): no rebate against 112A tax
         },
 
         // Surcharge rates - Higher than new regime
@@ -625,7 +630,7 @@ const TAX_CONFIG = {
             applicableRegimes: ['old', 'new'],
             limit: null,  // Fully exempt u/s 10(1), BUT used for rate determination (Partial Integration)
             section: 'Section 10(1)',
-            explanation: 'Exempt from tax, but included for slab rate calculation (Partial Integration) in Old Regime.'
+            explanation: 'Exempt from tax, but included for slab rate calculation (Partial Integration) in both regimes.'
         },
 
         // Perquisites - Section 17(2)
@@ -635,7 +640,69 @@ const TAX_CONFIG = {
             
             // Medical Treatment Abroad
             medicalAbroadLimit: 800000, // ₹8 Lakhs (Increased from ₹2L)
-            
+
+            // Rule 3 valuation (see perquisites.js). Same values in both regimes.
+            valuation: {
+                // Rule 3(1): rent-free accommodation, as amended w.e.f. 1 Sep 2023 (2011 census population)
+                accommodation: {
+                    ownedRates: {
+                        above40Lakh: 0.10,   // Population above 40 lakh
+                        above15Lakh: 0.075,  // Above 15 lakh up to 40 lakh
+                        other: 0.05
+                    },
+                    leasedRate: 0.10,        // Lease rent paid by employer or 10% of salary, whichever is lower
+                    hotelRate: 0.24,         // Hotel: charges paid or 24% of salary, whichever is lower
+                    furnitureRate: 0.10,     // 10% a year of the cost of furniture owned by the employer
+                    section: 'Rule 3(1)'
+                },
+                // Rule 3(2): motor car per month; engine capacity up to 1.6 litres is 'small'.
+                // Amounts as revised from 1 April 2025 (CBDT notification of August 2025)
+                car: {
+                    mixedUse: {
+                        employerExpenses: { small: 5000, large: 7000 },
+                        employeeExpenses: { small: 2000, large: 3000 }
+                    },
+                    chauffeur: 3000,         // Added per month when the employer provides a driver
+                    depreciationRate: 0.10,  // Wholly personal use: 10% a year of the car's cost
+                    section: 'Rule 3(2)'
+                },
+                // Rule 3(7)(i): interest-free or concessional loans, at the SBI rate on 1 April
+                // of the year for the same kind of loan. Indicative rates: enter the rate on your
+                // employer's Form 12BA where it differs.
+                loans: {
+                    sbiRates: {
+                        housing: 0.085,
+                        car: 0.09,
+                        education: 0.10,
+                        personal: 0.11,
+                        other: 0.11
+                    },
+                    exemptAggregate: 20000,  // Nil if all loans together are ≤ ₹20,000
+                    medicalExempt: true,     // Nil for treatment of Rule 3A diseases
+                    section: 'Rule 3(7)(i)'
+                },
+                // Rule 3(7)(iv): gifts, vouchers and tokens (not cash)
+                gifts: {
+                    exemptBelow: 5000,       // Nil below ₹5,000 in the year; the whole value otherwise
+                    section: 'Rule 3(7)(iv)'
+                },
+                // Rule 3(8): shares allotted under ESOP / RSU plans (see equityCompensation.js).
+                // FMV on the date of exercise (ESOP) or allotment on vesting (RSU) less the price
+                // paid; that FMV is the cost when the shares are sold (Section 49(2AA))
+                securities: {
+                    section: 'Section 17(2)(vi)',
+                    costSection: 'Section 49(2AA)',
+                    // Section 192(1C): employees of an eligible startup (Section 80-IAC) pay the tax
+                    // within 14 days of the earliest of 48 months from the end of the assessment
+                    // year, the sale of the shares and leaving the employer
+                    startupDeferral: {
+                        months: 48,
+                        payWithinDays: 14,
+                        section: 'Section 192(1C)'
+                    }
+                }
+            },
+
             section: 'Section 17(2)',
             explanation: 'Non-monetary perquisites are tax-free if Salary (excluding perks) ≤ ₹4L. Medical treatment abroad exempt up to ₹8L.'
         },
@@ -894,7 +961,7 @@ const TAX_CONFIG = {
                 taxable: true,
                 regimes: ['old', 'new'],
                 description: 'Fully taxable for employees (unless specific official use proof). Often part of "Vehicle Lease" value.',
-                helpText: 'Usually fully taxable. ₹900/m exemption possible ONLY if car is provided by employer and used for official purposes.',
+                helpText: 'Usually fully taxable. ₹3,000/m (₹900 before FY 2025-26) exemption possible ONLY if car is provided by employer and used for official purposes.',
                 section: 'Section 17(2)'
             }
         },
@@ -968,9 +1035,17 @@ const TAX_CONFIG = {
                 section: 'Section 111A',
                 explanation: 'STCG on equity/mutual funds if sold within 12 months. Flat 20% tax.'
             },
+            // Section 50AA: units of specified mutual funds (not more than 35% in domestic
+            // equity) bought on/after 1 Apr 2023 are short-term whatever the holding period
+            specifiedFund: {
+                rate: 'slab',
+                section: 'Section 50AA',
+                deemedShortTermFrom: '2023-04-01',
+                explanation: 'Debt / specified mutual fund units bought on or after 1 Apr 2023: always short-term, taxed at slab rates.'
+            },
             other: {
                 rate: 'slab',  // Taxed at slab rate
-                explanation: 'STCG on other assets (debt, property <2 years). Added to income, taxed at slab.'
+                explanation: 'STCG on other assets (debt, gold, unlisted / foreign shares, property <2 years). Added to income, taxed at slab.'
             }
         },
 
@@ -981,6 +1056,11 @@ const TAX_CONFIG = {
                 exemption: 125000,  // First ₹1.25L exempt
                 holdingPeriod: 12,  // months
                 section: 'Section 112A',
+                // Section 55(2)(ac): gains up to 31 Jan 2018 stay exempt for equity held on that day
+                grandfathering: {
+                    date: '2018-01-31',
+                    explanation: 'Cost is the higher of actual cost and the lower of FMV on 31 Jan 2018 and sale price.'
+                },
                 explanation: 'LTCG on equity. First ₹1.25L exempt, then 12.5% tax.'
             },
             property: {
@@ -996,9 +1076,56 @@ const TAX_CONFIG = {
                 holdingPeriod: 24,  // months
                 section: 'Section 112',
                 explanation: 'LTCG on property. Bought before Jul 2024: choose 12.5% (no indexation) or 20% (with indexation).'
+            },
+
+            // Other capital assets: Section 112 at 12.5% without indexation (transfers on/after 23 Jul 2024).
+            // Short-term gains on these fall under stcg.other (slab rates).
+            specifiedFund: {
+                rate: 0.125,
+                holdingPeriod: 24,  // months
+                section: 'Section 112',
+                explanation: 'Debt fund units bought before 1 Apr 2023: long-term after 24 months, 12.5% without indexation.'
+            },
+            gold: {
+                rate: 0.125,
+                holdingPeriod: 24,  // months
+                section: 'Section 112',
+                explanation: 'Physical gold and unlisted gold funds: long-term after 24 months, 12.5% without indexation.'
+            },
+            goldEtf: {
+                rate: 0.125,
+                holdingPeriod: 12,  // months - listed security
+                section: 'Section 112',
+                explanation: 'Listed gold ETF units: long-term after 12 months, 12.5% without indexation.'
+            },
+            unlistedShares: {
+                rate: 0.125,
+                holdingPeriod: 24,  // months
+                section: 'Section 112',
+                explanation: 'Unlisted (incl. pre-IPO) shares: long-term after 24 months, 12.5% without indexation.'
+            },
+            foreignShares: {
+                rate: 0.125,
+                holdingPeriod: 24,  // months - not listed on an Indian exchange
+                section: 'Section 112',
+                explanation: 'Foreign (e.g. US) shares: long-term after 24 months, 12.5% without indexation. No 112A exemption.'
+            },
+            // Long-term gains entered as a single figure (no lots)
+            other: {
+                rate: 0.125,
+                holdingPeriod: 24,  // months - also used for other-asset sales under Section 54F
+                section: 'Section 112',
+                explanation: 'LTCG on other assets: 12.5% without indexation.'
             }
         },
 
+        // Provisos to 111A(1) / 112A(2): a resident individual whose other income is below
+        // the basic exemption sets the shortfall off against these gains (in this order)
+        basicExemptionShortfall: {
+            residentialStatuses: ['resident', 'notOrdinaryResident'],
+            explanation: 'Unused basic exemption reduces taxable STCG (111A) and LTCG (112A) for residents.'
+        },
+
         // Loss Setoff Rules
         lossSetoff: {
             stcl: {
@@ -1011,7 +1138,17 @@ const TAX_CONFIG = {
             }
         },
 
-        // Surcharge cap on capital gains
+        // Cost Inflation Index - Section 48 (CBDT notification, base year 2001-02 = 100)
+        // Used for indexed cost of property bought before the grandfathering date
+        cii: {
+            '2001-02': 100, '2002-03': 105, '2003-04': 109, '2004-05': 113, '2005-06': 117,
+            '2006-07': 122, '2007-08': 129, '2008-09': 137, '2009-10': 148, '2010-11': 167,
+            '2011-12': 184, '2012-13': 200, '2013-14': 220, '2014-15': 240, '2015-16': 254,
+            '2016-17': 264, '2017-18': 272, '2018-19': 280, '2019-20': 289, '2020-21': 301,
+            '2021-22': 317, '2022-23': 331, '2023-24': 348, '2024-25': 363, '2025-26': 376
+        },
+
+        // Surcharge cap on capital gains (111A, 112 and 112A) and dividends
         maxSurcharge: 0.15,  // 15% max surcharge on capital gains
 
         // Capital Gains Exemption Limits (Section 54 Family) - COMPLETE
@@ -1176,6 +1313,24 @@ const TAX_CONFIG = {
             explanation: 'Agricultural income is exempt. But if > ₹5K and non-agri income > exemption, it affects tax rate via partial integration.'
         },
 
+        // Income from House Property - Sections 22 to 24, 71(3A) and 71B
+        // Interest limit on self-occupied houses: deductions.section24b.limits.selfOccupied
+        houseProperty: {
+            standardDeduction: 0.30,    // Section 24(a): 30% of net annual value
+            maxSelfOccupied: 2,         // Section 23(2): any further house is deemed let out
+            // Section 71(3A): loss set off against other heads; none in the new regime (115BAC(2))
+            interHeadSetOff: {
+                old: 200000,
+                new: 0
+            },
+            lossCarryForward: 8,        // Section 71B: years, against house property income only
+            // Section 24(b): interest up to the end of the year before possession, in equal instalments
+            // from the possession year (within the self-occupied limit)
+            preConstructionInstalments: 5,
+            section: 'Sections 22-24',
+            explanation: 'Net annual value (rent - municipal taxes) less 30% and loan interest. Up to 2 self-occupied houses have nil annual value.'
+        },
+
         // Section 89 - Relief on Salary Arrears
         section89Relief: {
             applicableRegimes: ['old', 'new'],
@@ -1200,6 +1355,58 @@ const TAX_CONFIG = {
                 step6: 'Tax attributable to arrears (spread over years) = Step4 - Step5',
                 step7: 'Relief = Step3 - Step6 (if positive)'
             },
+            // Rates for years the arrears relate to that are older than TaxYearRegistry.
+            // Old-regime slab thresholds (₹2.5L/₹3L/₹5L, ₹10L) are unchanged since FY 2014-15;
+            // only the rate on the band up to ₹5L moved (10% → 5% from FY 2017-18).
+            // Surcharge is not modelled (applies only above ₹50L).
+            pastYearRates: {
+                '2014-15': { oldRegime: { lowerBandRate: 0.10, rebate87A: { incomeLimit: 500000, maxRebate: 2000 } }, cessRate: 0.03 },
+                '2015-16': { oldRegime: { lowerBandRate: 0.10, rebate87A: { incomeLimit: 500000, maxRebate: 2000 } }, cessRate: 0.03 },
+                '2016-17': { oldRegime: { lowerBandRate: 0.10, rebate87A: { incomeLimit: 500000, maxRebate: 5000 } }, cessRate: 0.03 },
+                '2017-18': { oldRegime: { lowerBandRate: 0.05, rebate87A: { incomeLimit: 350000, maxRebate: 2500 } }, cessRate: 0.03 },
+                '2018-19': { oldRegime: { lowerBandRate: 0.05, rebate87A: { incomeLimit: 350000, maxRebate: 2500 } }, cessRate: 0.04 },
+                '2019-20': { oldRegime: { lowerBandRate: 0.05, rebate87A: { incomeLimit: 500000, maxRebate: 12500 } }, cessRate: 0.04 },
+                '2020-21': {
+                    oldRegime: { lowerBandRate: 0.05, rebate87A: { incomeLimit: 500000, maxRebate: 12500 } },
+                    newRegime: { slabs: 'fy2020', rebate87A: { incomeLimit: 500000, maxRebate: 12500 } },
+                    cessRate: 0.04
+                },
+                '2021-22': {
+                    oldRegime: { lowerBandRate: 0.05, rebate87A: { incomeLimit: 500000, maxRebate: 12500 } },
+                    newRegime: { slabs: 'fy2020', rebate87A: { incomeLimit: 500000, maxRebate: 12500 } },
+                    cessRate: 0.04
+                },
+                '2022-23': {
+                    oldRegime: { lowerBandRate: 0.05, rebate87A: { incomeLimit: 500000, maxRebate: 12500 } },
+                    newRegime: { slabs: 'fy2020', rebate87A: { incomeLimit: 500000, maxRebate: 12500 } },
+                    cessRate: 0.04
+                },
+                '2023-24': {
+                    oldRegime: { lowerBandRate: 0.05, rebate87A: { incomeLimit: 500000, maxRebate: 12500 } },
+                    newRegime: { slabs: 'fy2023', rebate87A: { incomeLimit: 700000, maxRebate: 25000 }, marginalRelief: true },
+                    cessRate: 0.04
+                }
+            },
+            // Section 115BAC slab sets referenced by pastYearRates
+            pastNewRegimeSlabs: {
+                fy2020: [
+                    { min: 0, max: 250000, rate: 0.00, description: 'Up to ₹2,50,000' },
+                    { min: 250000, max: 500000, rate: 0.05, description: '₹2,50,001 to ₹5,00,000' },
+                    { min: 500000, max: 750000, rate: 0.10, description: '₹5,00,001 to ₹7,50,000' },
+                    { min: 750000, max: 1000000, rate: 0.15, description: '₹7,50,001 to ₹10,00,000' },
+                    { min: 1000000, max: 1250000, rate: 0.20, description: '₹10,00,001 to ₹12,50,000' },
+                    { min: 1250000, max: 1500000, rate: 0.25, description: '₹12,50,001 to ₹15,00,000' },
+                    { min: 1500000, max: Infinity, rate: 0.30, description: 'Above ₹15,00,000' }
+                ],
+                fy2023: [
+                    { min: 0, max: 300000, rate: 0.00, description: 'Up to ₹3,00,000' },
+                    { min: 300000, max: 600000, rate: 0.05, description: '₹3,00,001 to ₹6,00,000' },
+                    { min: 600000, max: 900000, rate: 0.10, description: '₹6,00,001 to ₹9,00,000' },
+                    { min: 900000, max: 1200000, rate: 0.15, description: '₹9,00,001 to ₹12,00,000' },
+                    { min: 1200000, max: 1500000, rate: 0.20, description: '₹12,00,001 to ₹15,00,000' },
+                    { min: 1500000, max: Infinity, rate: 0.30, description: 'Above ₹15,00,000' }
+                ]
+            },
             deadline: 'Form 10E must be filed before ITR filing',
             section: 'Section 89(1)',
             explanation: 'Relief for arrears to avoid extra tax due to receipt in single year. File Form 10E mandatorily.'
@@ -1226,6 +1433,15 @@ const TAX_CONFIG = {
                 clubbedWith: 'Transferor (father/mother-in-law)',
                 section: 'Section 64(1)(vi) & (viii)'
             },
+            // Minor child's income clubbing (Section 64(1A)); ₹1,500 per child exempt u/s 10(32)
+            minorChild: {
+                condition: 'Income of a minor child is clubbed with the parent whose total income is higher',
+                exceptions: {
+                    ownSkill: 'Income from manual work or from the child\'s own skill, talent or specialised knowledge is not clubbed',
+                    disabled: 'Income of a child with a disability of the kind in Section 80U is not clubbed'
+                },
+                section: 'Section 64(1A)'
+            },
             // HUF clubbing
             huf: {
                 condition: 'Individual transfers assets to HUF without adequate consideration',
@@ -1253,6 +1469,102 @@ const TAX_CONFIG = {
             explanation: 'Relief for salary arrears/advance. Reduces tax liability. Form 10E mandatory.',
             applicableRegimes: ['old', 'new']
         }
+    },
+
+    // ============================================
+    // TAXES ALREADY PAID - Credited against final tax
+    // ============================================
+    taxesPaid: {
+        components: {
+            tds: { label: 'TDS', section: 'Section 192-194', source: 'Form 16 / 16A, 26AS Part A' },
+            tcs: { label: 'TCS', section: 'Section 206C', source: '26AS Part B / Form 27D' },
+            advanceTax: { label: 'Advance Tax', section: 'Section 208-211', source: '26AS Part C (Challan 280)' },
+            selfAssessmentTax: { label: 'Self-Assessment Tax', section: 'Section 140A', source: '26AS Part C (Challan 280)' }
+        },
+        payableExplanation: 'Pay the balance as self-assessment tax (Challan 280) before filing the return.',
+        refundExplanation: 'Excess tax paid is refunded after the return is processed (Section 237), with interest u/s 244A.'
+    },
+
+    // ============================================
+    // ADVANCE TAX - Section 208/211 instalments
+    // Month 4-12 falls in fyStartYear, 1-3 in the next calendar year
+    // ============================================
+    advanceTax: {
+        minLiability: 10000,  // No advance tax if (tax - TDS - TCS) < ₹10,000
+        instalments: [
+            // safeHarbourPercent: no 234C interest if paid at least this much (Section 234C proviso)
+            { label: '15 June', month: 6, day: 15, cumulativePercent: 0.15, safeHarbourPercent: 0.12, interestMonths: 3 },
+            { label: '15 September', month: 9, day: 15, cumulativePercent: 0.45, safeHarbourPercent: 0.36, interestMonths: 3 },
+            { label: '15 December', month: 12, day: 15, cumulativePercent: 0.75, safeHarbourPercent: 0.75, interestMonths: 3 },
+            { label: '15 March', month: 3, day: 15, cumulativePercent: 1.00, safeHarbourPercent: 1.00, interestMonths: 1 }
+        ],
+        section: 'Section 208-211'
+    },
+
+    // ============================================
+    // INTEREST - Sections 234A, 234B, 234C
+    // Simple interest at 1% per month, part of a month counts as a full month
+    // ============================================
+    interest: {
+        ratePerMonth: 0.01,
+        roundDownTo: 100,  // Rule 119A: tax rounded down to a multiple of ₹100
+        returnDueDate: { month: 7, day: 31 },  // Section 139(1), non-audit individuals (in the assessment year)
+        section234A: {
+            section: 'Section 234A',
+            explanation: 'Late filing: 1% per month on unpaid tax from the day after the due date until the return is filed.'
+        },
+        section234B: {
+            section: 'Section 234B',
+            minAdvanceTaxPercent: 0.90,  // Interest if advance tax paid < 90% of assessed tax
+            explanation: 'Advance tax shortfall: 1% per month from 1 April until filing if less than 90% of assessed tax was paid as advance tax.'
+        },
+        lateFilingFee234F: {
+            section: 'Section 234F',
+            fee: 5000,
+            reducedFee: 1000,                 // If total income ≤ ₹5L
+            reducedFeeIncomeLimit: 500000
+        },
+        section234C: {
+            section: 'Section 234C',
+            explanation: 'Deferment of instalments: 1% per month (3 months, 1 for March) on the shortfall against each advance tax due date.'
+        }
+    },
+
+    // ============================================
+    // ITR FORMS - Which return form applies
+    // ============================================
+    itrForms: {
+        forms: {
+            'ITR-1': {
+                name: 'ITR-1 (Sahaj)',
+                description: 'Resident individuals with salary/pension, one house property and other sources; total income up to ₹50L.'
+            },
+            'ITR-2': {
+                name: 'ITR-2',
+                description: 'Individuals/HUFs without business income: capital gains, 2+ house properties, foreign assets, income above ₹50L.'
+            },
+            'ITR-3': {
+                name: 'ITR-3',
+                description: 'Individuals/HUFs with business or professional income (books of accounts).'
+            },
+            'ITR-4': {
+                name: 'ITR-4 (Sugam)',
+                description: 'Residents with presumptive business/professional income (44AD/44ADA/44AE); total income up to ₹50L.'
+            }
+        },
+        preferenceOrder: ['ITR-1', 'ITR-4', 'ITR-2', 'ITR-3'],  // Simplest form that fits wins
+        totalIncomeLimit: 5000000,  // ITR-1 / ITR-4: total income ≤ ₹50L
+        maxHouseProperties: 1,      // ITR-1 / ITR-4: one house property
+        residentialStatuses: {
+            resident: 'Resident (ROR)',
+            notOrdinaryResident: 'Resident but Not Ordinarily Resident',
+            nonResident: 'Non-Resident'
+        },
+        businessIncomeTypes: {
+            none: 'No business/professional income',
+            presumptive: 'Presumptive (44AD/44ADA/44AE)',
+            regular: 'Regular business/profession (books of accounts)'
+        }
     }
 };
 
@@ -0,0 +1,251 @@
+/**
+ * EQUITY COMPENSATION - ESOP and RSU shares: Section 17(2)(vi) perquisite, then capital gains
+ *
+ * Each award: { id, kind, company, listing, date, shares, fmv, exercisePrice, inSalary,
+ * startup, leftOn } where kind is esop (date of exercise) or rsu (date the shares vest and
+ * are allotted), listing where the company's shares trade (LISTINGS), fmv and exercisePrice
+ * are per share in rupees (foreign prices at the SBI TT buying rate), inSalary marks a
+ * perquisite the salary entered already includes (Form-16), startup an eligible startup
+ * (Section 80-IAC) and leftOn the day the employee left it.
+ * Each sale: { awardId, date, shares, price, expenses } with price per share.
+ *
+ *  - Perquisite in the year of exercise / vesting: (FMV - price paid) x shares, added to salary
+ *  - The FMV is the cost of the shares and the holding period runs from that date, so a sale
+ *    becomes a capital gains lot of the listing's class (listed: 12 months, 112A; unlisted and
+ *    foreign shares: 24 months, Section 112, short-term gains at slab rates)
+ *  - Eligible startup: the tax on the perquisite is paid within 14 days of the earliest of
+ *    48 months from the end of the assessment year, the first sale and leaving the employer
+ *    (Section 192(1C)); tax deferred past this year is left out of advance tax and the balance
+ *
+ * Profile fields used: equityAwards, equitySales
+ */
+
+const EquityCompensation = {
+    // Kinds of award -> event that fixes the perquisite and the cost
+    KINDS: {
+        rsu: { label: 'RSU', event: 'vested' },
+        esop: { label: 'ESOP', event: 'exercised' }
+    },
+
+    // Where the company's shares are listed -> CapitalGainsLedger asset type of the shares
+    LISTINGS: {
+        listed: { label: 'Listed in India', assetType: 'equityShare' },
+        unlisted: { label: 'Unlisted Indian company', assetType: 'unlistedShare' },
+        foreign: { label: 'Foreign company (e.g. US-listed)', assetType: 'foreignShare' }
+    },
+
+    /**
+     * Whether a list row describes an award
+     */
+    isEntered(award) {
+        return award.shares > 0 && (award.fmv > 0 || Boolean(award.date));
+    },
+
+    /**
+     * Display name of an award, e.g. 'Acme RSU vested 2025-06-15'
+     */
+    getName(award, index) {
+        const kind = this.KINDS[award.kind] || this.KINDS.rsu;
+        return `${award.company || `Award ${index + 1}`} ${kind.label}${award.date ? ` ${kind.event} ${award.date}` : ''}`;
+    },
+
+    /**
+     * Perquisites of the year, capital gains lots of the year's sales and startup deferrals
+     * @param {Array} awards - As entered (see header)
+     * @param {Array} sales - Sales, each linked to an award by awardId
+     * @param {Object} config - Tax configuration
+     * @returns {Object} { awards, sales, excluded, lots, perquisite, addedToSalary,
+     *   deferredPerquisite, deferralsDue, holdsForeign, holdsUnlisted }
+     */
+    compute(awards, sales, config = TAX_CONFIG) {
+        const rule = config.exemptions.perquisites.valuation.securities;
+        const fyStart = `${config.fyStartYear}-04-01`;
+        const fyEnd = `${config.fyStartYear + 1}-03-31`;
+        const checkedSales = [];
+        const lots = [];
+
+        const rows = awards.map((award, index) => {
+            const kind = this.KINDS[award.kind] ? award.kind : 'rsu';
+            const listing = this.LISTINGS[award.listing] ? award.listing : 'listed';
+            const date = CapitalGainsLedger.parseDate(award.date);
+            const shares = TaxUtils.validateNumber(award.shares);
+            const fmv = TaxUtils.validateNumber(award.fmv);
+            const exercisePrice = TaxUtils.validateNumber(award.exercisePrice);
+            const name = this.getName({ ...award, kind, date }, index);
+            const assetType = this.LISTINGS[listing].assetType;
+
+            // Sales in date order, each within the shares still held
+            let remaining = shares;
+            let soldBeforeYear = 0;
+            let firstSale = null;
+            const linked = sales.filter(sale => award.id !== undefined && sale.awardId === award.id && sale.shares > 0)
+                .map(sale => ({ ...sale, date: CapitalGainsLedger.parseDate(sale.date) }))
+                .sort((a, b) => String(a.date).localeCompare(String(b.date)));
+            linked.forEach(sale => {
+                const sold = TaxUtils.validateNumber(sale.shares);
+                let error = null;
+                if (!date || !sale.date) error = 'The award and sale dates are needed.';
+                else if (sale.date < date) error = `Sold before the shares were ${this.KINDS[kind].event}.`;
+                else if (sold > remaining) error = `Sells ${sold} shares but only ${remaining} are left from ${name}.`;
+                checkedSales.push({ ...sale, awardName: name, error });
+                if (error) return;
+
+                remaining -= sold;
+                firstSale = firstSale || sale.date;
+                if (sale.date < fyStart) soldBeforeYear += sold;
+                if (TaxUtils.getFinancialYearKey(sale.date) === config.financialYear) {
+                    lots.push({
+                        assetType,
+                        description: name,
+                        buyDate: date,
+                        sellDate: sale.date,
+                        cost: TaxUtils.roundToRupee(fmv * sold),
+                        proceeds: TaxUtils.roundToRupee(TaxUtils.validateNumber(sale.price) * sold),
+                        expenses: TaxUtils.validateNumber(sale.expenses)
+                    });
+                }
+            });
+
+            return {
+                id: award.id,
+                name,
+                kind,
+                listing,
+                date,
+                shares,
+                fmv,
+                exercisePrice,
+                inSalary: Boolean(award.inSalary),
+                perquisite: TaxUtils.roundToRupee(Math.max(0, fmv - exercisePrice) * shares),
+                inYear: Boolean(date) && TaxUtils.getFinancialYearKey(date) === config.financialYear,
+                assetType,
+                holdingPeriod: CapitalGainsLedger.getHoldingPeriod(assetType, config),
+                remaining,
+                held: Boolean(date) && date <= fyEnd && shares - soldBeforeYear > 0,
+                deferral: award.startup && date
+                    ? this.getDeferral(date, firstSale, CapitalGainsLedger.parseDate(award.leftOn), rule.startupDeferral)
+                    : null
+            };
+        });
+
+        sales.filter(sale => sale.shares > 0 && !rows.some(row => row.id !== undefined && row.id === sale.awardId))
+            .forEach(sale => checkedSales.push({ ...sale, awardName: '', error: 'Not linked to an award.' }));
+
+        const current = rows.filter(row => row.inYear);
+        const sum = (list) => list.reduce((total, row) => total + row.perquisite, 0);
+        return {
+            awards: rows,
+            sales: checkedSales,
+            excluded: checkedSales.filter(sale => sale.error),
+            lots,
+            perquisite: sum(current),
+            // Perquisites the salary does not already include
+            addedToSalary: sum(current.filter(row => !row.inSalary)),
+            // Tax on these is not payable in this year
+            deferredPerquisite: sum(current.filter(row => row.deferral && row.deferral.dueDate > fyEnd)),
+            // Earlier years' deferred tax that falls due in this year
+            deferralsDue: rows.filter(row => !row.inYear && row.deferral &&
+                TaxUtils.getFinancialYearKey(row.deferral.dueDate) === config.financialYear),
+            holdsForeign: rows.some(row => row.held && row.listing === 'foreign'),
+            holdsUnlisted: rows.some(row => row.held && row.listing === 'unlisted')
+        };
+    },
+
+    /**
+     * Section 192(1C) due date: 14 days after the earliest trigger
+     * @param {string} date - Date of exercise / allotment
+     * @param {string|null} firstSale - Date of the first sale of these shares
+     * @param {string|null} leftOn - Date the employee left the startup
+     * @param {Object} rule - valuation.securities.startupDeferral
+     * @returns {Object} { trigger, triggerDate, dueDate }
+     */
+    getDeferral(date, firstSale, leftOn, rule) {
+        // End of the assessment year (31 March two years after the FY starts) + 48 months
+        const fyStartYear = TaxUtils.getFinancialYearStart(TaxUtils.getFinancialYearKey(date));
+        const limit = new Date(Date.UTC(fyStartYear + 2, 2 + rule.months, 31)).toISOString().slice(0, 10);
+        const triggers = [
+            { trigger: `${rule.months} months from the end of the assessment year`, triggerDate: limit },
+            { trigger: 'sale of the shares', triggerDate: firstSale },
+            { trigger: 'leaving the employer', triggerDate: leftOn }
+        ].filter(t => t.triggerDate).sort((a, b) => a.triggerDate.localeCompare(b.triggerDate));
+
+        const earliest = triggers[0];
+        const [y, m, d] = earliest.triggerDate.split('-').map(Number);
+        return {
+            ...earliest,
+            dueDate: new Date(Date.UTC(y, m - 1, d + rule.payWithinDays)).toISOString().slice(0, 10)
+        };
+    },
+
+    /**
+     * Part of the year's tax deferred under Section 192(1C): the tax in the proportion the
+     * deferred perquisites bear to total income
+     * @param {Object} result - From compute() (undefined when no awards)
+     * @param {number} finalTax - Tax on total income
+     * @param {number} totalIncome - Total income including special-rate gains
+     * @returns {number}
+     */
+    getDeferredTax(result, finalTax, totalIncome) {
+        if (!result || result.deferredPerquisite <= 0 || totalIncome <= 0) return 0;
+        return TaxUtils.roundToRupee(finalTax * Math.min(1, result.deferredPerquisite / totalIncome));
+    },
+
+    /**
+     * Calculation log lines for the perquisites (the calculators add them as given)
+     * @param {Object} result - From compute()
+     * @param {Object} config - Tax configuration
+     * @returns {Array} [{ section, item, amount, explanation }]
+     */
+    describe(result, config = TAX_CONFIG) {
+        const fmt = TaxUtils.formatCurrency;
+        const rule = config.exemptions.perquisites.valuation.securities;
+        const fyEnd = `${config.fyStartYear + 1}-03-31`;
+
+        const entries = result.awards.filter(row => row.inYear).map(row => {
+            const notes = [
+                `${row.shares} shares ${this.KINDS[row.kind].event} on ${row.date}: (FMV ${fmt(row.fmv)} - price paid ${fmt(row.exercisePrice)}) x ${row.shares} = ${fmt(row.perquisite)}.`,
+                row.inSalary ? 'Already part of the salary entered, so not added again.' : 'Added to salary.',
+                `Cost for capital gains: ${fmt(row.fmv)} a share (${rule.costSection}), held as ${CapitalGainsLedger.ASSET_TYPES[row.assetType].label.toLowerCase()}: long-term after ${row.holdingPeriod} months.`
+            ];
+            if (row.deferral) {
+                notes.push(row.deferral.dueDate > fyEnd
+                    ? `Eligible startup: tax on it is due by ${row.deferral.dueDate} (14 days after ${row.deferral.trigger}, ${rule.startupDeferral.section}).`
+                    : `Eligible startup, but the deferral ends on ${row.deferral.triggerDate} (${row.deferral.trigger}): the tax is due by ${row.deferral.dueDate}, in this year.`);
+            }
+            return { section: rule.section, item: row.name, amount: row.perquisite, explanation: notes.join(' ') };
+        });
+
+        result.deferralsDue.forEach(row => {
+            entries.push({
+                section: rule.startupDeferral.section,
+                item: `Deferred tax due: ${row.name}`,
+                amount: row.perquisite,
+                explanation: `The tax deferred on this FY ${TaxUtils.getFinancialYearKey(row.date)} perquisite is due by ${row.deferral.dueDate} ` +
+                    `(14 days after ${row.deferral.trigger}). It is that year's tax: pay it with the figures of that year, not in this return.`
+            });
+        });
+        return entries;
+    },
+
+    /**
+     * Calculation log line for the deferred tax (null when nothing is deferred)
+     */
+    describeDeferral(result, deferredTax, config = TAX_CONFIG) {
+        if (deferredTax <= 0) return null;
+        const fmt = TaxUtils.formatCurrency;
+        const rule = config.exemptions.perquisites.valuation.securities.startupDeferral;
+        const dueDates = result.awards.filter(row => row.inYear && row.deferral).map(row => row.deferral.dueDate).sort();
+        return {
+            section: rule.section,
+            item: 'Tax deferred on startup ESOP / RSU perquisites',
+            amount: deferredTax,
+            explanation: `Tax in the proportion of the perquisites (${fmt(result.deferredPerquisite)}) to total income. ` +
+                `Not payable this year (left out of advance tax and the balance): due by ${dueDates[0]}.`
+        };
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EquityCompensation;
+}
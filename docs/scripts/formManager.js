@@ -1,6 +1,8 @@
 /**
  * FORM MANAGER MODULE
- * Handles dynamic form management for Employment Periods, Investments, and Donations
+ * Handles dynamic form management for Employment Periods, Investments, Donations,
+ * Advance Tax payments, Section 89 arrears, capital gains sales, property sales and
+ * capital losses brought forward
  * Extracted from app.js for maintainability
  */
 
@@ -8,11 +10,66 @@
 let employmentPeriods = [];
 let investments80C = [];
 let donations = [];
+let advanceTaxPayments = [];
+let arrearsEntries = [];
+let capitalGainsLots = [];
+let propertySales = [];
+let reinvestments = [];
+let capitalLosses = [];
+let houseProperties = [];
+let minorChildren = [];
+let perquisiteLoans = [];
+let equityAwards = [];
+let equitySales = [];
 
 // Counters for unique IDs (needed by add functions)
 let employmentPeriodCounter = 0;
 let investment80CCounter = 0;
 let donationCounter = 0;
+let advanceTaxCounter = 0;
+let arrearsCounter = 0;
+let capitalGainsLotCounter = 0;
+let propertySaleCounter = 0;
+let reinvestmentCounter = 0;
+let capitalLossCounter = 0;
+let housePropertyCounter = 0;
+let minorChildCounter = 0;
+let perquisiteLoanCounter = 0;
+let equityAwardCounter = 0;
+let equitySaleCounter = 0;
+
+// Parsed CSV waiting for its columns to be confirmed
+let pendingCapitalGainsImport = null;
+
+// ============================================
+// FINANCIAL YEAR SELECTION
+// ============================================
+
+/**
+ * Financial year chosen in the header picker (e.g. '2025-26')
+ */
+function getSelectedFinancialYear() {
+    const select = document.getElementById('financialYear');
+    return (select && select.value) || TaxYearRegistry.DEFAULT_YEAR;
+}
+
+/**
+ * Tax configuration for the selected financial year
+ */
+function getActiveTaxConfig() {
+    return TaxYearRegistry.getConfig(getSelectedFinancialYear());
+}
+
+/**
+ * Year <option>s for month/year pickers: the FY start year and the year after
+ * @param {number} selectedYear - Year to mark as selected
+ */
+function buildFYYearOptions(selectedYear) {
+    const fyStartYear = getActiveTaxConfig().fyStartYear;
+    return [fyStartYear, fyStartYear + 1]
+        .map(year => `<option value="${year}" ${Number(selectedYear) === year ? 'selected' : ''}>${year}</option>`)
+        .join('');
+}
 
 /**
  * Add a new employment period (job)
@@ -25,13 +82,15 @@ function addEmploymentPeriod() {
     // Default to full FY if first period
     const isFirstPeriod = employmentPeriods.length === 0;
     
+    const fyStartYear = getActiveTaxConfig().fyStartYear;
+    
     const entry = {
         id,
         name: `Job ${employmentPeriods.length + 1}`,
         startMonth: isFirstPeriod ? 4 : 4,   // April (FY start)
-        startYear: 2025,
+        startYear: fyStartYear,
         endMonth: isFirstPeriod ? 3 : 3,     // March (FY end)
-        endYear: isFirstPeriod ? 2026 : 2026,
+        endYear: fyStartYear + 1,
         grossSalary: 0,
         basicPlusDA: 0,
         hraReceived: 0,
@@ -77,8 +136,7 @@ function addEmploymentPeriod() {
                             ${[...Array(12)].map((_, i) => `<option value="${i + 1}" ${entry.startMonth === i + 1 ? 'selected' : ''}>${getMonthName(i + 1)}</option>`).join('')}
                         </select>
                         <select id="${id}_startYear" oninput="updateEmploymentPeriod('${id}', 'startYear', this.value)" style="width: 80px;">
-                            <option value="2025" ${entry.startYear === 2025 ? 'selected' : ''}>2025</option>
-                            <option value="2026" ${entry.startYear === 2026 ? 'selected' : ''}>2026</option>
+                            ${buildFYYearOptions(entry.startYear)}
                         </select>
                     </div>
                 </div>
@@ -89,8 +147,7 @@ function addEmploymentPeriod() {
                             ${[...Array(12)].map((_, i) => `<option value="${i + 1}" ${entry.endMonth === i + 1 ? 'selected' : ''}>${getMonthName(i + 1)}</option>`).join('')}
                         </select>
                         <select id="${id}_endYear" oninput="updateEmploymentPeriod('${id}', 'endYear', this.value)" style="width: 80px;">
-                            <option value="2025" ${entry.endYear === 2025 ? 'selected' : ''}>2025</option>
-                            <option value="2026" ${entry.endYear === 2026 ? 'selected' : ''}>2026</option>
+                            ${buildFYYearOptions(entry.endYear)}
                         </select>
                     </div>
                 </div>
@@ -264,19 +321,11 @@ function removeEmploymentPeriod(id) {
 }
 
 /**
- * Calculate months worked in a period (within FY 2025-26: Apr 2025 - Mar 2026)
+ * Calculate months worked in a period (within the selected financial year)
  */
 function calculatePeriodMonths(period) {
-    // Convert to FY-relative months (April 2025 = 1, March 2026 = 12)
-    const startFYMonth = period.startYear === 2025 ? period.startMonth - 3 : period.startMonth + 9;
-    const endFYMonth = period.endYear === 2025 ? period.endMonth - 3 : period.endMonth + 9;
-    
-    // Clamp to valid FY range (1-12)
-    const clampedStart = Math.max(1, Math.min(12, startFYMonth));
-    const clampedEnd = Math.max(1, Math.min(12, endFYMonth));
-    
-    if (clampedEnd < clampedStart) return 0;
-    return clampedEnd - clampedStart + 1;
+    // Shared with the headless engine (taxEngine.js)
+    return TaxUtils.calculatePeriodMonths(period, getActiveTaxConfig().fyStartYear);
 }
 
 /**
@@ -320,6 +369,8 @@ function updateEmploymentSummary() {
             calculateBtnHint.style.display = 'block';
         }
     }
+    
+    updatePerquisitesSummary();  // Accommodation and the car test are valued against the salary
 }
 
 /**
@@ -401,7 +452,9 @@ function removeInvestment80C(id) {
 function updateTotal80C() {
     // Aggregate EPF from employment periods
     const totalEPF = employmentPeriods.reduce((sum, p) => sum + (p.epfContribution || 0), 0);
-    const homeLoanPrincipal = TaxUtils.getInputValue('homeLoanPrincipal');
+    // Principal on the house loans (your repayment share) counts too, as in TaxEngine.normalizeProfile
+    const homeLoanPrincipal = TaxUtils.getInputValue('homeLoanPrincipal') +
+        HouseProperty.getPrincipal(houseProperties.filter(p => HouseProperty.isEntered(p)));
     const nps = TaxUtils.getInputValue('npsContribution');
     
     const investmentsTotal = investments80C.reduce((sum, inv) => sum + inv.amount, 0);
@@ -498,21 +551,1517 @@ function removeDonation(id) {
     }
 }
 
-// Expose to window for app.js and HTML onclick handlers
-window.employmentPeriods = employmentPeriods;
-window.investments80C = investments80C;
-window.donations = donations;
-window.addEmploymentPeriod = addEmploymentPeriod;
-window.updateEmploymentPeriod = updateEmploymentPeriod;
-window.removeEmploymentPeriod = removeEmploymentPeriod;
-window.calculatePeriodMonths = calculatePeriodMonths;
-window.updateEmploymentSummary = updateEmploymentSummary;
-window.getMonthName = getMonthName;
-window.addInvestment80C = addInvestment80C;
-window.updateInvestment80C = updateInvestment80C;
-window.removeInvestment80C = removeInvestment80C;
-window.updateTotal80C = updateTotal80C;
-window.addDonation = addDonation;
-window.updateDonation = updateDonation;
-window.removeDonation = removeDonation;
+// ============================================
+// ADVANCE TAX PAYMENTS (dated, for 234B/234C)
+// ============================================
+function addAdvanceTaxPayment() {
+    const container = document.getElementById('advanceTaxList');
+    const id = `advtax_${advanceTaxCounter++}`;
+    
+    const entry = {
+        id,
+        date: '',
+        amount: 0
+    };
+    advanceTaxPayments.push(entry);
+    window.advanceTaxPayments = advanceTaxPayments;  // Keep window reference in sync
+    
+    const html = `
+        <div class="dynamic-entry" id="${id}">
+            <div class="form-group" style="margin-bottom: 0;">
+                <input type="date" id="${id}_date" title="Challan date"
+                       oninput="updateAdvanceTaxPayment('${id}', 'date', this.value)">
+            </div>
+            <div class="form-group" style="margin-bottom: 0;">
+                <input type="number" id="${id}_amount" placeholder="Amount ₹" value="0" min="0" 
+                       oninput="updateAdvanceTaxPayment('${id}', 'amount', this.value)">
+            </div>
+            <button class="entry-remove-btn" onclick="removeAdvanceTaxPayment('${id}')" title="Remove">✕</button>
+        </div>
+    `;
+    
+    container.insertAdjacentHTML('beforeend', html);
+    updateTotalAdvanceTax();
+}
+
+function updateAdvanceTaxPayment(id, field, value) {
+    const entry = advanceTaxPayments.find(p => p.id === id);
+    if (entry) {
+        entry[field] = field === 'amount' ? parseFloat(value) || 0 : value;
+        updateTotalAdvanceTax();
+    }
+}
+
+function removeAdvanceTaxPayment(id) {
+    advanceTaxPayments = advanceTaxPayments.filter(p => p.id !== id);
+    window.advanceTaxPayments = advanceTaxPayments;  // Keep window reference in sync
+    const element = document.getElementById(id);
+    if (element) element.remove();
+    updateTotalAdvanceTax();
+    
+    // Ensure at least one row exists
+    if (advanceTaxPayments.length === 0) {
+        addAdvanceTaxPayment();
+    }
+}
+
+function updateTotalAdvanceTax() {
+    const total = advanceTaxPayments.reduce((sum, p) => sum + p.amount, 0);
+    const totalSpan = document.getElementById('totalAdvanceTaxAmount');
+    if (totalSpan) totalSpan.textContent = TaxUtils.formatCurrency(total);
+}
+
+// ============================================
+// SECTION 89 ARREARS (by the year they relate to)
+// ============================================
+function addArrearsEntry() {
+    const container = document.getElementById('arrearsList');
+    const id = `arrears_${arrearsCounter++}`;
+    const years = Section89Relief.listYears(getActiveTaxConfig());
+    
+    const entry = {
+        id,
+        financialYear: years[years.length - 1],
+        amount: 0,
+        taxableIncome: 0,
+        regime: 'old'
+    };
+    arrearsEntries.push(entry);
+    window.arrearsEntries = arrearsEntries;  // Keep window reference in sync
+    
+    const html = `
+        <div class="dynamic-entry" id="${id}">
+            <div class="form-group" style="margin-bottom: 0;">
+                <select id="${id}_financialYear" title="Year the arrears relate to"
+                        onchange="updateArrearsEntry('${id}', 'financialYear', this.value)">
+                    ${years.map(fy => `<option value="${fy}" ${fy === entry.financialYear ? 'selected' : ''}>FY ${fy}</option>`).join('')}
+                </select>
+            </div>
+            <div class="form-group" style="margin-bottom: 0;">
+                <input type="number" id="${id}_amount" placeholder="Arrears ₹" value="0" min="0" title="Arrears received this year for that year"
+                       oninput="updateArrearsEntry('${id}', 'amount', this.value)">
+            </div>
+            <div class="form-group" style="margin-bottom: 0;">
+                <input type="number" id="${id}_taxableIncome" placeholder="That year's taxable income ₹" value="0" min="0" title="Taxable income of that year as returned (without these arrears)"
+                       oninput="updateArrearsEntry('${id}', 'taxableIncome', this.value)">
+            </div>
+            <div class="form-group" style="margin-bottom: 0;">
+                <select id="${id}_regime" title="Regime that year's return was filed under"
+                        onchange="updateArrearsEntry('${id}', 'regime', this.value)">
+                    <option value="old" selected>Old regime</option>
+                    <option value="new">New regime</option>
+                </select>
+            </div>
+            <button class="entry-remove-btn" onclick="removeArrearsEntry('${id}')" title="Remove">✕</button>
+        </div>
+    `;
+    
+    container.insertAdjacentHTML('beforeend', html);
+    updateTotalArrears();
+}
+
+function updateArrearsEntry(id, field, value) {
+    const entry = arrearsEntries.find(a => a.id === id);
+    if (entry) {
+        entry[field] = (field === 'amount' || field === 'taxableIncome') ? parseFloat(value) || 0 : value;
+        updateTotalArrears();
+    }
+}
+
+function removeArrearsEntry(id) {
+    arrearsEntries = arrearsEntries.filter(a => a.id !== id);
+    window.arrearsEntries = arrearsEntries;  // Keep window reference in sync
+    const element = document.getElementById(id);
+    if (element) element.remove();
+    updateTotalArrears();
+    
+    // Ensure at least one row exists
+    if (arrearsEntries.length === 0) {
+        addArrearsEntry();
+    }
+}
+
+function updateTotalArrears() {
+    const total = arrearsEntries.reduce((sum, a) => sum + a.amount, 0);
+    const totalSpan = document.getElementById('totalArrearsAmount');
+    if (totalSpan) totalSpan.textContent = TaxUtils.formatCurrency(total);
+}
+
+// ============================================
+// CAPITAL GAINS LEDGER (one row per sale)
+// ============================================
+function addCapitalGainsLot(values = {}) {
+    const container = document.getElementById('capitalGainsLotsList');
+    const id = `cglot_${capitalGainsLotCounter++}`;
+    
+    const entry = {
+        id,
+        assetType: values.assetType || CapitalGainsLedger.DEFAULT_ASSET_TYPE,
+        description: values.description || '',
+        buyDate: values.buyDate || '',
+        sellDate: values.sellDate || '',
+        cost: values.cost || 0,
+        proceeds: values.proceeds || 0,
+        expenses: values.expenses || 0,
+        fmv31Jan2018: values.fmv31Jan2018 || 0
+    };
+    capitalGainsLots.push(entry);
+    window.capitalGainsLots = capitalGainsLots;  // Keep window reference in sync
+    
+    const assetOptions = Object.entries(CapitalGainsLedger.ASSET_TYPES)
+        .map(([key, type]) => `<option value="${key}" ${key === entry.assetType ? 'selected' : ''}>${type.label}</option>`)
+        .join('');
+    
+    const html = `
+        <div class="dynamic-entry dynamic-entry--lot" id="${id}">
+            <div class="form-group" style="margin-bottom: 0;">
+                <select id="${id}_assetType" title="Asset sold"
+                        onchange="updateCapitalGainsLot('${id}', 'assetType', this.value)">
+                    ${assetOptions}
+                </select>
+            </div>
+            <div class="form-group" style="margin-bottom: 0;">
+                <input type="text" id="${id}_description" placeholder="Scrip / fund" title="Scrip or fund name (optional)"
+                       oninput="updateCapitalGainsLot('${id}', 'description', this.value)">
+            </div>
+            <div class="form-group" style="margin-bottom: 0;">
+                <input type="date" id="${id}_buyDate" title="Date bought"
+                       onchange="updateCapitalGainsLot('${id}', 'buyDate', this.value)">
+            </div>
+            <div class="form-group" style="margin-bottom: 0;">
+                <input type="date" id="${id}_sellDate" title="Date sold"
+                       onchange="updateCapitalGainsLot('${id}', 'sellDate', this.value)">
+            </div>
+            <button class="entry-remove-btn" onclick="removeCapitalGainsLot('${id}')" title="Remove">✕</button>
+            <div class="form-group" style="margin-bottom: 0;">
+                <input type="number" id="${id}_cost" placeholder="Cost ₹" min="0" title="Cost of acquisition"
+                       oninput="updateCapitalGainsLot('${id}', 'cost', this.value)">
+            </div>
+            <div class="form-group" style="margin-bottom: 0;">
+                <input type="number" id="${id}_proceeds" placeholder="Proceeds ₹" min="0" title="Sale consideration"
+                       oninput="updateCapitalGainsLot('${id}', 'proceeds', this.value)">
+            </div>
+            <div class="form-group" style="margin-bottom: 0;">
+                <input type="number" id="${id}_expenses" placeholder="Expenses ₹" min="0" title="Brokerage and charges on transfer (not STT)"
+                       oninput="updateCapitalGainsLot('${id}', 'expenses', this.value)">
+            </div>
+            <div class="form-group" style="margin-bottom: 0;">
+                <input type="number" id="${id}_fmv31Jan2018" placeholder="FMV 31-Jan-2018 ₹" min="0" title="Value of the whole lot on 31 Jan 2018 (equity bought on or before that day)"
+                       oninput="updateCapitalGainsLot('${id}', 'fmv31Jan2018', this.value)">
+            </div>
+            <span class="lot-status" id="${id}_status"></span>
+        </div>
+    `;
+    
+    container.insertAdjacentHTML('beforeend', html);
+    
+    // Imported text goes in through .value so scrip names never reach the markup
+    ['description', 'buyDate', 'sellDate', 'cost', 'proceeds', 'expenses', 'fmv31Jan2018'].forEach(field => {
+        if (entry[field]) document.getElementById(`${id}_${field}`).value = entry[field];
+    });
+    updateCapitalGainsSummary();
+    return entry;
+}
+
+function updateCapitalGainsLot(id, field, value) {
+    const entry = capitalGainsLots.find(l => l.id === id);
+    if (entry) {
+        entry[field] = ['cost', 'proceeds', 'expenses', 'fmv31Jan2018'].includes(field) ? parseFloat(value) || 0 : value;
+        updateCapitalGainsSummary();
+    }
+}
+
+function removeCapitalGainsLot(id) {
+    capitalGainsLots = capitalGainsLots.filter(l => l.id !== id);
+    window.capitalGainsLots = capitalGainsLots;  // Keep window reference in sync
+    const element = document.getElementById(id);
+    if (element) element.remove();
+    updateCapitalGainsSummary();
+    
+    // Ensure at least one row exists
+    if (capitalGainsLots.length === 0) {
+        addCapitalGainsLot();
+    }
+}
+
+function isEmptyCapitalGainsLot(lot) {
+    return !(lot.cost > 0 || lot.proceeds > 0);
+}
+
+/**
+ * Classify every row against the selected FY and refresh the row labels and totals
+ */
+function updateCapitalGainsSummary() {
+    const entered = capitalGainsLots.filter(lot => !isEmptyCapitalGainsLot(lot));
+    const ledger = CapitalGainsLedger.summarize(entered, getActiveTaxConfig());
+    
+    capitalGainsLots.forEach(lot => {
+        const status = document.getElementById(`${lot.id}_status`);
+        if (!status) return;
+        const classified = ledger.lots.find(l => l.id === lot.id);
+        status.classList.toggle('lot-status--error', Boolean(classified && classified.error));
+        if (!classified) {
+            status.textContent = '';
+        } else if (classified.error) {
+            status.textContent = `Not counted: ${classified.error}`;
+        } else {
+            const term = classified.term === 'long' ? 'Long-term' : 'Short-term';
+            const grandfathered = classified.grandfatheredCost !== undefined
+                ? ` · grandfathered cost ${TaxUtils.formatCurrency(classified.grandfatheredCost)}`
+                : (classified.missingFmv ? ' · held on 31 Jan 2018: add FMV' : '');
+            status.textContent = `${term} (${classified.section}) · ${classified.gain < 0 ? 'loss' : 'gain'} ${TaxUtils.formatCurrency(Math.abs(classified.gain))}${grandfathered}`;
+        }
+    });
+    
+    const stcgSpan = document.getElementById('totalStcgAmount');
+    const ltcgSpan = document.getElementById('totalLtcgAmount');
+    const lossNote = document.getElementById('capitalGainsLossNote');
+    if (stcgSpan) stcgSpan.textContent = TaxUtils.formatCurrency(ledger.stcgEquity);
+    if (ltcgSpan) ltcgSpan.textContent = TaxUtils.formatCurrency(ledger.ltcgEquity);
+    const otherNote = document.getElementById('capitalGainsOtherNote');
+    if (otherNote) {
+        const parts = [];
+        if (ledger.stcgOther > 0) parts.push(`STCG at slab: ${TaxUtils.formatCurrency(ledger.stcgOther)}`);
+        if (ledger.ltcgOther > 0) parts.push(`LTCG (112): ${TaxUtils.formatCurrency(ledger.ltcgOther)}`);
+        otherNote.textContent = parts.map(p => ` · ${p}`).join('');
+    }
+    if (lossNote) {
+        const loss = ledger.unabsorbedLoss.shortTerm + ledger.unabsorbedLoss.longTerm;
+        lossNote.textContent = loss > 0 ? ` · Loss to carry forward: ${TaxUtils.formatCurrency(loss)}` : '';
+    }
+}
+
+/**
+ * Read a broker P&L export and show the column-mapping step
+ * @param {File} file - CSV chosen in the file picker
+ */
+function loadCapitalGainsCsv(file) {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+        const rows = CapitalGainsLedger.parseCsv(String(reader.result));
+        const headerRow = CapitalGainsLedger.findHeaderRow(rows);
+        if (headerRow === -1) {
+            alert(`Could not find the column headings in ${file.name}. Export the tax P&L (tradewise) report as CSV and try again.`);
+            return;
+        }
+        const headers = rows[headerRow];
+        pendingCapitalGainsImport = { fileName: file.name, rows, headerRow, headers };
+        renderCapitalGainsMapping(CapitalGainsLedger.suggestMapping(headers));
+    };
+    reader.onerror = () => alert(`Could not read ${file.name}.`);
+    reader.readAsText(file);
+}
+
+function renderCapitalGainsMapping(mapping) {
+    const panel = document.getElementById('capitalGainsImportMapping');
+    const { fileName, headers, rows, headerRow } = pendingCapitalGainsImport;
+    const fields = CapitalGainsLedger.IMPORT_FIELDS;
+    
+    panel.innerHTML = `
+        <p class="cg-import-title"></p>
+        <div class="cg-import-fields">
+            ${Object.entries(fields).map(([key, field]) => `
+                <div class="form-group" style="margin-bottom: 0;">
+                    <label for="cgMap_${key}">${field.label}${field.required ? ' *' : ''}</label>
+                    <select id="cgMap_${key}"></select>
+                </div>
+            `).join('')}
+            <div class="form-group" style="margin-bottom: 0;">
+                <label for="cgMap_defaultAssetType">Asset type when not in file</label>
+                <select id="cgMap_defaultAssetType">
+                    ${Object.entries(CapitalGainsLedger.ASSET_TYPES).map(([key, type]) => `<option value="${key}">${type.label}</option>`).join('')}
+                </select>
+            </div>
+        </div>
+        <div class="cg-import-actions">
+            <button class="add-entry-btn" onclick="confirmCapitalGainsImport()">Import Sales</button>
+            <button class="add-entry-btn" onclick="cancelCapitalGainsImport()">Cancel</button>
+        </div>
+    `;
+    
+    // Column headings come from the file, so they are added as text rather than markup
+    panel.querySelector('.cg-import-title').textContent =
+        `Match the columns of ${fileName} (${rows.length - headerRow - 1} rows below the headings):`;
+    Object.keys(fields).forEach(key => {
+        const select = document.getElementById(`cgMap_${key}`);
+        select.add(new Option('— not in file —', ''));
+        headers.forEach((header, index) => select.add(new Option(header || `Column ${index + 1}`, String(index))));
+        select.value = mapping[key] === null || mapping[key] === undefined ? '' : String(mapping[key]);
+    });
+    
+    TaxUtils.toggleVisibility('capitalGainsImportStatus', false);
+    TaxUtils.toggleVisibility('capitalGainsImportMapping', true);
+}
+
+function confirmCapitalGainsImport() {
+    if (!pendingCapitalGainsImport) return;
+    const fields = CapitalGainsLedger.IMPORT_FIELDS;
+    
+    const mapping = {};
+    Object.keys(fields).forEach(key => {
+        const value = document.getElementById(`cgMap_${key}`).value;
+        mapping[key] = value === '' ? null : Number(value);
+    });
+    const missing = Object.keys(fields).filter(key => fields[key].required && mapping[key] === null);
+    if (missing.length > 0) {
+        alert(`Choose a column for: ${missing.map(key => fields[key].label).join(', ')}`);
+        return;
+    }
+    
+    const { fileName, rows, headerRow } = pendingCapitalGainsImport;
+    const defaultAssetType = document.getElementById('cgMap_defaultAssetType').value;
+    const { lots, skipped } = CapitalGainsLedger.importRows(rows, headerRow, mapping, defaultAssetType);
+    
+    // Replace the blank starter row rather than leaving it above the imported sales
+    capitalGainsLots.filter(isEmptyCapitalGainsLot).forEach(lot => {
+        const element = document.getElementById(lot.id);
+        if (element) element.remove();
+    });
+    capitalGainsLots = capitalGainsLots.filter(lot => !isEmptyCapitalGainsLot(lot));
+    window.capitalGainsLots = capitalGainsLots;
+    
+    lots.forEach(lot => addCapitalGainsLot(lot));
+    if (capitalGainsLots.length === 0) addCapitalGainsLot();
+    cancelCapitalGainsImport();
+    
+    // Reasons quote the file, so the status is set as text
+    document.getElementById('capitalGainsImportStatus').textContent =
+        `Imported ${lots.length} sales from ${fileName}` +
+        (skipped.length > 0
+            ? `; skipped ${skipped.length} rows: ` +
+                skipped.slice(0, 10).map(s => `Row ${s.row}: ${s.reason}`).join('; ') +
+                (skipped.length > 10 ? `; …and ${skipped.length - 10} more` : '')
+            : '.');
+    TaxUtils.toggleVisibility('capitalGainsImportStatus', true);
+    
+    // Imported rows never fire an input event, so trigger the auto-calculation ourselves
+    if (window.debounceCalculate) window.debounceCalculate();
+}
+
+function cancelCapitalGainsImport() {
+    pendingCapitalGainsImport = null;
+    const panel = document.getElementById('capitalGainsImportMapping');
+    if (panel) panel.innerHTML = '';
+    TaxUtils.toggleVisibility('capitalGainsImportMapping', false);
+}
+
+// ============================================
+// PROPERTY SALES & REINVESTMENTS (Sections 54 / 54F / 54EC)
+// ============================================
+function addPropertySale(values = {}) {
+    const container = document.getElementById('propertySalesList');
+    const id = `propsale_${propertySaleCounter++}`;
+    
+    const entry = {
+        id,
+        assetType: values.assetType || 'house',
+        description: values.description || '',
+        buyDate: values.buyDate || '',
+        sellDate: values.sellDate || '',
+        saleValue: values.saleValue || 0,
+        cost: values.cost || 0,
+        expenses: values.expenses || 0
+    };
+    propertySales.push(entry);
+    window.propertySales = propertySales;  // Keep window reference in sync
+    
+    const typeOptions = Object.entries(Section54Exemptions.SALE_TYPES)
+        .map(([key, type]) => `<option value="${key}" ${key === entry.assetType ? 'selected' : ''}>${type.label}</option>`)
+        .join('');
+    
+    const html = `
+        <div class="dynamic-entry dynamic-entry--lot" id="${id}">
+            <div class="form-group" style="margin-bottom: 0;">
+                <select id="${id}_assetType" title="Asset sold"
+                        onchange="updatePropertySale('${id}', 'assetType', this.value)">
+                    ${typeOptions}
+                </select>
+            </div>
+            <div class="form-group" style="margin-bottom: 0;">
+                <input type="text" id="${id}_description" placeholder="e.g., Pune flat" title="Name of the property or asset (optional)"
+                       oninput="updatePropertySale('${id}', 'description', this.value)">
+            </div>
+            <div class="form-group" style="margin-bottom: 0;">
+                <input type="date" id="${id}_buyDate" title="Date bought"
+                       onchange="updatePropertySale('${id}', 'buyDate', this.value)">
+            </div>
+            <div class="form-group" style="margin-bottom: 0;">
+                <input type="date" id="${id}_sellDate" title="Date sold"
+                       onchange="updatePropertySale('${id}', 'sellDate', this.value)">
+            </div>
+            <button class="entry-remove-btn" onclick="removePropertySale('${id}')" title="Remove">✕</button>
+            <div class="form-group" style="margin-bottom: 0;">
+                <input type="number" id="${id}_saleValue" placeholder="Sale value ₹" min="0" title="Full sale consideration (or stamp duty value, if higher)"
+                       oninput="updatePropertySale('${id}', 'saleValue', this.value)">
+            </div>
+            <div class="form-group" style="margin-bottom: 0;">
+                <input type="number" id="${id}_cost" placeholder="Cost ₹" min="0" title="Cost of acquisition and improvement"
+                       oninput="updatePropertySale('${id}', 'cost', this.value)">
+            </div>
+            <div class="form-group" style="margin-bottom: 0;">
+                <input type="number" id="${id}_expenses" placeholder="Transfer expenses ₹" min="0" title="Brokerage, legal fees on the sale"
+                       oninput="updatePropertySale('${id}', 'expenses', this.value)">
+            </div>
+            <span class="lot-status" id="${id}_status"></span>
+        </div>
+    `;
+    
+    container.insertAdjacentHTML('beforeend', html);
+    
+    ['description', 'buyDate', 'sellDate', 'saleValue', 'cost', 'expenses'].forEach(field => {
+        if (entry[field]) document.getElementById(`${id}_${field}`).value = entry[field];
+    });
+    refreshReinvestmentSaleOptions();
+    updatePropertySalesSummary();
+    return entry;
+}
+
+function updatePropertySale(id, field, value) {
+    const entry = propertySales.find(s => s.id === id);
+    if (entry) {
+        entry[field] = ['saleValue', 'cost', 'expenses'].includes(field) ? parseFloat(value) || 0 : value;
+        if (field === 'assetType' || field === 'description') refreshReinvestmentSaleOptions();
+        updatePropertySalesSummary();
+    }
+}
+
+function removePropertySale(id) {
+    propertySales = propertySales.filter(s => s.id !== id);
+    window.propertySales = propertySales;  // Keep window reference in sync
+    const element = document.getElementById(id);
+    if (element) element.remove();
+    
+    // Ensure at least one row exists
+    if (propertySales.length === 0) {
+        addPropertySale();
+    } else {
+        refreshReinvestmentSaleOptions();
+        updatePropertySalesSummary();
+    }
+}
+
+function addReinvestment(values = {}) {
+    const container = document.getElementById('reinvestmentsList');
+    const id = `reinvest_${reinvestmentCounter++}`;
+    
+    const entry = {
+        id,
+        saleId: values.saleId || (propertySales.length > 0 ? propertySales[propertySales.length - 1].id : ''),
+        kind: values.kind || 'house',
+        date: values.date || '',
+        amount: values.amount || 0
+    };
+    reinvestments.push(entry);
+    window.reinvestments = reinvestments;  // Keep window reference in sync
+    
+    const kindOptions = Object.entries(Section54Exemptions.REINVESTMENT_KINDS)
+        .map(([key, kind]) => `<option value="${key}" ${key === entry.kind ? 'selected' : ''}>${kind.label}</option>`)
+        .join('');
+    
+    const html = `
+        <div class="dynamic-entry dynamic-entry--lot" id="${id}">
+            <div class="form-group" style="margin-bottom: 0;">
+                <select id="${id}_saleId" title="Sale this reinvestment is for"
+                        onchange="updateReinvestment('${id}', 'saleId', this.value)">
+                </select>
+            </div>
+            <div class="form-group" style="margin-bottom: 0;">
+                <select id="${id}_kind" title="Invested in"
+                        onchange="updateReinvestment('${id}', 'kind', this.value)">
+                    ${kindOptions}
+                </select>
+            </div>
+            <div class="form-group" style="margin-bottom: 0;">
+                <input type="date" id="${id}_date" title="Date bought, construction completed or deposited"
+                       onchange="updateReinvestment('${id}', 'date', this.value)">
+            </div>
+            <div class="form-group" style="margin-bottom: 0;">
+                <input type="number" id="${id}_amount" placeholder="Amount ₹" min="0" title="Amount invested"
+                       oninput="updateReinvestment('${id}', 'amount', this.value)">
+            </div>
+            <button class="entry-remove-btn" onclick="removeReinvestment('${id}')" title="Remove">✕</button>
+            <span class="lot-status" id="${id}_status"></span>
+        </div>
+    `;
+    
+    container.insertAdjacentHTML('beforeend', html);
+    
+    if (entry.date) document.getElementById(`${id}_date`).value = entry.date;
+    if (entry.amount) document.getElementById(`${id}_amount`).value = entry.amount;
+    refreshReinvestmentSaleOptions();
+    updatePropertySalesSummary();
+    return entry;
+}
+
+function updateReinvestment(id, field, value) {
+    const entry = reinvestments.find(r => r.id === id);
+    if (entry) {
+        entry[field] = field === 'amount' ? parseFloat(value) || 0 : value;
+        updatePropertySalesSummary();
+    }
+}
+
+function removeReinvestment(id) {
+    reinvestments = reinvestments.filter(r => r.id !== id);
+    window.reinvestments = reinvestments;  // Keep window reference in sync
+    const element = document.getElementById(id);
+    if (element) element.remove();
+    updatePropertySalesSummary();
+    
+    // Ensure at least one row exists
+    if (reinvestments.length === 0) {
+        addReinvestment();
+    }
+}
+
+/**
+ * Rebuild the "for sale" choices of every reinvestment row after sales change
+ * (names go in through new Option() so typed text never reaches the markup)
+ */
+function refreshReinvestmentSaleOptions() {
+    reinvestments.forEach(entry => {
+        const select = document.getElementById(`${entry.id}_saleId`);
+        if (!select) return;
+        select.innerHTML = '';
+        propertySales.forEach((sale, index) => {
+            const type = Section54Exemptions.SALE_TYPES[sale.assetType] || Section54Exemptions.SALE_TYPES.house;
+            select.add(new Option(`Sale ${index + 1}: ${sale.description || type.label}`, sale.id));
+        });
+        if (!propertySales.some(s => s.id === entry.saleId) && propertySales.length > 0) {
+            entry.saleId = propertySales[0].id;
+        }
+        select.value = entry.saleId;
+    });
+}
+
+/**
+ * Work out every sale against the selected FY and refresh the row labels and totals
+ */
+function updatePropertySalesSummary() {
+    const sales = propertySales.filter(s => s.saleValue > 0 || s.cost > 0);
+    const result = Section54Exemptions.evaluate(sales, reinvestments.filter(r => r.amount > 0), {
+        section54TwoHouses: TaxUtils.getCheckboxValue('section54TwoHouses'),
+        ownsMoreThanOneHouse: TaxUtils.getCheckboxValue('ownsMoreThanOneHouse')
+    }, getActiveTaxConfig());
+    
+    propertySales.forEach(entry => {
+        const status = document.getElementById(`${entry.id}_status`);
+        if (!status) return;
+        const sale = result.sales.find(s => s.id === entry.id);
+        status.classList.toggle('lot-status--error', Boolean(sale && sale.error));
+        if (!sale) {
+            status.textContent = '';
+        } else if (sale.error) {
+            status.textContent = `Not counted: ${sale.error}`;
+        } else if (sale.term === 'short') {
+            status.textContent = `Short-term (slab rates) · ${sale.stcg > 0 ? `gain ${TaxUtils.formatCurrency(sale.stcg)}` : `loss ${TaxUtils.formatCurrency(sale.loss)}`}`;
+        } else if (!sale.method) {
+            status.textContent = `Long-term · loss ${TaxUtils.formatCurrency(sale.loss)}`;
+        } else {
+            const indexed = sale.method === 'indexed' ? ' with indexation' : '';
+            const exempt = sale.exemptionTotal > 0 ? ` · exempt ${TaxUtils.formatCurrency(sale.exemptionTotal)}` : '';
+            status.textContent = `Long-term · gain ${TaxUtils.formatCurrency(sale.gain)}${indexed}${exempt} · taxable ${TaxUtils.formatCurrency(sale.taxableGain)}`;
+        }
+    });
+    
+    const rejected = result.sales.flatMap(s => s.rejected);
+    reinvestments.forEach(entry => {
+        const status = document.getElementById(`${entry.id}_status`);
+        if (!status) return;
+        const reason = rejected.find(r => r.id === entry.id);
+        status.classList.toggle('lot-status--error', Boolean(reason));
+        status.textContent = reason ? `Not counted: ${reason.reason}` : '';
+    });
+    
+    const exemptSpan = document.getElementById('totalPropertyExempt');
+    const ltcgSpan = document.getElementById('totalPropertyLtcg');
+    const note = document.getElementById('propertySalesNote');
+    if (exemptSpan) exemptSpan.textContent = TaxUtils.formatCurrency(result.exempt);
+    if (ltcgSpan) ltcgSpan.textContent = TaxUtils.formatCurrency(result.ltcg);
+    if (note) note.textContent = result.stcg > 0 ? ` · STCG at slab: ${TaxUtils.formatCurrency(result.stcg)}` : '';
+}
+
+// ============================================
+// CAPITAL LOSS LEDGER (losses brought forward, one row per year)
+// ============================================
+
+/**
+ * Years a loss can be brought forward from, newest first (one more than the
+ * carry-forward period so a lapsed year can still be entered and flagged)
+ */
+function getCapitalLossYears() {
+    const config = getActiveTaxConfig();
+    const startYear = TaxUtils.getFinancialYearStart(config.financialYear);
+    const years = [];
+    for (let age = 1; age <= config.capitalGains.lossSetoff.stcl.carryforward + 1; age++) {
+        years.push(TaxUtils.toFinancialYearKey(startYear - age));
+    }
+    return years;
+}
+
+function addCapitalLossEntry(values = {}) {
+    const container = document.getElementById('capitalLossesList');
+    const id = `closs_${capitalLossCounter++}`;
+    
+    const entry = {
+        id,
+        financialYear: values.financialYear !== undefined ? values.financialYear : getCapitalLossYears()[0],
+        stcl: values.stcl || 0,
+        ltcl: values.ltcl || 0
+    };
+    capitalLosses.push(entry);
+    window.capitalLosses = capitalLosses;  // Keep window reference in sync
+    
+    const html = `
+        <div class="dynamic-entry dynamic-entry--loss" id="${id}">
+            <div class="form-group" style="margin-bottom: 0;">
+                <select id="${id}_financialYear" title="Financial year the loss arose in"
+                        onchange="updateCapitalLossEntry('${id}', 'financialYear', this.value)">
+                </select>
+            </div>
+            <div class="form-group" style="margin-bottom: 0;">
+                <input type="number" id="${id}_stcl" placeholder="Short-term ₹" min="0" title="Short-term capital loss still unused"
+                       oninput="updateCapitalLossEntry('${id}', 'stcl', this.value)">
+            </div>
+            <div class="form-group" style="margin-bottom: 0;">
+                <input type="number" id="${id}_ltcl" placeholder="Long-term ₹" min="0" title="Long-term capital loss still unused"
+                       oninput="updateCapitalLossEntry('${id}', 'ltcl', this.value)">
+            </div>
+            <button class="entry-remove-btn" onclick="removeCapitalLossEntry('${id}')" title="Remove">✕</button>
+            <span class="lot-status" id="${id}_status"></span>
+        </div>
+    `;
+    
+    container.insertAdjacentHTML('beforeend', html);
+    
+    if (entry.stcl) document.getElementById(`${id}_stcl`).value = entry.stcl;
+    if (entry.ltcl) document.getElementById(`${id}_ltcl`).value = entry.ltcl;
+    refreshCapitalLossYearOptions();
+    updateCapitalLossSummary();
+    return entry;
+}
+
+function updateCapitalLossEntry(id, field, value) {
+    const entry = capitalLosses.find(l => l.id === id);
+    if (entry) {
+        entry[field] = field === 'financialYear' ? value : parseFloat(value) || 0;
+        updateCapitalLossSummary();
+    }
+}
+
+function removeCapitalLossEntry(id) {
+    capitalLosses = capitalLosses.filter(l => l.id !== id);
+    window.capitalLosses = capitalLosses;  // Keep window reference in sync
+    const element = document.getElementById(id);
+    if (element) element.remove();
+    updateCapitalLossSummary();
+    
+    // Ensure at least one row exists
+    if (capitalLosses.length === 0) {
+        addCapitalLossEntry();
+    }
+}
+
+/**
+ * Rebuild the year choices against the selected FY (a year outside the list is kept as entered)
+ */
+function refreshCapitalLossYearOptions() {
+    const years = getCapitalLossYears();
+    capitalLosses.forEach(entry => {
+        const select = document.getElementById(`${entry.id}_financialYear`);
+        if (!select) return;
+        select.innerHTML = '';
+        const choices = entry.financialYear && !years.includes(entry.financialYear) ? [entry.financialYear, ...years] : years;
+        choices.forEach(year => select.add(new Option(`FY ${year}`, year)));
+        select.add(new Option('Year not known', ''));
+        select.value = entry.financialYear;
+    });
+}
+
+/**
+ * Check every row against the selected FY and refresh the row labels and total
+ */
+function updateCapitalLossSummary() {
+    const config = getActiveTaxConfig();
+    const opening = CapitalLossLedger.open(capitalLosses, config);
+    const carryforward = config.capitalGains.lossSetoff.stcl.carryforward;
+    
+    capitalLosses.forEach(entry => {
+        const status = document.getElementById(`${entry.id}_status`);
+        if (!status) return;
+        const invalid = opening.invalid.find(l => l.id === entry.id);
+        const expired = entry.financialYear && opening.expired.some(l => l.financialYear === entry.financialYear);
+        const age = TaxUtils.getFinancialYearStart(config.financialYear) - TaxUtils.getFinancialYearStart(entry.financialYear);
+        const hasLoss = entry.stcl > 0 || entry.ltcl > 0;
+        status.classList.toggle('lot-status--error', Boolean(invalid || expired));
+        if (!hasLoss) {
+            status.textContent = '';
+        } else if (invalid) {
+            status.textContent = `Not counted: ${invalid.reason}`;
+        } else if (expired) {
+            status.textContent = `Lapsed: more than ${carryforward} years old`;
+        } else if (!entry.financialYear) {
+            status.textContent = 'Year not known: used first, expiry not checked';
+        } else {
+            status.textContent = age === carryforward ? 'Last year it can be set off' : `Can be set off until FY ${TaxUtils.toFinancialYearKey(TaxUtils.getFinancialYearStart(entry.financialYear) + carryforward)}`;
+        }
+    });
+    
+    const totalSpan = document.getElementById('totalCapitalLossAmount');
+    const note = document.getElementById('capitalLossNote');
+    if (totalSpan) totalSpan.textContent = TaxUtils.formatCurrency(opening.stcl + opening.ltcl);
+    if (note) {
+        note.textContent = opening.stcl + opening.ltcl > 0
+            ? ` · short-term ${TaxUtils.formatCurrency(opening.stcl)}, long-term ${TaxUtils.formatCurrency(opening.ltcl)}`
+            : '';
+    }
+}
+
+/**
+ * Replace the ledger rows (import or saved balance)
+ * @param {Array} rows - [{ financialYear, stcl, ltcl }]
+ */
+function setCapitalLossEntries(rows) {
+    capitalLosses.forEach(entry => {
+        const element = document.getElementById(entry.id);
+        if (element) element.remove();
+    });
+    capitalLosses = [];
+    window.capitalLosses = capitalLosses;
+    
+    rows.forEach(row => addCapitalLossEntry({ ...row, financialYear: row.financialYear || '' }));
+    if (capitalLosses.length === 0) addCapitalLossEntry();
+    
+    // Loaded rows never fire an input event, so trigger the auto-calculation ourselves
+    if (window.debounceCalculate) window.debounceCalculate();
+}
+
+/**
+ * Open the ledger with the closing balance saved when last year was calculated in this browser
+ */
+function loadSavedCapitalLosses() {
+    const financialYear = getSelectedFinancialYear();
+    const saved = TaxUtils.loadFromStorage(CapitalLossLedger.STORAGE_KEY)[financialYear];
+    if (!saved) {
+        alert(`No capital losses saved for FY ${financialYear}. Calculate FY ${TaxUtils.toFinancialYearKey(TaxUtils.getFinancialYearStart(financialYear) - 1)} in this browser first, or import a loss ledger file.`);
+        return;
+    }
+    setCapitalLossEntries(saved);
+}
+
+/**
+ * Read a loss ledger file (closing balance download or a list of rows)
+ * @param {File} file - JSON chosen in the file picker
+ */
+function loadCapitalLossFile(file) {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            setCapitalLossEntries(CapitalLossLedger.fromJson(String(reader.result)));
+        } catch (error) {
+            alert(`Could not read ${file.name}: ${error.message}`);
+        }
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * Keep the closing balance for next year's ledger in this browser
+ * @param {Object} schedule - lossCarryForward from the calculation
+ */
+function saveCapitalLossCarryForward(schedule) {
+    if (!schedule) return;
+    const saved = TaxUtils.loadFromStorage(CapitalLossLedger.STORAGE_KEY);
+    saved[schedule.nextFinancialYear] = schedule.closing;
+    TaxUtils.saveToStorage(CapitalLossLedger.STORAGE_KEY, saved);
+}
+
+// ============================================
+// HOUSE PROPERTIES (income from house property, Sections 22-24)
+// ============================================
+function addHouseProperty(values = {}) {
+    const container = document.getElementById('housePropertiesList');
+    const id = `house_${housePropertyCounter++}`;
+    
+    const entry = {
+        id,
+        use: values.use || 'selfOccupied',
+        name: values.name || '',
+        rent: values.rent || 0,
+        municipalTax: values.municipalTax || 0,
+        share: values.share || 100,
+        interest: values.interest || 0,
+        preConstructionInterest: values.preConstructionInterest || 0,
+        possessionYear: values.possessionYear || '',
+        principal: values.principal || 0,
+        joint: Boolean(values.joint),
+        loanShare: values.loanShare || 0,
+        coOwnerName: values.coOwnerName || ''
+    };
+    houseProperties.push(entry);
+    window.houseProperties = houseProperties;  // Keep window reference in sync
+    
+    const useOptions = Object.entries(HouseProperty.USES)
+        .map(([key, use]) => `<option value="${key}" ${key === entry.use ? 'selected' : ''}>${use.label}</option>`)
+        .join('');
+    
+    const html = `
+        <div class="dynamic-entry dynamic-entry--lot" id="${id}">
+            <div class="form-group" style="margin-bottom: 0;">
+                <select id="${id}_use" title="How the house was used this year"
+                        onchange="updateHouseProperty('${id}', 'use', this.value)">
+                    ${useOptions}
+                </select>
+            </div>
+            <div class="form-group" style="margin-bottom: 0;">
+                <input type="text" id="${id}_name" placeholder="e.g., Bengaluru flat" title="Name of the house (optional)"
+                       oninput="updateHouseProperty('${id}', 'name', this.value)">
+            </div>
+            <div class="form-group" style="margin-bottom: 0;">
+                <input type="number" id="${id}_rent" placeholder="Annual rent ₹" min="0" title="Rent for the year (expected rent if deemed let out; ignored if self-occupied)"
+                       oninput="updateHouseProperty('${id}', 'rent', this.value)">
+            </div>
+            <div class="form-group" style="margin-bottom: 0;">
+                <input type="number" id="${id}_municipalTax" placeholder="Municipal taxes ₹" min="0" title="Property tax paid to the municipality this year"
+                       oninput="updateHouseProperty('${id}', 'municipalTax', this.value)">
+            </div>
+            <button class="entry-remove-btn" onclick="removeHouseProperty('${id}')" title="Remove">✕</button>
+            <div class="form-group" style="margin-bottom: 0;">
+                <input type="number" id="${id}_share" placeholder="Your share %" min="1" max="100" title="Your ownership share (%) if co-owned"
+                       oninput="updateHouseProperty('${id}', 'share', this.value)">
+            </div>
+            <div class="form-group" style="margin-bottom: 0;">
+                <input type="number" id="${id}_interest" placeholder="Loan interest ₹" min="0" title="Home loan interest for the year on the whole loan"
+                       oninput="updateHouseProperty('${id}', 'interest', this.value)">
+            </div>
+            <div class="form-group" style="margin-bottom: 0;">
+                <input type="number" id="${id}_preConstructionInterest" placeholder="Pre-construction interest ₹" min="0" title="Total loan interest paid up to 31 March before the year of possession"
+                       oninput="updateHouseProperty('${id}', 'preConstructionInterest', this.value)">
+            </div>
+            <div class="form-group" style="margin-bottom: 0;">
+                <input type="text" id="${id}_possessionYear" placeholder="Possession FY, e.g. 2023-24" title="Financial year the construction was completed / possession taken"
+                       oninput="updateHouseProperty('${id}', 'possessionYear', this.value.trim())">
+            </div>
+            <div class="form-group" style="margin-bottom: 0;">
+                <input type="number" id="${id}_principal" placeholder="Loan principal repaid ₹" min="0" title="Principal repaid this year on the whole loan (your share goes to 80C)"
+                       oninput="updateHouseProperty('${id}', 'principal', this.value)">
+            </div>
+            <div class="form-group" style="margin-bottom: 0;">
+                <label class="checkbox-label" title="House and loan held jointly with a co-owner who is also a co-borrower">
+                    <input type="checkbox" id="${id}_joint" onchange="updateHouseProperty('${id}', 'joint', this.checked)"> Joint loan
+                </label>
+            </div>
+            <div class="form-group" style="margin-bottom: 0;">
+                <input type="number" id="${id}_loanShare" placeholder="Your repayment share %" min="1" max="100" title="Your share of the loan repayments (%); defaults to your ownership share"
+                       oninput="updateHouseProperty('${id}', 'loanShare', this.value)">
+            </div>
+            <div class="form-group" style="margin-bottom: 0;">
+                <input type="text" id="${id}_coOwnerName" placeholder="Co-owner name" title="Name of the other co-owner / co-borrower"
+                       oninput="updateHouseProperty('${id}', 'coOwnerName', this.value)">
+            </div>
+            <span class="lot-status" id="${id}_status"></span>
+        </div>
+    `;
+    
+    container.insertAdjacentHTML('beforeend', html);
+    
+    ['name', 'rent', 'municipalTax', 'share', 'interest', 'preConstructionInterest', 'possessionYear', 'principal', 'loanShare', 'coOwnerName'].forEach(field => {
+        if (entry[field]) document.getElementById(`${id}_${field}`).value = entry[field];
+    });
+    document.getElementById(`${id}_joint`).checked = entry.joint;
+    updateHousePropertySummary();
+    return entry;
+}
+
+function updateHouseProperty(id, field, value) {
+    const entry = houseProperties.find(p => p.id === id);
+    if (entry) {
+        entry[field] = ['use', 'name', 'possessionYear', 'coOwnerName', 'joint'].includes(field) ? value : parseFloat(value) || 0;
+        updateHousePropertySummary();
+        if (field === 'principal' || field === 'loanShare') updateTotal80C();
+    }
+}
+
+function removeHouseProperty(id) {
+    houseProperties = houseProperties.filter(p => p.id !== id);
+    window.houseProperties = houseProperties;  // Keep window reference in sync
+    const element = document.getElementById(id);
+    if (element) element.remove();
+    
+    // Ensure at least one row exists
+    if (houseProperties.length === 0) {
+        addHouseProperty();
+    } else {
+        updateHousePropertySummary();
+    }
+}
+
+/**
+ * Work out each house under both regimes and refresh the row labels and totals
+ */
+function updateHousePropertySummary() {
+    const config = getActiveTaxConfig();
+    const broughtForward = TaxUtils.getInputValue('housePropertyLossBroughtForward');
+    // Same houses the engine counts (TaxEngine.normalizeProfile)
+    const houses = houseProperties.filter(p => HouseProperty.isEntered(p));
+    const oldResult = HouseProperty.compute(houses, 'old', broughtForward, config);
+    const newResult = HouseProperty.compute(houses, 'new', broughtForward, config);
+    
+    houseProperties.forEach(entry => {
+        const status = document.getElementById(`${entry.id}_status`);
+        if (!status) return;
+        const index = houses.indexOf(entry);
+        if (index < 0 || !(entry.rent > 0 || entry.interest > 0 || entry.preConstructionInterest > 0 || entry.principal > 0)) {
+            status.textContent = '';
+            return;
+        }
+        const oldRow = oldResult.properties[index];
+        const deemed = oldRow.deemed ? 'Deemed let out (only two houses can be self-occupied) · ' : '';
+        const pre = oldRow.preConstruction;
+        const preText = !pre ? ''
+            : pre.instalment > 0 ? ` · Pre-construction instalment ${pre.number} of ${pre.of}: ${TaxUtils.formatCurrency(pre.instalment)}`
+            : ` · ${pre.note}`;
+        const coOwner = oldRow.coOwner;
+        const jointText = !coOwner ? ''
+            : ` · You claim interest ${TaxUtils.formatCurrency(oldRow.interest)} + principal ${TaxUtils.formatCurrency(oldRow.principal)}` +
+              `, ${coOwner.name} ${TaxUtils.formatCurrency(coOwner.interest)} + ${TaxUtils.formatCurrency(coOwner.principal)} (old regime)`;
+        status.textContent = `${deemed}Old regime ${TaxUtils.formatCurrency(oldRow.income)} · New regime ${TaxUtils.formatCurrency(newResult.properties[index].income)}${preText}${jointText}`;
+    });
+    
+    const oldSpan = document.getElementById('totalHousePropertyOld');
+    const newSpan = document.getElementById('totalHousePropertyNew');
+    const note = document.getElementById('housePropertyNote');
+    if (oldSpan) oldSpan.textContent = TaxUtils.formatCurrency(oldResult.chargeable);
+    if (newSpan) newSpan.textContent = TaxUtils.formatCurrency(newResult.chargeable);
+    if (note) {
+        note.textContent = oldResult.carriedForward > 0 || newResult.carriedForward > 0
+            ? ` · carried forward: ${TaxUtils.formatCurrency(oldResult.carriedForward)} (old), ${TaxUtils.formatCurrency(newResult.carriedForward)} (new)`
+            : '';
+    }
+}
+
+// ============================================
+// MINOR CHILDREN (income clubbed u/s 64(1A))
+// ============================================
+function addMinorChild(values = {}) {
+    const container = document.getElementById('minorChildrenList');
+    const id = `minor_${minorChildCounter++}`;
+    
+    const entry = {
+        id,
+        name: values.name || '',
+        income: values.income || 0,
+        skillIncome: values.skillIncome || 0,
+        disabled: Boolean(values.disabled)
+    };
+    minorChildren.push(entry);
+    window.minorChildren = minorChildren;  // Keep window reference in sync
+    
+    const html = `
+        <div class="dynamic-entry" id="${id}">
+            <div class="form-group" style="margin-bottom: 0;">
+                <input type="text" id="${id}_name" placeholder="Child's name" title="Name of the minor child (optional)"
+                       oninput="updateMinorChild('${id}', 'name', this.value)">
+            </div>
+            <div class="form-group" style="margin-bottom: 0;">
+                <input type="number" id="${id}_income" placeholder="Income ₹ (interest etc.)" min="0" title="Interest, dividends and other income from assets in the child's name"
+                       oninput="updateMinorChild('${id}', 'income', this.value)">
+            </div>
+            <div class="form-group" style="margin-bottom: 0;">
+                <input type="number" id="${id}_skillIncome" placeholder="Own skill income ₹" min="0" title="Earned by the child's own work, skill or talent (not clubbed)"
+                       oninput="updateMinorChild('${id}', 'skillIncome', this.value)">
+            </div>
+            <div class="form-group" style="margin-bottom: 0;">
+                <label class="checkbox-label" title="Disability of the kind in Section 80U: the child's income is not clubbed">
+                    <input type="checkbox" id="${id}_disabled" onchange="updateMinorChild('${id}', 'disabled', this.checked)"> Disabled (80U)
+                </label>
+            </div>
+            <button class="entry-remove-btn" onclick="removeMinorChild('${id}')" title="Remove">✕</button>
+        </div>
+    `;
+    
+    container.insertAdjacentHTML('beforeend', html);
+    
+    ['name', 'income', 'skillIncome'].forEach(field => {
+        if (entry[field]) document.getElementById(`${id}_${field}`).value = entry[field];
+    });
+    document.getElementById(`${id}_disabled`).checked = entry.disabled;
+    return entry;
+}
+
+function updateMinorChild(id, field, value) {
+    const entry = minorChildren.find(c => c.id === id);
+    if (entry) {
+        entry[field] = ['name', 'disabled'].includes(field) ? value : parseFloat(value) || 0;
+    }
+}
+
+function removeMinorChild(id) {
+    minorChildren = minorChildren.filter(c => c.id !== id);
+    window.minorChildren = minorChildren;  // Keep window reference in sync
+    const element = document.getElementById(id);
+    if (element) element.remove();
+    
+    // Ensure at least one row exists
+    if (minorChildren.length === 0) {
+        addMinorChild();
+    }
+}
+
+// ============================================
+// PERQUISITES (valued under Rule 3)
+// ============================================
+function addPerquisiteLoan(values = {}) {
+    const container = document.getElementById('perquisiteLoansList');
+    const id = `perqloan_${perquisiteLoanCounter++}`;
+    
+    const entry = {
+        id,
+        type: values.type || 'housing',
+        amount: values.amount || 0,
+        rate: values.rate || 0,
+        sbiRate: values.sbiRate || 0,
+        months: values.months || 0
+    };
+    perquisiteLoans.push(entry);
+    window.perquisiteLoans = perquisiteLoans;  // Keep window reference in sync
+    
+    const typeOptions = Object.entries(Perquisites.LOAN_TYPES)
+        .map(([value, label]) => `<option value="${value}" ${entry.type === value ? 'selected' : ''}>${label}</option>`)
+        .join('');
+    const html = `
+        <div class="dynamic-entry" id="${id}">
+            <select id="${id}_type" onchange="updatePerquisiteLoan('${id}', 'type', this.value)">
+                ${typeOptions}
+            </select>
+            <input type="number" id="${id}_amount" placeholder="Outstanding ₹" min="0" title="Maximum monthly outstanding balance"
+                   oninput="updatePerquisiteLoan('${id}', 'amount', this.value)">
+            <input type="number" id="${id}_rate" placeholder="Your rate %" min="0" step="0.01" title="Interest the employer charges (% a year)"
+                   oninput="updatePerquisiteLoan('${id}', 'rate', this.value)">
+            <input type="number" id="${id}_sbiRate" placeholder="SBI rate %" min="0" step="0.01" title="SBI rate on 1 April for this kind of loan (blank: indicative rate)"
+                   oninput="updatePerquisiteLoan('${id}', 'sbiRate', this.value)">
+            <input type="number" id="${id}_months" placeholder="Months" min="0" max="12" title="Months outstanding (blank: 12)"
+                   oninput="updatePerquisiteLoan('${id}', 'months', this.value)">
+            <button class="entry-remove-btn" onclick="removePerquisiteLoan('${id}')" title="Remove">✕</button>
+        </div>
+    `;
+    
+    container.insertAdjacentHTML('beforeend', html);
+    
+    ['amount', 'rate', 'sbiRate', 'months'].forEach(field => {
+        if (entry[field]) document.getElementById(`${id}_${field}`).value = entry[field];
+    });
+    updatePerquisitesSummary();
+    return entry;
+}
+
+function updatePerquisiteLoan(id, field, value) {
+    const entry = perquisiteLoans.find(l => l.id === id);
+    if (entry) {
+        entry[field] = field === 'type' ? value : parseFloat(value) || 0;
+        updatePerquisitesSummary();
+    }
+}
+
+function removePerquisiteLoan(id) {
+    perquisiteLoans = perquisiteLoans.filter(l => l.id !== id);
+    window.perquisiteLoans = perquisiteLoans;  // Keep window reference in sync
+    const element = document.getElementById(id);
+    if (element) element.remove();
+    
+    // Ensure at least one row exists
+    if (perquisiteLoans.length === 0) {
+        addPerquisiteLoan();
+    } else {
+        updatePerquisitesSummary();
+    }
+}
+
+/**
+ * Perquisites as entered, in the profile shape Perquisites.compute() reads
+ */
+function collectPerquisites() {
+    return {
+        director: TaxUtils.getCheckboxValue('perqDirector'),
+        accommodation: {
+            type: TaxUtils.getSelectValue('perqAccommodationType'),
+            city: TaxUtils.getSelectValue('perqCity'),
+            months: TaxUtils.getInputValue('perqAccommodationMonths'),
+            rent: TaxUtils.getInputValue('perqRent'),
+            furnitureCost: TaxUtils.getInputValue('perqFurnitureCost'),
+            furnitureHire: TaxUtils.getInputValue('perqFurnitureHire'),
+            recovered: TaxUtils.getInputValue('perqRentRecovered')
+        },
+        car: {
+            usage: TaxUtils.getSelectValue('perqCarUsage'),
+            owner: TaxUtils.getSelectValue('perqCarOwner'),
+            engine: TaxUtils.getSelectValue('perqCarEngine'),
+            expensesBy: TaxUtils.getSelectValue('perqCarExpensesBy'),
+            chauffeur: TaxUtils.getCheckboxValue('perqCarChauffeur'),
+            months: TaxUtils.getInputValue('perqCarMonths'),
+            cost: TaxUtils.getInputValue('perqCarCost'),
+            expenses: TaxUtils.getInputValue('perqCarExpenses'),
+            recovered: TaxUtils.getInputValue('perqCarRecovered')
+        },
+        loans: perquisiteLoans.filter(l => l.amount > 0),
+        gifts: TaxUtils.getInputValue('perqGifts'),
+        inSalary: TaxUtils.getCheckboxValue('perqInSalary')
+    };
+}
+
+/**
+ * Value the perquisites against the salary entered so far and refresh the total
+ */
+function updatePerquisitesSummary() {
+    const perquisites = collectPerquisites();
+    // Cash salary as TaxEngine.normalizeProfile works it out
+    const salary = employmentPeriods.reduce((sum, p) =>
+        sum + (p.grossSalary || 0) - (p.perquisitesValue || 0) - (p.profitsInLieuOfSalary || 0), 0);
+    const result = Perquisites.compute(perquisites, salary, getActiveTaxConfig());
+    
+    const total = document.getElementById('totalPerquisites');
+    const note = document.getElementById('perquisitesNote');
+    if (total) total.textContent = TaxUtils.formatCurrency(Perquisites.isEntered(perquisites) ? result.total : 0);
+    if (note) {
+        note.textContent = (result.car && result.car.exempt && result.car.valued > 0
+            ? ` · car not taxed (${TaxUtils.formatCurrency(result.car.valued)}): not a specified employee`
+            : '') + (result.inSalary ? ' · already in salary, not added again' : '');
+    }
+}
+
+// ============================================
+// ESOP / RSU AWARDS & SALES (Section 17(2)(vi), then capital gains)
+// ============================================
+function addEquityAward(values = {}) {
+    const container = document.getElementById('equityAwardsList');
+    const id = `award_${equityAwardCounter++}`;
+    
+    const entry = {
+        id,
+        kind: values.kind || 'rsu',
+        company: values.company || '',
+        listing: values.listing || 'foreign',
+        date: values.date || '',
+        shares: values.shares || 0,
+        fmv: values.fmv || 0,
+        exercisePrice: values.exercisePrice || 0,
+        leftOn: values.leftOn || '',
+        inSalary: Boolean(values.inSalary),
+        startup: Boolean(values.startup)
+    };
+    equityAwards.push(entry);
+    window.equityAwards = equityAwards;  // Keep window reference in sync
+    
+    const kindOptions = Object.entries(EquityCompensation.KINDS)
+        .map(([key, kind]) => `<option value="${key}" ${key === entry.kind ? 'selected' : ''}>${kind.label}</option>`)
+        .join('');
+    const listingOptions = Object.entries(EquityCompensation.LISTINGS)
+        .map(([key, listing]) => `<option value="${key}" ${key === entry.listing ? 'selected' : ''}>${listing.label}</option>`)
+        .join('');
+    
+    const html = `
+        <div class="dynamic-entry dynamic-entry--lot" id="${id}">
+            <div class="form-group" style="margin-bottom: 0;">
+                <select id="${id}_kind" title="RSU (vest) or ESOP (exercise)"
+                        onchange="updateEquityAward('${id}', 'kind', this.value)">
+                    ${kindOptions}
+                </select>
+            </div>
+            <div class="form-group" style="margin-bottom: 0;">
+                <input type="text" id="${id}_company" placeholder="Company" title="Company granting the award (optional)"
+                       oninput="updateEquityAward('${id}', 'company', this.value)">
+            </div>
+            <div class="form-group" style="margin-bottom: 0;">
+                <select id="${id}_listing" title="Where the company's shares are listed"
+                        onchange="updateEquityAward('${id}', 'listing', this.value)">
+                    ${listingOptions}
+                </select>
+            </div>
+            <div class="form-group" style="margin-bottom: 0;">
+                <input type="date" id="${id}_date" title="Date the shares vested and were allotted (RSU) or the option was exercised (ESOP)"
+                       onchange="updateEquityAward('${id}', 'date', this.value)">
+            </div>
+            <button class="entry-remove-btn" onclick="removeEquityAward('${id}')" title="Remove">✕</button>
+            <div class="form-group" style="margin-bottom: 0;">
+                <input type="number" id="${id}_shares" placeholder="Shares" min="0" title="Shares allotted (after any shares withheld for tax are still counted)"
+                       oninput="updateEquityAward('${id}', 'shares', this.value)">
+            </div>
+            <div class="form-group" style="margin-bottom: 0;">
+                <input type="number" id="${id}_fmv" placeholder="FMV per share ₹" min="0" step="0.01" title="Fair market value per share on that date, in rupees"
+                       oninput="updateEquityAward('${id}', 'fmv', this.value)">
+            </div>
+            <div class="form-group" style="margin-bottom: 0;">
+                <input type="number" id="${id}_exercisePrice" placeholder="Price paid per share ₹" min="0" step="0.01" title="Exercise price per share (0 for RSUs)"
+                       oninput="updateEquityAward('${id}', 'exercisePrice', this.value)">
+            </div>
+            <div class="form-group" style="margin-bottom: 0;">
+                <input type="date" id="${id}_leftOn" title="Date you left the startup (ends the Section 192(1C) deferral)"
+                       onchange="updateEquityAward('${id}', 'leftOn', this.value)">
+            </div>
+            <div class="form-group" style="margin-bottom: 0; grid-column: 1 / -1;">
+                <label class="checkbox-label" title="Your Form-16 salary already includes this perquisite">
+                    <input type="checkbox" id="${id}_inSalary" onchange="updateEquityAward('${id}', 'inSalary', this.checked)"> In salary (Form-16)
+                </label>
+                <label class="checkbox-label" title="Employer is an eligible startup (Section 80-IAC): tax deferred under Section 192(1C)">
+                    <input type="checkbox" id="${id}_startup" onchange="updateEquityAward('${id}', 'startup', this.checked)"> Eligible startup (80-IAC)
+                </label>
+            </div>
+            <span class="lot-status" id="${id}_status"></span>
+        </div>
+    `;
+    
+    container.insertAdjacentHTML('beforeend', html);
+    
+    ['company', 'date', 'shares', 'fmv', 'exercisePrice', 'leftOn'].forEach(field => {
+        if (entry[field]) document.getElementById(`${id}_${field}`).value = entry[field];
+    });
+    document.getElementById(`${id}_inSalary`).checked = entry.inSalary;
+    document.getElementById(`${id}_startup`).checked = entry.startup;
+    refreshEquitySaleAwardOptions();
+    updateEquitySummary();
+    return entry;
+}
+
+function updateEquityAward(id, field, value) {
+    const entry = equityAwards.find(a => a.id === id);
+    if (entry) {
+        entry[field] = ['shares', 'fmv', 'exercisePrice'].includes(field) ? parseFloat(value) || 0 : value;
+        if (['kind', 'company', 'date'].includes(field)) refreshEquitySaleAwardOptions();
+        updateEquitySummary();
+    }
+}
+
+function removeEquityAward(id) {
+    equityAwards = equityAwards.filter(a => a.id !== id);
+    window.equityAwards = equityAwards;  // Keep window reference in sync
+    const element = document.getElementById(id);
+    if (element) element.remove();
+    
+    // Ensure at least one row exists
+    if (equityAwards.length === 0) {
+        addEquityAward();
+    } else {
+        refreshEquitySaleAwardOptions();
+        updateEquitySummary();
+    }
+}
+
+function addEquitySale(values = {}) {
+    const container = document.getElementById('equitySalesList');
+    const id = `eqsale_${equitySaleCounter++}`;
+    
+    const entry = {
+        id,
+        awardId: values.awardId || (equityAwards.length > 0 ? equityAwards[equityAwards.length - 1].id : ''),
+        date: values.date || '',
+        shares: values.shares || 0,
+        price: values.price || 0,
+        expenses: values.expenses || 0
+    };
+    equitySales.push(entry);
+    window.equitySales = equitySales;  // Keep window reference in sync
+    
+    const html = `
+        <div class="dynamic-entry dynamic-entry--lot" id="${id}">
+            <div class="form-group" style="margin-bottom: 0;">
+                <select id="${id}_awardId" title="Vest / exercise the shares came from"
+                        onchange="updateEquitySale('${id}', 'awardId', this.value)">
+                </select>
+            </div>
+            <div class="form-group" style="margin-bottom: 0;">
+                <input type="date" id="${id}_date" title="Date sold"
+                       onchange="updateEquitySale('${id}', 'date', this.value)">
+            </div>
+            <div class="form-group" style="margin-bottom: 0;">
+                <input type="number" id="${id}_shares" placeholder="Shares sold" min="0"
+                       oninput="updateEquitySale('${id}', 'shares', this.value)">
+            </div>
+            <div class="form-group" style="margin-bottom: 0;">
+                <input type="number" id="${id}_price" placeholder="Price per share ₹" min="0" step="0.01" title="Sale price per share, in rupees"
+                       oninput="updateEquitySale('${id}', 'price', this.value)">
+            </div>
+            <button class="entry-remove-btn" onclick="removeEquitySale('${id}')" title="Remove">✕</button>
+            <div class="form-group" style="margin-bottom: 0;">
+                <input type="number" id="${id}_expenses" placeholder="Expenses ₹" min="0" title="Brokerage and other charges on the sale"
+                       oninput="updateEquitySale('${id}', 'expenses', this.value)">
+            </div>
+            <span class="lot-status" id="${id}_status"></span>
+        </div>
+    `;
+    
+    container.insertAdjacentHTML('beforeend', html);
+    
+    ['date', 'shares', 'price', 'expenses'].forEach(field => {
+        if (entry[field]) document.getElementById(`${id}_${field}`).value = entry[field];
+    });
+    refreshEquitySaleAwardOptions();
+    updateEquitySummary();
+    return entry;
+}
+
+function updateEquitySale(id, field, value) {
+    const entry = equitySales.find(s => s.id === id);
+    if (entry) {
+        entry[field] = ['shares', 'price', 'expenses'].includes(field) ? parseFloat(value) || 0 : value;
+        updateEquitySummary();
+    }
+}
+
+function removeEquitySale(id) {
+    equitySales = equitySales.filter(s => s.id !== id);
+    window.equitySales = equitySales;  // Keep window reference in sync
+    const element = document.getElementById(id);
+    if (element) element.remove();
+    updateEquitySummary();
+    
+    // Ensure at least one row exists
+    if (equitySales.length === 0) {
+        addEquitySale();
+    }
+}
+
+/**
+ * Rebuild the "award" choices of every sale row after awards change
+ * (names go in through new Option() so typed text never reaches the markup)
+ */
+function refreshEquitySaleAwardOptions() {
+    equitySales.forEach(entry => {
+        const select = document.getElementById(`${entry.id}_awardId`);
+        if (!select) return;
+        select.innerHTML = '';
+        equityAwards.forEach((award, index) => {
+            select.add(new Option(EquityCompensation.getName(award, index), award.id));
+        });
+        if (!equityAwards.some(a => a.id === entry.awardId) && equityAwards.length > 0) {
+            entry.awardId = equityAwards[0].id;
+        }
+        select.value = entry.awardId;
+    });
+}
+
+/**
+ * Work out the awards and sales against the selected FY and refresh the row labels and total
+ */
+function updateEquitySummary() {
+    const config = getActiveTaxConfig();
+    // Same awards the engine counts (TaxEngine.normalizeProfile)
+    const result = EquityCompensation.compute(equityAwards.filter(a => EquityCompensation.isEntered(a)), equitySales, config);
+    
+    equityAwards.forEach(entry => {
+        const status = document.getElementById(`${entry.id}_status`);
+        if (!status) return;
+        const row = result.awards.find(a => a.id === entry.id);
+        if (!row || !row.date) {
+            status.textContent = '';
+            return;
+        }
+        const perquisite = row.inYear
+            ? `Perquisite this year ${TaxUtils.formatCurrency(row.perquisite)}${row.inSalary ? ' (in salary)' : ''}`
+            : `Perquisite in FY ${TaxUtils.getFinancialYearKey(row.date)}`;
+        const deferral = row.deferral ? ` · tax due by ${row.deferral.dueDate} (192(1C))` : '';
+        status.textContent = `${perquisite} · cost ${TaxUtils.formatCurrency(row.fmv)}/share · ${row.remaining} shares left${deferral}`;
+    });
+    
+    equitySales.forEach(entry => {
+        const status = document.getElementById(`${entry.id}_status`);
+        if (!status) return;
+        const sale = result.sales.find(s => s.id === entry.id);
+        status.classList.toggle('lot-status--error', Boolean(sale && sale.error));
+        status.textContent = sale && sale.error ? `Not counted: ${sale.error}` : '';
+    });
+    
+    const total = document.getElementById('totalEquityPerquisite');
+    const note = document.getElementById('equityNote');
+    if (total) total.textContent = TaxUtils.formatCurrency(result.perquisite);
+    if (note) {
+        note.textContent = result.lots.length > 0
+            ? ` · ${result.lots.length} sale${result.lots.length !== 1 ? 's' : ''} this year, counted with the capital gains`
+            : '';
+    }
+}
+
+// Expose to window for app.js and HTML onclick handlers
+window.employmentPeriods = employmentPeriods;
+window.investments80C = investments80C;
+window.donations = donations;
+window.advanceTaxPayments = advanceTaxPayments;
+window.arrearsEntries = arrearsEntries;
+window.capitalGainsLots = capitalGainsLots;
+window.propertySales = propertySales;
+window.reinvestments = reinvestments;
+window.capitalLosses = capitalLosses;
+window.houseProperties = houseProperties;
+window.minorChildren = minorChildren;
+window.perquisiteLoans = perquisiteLoans;
+window.equityAwards = equityAwards;
+window.equitySales = equitySales;
+window.addEmploymentPeriod = addEmploymentPeriod;
+window.updateEmploymentPeriod = updateEmploymentPeriod;
+window.removeEmploymentPeriod = removeEmploymentPeriod;
+window.calculatePeriodMonths = calculatePeriodMonths;
+window.getSelectedFinancialYear = getSelectedFinancialYear;
+window.getActiveTaxConfig = getActiveTaxConfig;
+window.buildFYYearOptions = buildFYYearOptions;
+window.updateEmploymentSummary = updateEmploymentSummary;
+window.getMonthName = getMonthName;
+window.addInvestment80C = addInvestment80C;
+window.updateInvestment80C = updateInvestment80C;
+window.removeInvestment80C = removeInvestment80C;
+window.updateTotal80C = updateTotal80C;
+window.addDonation = addDonation;
+window.updateDonation = updateDonation;
+window.removeDonation = removeDonation;
+window.addAdvanceTaxPayment = addAdvanceTaxPayment;
+window.updateAdvanceTaxPayment = updateAdvanceTaxPayment;
+window.removeAdvanceTaxPayment = removeAdvanceTaxPayment;
+
+window.addArrearsEntry = addArrearsEntry;
+window.updateArrearsEntry = updateArrearsEntry;
+window.removeArrearsEntry = removeArrearsEntry;
+
+window.addCapitalGainsLot = addCapitalGainsLot;
+window.updateCapitalGainsLot = updateCapitalGainsLot;
+window.removeCapitalGainsLot = removeCapitalGainsLot;
+window.updateCapitalGainsSummary = updateCapitalGainsSummary;
+window.loadCapitalGainsCsv = loadCapitalGainsCsv;
+window.confirmCapitalGainsImport = confirmCapitalGainsImport;
+window.cancelCapitalGainsImport = cancelCapitalGainsImport;
+
+window.addPropertySale = addPropertySale;
+window.updatePropertySale = updatePropertySale;
+window.removePropertySale = removePropertySale;
+window.addReinvestment = addReinvestment;
+window.updateReinvestment = updateReinvestment;
+window.removeReinvestment = removeReinvestment;
+window.updatePropertySalesSummary = updatePropertySalesSummary;
+
+window.addCapitalLossEntry = addCapitalLossEntry;
+window.updateCapitalLossEntry = updateCapitalLossEntry;
+window.removeCapitalLossEntry = removeCapitalLossEntry;
+window.refreshCapitalLossYearOptions = refreshCapitalLossYearOptions;
+window.updateCapitalLossSummary = updateCapitalLossSummary;
+window.loadSavedCapitalLosses = loadSavedCapitalLosses;
+window.loadCapitalLossFile = loadCapitalLossFile;
+window.saveCapitalLossCarryForward = saveCapitalLossCarryForward;
 
+window.addHouseProperty = addHouseProperty;
+window.updateHouseProperty = updateHouseProperty;
+window.removeHouseProperty = removeHouseProperty;
+window.updateHousePropertySummary = updateHousePropertySummary;
+window.addMinorChild = addMinorChild;
+window.updateMinorChild = updateMinorChild;
+window.removeMinorChild = removeMinorChild;
+window.addPerquisiteLoan = addPerquisiteLoan;
+window.updatePerquisiteLoan = updatePerquisiteLoan;
+window.removePerquisiteLoan = removePerquisiteLoan;
+window.collectPerquisites = collectPerquisites;
+window.updatePerquisitesSummary = updatePerquisitesSummary;
+window.addEquityAward = addEquityAward;
+window.updateEquityAward = updateEquityAward;
+window.removeEquityAward = removeEquityAward;
+window.addEquitySale = addEquitySale;
+window.updateEquitySale = updateEquitySale;
+window.removeEquitySale = removeEquitySale;
+window.updateEquitySummary = updateEquitySummary;
@@ -23,11 +23,16 @@ const MAX_FILE_SIZE_BYTES = MAX_FILE_SIZE_MB * 1024 * 1024;
 /**
  * Comprehensive extraction prompt covering ALL Form-16/26AS components
  * Designed to match fields in config.js and app.js collectUserData()
+ * @param {Object} config - Tax configuration of the selected financial year
+ * @returns {string} Prompt text with that FY's dates
  */
-const EXTRACTION_PROMPT = `You are an expert Indian tax document analyzer. Analyze this document (Form-16, Form 26AS, Salary Slip, or Tax Statement) and extract ALL salary/tax information.
+function buildExtractionPrompt(config = TAX_CONFIG) {
+    const fyStartYear = config.fyStartYear;
+    const fyEndYear = fyStartYear + 1;
+    return `You are an expert Indian tax document analyzer. Analyze this document (Form-16, Form 26AS, Salary Slip, or Tax Statement) and extract ALL salary/tax information.
 
 IMPORTANT CONTEXT:
-- Financial Year 2025-26 runs from April 2025 to March 2026
+- Financial Year ${config.financialYear} runs from April ${fyStartYear} to March ${fyEndYear}
 - Extract ANNUAL figures for the employment period shown
 - This is for an Indian Income Tax Calculator
 - Documents may come from platforms like Deel, Remote.com, Turing, or standard Form-16s
@@ -43,9 +48,9 @@ EXTRACT THE FOLLOWING JSON STRUCTURE (return 0 for missing numeric fields, null
   
   // ===== EMPLOYMENT PERIOD =====
   "startMonth": 1-12 (employment start month, 4=April),
-  "startYear": 4 digit year (2025 or 2026),
+  "startYear": 4 digit year (${fyStartYear} or ${fyEndYear}),
   "endMonth": 1-12 (employment end month, 3=March),
-  "endYear": 4 digit year (2025 or 2026),
+  "endYear": 4 digit year (${fyStartYear} or ${fyEndYear}),
   
   // ===== SALARY COMPONENTS - Section 17(1) =====
   "grossSalary": (Total gross salary - Section 17(1) in Form-16),
@@ -128,6 +133,7 @@ EXTRACTION RULES:
 8. Gratuity/Leave Encashment are usually shown separately (retirement benefits)
 9. 80G donations may appear under "Deductions" section in Form-16 Part B
 10. If document is partial or unclear, set extractionConfidence to LOW`;
+}
 
 /**
  * Convert file to base64 string
@@ -201,9 +207,10 @@ const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
 /**
  * Extract tax data from a document using Gemini API
  * @param {File} file - The document file (PDF or Image)
+ * @param {Object} config - Tax configuration of the selected financial year
  * @returns {Promise<Object>} Extracted data with structure matching our form fields
  */
-async function extractTaxData(file) {
+async function extractTaxData(file, config = TAX_CONFIG) {
     // Validate file
     const validation = validateFile(file);
     if (!validation.valid) {
@@ -220,7 +227,7 @@ async function extractTaxData(file) {
     const requestBody = {
         contents: [{
             parts: [
-                { text: EXTRACTION_PROMPT },
+                { text: buildExtractionPrompt(config) },
                 { 
                     inline_data: { 
                         mime_type: mimeType, 
@@ -301,7 +308,7 @@ async function extractTaxData(file) {
             }
             
             // Validate and normalize extracted data
-            return validateAndNormalizeExtraction(extractedData, file.name);
+            return validateAndNormalizeExtraction(extractedData, file.name, config);
             
         } catch (error) {
             // Re-throw if it's our custom quota error or other fatal error
@@ -314,9 +321,10 @@ async function extractTaxData(file) {
  * Validate extracted data and apply sanity checks
  * @param {Object} data - Raw extracted data from Gemini
  * @param {string} fileName - Original file name for logging
+ * @param {Object} config - Tax configuration (default dates come from its FY)
  * @returns {Object} Validated and normalized data with warnings
  */
-function validateAndNormalizeExtraction(data, fileName) {
+function validateAndNormalizeExtraction(data, fileName, config = TAX_CONFIG) {
     const warnings = [];
     const normalized = { ...data };
     
@@ -379,13 +387,13 @@ function validateAndNormalizeExtraction(data, fileName) {
     // Set default dates if not extracted (full FY)
     if (!normalized.startMonth || normalized.startMonth < 1 || normalized.startMonth > 12) {
         normalized.startMonth = 4;  // April
-        normalized.startYear = 2025;
-        warnings.push('Employment start date not found, defaulting to April 2025.');
+        normalized.startYear = config.fyStartYear;
+        warnings.push(`Employment start date not found, defaulting to April ${config.fyStartYear}.`);
     }
     if (!normalized.endMonth || normalized.endMonth < 1 || normalized.endMonth > 12) {
         normalized.endMonth = 3;  // March
-        normalized.endYear = 2026;
-        warnings.push('Employment end date not found, defaulting to March 2026.');
+        normalized.endYear = config.fyStartYear + 1;
+        warnings.push(`Employment end date not found, defaulting to March ${config.fyStartYear + 1}.`);
     }
     
     // Default employer name
@@ -448,6 +456,9 @@ function aggregateMultipleJobs(jobsData) {
         totalGiftsFromNonRelatives: 0,
         totalOtherIncomeFromEmployer: 0,
         
+        // Taxes paid (sum)
+        totalTDS: 0,
+        
         // 26AS Specific (sum)
         totalTCS: 0,
         totalAdvanceTax: 0,
@@ -459,6 +470,10 @@ function aggregateMultipleJobs(jobsData) {
         allWarnings: []
     };
     
+    // 26AS already lists TDS from every deductor, so it wins over per-employer Form 16 totals
+    let tdsFrom26AS = 0;
+    let tdsFromOtherDocs = 0;
+    
     jobsData.forEach((job, index) => {
         // === SUM FIELDS (per-job nature) ===
         aggregated.totalProfessionalTax += job.professionalTax || 0;
@@ -475,6 +490,13 @@ function aggregateMultipleJobs(jobsData) {
         // Other income (sum)
         aggregated.totalOtherIncomeFromEmployer += job.otherIncomeFromEmployer || 0;
         
+        // TDS (sum, kept apart by source)
+        if (job.documentType === 'Form26AS') {
+            tdsFrom26AS += job.taxDeductedTDS || 0;
+        } else {
+            tdsFromOtherDocs += job.taxDeductedTDS || 0;
+        }
+        
         // 26AS fields (sum)
         aggregated.totalTCS += job.tcsCollected || 0;
         aggregated.totalAdvanceTax += job.advanceTaxPaid || 0;
@@ -502,6 +524,8 @@ function aggregateMultipleJobs(jobsData) {
         }
     });
     
+    aggregated.totalTDS = tdsFrom26AS > 0 ? tdsFrom26AS : tdsFromOtherDocs;
+    
     // Cap professional tax at constitutional limit
     if (aggregated.totalProfessionalTax > 2500) {
         aggregated.allWarnings.push(`Total Professional Tax (₹${aggregated.totalProfessionalTax}) exceeds ₹2,500 limit. Capped.`);
@@ -0,0 +1,396 @@
+/**
+ * INCOME FROM HOUSE PROPERTY - Sections 22 to 24, 71(3A) and 71B, house by house
+ *
+ * Each property: { name, use, rent, municipalTax, share, interest, preConstructionInterest,
+ * possessionYear, principal, joint, loanShare, coOwnerName, coOwnerPan } where use is self-occupied,
+ * let out or deemed let out, rent is the year's rent (expected rent for a deemed let-out
+ * house), share is the taxpayer's ownership %, loanShare their share of the loan
+ * repayments (defaults to the ownership share, and is claimed only up to it) and rent,
+ * taxes, loan interest and
+ * principal are for the whole property (the shares are applied here).
+ *
+ *  - Annual value: rent - municipal taxes paid, nil for up to two self-occupied houses
+ *    (any further one is deemed let out); less 30% (Section 24(a)) and loan interest (24(b))
+ *  - Interest paid before possession (up to 31 March before the possession year) is
+ *    claimed in five equal instalments from the possession year (e.g. '2023-24'), as
+ *    part of that year's interest
+ *  - Interest on the self-occupied houses is capped at ₹2L together (old regime) and not
+ *    allowed at all in the new regime; let-out interest is not capped
+ *  - A jointly owned house with a joint loan: each co-owner claims interest and principal
+ *    (Section 80C) in proportion to their repayments, each within their own limits; the
+ *    other co-owner's figures are shown for them to claim in their own return
+ *  - A loss under the head is set off against other income up to ₹2L (old regime) and not
+ *    at all in the new regime; the rest is carried forward for 8 years against house
+ *    property income only (Section 80 does not apply, so a late return keeps it)
+ *
+ * Profile fields used: houseProperties, housePropertyLossBroughtForward
+ * (rentalIncome / homeLoanInterest / isPropertyLetOut become a list via fromLegacy())
+ */
+
+const HouseProperty = {
+    // Kinds of use -> ITR Schedule HP property type
+    USES: {
+        selfOccupied: { label: 'Self-occupied', itrType: 'S' },
+        letOut: { label: 'Let out', itrType: 'L' },
+        deemedLetOut: { label: 'Deemed let out', itrType: 'D' }
+    },
+
+    /**
+     * Properties from the single-property fields (rentalIncome, homeLoanInterest, isPropertyLetOut)
+     * Without the let-out flag the interest is on a self-occupied house and any rent is from another.
+     * @param {Object} profile - Raw profile
+     * @returns {Array} Properties
+     */
+    fromLegacy(profile) {
+        const rent = TaxUtils.validateNumber(profile.rentalIncome);
+        const interest = TaxUtils.validateNumber(profile.homeLoanInterest);
+        const property = (use, fields) => ({ name: '', use, rent: 0, municipalTax: 0, share: 100, interest: 0, ...fields });
+
+        if (profile.isPropertyLetOut === true) {
+            return rent > 0 || interest > 0 ? [property('letOut', { rent, interest })] : [];
+        }
+        const properties = [];
+        if (interest > 0) properties.push(property('selfOccupied', { interest }));
+        if (rent > 0) properties.push(property('letOut', { rent }));
+        return properties;
+    },
+
+    /**
+     * Whether a list row describes a house (a named self-occupied house without a loan
+     * still takes one of the two self-occupied places)
+     */
+    isEntered(property) {
+        return property.rent > 0 || property.interest > 0 || property.preConstructionInterest > 0 || property.principal > 0 ||
+            (property.use === 'selfOccupied' && Boolean(property.name));
+    },
+
+    /**
+     * Display name of a property
+     */
+    getName(property, index) {
+        return property.name || `House ${index + 1}`;
+    },
+
+    /**
+     * Taxpayer's share of the principal repaid on the house loans (added to homeLoanPrincipal for 80C)
+     * @param {Array} properties - As entered
+     * @returns {number}
+     */
+    getPrincipal(properties) {
+        return properties.reduce((total, property) =>
+            total + TaxUtils.validateNumber(property.principal) * this.getShares(property).loan, 0);
+    },
+
+    /**
+     * Ownership and loan repayment shares as fractions. Interest and principal are claimed
+     * by repayment share only up to the ownership share (loan); repayments beyond it are
+     * not deductible for either co-owner
+     */
+    getShares(property) {
+        const ownership = Math.min(100, TaxUtils.validateNumber(property.share) || 100) / 100;
+        const repayments = property.loanShare > 0 ? Math.min(100, TaxUtils.validateNumber(property.loanShare)) / 100 : ownership;
+        return { ownership, repayments, loan: Math.min(repayments, ownership) };
+    },
+
+    /**
+     * This year's instalment of the interest paid before possession
+     * @param {Object} property - As entered
+     * @param {Object} config - Tax configuration
+     * @returns {Object|null} { total, instalment, number, of, claimedBefore, remaining, possessionYear,
+     *   note } for the whole property, null without pre-construction interest
+     */
+    getPreConstructionInstalment(property, config = TAX_CONFIG) {
+        const total = TaxUtils.validateNumber(property.preConstructionInterest);
+        if (total <= 0) return null;
+
+        const of = config.specialRules.houseProperty.preConstructionInstalments;
+        const possessionYear = property.possessionYear || null;
+        const possessionStart = TaxUtils.getFinancialYearStart(possessionYear);
+        const empty = { total, instalment: 0, number: 0, of, claimedBefore: 0, remaining: total, possessionYear };
+        if (isNaN(possessionStart)) {
+            return { ...empty, note: 'Enter the possession year (e.g. 2023-24) to claim pre-construction interest.' };
+        }
+
+        // 1 in the possession year; instalments of earlier years count as already claimed
+        const number = TaxUtils.getFinancialYearStart(config.financialYear) - possessionStart + 1;
+        if (number < 1) {
+            return { ...empty, note: `Possession in FY ${possessionYear}: the instalments start that year.` };
+        }
+        const perYear = total / of;
+        const claimedBefore = perYear * Math.min(number - 1, of);
+        const instalment = number <= of ? perYear : 0;
+        return {
+            ...empty,
+            instalment,
+            number: Math.min(number, of + 1),
+            claimedBefore,
+            remaining: total - claimedBefore - instalment,
+            note: number > of ? `All ${of} instalments were due by FY ${TaxUtils.toFinancialYearKey(possessionStart + of - 1)}.` : null
+        };
+    },
+
+    /**
+     * Income under the head for one regime
+     * @param {Array} properties - As entered (see header)
+     * @param {string} regime - 'old' | 'new'
+     * @param {number} broughtForward - House property loss of earlier years
+     * @param {Object} config - Tax configuration
+     * @returns {Object} { properties, income, setOff, lossCarryForward, broughtForwardSetOff, chargeable, ... }
+     */
+    compute(properties, regime, broughtForward = 0, config = TAX_CONFIG) {
+        const rules = config.specialRules.houseProperty;
+        const interestLimit = regime === 'old' ? config.deductions.section24b.limits.selfOccupied : 0;
+        let selfOccupiedCount = 0;
+        let interestLimitLeft = interestLimit;
+
+        const rows = properties.map((property, index) => {
+            const shares = this.getShares(property);
+            const share = shares.ownership;
+            let use = this.USES[property.use] ? property.use : 'letOut';
+            let deemed = false;
+            if (use === 'selfOccupied' && ++selfOccupiedCount > rules.maxSelfOccupied) {
+                use = 'deemedLetOut';
+                deemed = true;
+            }
+
+            // Section 23(2): a self-occupied house has nil annual value
+            const rent = use === 'selfOccupied' ? 0 : TaxUtils.validateNumber(property.rent);
+            const municipalTax = Math.min(rent, TaxUtils.validateNumber(property.municipalTax));
+            const annualValue = (rent - municipalTax) * share;
+            const standardDeduction = annualValue * rules.standardDeduction;
+
+            // Pre-construction instalment counts as interest of the year (and within its limit)
+            const instalment = this.getPreConstructionInstalment(property, config);
+            const preConstruction = instalment && {
+                ...instalment,
+                total: instalment.total * shares.loan,
+                instalment: instalment.instalment * shares.loan,
+                claimedBefore: instalment.claimedBefore * shares.loan,
+                remaining: instalment.remaining * shares.loan
+            };
+            // Interest on the whole loan this year, split by repayment share below
+            const loanInterest = TaxUtils.validateNumber(property.interest) + (instalment ? instalment.instalment : 0);
+            const interestPaid = loanInterest * shares.loan;
+            let interest = interestPaid;
+            if (use === 'selfOccupied') {
+                interest = Math.min(interestPaid, interestLimitLeft);
+                interestLimitLeft -= interest;
+            }
+
+            const principal = TaxUtils.validateNumber(property.principal);
+            const coOwnerLoan = Math.min(1 - shares.repayments, 1 - share);
+            const coOwner = property.joint ? {
+                name: property.coOwnerName || 'Co-owner',
+                pan: property.coOwnerPan || '',
+                share: 1 - share,
+                loanShare: coOwnerLoan,
+                interestPaid: loanInterest * coOwnerLoan,
+                principal: principal * coOwnerLoan
+            } : null;
+
+            return {
+                name: this.getName(property, index),
+                use,
+                deemed,
+                share,
+                loanShare: shares.loan,
+                principal: principal * shares.loan,
+                coOwner,
+                rent: rent * share,
+                municipalTax: municipalTax * share,
+                annualValue,
+                standardDeduction,
+                interestPaid,
+                interest,
+                preConstruction,
+                income: annualValue - standardDeduction - interest
+            };
+        });
+
+        const sum = key => rows.reduce((total, row) => total + row[key], 0);
+        const income = sum('income');
+        const loss = Math.max(0, -income);
+        const setOffLimit = rules.interHeadSetOff[regime] || 0;
+        const setOff = Math.min(loss, setOffLimit);
+        const lossCarryForward = loss - setOff;
+        // Losses of earlier years only reduce this year's house property income
+        const broughtForwardSetOff = Math.min(Math.max(0, income), TaxUtils.validateNumber(broughtForward));
+        const selfOccupied = rows.filter(row => row.use === 'selfOccupied');
+
+        // Co-owners claim in their own returns, each with their own interest and 80C limits
+        const principalLimit = regime === 'old' ? config.deductions.section80C.maxLimit : 0;
+        const coOwners = [];
+        rows.filter(row => row.coOwner).forEach(row => {
+            let owner = coOwners.find(o => o.name === row.coOwner.name);
+            if (!owner) {
+                owner = { name: row.coOwner.name, properties: [], interestPaid: 0, interest: 0, principalPaid: 0, principal: 0, interestLimitLeft: interestLimit };
+                coOwners.push(owner);
+            }
+            let interest = row.coOwner.interestPaid;
+            if (row.use === 'selfOccupied') {
+                interest = Math.min(interest, owner.interestLimitLeft);
+                owner.interestLimitLeft -= interest;
+            }
+            row.coOwner.interest = interest;
+            owner.properties.push(row.name);
+            owner.interestPaid += row.coOwner.interestPaid;
+            owner.interest += interest;
+            owner.principalPaid += row.coOwner.principal;
+        });
+        coOwners.forEach(owner => {
+            owner.principal = Math.min(owner.principalPaid, principalLimit);
+            delete owner.interestLimitLeft;
+        });
+
+        return {
+            regime,
+            properties: rows,
+            annualValue: sum('annualValue'),
+            standardDeduction: sum('standardDeduction'),
+            interest: sum('interest'),
+            principal: sum('principal'),
+            preConstructionInterest: rows.reduce((total, row) => total + (row.preConstruction ? row.preConstruction.instalment : 0), 0),
+            selfOccupiedInterest: {
+                paid: selfOccupied.reduce((total, row) => total + row.interestPaid, 0),
+                allowed: selfOccupied.reduce((total, row) => total + row.interest, 0),
+                limit: interestLimit
+            },
+            coOwners,
+            principalLimit,
+            income,
+            setOffLimit,
+            setOff,
+            lossCarryForward,
+            broughtForward: TaxUtils.validateNumber(broughtForward),
+            broughtForwardSetOff,
+            carriedForward: lossCarryForward + TaxUtils.validateNumber(broughtForward) - broughtForwardSetOff,
+            // Part of gross total income: income after earlier losses, or the loss set off
+            chargeable: income >= 0 ? income - broughtForwardSetOff : 0 - setOff,
+            carryForwardYears: rules.lossCarryForward
+        };
+    },
+
+    /**
+     * Calculation log lines (the calculators add them as given)
+     * @param {Object} result - From compute()
+     * @returns {Array} [{ section, item, amount, explanation }]
+     */
+    describe(result) {
+        const fmt = TaxUtils.formatCurrency;
+        const entries = [];
+        const isOld = result.regime === 'old';
+
+        result.properties.forEach(row => {
+            const shareText = row.share < 1 ? ` (your ${Math.round(row.share * 100)}% share)` : '';
+            const loanText = row.loanShare !== row.share ? ` (your ${Math.round(row.loanShare * 100)}% of the repayments)` : '';
+            const interestText = row.interest < row.interestPaid
+                ? `interest ${fmt(row.interest)} of ${fmt(row.interestPaid)} paid`
+                : `interest ${fmt(row.interest)}`;
+            let explanation;
+            if (row.use === 'selfOccupied') {
+                explanation = isOld
+                    ? `Self-occupied: nil annual value. Loan ${interestText}${loanText || shareText}.`
+                    : `Self-occupied: nil annual value. Loan interest (${fmt(row.interestPaid)}) is not deductible in the new regime.`;
+            } else {
+                explanation = `Rent ${fmt(row.rent)} - municipal taxes ${fmt(row.municipalTax)} = annual value ${fmt(row.annualValue)}${shareText}, ` +
+                    `- 30% (${fmt(row.standardDeduction)}) - ${interestText}${loanText} = ${fmt(row.income)}.`;
+                if (row.deemed) {
+                    explanation += ' Only two houses can be self-occupied: this one is deemed let out at its expected rent.';
+                }
+            }
+            entries.push({
+                section: row.use === 'selfOccupied' ? 'Section 24(b)' : 'Section 24(a)',
+                item: `${row.name} (${this.USES[row.use].label})`,
+                amount: row.income,
+                explanation
+            });
+
+            // Pre-construction interest: deductible for let-out houses in both regimes
+            const pre = row.preConstruction;
+            if (pre && (isOld || row.use !== 'selfOccupied')) {
+                entries.push({
+                    section: 'Section 24(b)',
+                    item: pre.instalment > 0
+                        ? `${row.name}: pre-construction interest (instalment ${pre.number} of ${pre.of})`
+                        : `${row.name}: pre-construction interest`,
+                    amount: pre.instalment,
+                    explanation: pre.note ||
+                        `Interest paid before possession (${fmt(pre.total)}) is claimed in ${pre.of} equal instalments from FY ${pre.possessionYear}: ` +
+                        `${fmt(pre.claimedBefore)} claimed in earlier years, ${fmt(pre.instalment)} this year, ${fmt(pre.remaining)} left. ` +
+                        (row.use === 'selfOccupied' ? 'Included in the interest above and its limit.' : 'Included in the interest above.')
+                });
+            }
+        });
+
+        // Your side of the joint loans, next to what each co-owner can claim
+        const jointRows = result.properties.filter(row => row.coOwner);
+        if (jointRows.length > 0) {
+            const yourInterest = jointRows.reduce((total, row) => total + row.interest, 0);
+            const yourPrincipal = isOld ? jointRows.reduce((total, row) => total + row.principal, 0) : 0;
+            entries.push({
+                section: 'Section 24(b)',
+                item: 'You (co-owner) can claim',
+                amount: yourInterest + yourPrincipal,
+                explanation: `Joint loan on ${jointRows.map(row => row.name).join(', ')}: interest ${fmt(yourInterest)} (Section 24(b))` +
+                    (isOld ? ` and principal ${fmt(yourPrincipal)} (Section 80C, with your other 80C items within ${fmt(result.principalLimit)})` : '') + '.'
+            });
+        }
+        result.coOwners.forEach(owner => {
+            const interestText = owner.interest < owner.interestPaid
+                ? `interest ${fmt(owner.interest)} of ${fmt(owner.interestPaid)} (Section 24(b), ` +
+                    (isOld ? `own ${fmt(result.selfOccupiedInterest.limit)} self-occupied limit)` : 'self-occupied interest is not deductible in the new regime)')
+                : `interest ${fmt(owner.interest)} (Section 24(b))`;
+            const principalText = isOld
+                ? ` and principal ${fmt(owner.principal)}${owner.principal < owner.principalPaid ? ` of ${fmt(owner.principalPaid)}` : ''} (Section 80C, with their other 80C items within ${fmt(result.principalLimit)})`
+                : '';
+            entries.push({
+                section: 'Section 24(b)',
+                item: `${owner.name} (co-owner) can claim`,
+                amount: owner.interest + owner.principal,
+                explanation: `Joint loan on ${owner.properties.join(', ')}: ${interestText}${principalText} in their own return.`
+            });
+        });
+
+        const interest = result.selfOccupiedInterest;
+        if (isOld && interest.paid > interest.allowed) {
+            entries.push({
+                section: 'Section 24(b)',
+                item: 'Self-occupied interest over the limit',
+                amount: interest.paid - interest.allowed,
+                explanation: `Interest on self-occupied houses is capped at ${fmt(interest.limit)} in total: ${fmt(interest.paid - interest.allowed)} is not deductible.`
+            });
+        }
+        if (result.setOff > 0) {
+            entries.push({
+                section: 'Section 71(3A)',
+                item: 'Loss set off against other income',
+                amount: result.setOff,
+                explanation: `House property loss of ${fmt(-result.income)} reduces other income by up to ${fmt(result.setOffLimit)}.`
+            });
+        }
+        if (result.lossCarryForward > 0) {
+            entries.push({
+                section: 'Section 71B',
+                item: 'Loss carried forward',
+                amount: result.lossCarryForward,
+                explanation: isOld
+                    ? `Loss above the set-off limit: carried forward ${result.carryForwardYears} years against house property income only.`
+                    : `No set-off against other income in the new regime: carried forward ${result.carryForwardYears} years against house property income only.`
+            });
+        }
+        if (result.broughtForwardSetOff > 0) {
+            entries.push({
+                section: 'Section 71B',
+                item: 'Earlier years\' loss set off',
+                amount: result.broughtForwardSetOff,
+                explanation: `House property loss brought forward (${fmt(result.broughtForward)}) set off against this year's house property income.`
+            });
+        }
+        return entries;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HouseProperty;
+}
@@ -0,0 +1,415 @@
+/**
+ * HOUSEHOLD - Joint optimisation across spouses and family members
+ *
+ * Holds several taxpayer profiles, runs both regimes for each person and
+ * decides who claims the items the family can arrange between themselves:
+ *
+ *  - parentsHealthInsurance: [{ premium, parentsAgeCategory, eligible }] - 80D for parents;
+ *    only the parents' own children can claim (eligible member names, default everyone),
+ *    one of them or split equally, each within their own parents' limit
+ *  - houseProperties: [{ ...house fields (see HouseProperty), owners: { name: share % } }] -
+ *    a house and joint loan of two members; the repayment share decides who claims the
+ *    interest (24(b)) and principal (80C), each within their own limits and ownership share
+ *  - investments80C: [{ type, amount }] - new 80C investments, placed in steps
+ *
+ * Income from assets given to a spouse (or a son's wife) without adequate consideration
+ * stays with the giver (Sections 64(1)(iv) and 64(1)(vi), config.specialRules.clubbingOfIncome):
+ * transfers: [{ from, to, relation, income, incomeType, adequateConsideration, livingApart }]
+ * move that income back before anything is optimised. A minor child's income
+ * (minorChildren: [{ name, income, skillIncome, disabled, parents }], see MinorClubbing)
+ * goes to the parent whose total income without it is higher (Section 64(1A)).
+ *
+ * Every combination of choices is tried when there are few enough; otherwise each decision
+ * is tried option by option with the others fixed until no change lowers the household's
+ * total (each person on their cheaper regime).
+ */
+
+// In Node, load the engine (and through it the calculators) the way taxEngine.js loads its modules
+if (typeof module !== 'undefined' && module.exports) {
+    if (typeof TaxEngine === 'undefined') globalThis.TaxEngine = require('./taxEngine.js');
+}
+
+const Household = {
+    STORAGE_KEY: 'household',
+
+    // Steps for repayment shares and investment splits
+    SPLIT_STEPS: 10,
+    MAX_PASSES: 5,
+    EXHAUSTIVE_LIMIT: 500,
+
+    // Transfer relation -> clubbing rule in config.specialRules.clubbingOfIncome
+    CLUBBING_RELATIONS: {
+        spouse: { label: 'Spouse', rule: clubbing => clubbing.spouseIncome.assetTransfer, livingApartException: true },
+        daughterInLaw: { label: 'Son\'s wife', rule: clubbing => clubbing.daughterInLaw, livingApartException: false }
+    },
+
+    // Income a transferred asset can earn -> profile field
+    INCOME_TYPES: {
+        fdInterest: 'FD / deposit interest',
+        savingsInterest: 'Savings interest',
+        dividendIncome: 'Dividends',
+        otherIncome: 'Other income'
+    },
+
+    /**
+     * Members with names and the household's financial year applied
+     * @param {Object} household - { financialYear, members: [profile with name], ... }
+     * @returns {Array} [{ name, profile }]
+     */
+    getMembers(household) {
+        const members = Array.isArray(household.members) ? household.members : [];
+        return members.map((profile, index) => ({
+            name: profile.name || `Member ${index + 1}`,
+            profile: { ...profile, financialYear: household.financialYear || profile.financialYear }
+        }));
+    },
+
+    /**
+     * Apply the clubbing provisions to the transfers between members
+     * @param {Array} members - From getMembers()
+     * @param {Array} transfers - As entered (see header)
+     * @param {Object} config - Tax configuration
+     * @returns {Object} { members (profiles with clubbed income moved), clubbing: [...] }
+     */
+    applyClubbing(members, transfers = [], config = TAX_CONFIG) {
+        const clubbingConfig = config.specialRules.clubbingOfIncome;
+        const profiles = new Map(members.map(m => [m.name, { ...m.profile }]));
+        const clubbing = transfers.map(transfer => {
+            const income = TaxUtils.validateNumber(transfer.income);
+            const incomeType = this.INCOME_TYPES[transfer.incomeType] ? transfer.incomeType : 'otherIncome';
+            const relation = this.CLUBBING_RELATIONS[transfer.relation];
+            const entry = { ...transfer, income, incomeType, clubbed: false, section: null, reason: '' };
+
+            if (!profiles.has(transfer.from)) {
+                return { ...entry, reason: `${transfer.from || 'The giver'} is not a household member.` };
+            }
+            if (!relation) {
+                return { ...entry, reason: 'No clubbing rule for this relation: the income stays with the recipient.' };
+            }
+            const rule = relation.rule(clubbingConfig);
+            entry.section = rule.section;
+            if (transfer.adequateConsideration) {
+                return { ...entry, reason: 'Transferred for adequate consideration: not clubbed.' };
+            }
+            if (relation.livingApartException && transfer.livingApart) {
+                return { ...entry, reason: rule.exception };
+            }
+
+            // Taxed in the giver's hands instead of the recipient's
+            const recipient = profiles.get(transfer.to);
+            if (recipient) {
+                recipient[incomeType] = Math.max(0, TaxUtils.validateNumber(recipient[incomeType]) - income);
+            }
+            const giver = profiles.get(transfer.from);
+            giver[incomeType] = TaxUtils.validateNumber(giver[incomeType]) + income;
+            return {
+                ...entry,
+                clubbed: income > 0,
+                reason: `${rule.condition}: ${TaxUtils.formatCurrency(income)} of ${this.INCOME_TYPES[incomeType].toLowerCase()} is taxed in ${transfer.from}'s hands.`
+            };
+        });
+
+        return {
+            members: members.map(m => ({ name: m.name, profile: profiles.get(m.name) })),
+            clubbing
+        };
+    },
+
+    /**
+     * Give each minor child's income to the parent with the higher income
+     * @param {Array} members - After applyClubbing()
+     * @param {Array} children - Household minorChildren (parents: member names)
+     * @param {Object} config - Tax configuration
+     * @returns {Object} { members, minorChildren: [{ name, parent, income }] }
+     */
+    applyMinorClubbing(members, children = [], config = TAX_CONFIG) {
+        // Each parent's total income without any minor child's income, on their cheaper regime
+        const incomes = new Map();
+        const incomeOf = member => {
+            if (!incomes.has(member.name)) {
+                const comparison = TaxEngine.computeTaxComparison({ ...member.profile, minorChildren: [] }, config);
+                incomes.set(member.name, (comparison.betterRegime === 'new' ? comparison.newResult : comparison.oldResult).totalIncome);
+            }
+            return incomes.get(member.name);
+        };
+
+        const profiles = new Map(members.map(m => [m.name, { ...m.profile }]));
+        const placed = children.map(child => {
+            const parents = members.filter(m => (child.parents || []).includes(m.name));
+            if (parents.length === 0) return { name: child.name, parent: null, income: TaxUtils.validateNumber(child.income) };
+            // Ties go to the first parent listed
+            const parent = parents.reduce((higher, m) => (incomeOf(m) > incomeOf(higher) ? m : higher));
+            const profile = profiles.get(parent.name);
+            const entry = { ...child };
+            delete entry.parents;
+            profile.minorChildren = [...(profile.minorChildren || []), entry];
+            profile.spouseIncome = 0;
+            return { name: child.name, parent: parent.name, income: TaxUtils.validateNumber(child.income) };
+        });
+
+        return {
+            members: members.map(m => ({ name: m.name, profile: profiles.get(m.name) })),
+            minorChildren: placed
+        };
+    },
+
+    /**
+     * Decisions and their options; the first option of each is the starting point
+     * @param {Object} household - As entered
+     * @param {Array} names - Member names
+     * @returns {Array} [{ id, label, options: [{ label, patches: { name: [patch] } }] }]
+     */
+    buildDecisions(household, names) {
+        const decisions = [];
+        const steps = this.SPLIT_STEPS;
+
+        (household.parentsHealthInsurance || []).forEach((policy, index) => {
+            const premium = TaxUtils.validateNumber(policy.premium);
+            const eligible = (policy.eligible || names).filter(name => names.includes(name));
+            if (premium <= 0 || eligible.length === 0) return;
+            const patch = amount => ({ kind: 'parentsHealthInsurance', amount, parentsAgeCategory: policy.parentsAgeCategory || 'below60' });
+            const options = eligible.map(name => ({ label: `${name} pays`, patches: { [name]: [patch(premium)] } }));
+            if (eligible.length > 1) {
+                options.push({
+                    label: `Split equally (${eligible.join(', ')})`,
+                    patches: Object.fromEntries(eligible.map(name => [name, [patch(premium / eligible.length)]]))
+                });
+            }
+            decisions.push({ id: `parents${index}`, label: `Parents' health insurance ${TaxUtils.formatCurrency(premium)} (80D)`, options });
+        });
+
+        (household.houseProperties || []).forEach((house, index) => {
+            const owners = Object.entries(house.owners || {}).filter(([name]) => names.includes(name));
+            if (owners.length === 0) return;
+            const houseName = HouseProperty.getName(house, index);
+            const [first, second] = owners;
+            // A co-owner claims interest and principal only up to their ownership share (Section 24(b), 80C)
+            const rowFor = (ownership, repays, other) => ({
+                kind: 'house',
+                house: {
+                    ...house,
+                    owners: undefined,
+                    share: ownership,
+                    // Shown as a joint loan only while both repay
+                    joint: repays > 0 && repays < 100,
+                    coOwnerName: other,
+                    // No repayments: keeps the income share, claims nothing
+                    ...(repays > 0 ? { loanShare: repays } : { interest: 0, principal: 0, preConstructionInterest: 0 })
+                }
+            });
+            if (!second) {
+                decisions.push({
+                    id: `house${index}`,
+                    label: houseName,
+                    options: [{ label: `${first[0]} repays`, patches: { [first[0]]: [rowFor(first[1], 100, '')] } }]
+                });
+                return;
+            }
+            // Starting point: repayments in proportion to ownership. Other splits only while
+            // neither repays more than their ownership share, as the excess cannot be claimed
+            const shares = [first[1]];
+            for (let i = 0; i <= steps; i++) {
+                const share = Math.round((100 * i) / steps);
+                if (share !== first[1] && share <= first[1] && 100 - share <= second[1]) shares.push(share);
+            }
+            decisions.push({
+                id: `house${index}`,
+                label: `${houseName} (joint loan of ${first[0]} and ${second[0]}, each claims up to their ownership share)`,
+                options: shares.map(share => ({
+                    label: `${first[0]} repays ${share}%, ${second[0]} ${100 - share}%`,
+                    patches: {
+                        [first[0]]: [rowFor(first[1], share, second[0])],
+                        [second[0]]: [rowFor(second[1], 100 - share, first[0])]
+                    }
+                }))
+            });
+        });
+
+        (household.investments80C || []).forEach((investment, index) => {
+            const amount = TaxUtils.validateNumber(investment.amount);
+            if (amount <= 0 || names.length === 0) return;
+            const type = investment.type || 'ppf';
+            const splits = this.listSplits(names.length, steps);
+            decisions.push({
+                id: `investment${index}`,
+                label: `80C investment ${TaxUtils.formatCurrency(amount)} (${type})`,
+                options: splits.map(split => ({
+                    label: names.map((name, i) => (split[i] > 0 ? `${name} ${TaxUtils.formatCurrency(amount * split[i] / steps)}` : null))
+                        .filter(Boolean).join(', '),
+                    patches: Object.fromEntries(names.map((name, i) => [name, split[i] > 0 ? [{ kind: 'investment', type, amount: amount * split[i] / steps }] : []]))
+                }))
+            });
+        });
+
+        return decisions;
+    },
+
+    /**
+     * Ways to share `steps` parts between `count` people, all to the first person first
+     * (beyond three people only whole amounts to one person)
+     */
+    listSplits(count, steps) {
+        const single = index => Array.from({ length: count }, (_, i) => (i === index ? steps : 0));
+        if (count > 3) return Array.from({ length: count }, (_, i) => single(i));
+        const splits = [];
+        const walk = (prefix, left) => {
+            if (prefix.length === count - 1) {
+                splits.push([...prefix, left]);
+                return;
+            }
+            for (let part = left; part >= 0; part--) walk([...prefix, part], left - part);
+        };
+        walk([], steps);
+        return splits;
+    },
+
+    /**
+     * A member's profile with their share of the household items added
+     * @param {Object} profile - Member profile (after clubbing)
+     * @param {Array} patches - From the chosen options
+     * @returns {Object} Profile
+     */
+    applyPatches(profile, patches) {
+        const result = { ...profile };
+        patches.forEach(patch => {
+            if (patch.kind === 'parentsHealthInsurance') {
+                result.healthInsuranceParents = TaxUtils.validateNumber(result.healthInsuranceParents) + patch.amount;
+                result.parentsAgeCategory = patch.parentsAgeCategory;
+            } else if (patch.kind === 'house') {
+                result.houseProperties = [...(result.houseProperties || []), patch.house];
+            } else if (patch.kind === 'investment') {
+                // Flat fields are replaced when a list is given (TaxEngine.normalizeProfile)
+                if (Array.isArray(result.investments80C) && result.investments80C.length > 0) {
+                    result.investments80C = [...result.investments80C, { type: patch.type, amount: patch.amount }];
+                } else {
+                    const field = TaxEngine.INVESTMENT_80C_FIELDS[patch.type] || 'ppfContribution';
+                    result[field] = TaxUtils.validateNumber(result[field]) + patch.amount;
+                }
+            }
+        });
+        return result;
+    },
+
+    /**
+     * Optimise the household
+     * @param {Object} household - { financialYear, members, parentsHealthInsurance, houseProperties,
+     *   investments80C, transfers }
+     * @param {Object} config - Tax configuration of the year
+     * @returns {Object} { members: [{ name, comparison, regime, tax, assigned }], decisions, clubbing,
+     *   totalTax, startingTax, savings, recommendations }
+     */
+    optimize(household, config = TaxYearRegistry.getConfig(household.financialYear)) {
+        const transferred = this.applyClubbing(this.getMembers(household), household.transfers || [], config);
+        const clubbed = { ...transferred, ...this.applyMinorClubbing(transferred.members, household.minorChildren || [], config) };
+        const names = clubbed.members.map(m => m.name);
+        const decisions = this.buildDecisions(household, names);
+
+        // Each person's tax depends only on their own patches
+        const cache = new Map();
+        const compute = (member, patches) => {
+            const key = `${member.name}\u0000${JSON.stringify(patches)}`;
+            if (!cache.has(key)) {
+                cache.set(key, TaxEngine.computeTaxComparison(this.applyPatches(member.profile, patches), config));
+            }
+            return cache.get(key);
+        };
+        const evaluate = choice => {
+            const members = clubbed.members.map(member => {
+                const patches = decisions.flatMap((decision, i) => decision.options[choice[i]].patches[member.name] || []);
+                const comparison = compute(member, patches);
+                const result = comparison.betterRegime === 'new' ? comparison.newResult : comparison.oldResult;
+                return { name: member.name, comparison, regime: comparison.betterRegime, tax: result.finalTax };
+            });
+            return { members, total: members.reduce((sum, m) => sum + m.tax, 0) };
+        };
+
+        let choice = decisions.map(() => 0);
+        const starting = evaluate(choice);
+        let best = starting;
+        const combinations = decisions.reduce((count, decision) => count * decision.options.length, 1);
+
+        // Few enough to try every combination (a regime switch often needs several claims at once)
+        if (combinations <= this.EXHAUSTIVE_LIMIT) {
+            for (let n = 1; n < combinations; n++) {
+                let rest = n;
+                const trial = decisions.map(decision => {
+                    const option = rest % decision.options.length;
+                    rest = Math.floor(rest / decision.options.length);
+                    return option;
+                });
+                const result = evaluate(trial);
+                if (result.total < best.total) {
+                    best = result;
+                    choice = trial;
+                }
+            }
+        }
+        for (let pass = 0; pass < this.MAX_PASSES && combinations > this.EXHAUSTIVE_LIMIT; pass++) {
+            let improved = false;
+            decisions.forEach((decision, i) => {
+                decision.options.forEach((option, o) => {
+                    if (o === choice[i]) return;
+                    const trial = evaluate(choice.map((c, j) => (j === i ? o : c)));
+                    if (trial.total < best.total) {
+                        best = trial;
+                        choice[i] = o;
+                        improved = true;
+                    }
+                });
+            });
+            if (!improved) break;
+        }
+
+        const chosen = decisions.map((decision, i) => ({
+            id: decision.id,
+            label: decision.label,
+            choice: decision.options[choice[i]].label,
+            starting: decision.options[0].label,
+            changed: choice[i] !== 0
+        }));
+        const members = best.members.map(member => ({
+            ...member,
+            assigned: decisions
+                .filter((decision, i) => (decision.options[choice[i]].patches[member.name] || []).length > 0)
+                .map(decision => decision.label)
+        }));
+
+        return {
+            financialYear: config.financialYear,
+            members,
+            decisions: chosen,
+            clubbing: clubbed.clubbing,
+            minorChildren: clubbed.minorChildren,
+            totalTax: best.total,
+            startingTax: starting.total,
+            savings: starting.total - best.total,
+            recommendations: this.describe(members, chosen, clubbed.clubbing, clubbed.minorChildren, config)
+        };
+    },
+
+    /**
+     * Plain-language recommendations
+     */
+    describe(members, decisions, clubbing, minorChildren = [], config = TAX_CONFIG) {
+        const fmt = TaxUtils.formatCurrency;
+        const lines = decisions.map(d => `${d.label}: ${d.choice}` + (d.changed ? ` (instead of ${d.starting})` : ''));
+        members.forEach(m => {
+            const other = m.regime === 'new' ? m.comparison.oldResult : m.comparison.newResult;
+            lines.push(`${m.name}: ${m.regime === 'new' ? 'New' : 'Old'} regime, tax ${fmt(m.tax)}` +
+                (other.finalTax > m.tax ? ` (${fmt(other.finalTax - m.tax)} less than the ${m.regime === 'new' ? 'old' : 'new'} regime)` : ''));
+        });
+        clubbing.filter(c => c.clubbed).forEach(c => {
+            lines.push(`${c.section}: ${c.reason}`);
+        });
+        const minorSection = config.specialRules.clubbingOfIncome.minorChild.section;
+        minorChildren.filter(c => c.parent).forEach(c => {
+            lines.push(`${minorSection}: ${c.name}'s income is clubbed with ${c.parent} (the parent with the higher income).`);
+        });
+        return lines;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Household;
+}
@@ -0,0 +1,189 @@
+/**
+ * ITR ELIGIBILITY - Which Income Tax Return form applies
+ *
+ * Each deciding factor in the profile can rule out one or more forms;
+ * the simplest form that is left wins (ITR-1 → ITR-4 → ITR-2 → ITR-3).
+ *
+ * Profile fields used (besides income fields): residentialStatus,
+ * numberOfHouseProperties, hasForeignAssets, isCompanyDirector,
+ * holdsUnlistedShares, businessIncomeType
+ */
+
+const ItrEligibility = {
+    /**
+     * Decide the ITR form for a profile
+     * @param {Object} userData - Normalized user data
+     * @param {Object} result - Regime result the return will be filed under (for total income)
+     * @param {Object} config - Tax configuration
+     * @returns {Object} { form, name, description, factors, ruledOut, totalIncome }
+     */
+    determineForm(userData, result, config = TAX_CONFIG) {
+        const itrConfig = config.itrForms;
+        const factors = this.collectFactors(userData, result, config);
+
+        // Form -> reasons it was ruled out
+        const ruledOut = {};
+        factors.forEach(factor => {
+            factor.rulesOut.forEach(form => {
+                ruledOut[form] = ruledOut[form] || [];
+                ruledOut[form].push(factor.label);
+            });
+        });
+
+        const form = itrConfig.preferenceOrder.find(f => !ruledOut[f])
+            || itrConfig.preferenceOrder[itrConfig.preferenceOrder.length - 1];
+
+        return {
+            form,
+            name: itrConfig.forms[form].name,
+            description: itrConfig.forms[form].description,
+            factors,
+            ruledOut,
+            totalIncome: this.getTotalIncome(result)
+        };
+    },
+
+    /**
+     * Total income for the ₹50L test: taxable income plus special-rate capital gains after
+     * losses are set off (short-term gains at slab rates are already in taxable income)
+     * @param {Object} result - Regime calculation result
+     * @returns {number}
+     */
+    getTotalIncome(result) {
+        return TaxUtils.roundToRupee(
+            TaxUtils.validateNumber(result.taxableIncome) + result.capitalGainsTax.income.total
+        );
+    },
+
+    /**
+     * Capital gains by kind, as entered
+     */
+    getCapitalGains(userData) {
+        const stcgEquity = TaxUtils.validateNumber(userData.stcgEquity);
+        const stcgOther = TaxUtils.validateNumber(userData.stcgOther);
+        const ltcgEquity = TaxUtils.validateNumber(userData.ltcgEquity);
+        const ltcgOther = TaxUtils.validateNumber(userData.ltcgOther);
+        // Taxable long-term gain on property sales after Sections 54 / 54F / 54EC (short-term is in stcgOther)
+        const propertyGains = userData.propertyGains;
+        const property = propertyGains ? propertyGains.ltcg : 0;
+
+        return {
+            stcgEquity,
+            stcgOther,
+            ltcgEquity,
+            ltcgOther,
+            property,
+            hasPropertySale: Boolean(propertyGains && propertyGains.sales.some(sale => !sale.error)),
+            total: stcgEquity + stcgOther + ltcgEquity + ltcgOther + property
+        };
+    },
+
+    /**
+     * Evaluate every deciding factor
+     * @returns {Array} [{ id, label, value, rulesOut, explanation }]
+     */
+    collectFactors(userData, result, config) {
+        const itrConfig = config.itrForms;
+        const simpleForms = ['ITR-1', 'ITR-4'];
+        const factors = [];
+        const add = (id, label, value, rulesOut, explanation) => factors.push({ id, label, value, rulesOut, explanation });
+
+        // 1. Residential status - ITR-1/ITR-4 are for residents (ROR) only
+        const status = userData.residentialStatus || 'resident';
+        add('residentialStatus', 'Residential status', itrConfig.residentialStatuses[status] || status,
+            status === 'resident' ? [] : simpleForms,
+            status === 'resident' ? 'Residents can use any form.' : 'RNOR and non-residents must use ITR-2 or ITR-3.');
+
+        // 2. Total income above ₹50L
+        const totalIncome = this.getTotalIncome(result);
+        const aboveLimit = totalIncome > itrConfig.totalIncomeLimit;
+        add('totalIncome', 'Total income', TaxUtils.formatCurrency(totalIncome),
+            aboveLimit ? simpleForms : [],
+            aboveLimit
+                ? `Above ${TaxUtils.formatShortCurrency(itrConfig.totalIncomeLimit)} - ITR-1/ITR-4 not allowed (Schedule AL applies).`
+                : `Within the ${TaxUtils.formatShortCurrency(itrConfig.totalIncomeLimit)} limit for ITR-1/ITR-4.`);
+
+        // 3. Capital gains - only 112A LTCG up to the exemption limit fits ITR-1/ITR-4
+        const gains = this.getCapitalGains(userData);
+        const ltcgLimit = config.capitalGains.ltcg.equity.exemption;
+        if (gains.total > 0 || gains.hasPropertySale) {
+            const onlySmallLTCG = gains.ltcgEquity === gains.total && !gains.hasPropertySale && gains.ltcgEquity <= ltcgLimit;
+            const parts = [];
+            if (gains.stcgEquity > 0) parts.push(`STCG ${TaxUtils.formatCurrency(gains.stcgEquity)}`);
+            if (gains.stcgOther > 0) parts.push(`STCG at slab rates ${TaxUtils.formatCurrency(gains.stcgOther)}`);
+            if (gains.ltcgEquity > 0) parts.push(`LTCG 112A ${TaxUtils.formatCurrency(gains.ltcgEquity)}`);
+            if (gains.ltcgOther > 0) parts.push(`LTCG 112 ${TaxUtils.formatCurrency(gains.ltcgOther)}`);
+            if (gains.hasPropertySale) parts.push(`Property sale gain ${TaxUtils.formatCurrency(gains.property)}`);
+            add('capitalGains', 'Capital gains', parts.join(', '),
+                onlySmallLTCG ? [] : simpleForms,
+                onlySmallLTCG
+                    ? `LTCG u/s 112A up to ${TaxUtils.formatCurrency(ltcgLimit)} can be reported in ITR-1/ITR-4.`
+                    : `Short-term gains, Section 112 gains, property sales or LTCG above ${TaxUtils.formatCurrency(ltcgLimit)} need Schedule CG (ITR-2/ITR-3).`);
+        }
+
+        // 4. Agricultural income above ₹5,000 (config.specialRules.agriculturalIncome.itrForms)
+        const agriRule = config.specialRules.agriculturalIncome;
+        const agriThreshold = agriRule.partialIntegration.conditions.agriculturalIncomeThreshold;
+        const agriIncome = TaxUtils.validateNumber(userData.agriculturalIncome);
+        if (agriIncome > 0) {
+            const aboveThreshold = agriIncome > agriThreshold;
+            add('agriculturalIncome', 'Agricultural income', TaxUtils.formatCurrency(agriIncome),
+                aboveThreshold ? simpleForms : [],
+                aboveThreshold ? agriRule.itrForms.above5000 : agriRule.itrForms.upTo5000);
+        }
+
+        // 5. More than one house property
+        const houseProperties = TaxUtils.validateNumber(userData.numberOfHouseProperties);
+        if (houseProperties > 0) {
+            const tooMany = houseProperties > itrConfig.maxHouseProperties;
+            add('houseProperties', 'House properties', String(houseProperties),
+                tooMany ? simpleForms : [],
+                tooMany ? 'More than one house property needs ITR-2/ITR-3.' : 'One house property fits ITR-1/ITR-4.');
+        }
+
+        // 5b. House property loss brought forward or to carry forward (Schedule CFL)
+        const houseProperty = result && result.houseProperty;
+        if (houseProperty && (houseProperty.broughtForward > 0 || houseProperty.lossCarryForward > 0)) {
+            add('housePropertyLoss', 'House property loss (Schedule CFL)',
+                TaxUtils.formatCurrency(houseProperty.broughtForward + houseProperty.lossCarryForward), simpleForms,
+                'Losses brought forward or carried forward need Schedule CFL (ITR-2/ITR-3).');
+        }
+
+        // 6. Foreign assets / income, directorship, unlisted shares
+        if (userData.hasForeignAssets) {
+            add('foreignAssets', 'Foreign assets or income', 'Yes', simpleForms,
+                'Schedule FA (foreign assets) is only in ITR-2/ITR-3.');
+        }
+        if (userData.isCompanyDirector) {
+            add('director', 'Director in a company', 'Yes', simpleForms,
+                'Company directors cannot use ITR-1/ITR-4.');
+        }
+        if (userData.holdsUnlistedShares) {
+            add('unlistedShares', 'Unlisted equity shares held', 'Yes', simpleForms,
+                'Holding unlisted equity at any time in the year rules out ITR-1/ITR-4.');
+        }
+
+        // 7. Business / professional income decides between the salaried and business forms
+        const business = userData.businessIncomeType || 'none';
+        const businessRulesOut = {
+            none: ['ITR-3', 'ITR-4'],
+            presumptive: ['ITR-1', 'ITR-2'],
+            regular: ['ITR-1', 'ITR-2', 'ITR-4']
+        };
+        const businessExplanations = {
+            none: 'No business income: ITR-1 or ITR-2.',
+            presumptive: 'Presumptive income is filed in ITR-4 (or ITR-3 if ITR-4 is ruled out).',
+            regular: 'Business/professional income with books of accounts needs ITR-3.'
+        };
+        add('businessIncome', 'Business / professional income', itrConfig.businessIncomeTypes[business] || business,
+            businessRulesOut[business] || businessRulesOut.none,
+            businessExplanations[business] || businessExplanations.none);
+
+        return factors;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ItrEligibility;
+}
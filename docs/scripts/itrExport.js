@@ -0,0 +1,869 @@
+/**
+ * ITR EXPORT - ITR-1 / ITR-2 draft JSON in the offline utility's shape
+ *
+ * Fills the return from one regime's calculation result (grossIncome,
+ * exemptions, deductions, capitalGainsTax, interest, taxesPaid) and checks
+ * it against the local schemas in itrSchemas.js.
+ *
+ * The file is a draft: the local schemas approximate the published ones and
+ * CreationInfo carries placeholder software IDs, so the e-filing portal will
+ * not accept it. It says so in its Draft block.
+ *
+ * Fields the calculator has no data for (PAN, address, bank account,
+ * challan numbers...) are left as empty strings and listed in the
+ * unfilled report so they can be completed in the utility before filing.
+ */
+
+const ItrExport = {
+    SUPPORTED_FORMS: ['ITR-1', 'ITR-2'],
+
+    // Written into CreationInfo: placeholders, as this calculator has no registered software ID
+    CREATION_INFO: {
+        SWVersionNo: '1.0',
+        SWCreatedBy: 'SW00000000',
+        JSONCreatedBy: 'SW00000000',
+        IntermediaryCity: 'Delhi',
+        Digest: 'DRAFT'
+    },
+
+    // Written into the Draft block at the top of every file
+    DRAFT_NOTICE: 'Draft prepared by a tax calculator from an approximation of the ITR schema. ' +
+        'It cannot be uploaded to the e-filing portal: enter these figures in the official utility and file from there.',
+
+    // Profile employerType -> ITR EmployerCategory (government is central vs state, so left to the user)
+    EMPLOYER_CATEGORIES: {
+        private: 'OTH',
+        psu: 'PSU',
+        pensioner: 'PE',
+        unemployed: 'NA'
+    },
+
+    // Profile residentialStatus -> ITR-2 ResidentialStatus
+    RESIDENTIAL_STATUSES: {
+        resident: 'RES',
+        notOrdinaryResident: 'NOR',
+        nonResident: 'NRI'
+    },
+
+    /**
+     * Build the draft return JSON for the form chosen by ItrEligibility
+     * @param {Object} result - Regime result the return is filed under
+     * @param {Object} userData - Normalized user data
+     * @param {Object} itrForm - Result of ItrEligibility.determineForm()
+     * @param {Object} config - Tax configuration
+     * @returns {Object} { form, regime, json, errors, unfilled }
+     */
+    buildExport(result, userData, itrForm, config = TAX_CONFIG) {
+        const form = (itrForm && itrForm.form) || 'ITR-1';
+
+        if (!this.SUPPORTED_FORMS.includes(form)) {
+            return {
+                form,
+                regime: result.regime,
+                json: null,
+                errors: [{ path: form, message: `${form} export is not supported yet. Only ${this.SUPPORTED_FORMS.join(' and ')} can be downloaded.` }],
+                unfilled: []
+            };
+        }
+
+        const figures = this.getFigures(result, userData, config);
+        const json = {
+            Draft: { Notice: this.DRAFT_NOTICE },
+            ...(form === 'ITR-1' ? this.buildItr1(figures, userData, config) : this.buildItr2(figures, userData, config))
+        };
+        const validation = this.validate(json, ITR_SCHEMAS[form]);
+
+        return {
+            form,
+            regime: result.regime,
+            json,
+            errors: validation.errors,
+            unfilled: validation.unfilled
+        };
+    },
+
+    // ============================================
+    // FIGURES - head-wise amounts from a regime result
+    // ============================================
+
+    /**
+     * Head-wise income, deductions and tax computation shared by both forms
+     * @param {Object} result - Regime calculation result
+     * @param {Object} userData - Normalized user data
+     * @param {Object} config - Tax configuration
+     * @returns {Object}
+     */
+    getFigures(result, userData, config) {
+        const r = (value) => TaxUtils.roundToRupee(TaxUtils.validateNumber(value));
+        const isOld = result.regime === 'old';
+        const income = result.grossIncome;
+        // Old regime keeps salary deductions with exemptions; new regime keeps them with deductions
+        const salaryDeductions = isOld ? result.exemptions : result.deductions;
+
+        // ---- Salary ----
+        const exemptAllowances = this.getExemptAllowances(result);
+        const exemptTotal = exemptAllowances.reduce((sum, item) => sum + item.SalOthAmount, 0);
+        const grossSalary = r(income.salary);
+        const perquisites = r(userData.perquisitesValue);
+        const profitsInLieu = r(userData.profitsInLieuOfSalary);
+        const netSalary = Math.max(0, grossSalary - exemptTotal);
+        const standardDeduction = r(salaryDeductions.standardDeduction);
+        const entertainment = isOld ? r(result.exemptions.entertainmentAllowance) : 0;
+        const professionalTax = r(salaryDeductions.professionalTax);
+        const deductionUs16 = standardDeduction + entertainment + professionalTax;
+        const incomeFromSalary = Math.max(0, netSalary - deductionUs16);
+
+        // ---- House property ----
+        // House by house as worked out for this regime (self-occupied interest already capped)
+        const hpResult = result.houseProperty || HouseProperty.compute([], result.regime, 0, config);
+        const properties = hpResult.properties.map(row => ({
+            type: HouseProperty.USES[row.use].itrType,
+            share: Math.round(row.share * 100),
+            coOwners: row.coOwner ? [{ name: row.coOwner.name, pan: row.coOwner.pan, share: Math.round(row.coOwner.share * 100) }] : [],
+            grossRent: r(row.rent),
+            municipalTax: r(row.municipalTax),
+            annualValue: r(row.annualValue),
+            rentDeduction: r(row.standardDeduction),
+            interest: r(row.interest),
+            income: TaxUtils.roundToRupee(row.income)
+        }));
+
+        // ---- Other sources ----
+        const familyPensionDeduction = r(salaryDeductions.familyPensionDeduction);
+        const otherSources = {
+            savingsInterest: r(income.savingsInterest),
+            fdInterest: r(income.fdInterest),
+            dividend: r(income.dividend),
+            familyPension: r(income.familyPension),
+            gifts: r(income.gifts),
+            // Minor child's income clubbed u/s 64(1A) is income from other sources
+            other: r(income.other) + r(income.minorChildren)
+        };
+        const otherSourcesGross = Object.values(otherSources).reduce((sum, v) => sum + v, 0);
+        const incomeFromOtherSources = Math.max(0, otherSourcesGross - familyPensionDeduction);
+
+        // ---- Chapter VI-A ----
+        const chapterVIA = this.getChapterVIA(result);
+
+        // ---- Capital gains ----
+        const gains = this.getCapitalGains(result);
+        const capitalGainsTax = result.capitalGainsTax;
+        // After any basic exemption shortfall set off against the gains
+        const ltcg112ATax = r(capitalGainsTax.bySection.section112A);
+
+        // ---- Tax computation ----
+        // 87A rebate may also be set against capital gains tax, so it is taken off tax on total income
+        const taxOnTotalIncome = r(result.slabTax.tax) + r(capitalGainsTax.total);
+        const marginalRelief = r(result.marginalRelief);
+        const rebate = Math.min(taxOnTotalIncome, r(result.rebate.amount) + marginalRelief);
+        const taxAfterRebate = Math.max(0, taxOnTotalIncome - rebate);
+        const surcharge = r(result.surcharge.amount);
+        const cess = r(result.cess.amount);
+        const grossTaxLiability = taxAfterRebate + surcharge + cess;
+        const section89 = r(result.section89Relief);
+
+        // ---- Interest, fee and payments ----
+        const interest = result.interest || {};
+        const amountOf = (part) => r(part && part.amount);
+        const lateFee = this.getLateFilingFee(interest, result.taxableIncome + gains.total - gains.stcgOther, config);
+        const taxesPaid = result.taxesPaid;
+        const interestAndFee = r(interest.total) + lateFee;
+        const balance = r(result.finalTax) + interestAndFee - r(taxesPaid.total);
+
+        return {
+            regime: result.regime,
+            ageCategory: result.ageCategory || userData.ageCategory || 'below60',
+            salary: {
+                gross: grossSalary,
+                basic: Math.max(0, grossSalary - perquisites - profitsInLieu),
+                perquisites,
+                profitsInLieu,
+                exemptAllowances,
+                exemptTotal,
+                net: netSalary,
+                standardDeduction,
+                entertainment,
+                professionalTax,
+                deductionUs16,
+                income: incomeFromSalary
+            },
+            houseProperty: {
+                properties,
+                total: TaxUtils.roundToRupee(hpResult.income),
+                // After the set-off limit and earlier years' losses: the figure in gross total income
+                income: TaxUtils.roundToRupee(hpResult.chargeable),
+                lossCarryForward: r(hpResult.lossCarryForward),
+                broughtForward: r(hpResult.broughtForward),
+                broughtForwardSetOff: r(hpResult.broughtForwardSetOff),
+                carriedForward: r(hpResult.carriedForward),
+                hasProperty: properties.length > 0
+            },
+            otherSources: { ...otherSources, familyPensionDeduction, income: incomeFromOtherSources },
+            chapterVIA,
+            capitalGains: {
+                stcg111A: r(gains.stcgEquity),
+                stcgSlab: r(gains.stcgOther),
+                ltcg112A: r(gains.ltcgEquity),
+                ltcg112: r(gains.ltcg112),
+                total: r(gains.total),
+                specialRateIncome: r(gains.total) - r(gains.stcgOther),
+                stcgTax: r(capitalGainsTax.stcg),
+                ltcg112ATax,
+                ltcg112Tax: Math.max(0, r(capitalGainsTax.ltcg) - ltcg112ATax),
+                totalTax: r(capitalGainsTax.total)
+            },
+            lossCarryForward: capitalGainsTax.lossCarryForward || null,
+            agriculturalIncome: r(userData.agriculturalIncome),
+            taxableIncome: r(result.taxableIncome),
+            tax: {
+                slabTax: r(result.slabTax.tax),
+                rebate,
+                taxAfterRebate,
+                surcharge,
+                cess,
+                grossTaxLiability,
+                section89,
+                netTaxLiability: r(result.finalTax)
+            },
+            interest: {
+                section234A: amountOf(interest.section234A),
+                section234B: amountOf(interest.section234B),
+                section234C: amountOf(interest.section234C),
+                lateFee,
+                total: interestAndFee
+            },
+            filedLate: interest.filedLate === true,
+            taxesPaid: {
+                tds: r(taxesPaid.tds),
+                tcs: r(taxesPaid.tcs),
+                advanceTax: r(taxesPaid.advanceTax),
+                selfAssessmentTax: r(taxesPaid.selfAssessmentTax),
+                total: r(taxesPaid.total)
+            },
+            balancePayable: Math.max(0, balance),
+            refundDue: Math.max(0, -balance)
+        };
+    },
+
+    /**
+     * Capital gains by kind after losses of the year and brought-forward losses are set
+     * off (Schedule BFLA): the amounts that enter total income, Schedule CG and Schedule SI
+     * @param {Object} result - Regime calculation result
+     * @returns {Object} { stcgEquity, stcgOther, ltcgEquity, ltcg112, total }
+     */
+    getCapitalGains(result) {
+        const income = result.capitalGainsTax.income;
+        const stcgOther = TaxUtils.validateNumber(result.grossIncome.shortTermGainsAtSlab);
+        return {
+            stcgEquity: income.section111A,
+            stcgOther,
+            ltcgEquity: income.section112A,
+            ltcg112: income.section112,
+            total: income.total + stcgOther
+        };
+    },
+
+    /**
+     * Section 10 exemptions from salary, one row per section
+     * @returns {Array} [{ SalNatureDesc, SalOthAmount }]
+     */
+    getExemptAllowances(result) {
+        const sections = {
+            hraExemption: '10(13A)',
+            lta: '10(5)',
+            childrenEducationAllowance: '10(14)(i)',
+            hostelAllowance: '10(14)(i)',
+            transportAllowanceDivyang: '10(14)(ii)',
+            vrs: '10(10C)',
+            gratuity: '10(10)',
+            leaveEncashment: '10(10AA)'
+        };
+        // New regime only allows the divyang transport allowance
+        const source = result.regime === 'old' ? result.exemptions : { transportAllowanceDivyang: result.deductions.transportAllowanceDivyang };
+
+        return Object.keys(sections)
+            .map(key => ({
+                SalNatureDesc: sections[key],
+                SalOthAmount: TaxUtils.roundToRupee(TaxUtils.validateNumber(source[key]))
+            }))
+            .filter(item => item.SalOthAmount > 0);
+    },
+
+    /**
+     * Chapter VI-A deductions in the utility's keys
+     * @returns {Object} Section -> amount, plus TotalChapVIADeductions
+     */
+    getChapterVIA(result) {
+        const d = result.deductions;
+        const isOld = result.regime === 'old';
+        const seniorCitizen = (result.ageCategory || 'below60') !== 'below60';
+        const amount = (value) => TaxUtils.roundToRupee(TaxUtils.validateNumber(value));
+
+        const chapterVIA = {
+            Section80C: isOld ? amount(d.section80C) : 0,
+            Section80CCDEmployeeOrSE: 0,
+            Section80CCD1B: isOld ? amount(d.section80CCD1B) : 0,
+            Section80CCDEmployer: amount(isOld ? d.section80CCD2 : d.employerNPS),
+            Section80D: isOld ? amount(d.section80D) : 0,
+            Section80DD: isOld ? amount(d.section80DD) : 0,
+            Section80DDB: isOld ? amount(d.section80DDB) : 0,
+            Section80E: isOld ? amount(d.section80E) : 0,
+            Section80EE: isOld ? amount(d.section80EE) : 0,
+            Section80EEA: isOld ? amount(d.section80EEA) : 0,
+            Section80EEB: isOld ? amount(d.section80EEB) : 0,
+            Section80G: isOld ? amount(d.section80G) : 0,
+            Section80GG: isOld ? amount(d.section80GG) : 0,
+            Section80GGA: isOld ? amount(d.section80GGA) : 0,
+            Section80GGC: amount(isOld ? d.section80GGC : d.politicalDonations),
+            Section80U: isOld ? amount(d.section80U) : 0,
+            Section80TTA: isOld && !seniorCitizen ? amount(d.interestDeduction) : 0,
+            Section80TTB: isOld && seniorCitizen ? amount(d.interestDeduction) : 0,
+            AnyOthSec80CCH: amount(isOld ? d.section80CCH : d.agniveerCorpus)
+        };
+        chapterVIA.TotalChapVIADeductions = Object.values(chapterVIA).reduce((sum, v) => sum + v, 0);
+        return chapterVIA;
+    },
+
+    /**
+     * Fee u/s 234F for a return filed after the due date
+     * @param {Object} interest - result.interest
+     * @param {number} totalIncome - Total income incl. capital gains
+     * @param {Object} config - Tax configuration
+     * @returns {number}
+     */
+    getLateFilingFee(interest, totalIncome, config) {
+        if (!interest || !interest.filedLate) return 0;
+        const fee = config.interest.lateFilingFee234F;
+        return totalIncome <= fee.reducedFeeIncomeLimit ? fee.reducedFee : fee.fee;
+    },
+
+    // ============================================
+    // FORM BUILDERS
+    // ============================================
+
+    /**
+     * ITR-1 (Sahaj) JSON
+     */
+    buildItr1(figures, userData, config) {
+        const salary = figures.salary;
+        const hp = figures.houseProperty;
+        const os = figures.otherSources;
+        const cg = figures.capitalGains;
+        const grossTotalIncome = salary.income + hp.income + os.income;
+        // ITR-1 has room for one house only (more need ITR-2)
+        const house = hp.properties[0] || { type: 'S', grossRent: 0, municipalTax: 0, annualValue: 0, rentDeduction: 0, interest: 0 };
+
+        return {
+            ITR: {
+                ITR1: {
+                    CreationInfo: this.buildCreationInfo(),
+                    Form_ITR1: this.buildFormInfo('ITR-1', 'For individuals having income from salaries, one house property, other sources (interest etc.) and LTCG u/s 112A up to ₹1.25 lakh', config),
+                    PersonalInfo: this.buildPersonalInfo(userData),
+                    FilingStatus: this.buildFilingStatus(figures, config),
+                    ITR1_IncomeDeductions: {
+                        GrossSalary: salary.gross,
+                        Salary: salary.basic,
+                        PerquisitesValue: salary.perquisites,
+                        ProfitsInSalary: salary.profitsInLieu,
+                        AllwncExemptUs10: {
+                            TotalAllwncExemptUs10: salary.exemptTotal,
+                            AllwncExemptUs10Dtls: salary.exemptAllowances
+                        },
+                        NetSalary: salary.net,
+                        DeductionUs16: salary.deductionUs16,
+                        DeductionUs16ia: salary.standardDeduction,
+                        EntertainmentAlw16ii: salary.entertainment,
+                        ProfessionalTaxUs16iii: salary.professionalTax,
+                        IncomeFromSal: salary.income,
+                        TypeOfHP: house.type,
+                        GrossRentReceived: house.grossRent,
+                        TaxPaidlocalAuth: house.municipalTax,
+                        AnnualValue: house.annualValue,
+                        StandardDeduction: house.rentDeduction,
+                        InterestPayable: house.interest,
+                        TotalIncomeOfHP: hp.income,
+                        IncomeOthSrc: os.income,
+                        OthersInc: {
+                            OthersIncDtlsOthSrc: this.buildOtherSourceRows(os)
+                        },
+                        DeductionUs57iia: os.familyPensionDeduction,
+                        LongCap112A: {
+                            TotSaleCnsdrn: 0,
+                            CostAcqWithImprvmnt: 0,
+                            LongCap112A: cg.ltcg112A
+                        },
+                        GrossTotIncome: grossTotalIncome,
+                        GrossTotIncomeIncLTCG112A: grossTotalIncome + cg.ltcg112A,
+                        UsrDeductUndChapVIA: { ...figures.chapterVIA },
+                        DeductUndChapVIA: { ...figures.chapterVIA },
+                        TotalIncome: figures.taxableIncome
+                    },
+                    ITR1_TaxComputation: {
+                        TotalTaxPayable: figures.tax.slabTax,
+                        Rebate87A: figures.tax.rebate,
+                        TaxPayableOnRebate: figures.tax.taxAfterRebate,
+                        EducationCess: figures.tax.cess,
+                        GrossTaxLiability: figures.tax.grossTaxLiability,
+                        Section89: figures.tax.section89,
+                        NetTaxLiability: figures.tax.netTaxLiability,
+                        TotalIntrstPay: figures.interest.total,
+                        IntrstPay: this.buildIntrstPay(figures),
+                        TotTaxPlusIntrstPay: figures.tax.netTaxLiability + figures.interest.total
+                    },
+                    TaxPaid: this.buildTaxPaid(figures),
+                    Refund: this.buildRefund(figures),
+                    TaxPayments: this.buildTaxPayments(userData, config),
+                    Verification: this.buildVerification()
+                }
+            }
+        };
+    },
+
+    /**
+     * ITR-2 JSON
+     */
+    buildItr2(figures, userData, config) {
+        const salary = figures.salary;
+        const hp = figures.houseProperty;
+        const os = figures.otherSources;
+        const cg = figures.capitalGains;
+        const headTotal = salary.income + hp.income + cg.total + os.income;
+        const grossTotalIncome = Math.max(0, headTotal);
+        const totalIncome = Math.max(0, grossTotalIncome - figures.chapterVIA.TotalChapVIADeductions);
+        const specialRateTax = cg.stcgTax + cg.ltcg112ATax + cg.ltcg112Tax;
+        const challans = this.buildTaxPayments(userData, config);
+
+        return {
+            ITR: {
+                ITR2: {
+                    CreationInfo: this.buildCreationInfo(),
+                    Form_ITR2: this.buildFormInfo('ITR-2', 'For individuals and HUFs not having income from profits and gains of business or profession', config),
+                    PartA_GEN1: {
+                        PersonalInfo: this.buildPersonalInfo(userData),
+                        FilingStatus: {
+                            ...this.buildFilingStatus(figures, config),
+                            ResidentialStatus: this.RESIDENTIAL_STATUSES[userData.residentialStatus] || 'RES'
+                        }
+                    },
+                    ScheduleS: {
+                        Salaries: this.buildEmployerRows(userData, salary),
+                        TotalGrossSalary: salary.gross,
+                        AllwncExtentExemptUs10: salary.exemptTotal,
+                        NetSalary: salary.net,
+                        DeductionUS16: salary.deductionUs16,
+                        DeductionUnderSection16ia: salary.standardDeduction,
+                        EntertainmntalwncUs16ii: salary.entertainment,
+                        ProfessionalTaxUs16iii: salary.professionalTax,
+                        TotIncUnderHeadSalaries: salary.income
+                    },
+                    ScheduleHP: {
+                        PropertyDetails: hp.properties.map(house => ({
+                            PropertyType: house.type,
+                            AsseseeShareProperty: house.share,
+                            PropCoOwnedFlg: house.coOwners.length > 0 ? 'YES' : 'NO',
+                            CoOwners: house.coOwners.map(owner => ({
+                                NameCoOwner: owner.name,
+                                PAN_CoOwner: owner.pan.toUpperCase(),
+                                PercentShareProperty: owner.share
+                            })),
+                            GrossRentReceived: house.grossRent,
+                            TaxPaidlocalAuth: house.municipalTax,
+                            AnnualValue: house.annualValue,
+                            ThirtyPercentOfBalance: house.rentDeduction,
+                            IntOnBorwCap: house.interest,
+                            IncomeOfHP: house.income
+                        })),
+                        TotalIncomeChargeableUnHP: hp.total
+                    },
+                    ScheduleCG: {
+                        ShortTermCapGain: {
+                            STCG111A: cg.stcg111A,
+                            STCGAppRate: cg.stcgSlab,
+                            TotalSTCG: cg.stcg111A + cg.stcgSlab
+                        },
+                        LongTermCapGain: {
+                            LTCG112A: cg.ltcg112A,
+                            LTCG112: cg.ltcg112,
+                            TotalLTCG: cg.ltcg112A + cg.ltcg112
+                        },
+                        SumOfCGIncm: cg.total
+                    },
+                    ScheduleOS: {
+                        IncOthThanOwnRaceHorse: {
+                            IntrstFrmSavingBank: os.savingsInterest,
+                            IntrstFrmTermDeposit: os.fdInterest,
+                            DividendGross: os.dividend,
+                            FamilyPension: os.familyPension,
+                            AnyOtherIncome: os.gifts + os.other,
+                            DeductionUs57iia: os.familyPensionDeduction
+                        },
+                        IncChargeable: os.income
+                    },
+                    ScheduleVIA: {
+                        UsrDeductUndChapVIA: { ...figures.chapterVIA },
+                        DeductUndChapVIA: { ...figures.chapterVIA }
+                    },
+                    ScheduleCFL: this.buildScheduleCFL(figures.lossCarryForward, hp),
+                    ScheduleSI: {
+                        SplCodeRateTax: this.buildSpecialRateRows(cg, config),
+                        TotSplRateInc: cg.specialRateIncome,
+                        TotSplRateIncTax: specialRateTax
+                    },
+                    ScheduleEI: {
+                        AgriInc: figures.agriculturalIncome,
+                        TotalExemptInc: figures.agriculturalIncome
+                    },
+                    'PartB-TI': {
+                        Salaries: salary.income,
+                        IncomeFromHP: hp.income,
+                        CapGain: cg.total,
+                        IncFromOS: os.income,
+                        TotalTI: headTotal,
+                        GrossTotalIncome: grossTotalIncome,
+                        IncChargeTaxSplRate111A112: cg.specialRateIncome,
+                        DeductionsUnderScheduleVIA: figures.chapterVIA.TotalChapVIADeductions,
+                        TotalIncome: totalIncome,
+                        IncChargeableTaxSplRates: cg.specialRateIncome,
+                        NetAgricultureIncomeOrOtherIncomeForRate: figures.agriculturalIncome,
+                        AggregateIncome: Math.max(0, totalIncome - cg.specialRateIncome) + figures.agriculturalIncome
+                    },
+                    PartB_TTI: {
+                        ComputationOfTaxLiability: {
+                            TaxPayableOnTI: {
+                                TaxAtNormalRatesOnAggrInc: figures.tax.slabTax,
+                                TaxAtSpecialRates: cg.totalTax,
+                                TaxPayableOnTotInc: figures.tax.slabTax + cg.totalTax
+                            },
+                            Rebate87A: figures.tax.rebate,
+                            TaxPayableOnRebate: figures.tax.taxAfterRebate,
+                            Surcharge: figures.tax.surcharge,
+                            EducationCess: figures.tax.cess,
+                            GrossTaxLiability: figures.tax.grossTaxLiability,
+                            TaxRelief: {
+                                Section89: figures.tax.section89,
+                                TotTaxRelief: figures.tax.section89
+                            },
+                            NetTaxLiability: figures.tax.netTaxLiability,
+                            IntrstPay: this.buildIntrstPay(figures),
+                            AggrgateTaxInterestLiability: figures.tax.netTaxLiability + figures.interest.total
+                        },
+                        TaxPaid: this.buildTaxPaid(figures),
+                        Refund: this.buildRefund(figures)
+                    },
+                    ScheduleIT: challans,
+                    Verification: this.buildVerification()
+                }
+            }
+        };
+    },
+
+    // ---- Shared blocks ----
+
+    buildCreationInfo() {
+        const today = new Date();
+        const pad = (n) => String(n).padStart(2, '0');
+        return {
+            ...this.CREATION_INFO,
+            JSONCreationDate: `${today.getFullYear()}-${pad(today.getMonth() + 1)}-${pad(today.getDate())}`
+        };
+    },
+
+    buildFormInfo(formName, description, config) {
+        return {
+            FormName: formName,
+            Description: description,
+            AssessmentYear: String(config.fyStartYear + 1),
+            SchemaVer: 'Ver1.0',
+            FormVer: 'Ver1.0'
+        };
+    },
+
+    /**
+     * Identity fields the calculator does not collect (left blank unless present in the profile)
+     */
+    buildPersonalInfo(userData) {
+        const text = (value) => (value === undefined || value === null ? '' : String(value).trim());
+        return {
+            AssesseeName: {
+                FirstName: text(userData.firstName),
+                SurNameOrOrgName: text(userData.lastName)
+            },
+            PAN: text(userData.pan).toUpperCase(),
+            Address: {
+                ResidenceNo: '',
+                LocalityOrArea: '',
+                CityOrTownOrDistrict: '',
+                StateCode: '',
+                CountryCode: '91',
+                PinCode: '',
+                MobileNo: '',
+                EmailAddress: ''
+            },
+            DOB: text(userData.dateOfBirth),
+            EmployerCategory: this.EMPLOYER_CATEGORIES[userData.employerType] || '',
+            AadhaarCardNo: ''
+        };
+    },
+
+    buildFilingStatus(figures, config) {
+        const dueDate = TaxPayments.getReturnDueDate(config);
+        const pad = (n) => String(n).padStart(2, '0');
+        return {
+            // 11 = on time u/s 139(1), 12 = belated u/s 139(4)
+            ReturnFileSec: figures.filedLate ? 12 : 11,
+            OptOutNewTaxRegime: figures.regime === 'old' ? 'Y' : 'N',
+            ItrFilingDueDate: `${dueDate.year}-${pad(dueDate.month)}-${pad(dueDate.day)}`
+        };
+    },
+
+    buildOtherSourceRows(os) {
+        const rows = [
+            ['SAV', os.savingsInterest],
+            ['IFD', os.fdInterest],
+            ['DIV', os.dividend],
+            ['FAP', os.familyPension],
+            ['OTH', os.gifts + os.other]
+        ];
+        return rows
+            .filter(([, amount]) => amount > 0)
+            .map(([code, amount]) => ({ OthSrcNatureDesc: code, OthSrcOthAmount: amount }));
+    },
+
+    /**
+     * ScheduleS employer rows from employment periods (salary split pro rata when periods lack amounts)
+     */
+    buildEmployerRows(userData, salary) {
+        const periods = Array.isArray(userData.employmentPeriods) ? userData.employmentPeriods : [];
+        const rows = periods
+            .filter(p => TaxUtils.validateNumber(p.grossSalary) > 0)
+            .map(p => {
+                const gross = TaxUtils.roundToRupee(TaxUtils.validateNumber(p.grossSalary));
+                return {
+                    NameOfEmployer: String(p.employerName || '').trim(),
+                    TANofEmployer: String(p.employerTAN || '').trim().toUpperCase(),
+                    Salarys: { GrossSalary: gross, Salary: gross }
+                };
+            });
+
+        if (rows.length === 0 && salary.gross > 0) {
+            rows.push({
+                NameOfEmployer: '',
+                TANofEmployer: '',
+                Salarys: { GrossSalary: salary.gross, Salary: salary.basic }
+            });
+        }
+        return rows;
+    },
+
+    /**
+     * ScheduleSI rows for gains taxed at special rates
+     */
+    buildSpecialRateRows(cg, config) {
+        const rates = config.capitalGains;
+        const rows = [
+            { SecCode: '1A', rate: rates.stcg.equity.rate, income: cg.stcg111A, tax: cg.stcgTax },
+            { SecCode: '2A', rate: rates.ltcg.equity.rate, income: cg.ltcg112A, tax: cg.ltcg112ATax },
+            { SecCode: '21', rate: rates.ltcg.property.afterGrandfathering.rate, income: cg.ltcg112, tax: cg.ltcg112Tax }
+        ];
+        return rows
+            .filter(row => row.income > 0)
+            .map(row => ({
+                SecCode: row.SecCode,
+                SplRatePercent: Math.round(row.rate * 1000) / 10,
+                SplRateInc: row.income,
+                SplRateIncTax: row.tax
+            }));
+    },
+
+    /**
+     * ScheduleCFL: capital losses brought forward by assessment year, set off and carried forward
+     */
+    buildScheduleCFL(schedule, hp) {
+        const r = (value) => TaxUtils.roundToRupee(TaxUtils.validateNumber(value));
+        const loss = (hpl, stcl, ltcl) => ({ TotalHPPTILossCF: r(hpl), TotalSTCGLossCF: r(stcl), TotalLTCGLossCF: r(ltcl) });
+        // House property losses are entered as one figure, so they have no year rows
+        const hpLoss = hp || { broughtForward: 0, broughtForwardSetOff: 0, lossCarryForward: 0, carriedForward: 0 };
+        if (!schedule) {
+            return {
+                LossCFFromPrevYears: [],
+                TotalOfBFLossesEarlierYrs: loss(hpLoss.broughtForward, 0, 0),
+                AdjTotBFLossInBFLA: loss(hpLoss.broughtForwardSetOff, 0, 0),
+                CurrentAYloss: loss(hpLoss.lossCarryForward, 0, 0),
+                TotalLossCFSummary: loss(hpLoss.carriedForward, 0, 0)
+            };
+        }
+        const { totals, current } = schedule;
+        return {
+            // Losses entered without a year leave AssessmentYear blank to fill in the utility
+            LossCFFromPrevYears: schedule.years.map(y => ({ AssessmentYear: y.assessmentYear || '', ...loss(0, y.stcl, y.ltcl) })),
+            TotalOfBFLossesEarlierYrs: loss(hpLoss.broughtForward, totals.broughtForward.stcl, totals.broughtForward.ltcl),
+            AdjTotBFLossInBFLA: loss(hpLoss.broughtForwardSetOff, totals.setOff.stcl, totals.setOff.ltcl),
+            CurrentAYloss: loss(hpLoss.lossCarryForward, current.stclCarried, current.ltclCarried),
+            TotalLossCFSummary: loss(hpLoss.carriedForward, totals.carriedForward.stcl, totals.carriedForward.ltcl)
+        };
+    },
+
+    buildIntrstPay(figures) {
+        return {
+            IntrstPayUs234A: figures.interest.section234A,
+            IntrstPayUs234B: figures.interest.section234B,
+            IntrstPayUs234C: figures.interest.section234C,
+            LateFilingFee234F: figures.interest.lateFee
+        };
+    },
+
+    buildTaxPaid(figures) {
+        const paid = figures.taxesPaid;
+        return {
+            TaxesPaid: {
+                AdvanceTax: paid.advanceTax,
+                TDS: paid.tds,
+                TCS: paid.tcs,
+                SelfAssessmentTax: paid.selfAssessmentTax,
+                TotalTaxesPaid: paid.total
+            },
+            BalTaxPayable: figures.balancePayable
+        };
+    },
+
+    buildRefund(figures) {
+        return {
+            RefundDue: figures.refundDue,
+            BankAccountDtls: {
+                AddtnlBankDetails: [{
+                    IFSCCode: '',
+                    BankName: '',
+                    BankAccountNo: '',
+                    UseForRefund: 'true'
+                }]
+            }
+        };
+    },
+
+    /**
+     * Advance and self-assessment tax challans (BSR code and serial number come from the challan)
+     */
+    buildTaxPayments(userData, config) {
+        const pad = (n) => String(n).padStart(2, '0');
+        const toIso = (date) => (date ? `${date.year}-${pad(date.month)}-${pad(date.day)}` : '');
+
+        const payments = TaxPayments.getAdvanceTaxPayments(userData, config)
+            .map(p => ({ date: toIso(p.date), amount: p.amount }));
+        const selfAssessment = TaxUtils.validateNumber(userData.selfAssessmentTaxPaid);
+        if (selfAssessment > 0) {
+            payments.push({ date: toIso(TaxPayments.parseDate(userData.returnFilingDate)), amount: selfAssessment });
+        }
+
+        const rows = payments.map(p => ({
+            BSRCode: '',
+            DateDep: p.date,
+            SrlNoOfChaln: '',
+            Amt: TaxUtils.roundToRupee(p.amount)
+        }));
+
+        return {
+            TaxPayment: rows,
+            TotalTaxPayments: rows.reduce((sum, row) => sum + row.Amt, 0)
+        };
+    },
+
+    buildVerification() {
+        return {
+            Declaration: {
+                AssesseeVerName: '',
+                FatherName: '',
+                AssesseeVerPAN: ''
+            },
+            Capacity: 'S',
+            Place: ''
+        };
+    },
+
+    // ============================================
+    // VALIDATION
+    // ============================================
+
+    /**
+     * Check a value against a schema from itrSchemas.js.
+     * Empty required strings are reported as unfilled rather than as errors.
+     * @param {*} value - JSON value to check
+     * @param {Object} schema - Schema node
+     * @param {string} path - Dotted path for messages
+     * @returns {Object} { valid, errors: [{ path, message }], unfilled: [{ path, title }] }
+     */
+    validate(value, schema, path = '') {
+        const errors = [];
+        const unfilled = [];
+        this.validateNode(value, schema, path, errors, unfilled);
+        return { valid: errors.length === 0, errors, unfilled };
+    },
+
+    validateNode(value, schema, path, errors, unfilled) {
+        const where = path || '(root)';
+
+        if (!this.matchesType(value, schema.type)) {
+            errors.push({ path: where, message: `expected ${schema.type}, got ${Array.isArray(value) ? 'array' : typeof value}` });
+            return;
+        }
+
+        if (schema.type === 'object') {
+            (schema.required || []).forEach(key => {
+                if (!(key in value)) {
+                    errors.push({ path: this.joinPath(path, key), message: 'required field is missing' });
+                }
+            });
+            Object.keys(schema.properties || {}).forEach(key => {
+                if (key in value) {
+                    this.validateNode(value[key], schema.properties[key], this.joinPath(path, key), errors, unfilled);
+                }
+            });
+            return;
+        }
+
+        if (schema.type === 'array') {
+            if (value.length < (schema.minItems || 0)) {
+                errors.push({ path: where, message: `needs at least ${schema.minItems} item(s)` });
+            }
+            value.forEach((item, i) => this.validateNode(item, schema.items, `${path}[${i}]`, errors, unfilled));
+            return;
+        }
+
+        if (schema.type === 'string' && value === '') {
+            unfilled.push({ path: where, title: schema.title || where });
+            return;
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push({ path: where, message: `${JSON.stringify(value)} is not one of ${schema.enum.join(', ')}` });
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ path: where, message: `${JSON.stringify(value)} does not match ${schema.title || 'the expected format'}` });
+        }
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ path: where, message: `${value} is below the minimum of ${schema.minimum}` });
+        }
+    },
+
+    matchesType(value, type) {
+        switch (type) {
+            case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'array': return Array.isArray(value);
+            case 'integer': return Number.isInteger(value);
+            case 'number': return typeof value === 'number' && Number.isFinite(value);
+            case 'string': return typeof value === 'string';
+            default: return true;
+        }
+    },
+
+    joinPath(path, key) {
+        return path ? `${path}.${key}` : key;
+    }
+};
+
+// Freeze to prevent modifications
+Object.freeze(ItrExport);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ItrExport;
+}
@@ -0,0 +1,400 @@
+/**
+ * ITR SCHEMAS - Local schemas for the ITR-1 / ITR-2 offline-utility JSON
+ *
+ * A trimmed JSON-Schema subset covering the blocks this calculator fills,
+ * with the offline utility's key names. Used by ItrExport.validate() so the
+ * file can be checked without a network call. It approximates the published
+ * schemas and has not been checked against them: passing it does not make the
+ * file uploadable.
+ *
+ * Supported keywords: type, properties, required, items, minItems, enum,
+ * pattern, minimum, title. Every property of an object is required unless
+ * listed as optional.
+ */
+
+const ITR_SCHEMAS = (() => {
+    // ---- Schema builders ----
+    const obj = (properties, optional = []) => ({
+        type: 'object',
+        properties,
+        required: Object.keys(properties).filter(key => !optional.includes(key))
+    });
+    const arr = (items, minItems = 0) => ({ type: 'array', items, minItems });
+    const str = (title, extra = {}) => ({ type: 'string', title, ...extra });
+    const amount = (title) => ({ type: 'integer', minimum: 0, title });
+    const signedAmount = (title) => ({ type: 'integer', title });
+
+    const PATTERNS = {
+        pan: '^[A-Z]{5}[0-9]{4}[A-Z]$',
+        aadhaar: '^[0-9]{12}$',
+        date: '^[0-9]{4}-[0-9]{2}-[0-9]{2}$',
+        pinCode: '^[1-9][0-9]{5}$',
+        ifsc: '^[A-Z]{4}0[A-Z0-9]{6}$',
+        bsrCode: '^[0-9]{7}$',
+        tan: '^[A-Z]{4}[0-9]{5}[A-Z]$',
+        mobile: '^[1-9][0-9]{9}$'
+    };
+
+    // ---- Blocks shared by both forms ----
+    const draft = obj({
+        Notice: str('Draft notice')
+    });
+
+    const creationInfo = obj({
+        SWVersionNo: str('Software version'),
+        SWCreatedBy: str('Software ID of the utility'),
+        JSONCreatedBy: str('Software ID that created the JSON'),
+        JSONCreationDate: str('JSON creation date', { pattern: PATTERNS.date }),
+        IntermediaryCity: str('Intermediary city'),
+        Digest: str('Digest')
+    });
+
+    const formInfo = (formName) => obj({
+        FormName: str('Form name', { enum: [formName] }),
+        Description: str('Form description'),
+        AssessmentYear: str('Assessment year', { pattern: '^[0-9]{4}$' }),
+        SchemaVer: str('Schema version'),
+        FormVer: str('Form version')
+    });
+
+    const personalInfo = obj({
+        AssesseeName: obj({
+            FirstName: str('First name'),
+            SurNameOrOrgName: str('Last name')
+        }, ['FirstName']),
+        PAN: str('PAN', { pattern: PATTERNS.pan }),
+        Address: obj({
+            ResidenceNo: str('Flat / door number'),
+            LocalityOrArea: str('Locality / area'),
+            CityOrTownOrDistrict: str('City / district'),
+            StateCode: str('State code', { pattern: '^[0-9]{2}$' }),
+            CountryCode: str('Country code'),
+            PinCode: str('PIN code', { pattern: PATTERNS.pinCode }),
+            MobileNo: str('Mobile number', { pattern: PATTERNS.mobile }),
+            EmailAddress: str('Email address')
+        }),
+        DOB: str('Date of birth', { pattern: PATTERNS.date }),
+        EmployerCategory: str('Employer category', { enum: ['CGOV', 'SGOV', 'PSU', 'PE', 'PESG', 'PEPS', 'PEO', 'OTH', 'NA'] }),
+        AadhaarCardNo: str('Aadhaar number', { pattern: PATTERNS.aadhaar })
+    });
+
+    const filingStatus = obj({
+        ReturnFileSec: { type: 'integer', enum: [11, 12], title: 'Return filed under section (11 = 139(1), 12 = 139(4))' },
+        OptOutNewTaxRegime: str('Opted out of new regime', { enum: ['Y', 'N'] }),
+        ItrFilingDueDate: str('Due date of filing', { pattern: PATTERNS.date })
+    });
+
+    const chapterVIA = obj({
+        Section80C: amount('80C'),
+        Section80CCDEmployeeOrSE: amount('80CCD(1)'),
+        Section80CCD1B: amount('80CCD(1B)'),
+        Section80CCDEmployer: amount('80CCD(2)'),
+        Section80D: amount('80D'),
+        Section80DD: amount('80DD'),
+        Section80DDB: amount('80DDB'),
+        Section80E: amount('80E'),
+        Section80EE: amount('80EE'),
+        Section80EEA: amount('80EEA'),
+        Section80EEB: amount('80EEB'),
+        Section80G: amount('80G'),
+        Section80GG: amount('80GG'),
+        Section80GGA: amount('80GGA'),
+        Section80GGC: amount('80GGC'),
+        Section80U: amount('80U'),
+        Section80TTA: amount('80TTA'),
+        Section80TTB: amount('80TTB'),
+        AnyOthSec80CCH: amount('80CCH'),
+        TotalChapVIADeductions: amount('Total Chapter VI-A deductions')
+    });
+
+    const intrstPay = obj({
+        IntrstPayUs234A: amount('Interest u/s 234A'),
+        IntrstPayUs234B: amount('Interest u/s 234B'),
+        IntrstPayUs234C: amount('Interest u/s 234C'),
+        LateFilingFee234F: amount('Fee u/s 234F')
+    });
+
+    const taxesPaid = obj({
+        TaxesPaid: obj({
+            AdvanceTax: amount('Advance tax'),
+            TDS: amount('TDS'),
+            TCS: amount('TCS'),
+            SelfAssessmentTax: amount('Self-assessment tax'),
+            TotalTaxesPaid: amount('Total taxes paid')
+        }),
+        BalTaxPayable: amount('Balance tax payable')
+    });
+
+    const refund = obj({
+        RefundDue: amount('Refund due'),
+        BankAccountDtls: obj({
+            AddtnlBankDetails: arr(obj({
+                IFSCCode: str('Bank IFSC', { pattern: PATTERNS.ifsc }),
+                BankName: str('Bank name'),
+                BankAccountNo: str('Bank account number'),
+                UseForRefund: str('Use for refund', { enum: ['true', 'false'] })
+            }), 1)
+        })
+    });
+
+    const taxPayment = obj({
+        BSRCode: str('Challan BSR code', { pattern: PATTERNS.bsrCode }),
+        DateDep: str('Challan date', { pattern: PATTERNS.date }),
+        SrlNoOfChaln: str('Challan serial number'),
+        Amt: amount('Challan amount')
+    });
+
+    const verification = obj({
+        Declaration: obj({
+            AssesseeVerName: str('Verifying person name'),
+            FatherName: str('Father\'s name'),
+            AssesseeVerPAN: str('Verifying PAN', { pattern: PATTERNS.pan })
+        }),
+        Capacity: str('Capacity', { enum: ['S', 'R'] }),
+        Place: str('Place of verification')
+    });
+
+    const exemptAllowances = obj({
+        TotalAllwncExemptUs10: amount('Total exempt allowances u/s 10'),
+        AllwncExemptUs10Dtls: arr(obj({
+            SalNatureDesc: str('Exemption section'),
+            SalOthAmount: amount('Exempt amount')
+        }))
+    });
+
+    // ---- ITR-1 (Sahaj) ----
+    const itr1 = obj({
+        Draft: draft,
+        ITR: obj({
+            ITR1: obj({
+                CreationInfo: creationInfo,
+                Form_ITR1: formInfo('ITR-1'),
+                PersonalInfo: personalInfo,
+                FilingStatus: filingStatus,
+                ITR1_IncomeDeductions: obj({
+                    GrossSalary: amount('Gross salary'),
+                    Salary: amount('Salary u/s 17(1)'),
+                    PerquisitesValue: amount('Perquisites u/s 17(2)'),
+                    ProfitsInSalary: amount('Profits in lieu of salary u/s 17(3)'),
+                    AllwncExemptUs10: exemptAllowances,
+                    NetSalary: amount('Net salary'),
+                    DeductionUs16: amount('Deductions u/s 16'),
+                    DeductionUs16ia: amount('Standard deduction u/s 16(ia)'),
+                    EntertainmentAlw16ii: amount('Entertainment allowance u/s 16(ii)'),
+                    ProfessionalTaxUs16iii: amount('Professional tax u/s 16(iii)'),
+                    IncomeFromSal: amount('Income from salary'),
+                    TypeOfHP: str('Type of house property', { enum: ['S', 'L', 'D'] }),
+                    GrossRentReceived: amount('Gross rent received'),
+                    TaxPaidlocalAuth: amount('Municipal taxes paid'),
+                    AnnualValue: amount('Annual value'),
+                    StandardDeduction: amount('30% standard deduction u/s 24(a)'),
+                    InterestPayable: amount('Interest on borrowed capital u/s 24(b)'),
+                    TotalIncomeOfHP: signedAmount('Income from house property'),
+                    IncomeOthSrc: amount('Income from other sources'),
+                    OthersInc: obj({
+                        OthersIncDtlsOthSrc: arr(obj({
+                            OthSrcNatureDesc: str('Nature of income'),
+                            OthSrcOthAmount: amount('Amount')
+                        }))
+                    }),
+                    DeductionUs57iia: amount('Family pension deduction u/s 57(iia)'),
+                    LongCap112A: obj({
+                        TotSaleCnsdrn: amount('Sale consideration (112A)'),
+                        CostAcqWithImprvmnt: amount('Cost of acquisition (112A)'),
+                        LongCap112A: amount('LTCG u/s 112A')
+                    }),
+                    GrossTotIncome: amount('Gross total income'),
+                    GrossTotIncomeIncLTCG112A: amount('Gross total income incl. LTCG 112A'),
+                    UsrDeductUndChapVIA: chapterVIA,
+                    DeductUndChapVIA: chapterVIA,
+                    TotalIncome: amount('Total income')
+                }),
+                ITR1_TaxComputation: obj({
+                    TotalTaxPayable: amount('Tax on total income'),
+                    Rebate87A: amount('Rebate u/s 87A'),
+                    TaxPayableOnRebate: amount('Tax after rebate'),
+                    EducationCess: amount('Health & education cess'),
+                    GrossTaxLiability: amount('Gross tax liability'),
+                    Section89: amount('Relief u/s 89'),
+                    NetTaxLiability: amount('Net tax liability'),
+                    TotalIntrstPay: amount('Total interest and fee'),
+                    IntrstPay: intrstPay,
+                    TotTaxPlusIntrstPay: amount('Tax plus interest')
+                }),
+                TaxPaid: taxesPaid,
+                Refund: refund,
+                TaxPayments: obj({
+                    TaxPayment: arr(taxPayment),
+                    TotalTaxPayments: amount('Total challan payments')
+                }),
+                Verification: verification
+            })
+        })
+    });
+
+    // ---- ITR-2 ----
+    // House property and capital loss columns of Schedule CFL rows
+    const cflLoss = {
+        TotalHPPTILossCF: amount('House property loss'),
+        TotalSTCGLossCF: amount('Short-term capital loss'),
+        TotalLTCGLossCF: amount('Long-term capital loss')
+    };
+
+    const itr2 = obj({
+        Draft: draft,
+        ITR: obj({
+            ITR2: obj({
+                CreationInfo: creationInfo,
+                Form_ITR2: formInfo('ITR-2'),
+                PartA_GEN1: obj({
+                    PersonalInfo: personalInfo,
+                    FilingStatus: obj({
+                        ...filingStatus.properties,
+                        ResidentialStatus: str('Residential status', { enum: ['RES', 'NOR', 'NRI'] })
+                    })
+                }),
+                ScheduleS: obj({
+                    Salaries: arr(obj({
+                        NameOfEmployer: str('Employer name'),
+                        TANofEmployer: str('Employer TAN', { pattern: PATTERNS.tan }),
+                        Salarys: obj({
+                            GrossSalary: amount('Gross salary'),
+                            Salary: amount('Salary u/s 17(1)')
+                        })
+                    })),
+                    TotalGrossSalary: amount('Total gross salary'),
+                    AllwncExtentExemptUs10: amount('Exempt allowances u/s 10'),
+                    NetSalary: amount('Net salary'),
+                    DeductionUS16: amount('Deductions u/s 16'),
+                    DeductionUnderSection16ia: amount('Standard deduction u/s 16(ia)'),
+                    EntertainmntalwncUs16ii: amount('Entertainment allowance u/s 16(ii)'),
+                    ProfessionalTaxUs16iii: amount('Professional tax u/s 16(iii)'),
+                    TotIncUnderHeadSalaries: amount('Income under head salaries')
+                }),
+                ScheduleHP: obj({
+                    PropertyDetails: arr(obj({
+                        PropertyType: str('Self-occupied / let-out', { enum: ['S', 'L', 'D'] }),
+                        AsseseeShareProperty: { type: 'number', minimum: 0, maximum: 100, title: 'Your share of the property %' },
+                        PropCoOwnedFlg: str('Property co-owned', { enum: ['YES', 'NO'] }),
+                        CoOwners: arr(obj({
+                            NameCoOwner: str('Co-owner name'),
+                            PAN_CoOwner: str('Co-owner PAN', { pattern: PATTERNS.pan }),
+                            PercentShareProperty: { type: 'number', minimum: 0, maximum: 100, title: 'Co-owner share of the property %' }
+                        })),
+                        GrossRentReceived: amount('Gross rent received'),
+                        TaxPaidlocalAuth: amount('Municipal taxes paid'),
+                        AnnualValue: amount('Annual value'),
+                        ThirtyPercentOfBalance: amount('30% standard deduction'),
+                        IntOnBorwCap: amount('Interest on borrowed capital'),
+                        IncomeOfHP: signedAmount('Income of the property')
+                    })),
+                    TotalIncomeChargeableUnHP: signedAmount('Income from house property')
+                }),
+                ScheduleCG: obj({
+                    ShortTermCapGain: obj({
+                        STCG111A: amount('STCG u/s 111A'),
+                        STCGAppRate: amount('STCG at applicable (slab) rates'),
+                        TotalSTCG: amount('Total short-term gains')
+                    }),
+                    LongTermCapGain: obj({
+                        LTCG112A: amount('LTCG u/s 112A'),
+                        LTCG112: amount('LTCG u/s 112 (property and other assets)'),
+                        TotalLTCG: amount('Total long-term gains')
+                    }),
+                    SumOfCGIncm: amount('Total capital gains')
+                }),
+                ScheduleOS: obj({
+                    IncOthThanOwnRaceHorse: obj({
+                        IntrstFrmSavingBank: amount('Savings bank interest'),
+                        IntrstFrmTermDeposit: amount('Deposit interest'),
+                        DividendGross: amount('Dividends'),
+                        FamilyPension: amount('Family pension'),
+                        AnyOtherIncome: amount('Other income (incl. taxable gifts)'),
+                        DeductionUs57iia: amount('Family pension deduction u/s 57(iia)')
+                    }),
+                    IncChargeable: amount('Income from other sources')
+                }),
+                ScheduleVIA: obj({
+                    UsrDeductUndChapVIA: chapterVIA,
+                    DeductUndChapVIA: chapterVIA
+                }),
+                ScheduleCFL: obj({
+                    LossCFFromPrevYears: arr(obj({
+                        AssessmentYear: str('Assessment year of the loss', { pattern: '^[0-9]{4}-[0-9]{2}$' }),
+                        ...cflLoss
+                    })),
+                    TotalOfBFLossesEarlierYrs: obj(cflLoss),
+                    AdjTotBFLossInBFLA: obj(cflLoss),
+                    CurrentAYloss: obj(cflLoss),
+                    TotalLossCFSummary: obj(cflLoss)
+                }),
+                ScheduleSI: obj({
+                    SplCodeRateTax: arr(obj({
+                        SecCode: str('Special-rate section'),
+                        SplRatePercent: { type: 'number', minimum: 0, title: 'Rate %' },
+                        SplRateInc: amount('Income at special rate'),
+                        SplRateIncTax: amount('Tax at special rate')
+                    })),
+                    TotSplRateInc: amount('Total special-rate income'),
+                    TotSplRateIncTax: amount('Total special-rate tax')
+                }),
+                ScheduleEI: obj({
+                    AgriInc: amount('Net agricultural income'),
+                    TotalExemptInc: amount('Total exempt income')
+                }),
+                'PartB-TI': obj({
+                    Salaries: amount('Salaries'),
+                    IncomeFromHP: signedAmount('House property'),
+                    CapGain: amount('Capital gains'),
+                    IncFromOS: amount('Other sources'),
+                    TotalTI: signedAmount('Total of head-wise income'),
+                    GrossTotalIncome: amount('Gross total income'),
+                    IncChargeTaxSplRate111A112: amount('Special-rate income in GTI'),
+                    DeductionsUnderScheduleVIA: amount('Chapter VI-A deductions'),
+                    TotalIncome: amount('Total income'),
+                    IncChargeableTaxSplRates: amount('Income chargeable at special rates'),
+                    NetAgricultureIncomeOrOtherIncomeForRate: amount('Agricultural income for rate purposes'),
+                    AggregateIncome: amount('Aggregate income')
+                }),
+                PartB_TTI: obj({
+                    ComputationOfTaxLiability: obj({
+                        TaxPayableOnTI: obj({
+                            TaxAtNormalRatesOnAggrInc: amount('Tax at normal rates'),
+                            TaxAtSpecialRates: amount('Tax at special rates'),
+                            TaxPayableOnTotInc: amount('Tax on total income')
+                        }),
+                        Rebate87A: amount('Rebate u/s 87A'),
+                        TaxPayableOnRebate: amount('Tax after rebate'),
+                        Surcharge: amount('Surcharge'),
+                        EducationCess: amount('Health & education cess'),
+                        GrossTaxLiability: amount('Gross tax liability'),
+                        TaxRelief: obj({
+                            Section89: amount('Relief u/s 89'),
+                            TotTaxRelief: amount('Total relief')
+                        }),
+                        NetTaxLiability: amount('Net tax liability'),
+                        IntrstPay: intrstPay,
+                        AggrgateTaxInterestLiability: amount('Tax plus interest')
+                    }),
+                    TaxPaid: taxesPaid,
+                    Refund: refund
+                }),
+                ScheduleIT: obj({
+                    TaxPayment: arr(taxPayment),
+                    TotalTaxPayments: amount('Total challan payments')
+                }),
+                Verification: verification
+            })
+        })
+    });
+
+    return Object.freeze({
+        'ITR-1': itr1,
+        'ITR-2': itr2
+    });
+})();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ITR_SCHEMAS;
+}
@@ -0,0 +1,128 @@
+/**
+ * MINOR CHILD'S INCOME - Section 64(1A) clubbing with the Section 10(32) exemption
+ *
+ * Each child: { name, income, skillIncome, disabled } where income is what the child's
+ * assets earn (interest on deposits in the child's name, dividends, ...) and skillIncome
+ * is earned by the child's own work, skill or talent.
+ *
+ *  - The income is clubbed with the parent whose total income (without it) is higher;
+ *    spouseIncome is the other parent's total income (none given: this parent), compared
+ *    with this parent's total income after deductions, worked out without the children
+ *  - Not clubbed: skill income, and all income of a child with a Section 80U disability
+ *  - Old regime: up to ₹1,500 per child is exempt (Section 10(32)); the new regime
+ *    (Section 115BAC) allows no such exemption, so all of it is taxed
+ *
+ * Profile fields used: minorChildren, spouseIncome
+ */
+
+const MinorClubbing = {
+    /**
+     * Income clubbed with this parent in one calculator run
+     * @param {Object} userData - Normalised profile
+     * @param {string} regime - 'old' | 'new'
+     * @param {Function} calculate - Runs the same calculator on a profile and returns its result
+     * @param {Object} config - Tax configuration
+     * @returns {Object} From compute()
+     */
+    computeFor(userData, regime, calculate, config = TAX_CONFIG) {
+        const children = userData.minorChildren || [];
+        const spouseIncome = TaxUtils.validateNumber(userData.spouseIncome);
+        // This parent's total income without the children's income: the whole calculation again with
+        // no children, only needed when there is a spouse's income to compare with
+        const parentIncome = spouseIncome > 0 && children.some(child => TaxUtils.validateNumber(child.income) > 0)
+            ? calculate({ ...userData, minorChildren: [] }).totalIncome
+            : 0;
+        return this.compute(children, regime, parentIncome, spouseIncome, config);
+    },
+
+    /**
+     * Income clubbed with this parent for one regime
+     * @param {Array} children - As entered (see header)
+     * @param {string} regime - 'old' | 'new'
+     * @param {number} parentIncome - This parent's total income without the children's income
+     * @param {number} spouseIncome - The other parent's total income (0 if not given)
+     * @param {Object} config - Tax configuration
+     * @returns {Object} { children, clubbed, exemption, income, withSpouse, parentIncome, spouseIncome, ... }
+     */
+    compute(children, regime, parentIncome, spouseIncome = 0, config = TAX_CONFIG) {
+        const rule = config.specialRules.clubbingOfIncome.minorChild;
+        const exemptionConfig = config.exemptions.minorChildExemption;
+        const exemptionLimit = exemptionConfig.applicableRegimes.includes(regime) ? exemptionConfig.limitPerChild : 0;
+        // Ties stay with this parent
+        const withSpouse = TaxUtils.validateNumber(spouseIncome) > TaxUtils.validateNumber(parentIncome);
+
+        const rows = children.map((child, index) => {
+            const income = TaxUtils.validateNumber(child.income);
+            const skillIncome = TaxUtils.validateNumber(child.skillIncome);
+            const disabled = Boolean(child.disabled);
+            const clubbed = disabled || withSpouse ? 0 : income;
+            const exemption = Math.min(clubbed, exemptionLimit);
+            return {
+                name: child.name || `Child ${index + 1}`,
+                income,
+                skillIncome,
+                disabled,
+                clubbed,
+                exemption,
+                taxable: clubbed - exemption
+            };
+        }).filter(row => row.income > 0 || row.skillIncome > 0);
+
+        const sum = key => rows.reduce((total, row) => total + row[key], 0);
+        return {
+            regime,
+            section: rule.section,
+            exemptionSection: exemptionConfig.section,
+            exemptionLimit,
+            withSpouse,
+            parentIncome: TaxUtils.validateNumber(parentIncome),
+            spouseIncome: TaxUtils.validateNumber(spouseIncome),
+            children: rows,
+            clubbed: sum('clubbed'),
+            exemption: sum('exemption'),
+            // Part of this parent's gross income
+            income: sum('taxable')
+        };
+    },
+
+    /**
+     * Calculation log lines (the calculators add them as given)
+     * @param {Object} result - From compute()
+     * @param {Object} config - Tax configuration
+     * @returns {Array} [{ section, item, amount, explanation }]
+     */
+    describe(result, config = TAX_CONFIG) {
+        const fmt = TaxUtils.formatCurrency;
+        const exceptions = config.specialRules.clubbingOfIncome.minorChild.exceptions;
+
+        return result.children.map(row => {
+            const notes = [];
+            if (row.disabled) {
+                notes.push(`${exceptions.disabled}.`);
+            } else if (result.withSpouse) {
+                notes.push(`The other parent's total income (${fmt(result.spouseIncome)}) is higher than this parent's (${fmt(result.parentIncome)}): ` +
+                    `${fmt(row.income)} is clubbed in their return, not this one.`);
+            } else if (row.exemption > 0) {
+                notes.push(`${fmt(row.clubbed)} clubbed, less ${fmt(row.exemption)} exempt u/s 10(32) = ${fmt(row.taxable)}.`);
+            } else if (row.clubbed > 0) {
+                notes.push(result.regime === 'new'
+                    ? `${fmt(row.clubbed)} clubbed in full: the Section 10(32) exemption is not available in the new regime.`
+                    : `${fmt(row.clubbed)} clubbed.`);
+            }
+            if (row.skillIncome > 0) {
+                notes.push(`${exceptions.ownSkill}: ${fmt(row.skillIncome)} stays with the child.`);
+            }
+            return {
+                section: result.section,
+                item: `Minor child's income (${row.name})`,
+                amount: row.taxable,
+                explanation: notes.join(' ')
+            };
+        });
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MinorClubbing;
+}
@@ -1,6 +1,6 @@
 /**
  * NEW REGIME TAX CALCULATOR - Section 115BAC
- * FY 2025-26 (AY 2026-27)
+ * FY 2025-26 (AY 2026-27) by default; other years via TaxYearRegistry (taxYears.js)
  * 
  * Class-based calculator with detailed logging for each calculation step.
  * 
@@ -37,8 +37,10 @@ class NewRegimeCalculator {
         // Reset log for fresh calculation
         this.log = [];
         
-        // Step 1: Calculate Gross Total Income
-        const grossIncome = this.calculateGrossIncome(userData);
+        // Step 1: Calculate Gross Total Income (house property worked out house by house)
+        const houseProperty = HouseProperty.compute(
+            userData.houseProperties || [], 'new', userData.housePropertyLossBroughtForward, this.config);
+        const grossIncome = this.calculateGrossIncome(userData, houseProperty);
         
         // Step 2: Calculate allowable deductions (very limited in new regime)
         const deductions = this.calculateDeductions(userData);
@@ -54,39 +56,51 @@ class NewRegimeCalculator {
             `Gross Income (${TaxUtils.formatCurrency(grossIncome.total)}) - Total Deductions (${TaxUtils.formatCurrency(deductions.total)}) = ${TaxUtils.formatCurrency(taxableIncome)}`
         );
 
-        // Step 4: Calculate tax using slabs
-        const slabTax = this.calculateSlabTax(taxableIncome);
+        // Step 4: Calculate tax using slabs (agricultural income partially integrated)
+        const integration = TaxUtils.applyPartialIntegration(
+            taxableIncome,
+            this.calculateSlabTax(taxableIncome),
+            TaxUtils.validateNumber(userData.agriculturalIncome),
+            income => TaxUtils.calculateSlabTax(income, this.regimeConfig.slabs).tax,
+            this.regimeConfig.basicExemption,
+            this.config.specialRules.agriculturalIncome
+        );
+        integration.log.forEach(entry => {
+            this.addLog(entry.section, entry.item, entry.amount, null, entry.explanation, entry.taxSaved);
+        });
+        const slabTax = integration.slabTax;
         
-        // Step 5: Apply 87A Rebate
-        const rebate = this.calculateRebate(taxableIncome, slabTax.tax);
+        // Step 5: Calculate Capital Gains Tax at special rates (111A/112A/112),
+        // after setting off any unused basic exemption (residents)
+        const exemptionShortfall = this.calculateBasicExemptionShortfall(userData, taxableIncome, this.regimeConfig.basicExemption);
+        const capitalGainsTax = this.calculateCapitalGainsTax(userData, exemptionShortfall);
+        const totalIncome = taxableIncome + capitalGainsTax.income.total;
         
-        // Step 6: Apply Marginal Relief (if applicable)
-        const afterMarginalRelief = this.applyMarginalRelief(taxableIncome, slabTax.tax, rebate);
+        // Step 6: Apply 87A Rebate (on total income; special-rate tax excluded)
+        const rebate = this.calculateRebate(totalIncome, slabTax.tax, capitalGainsTax, userData);
+        const capitalGainsTaxAfterRebate = capitalGainsTax.total - rebate.onCapitalGains;
         
-        // Step 7: Calculate Surcharge
-        const surcharge = this.calculateSurcharge(grossIncome.total, afterMarginalRelief.tax);
+        // Step 7: Apply Marginal Relief (if applicable)
+        const afterMarginalRelief = this.applyMarginalRelief(totalIncome, slabTax.tax, rebate);
         
-        // Step 8: Calculate Cess
-        const cess = this.calculateCess(afterMarginalRelief.tax + surcharge.amount);
+        // Step 8: Calculate Surcharge on total income including special-rate gains
+        const surcharge = this.calculateSurcharge(
+            taxableIncome,
+            afterMarginalRelief.tax,
+            capitalGainsTax,
+            capitalGainsTaxAfterRebate,
+            grossIncome.dividend
+        );
         
-        // Step 9: Calculate Capital Gains Tax separately
-        const capitalGainsTax = this.calculateCapitalGainsTax(userData);
+        // Step 9: Calculate Cess on slab tax, capital gains tax and surcharge
+        const cess = this.calculateCess(afterMarginalRelief.tax + capitalGainsTaxAfterRebate + surcharge.amount);
         
-        // Step 10: Section 89 Relief
-        const section89Relief = TaxUtils.validateNumber(userData.section89Relief);
-        if (section89Relief > 0) {
-            this.addLog(
-                'Section 89',
-                'Relief for Arrears',
-                section89Relief,
-                null,
-                `Relief u/s 89 reduced from tax liability. Ensure Form 10E is filed.`,
-                section89Relief
-            );
-        }
+        // Step 10: Section 89 Relief (arrears by year, Form 10E)
+        const section89 = this.calculateSection89Relief(userData, taxableIncome);
+        const section89Relief = section89.relief;
 
         // Step 11: Final Tax
-        let finalTax = afterMarginalRelief.tax + surcharge.amount + cess.amount + capitalGainsTax.total;
+        let finalTax = afterMarginalRelief.tax + capitalGainsTaxAfterRebate + surcharge.amount + cess.amount;
         finalTax = Math.max(0, finalTax - section89Relief);
 
         this.addLog(
@@ -94,24 +108,60 @@ class NewRegimeCalculator {
             'Total Tax Payable',
             finalTax,
             null,
-            `Tax after rebate (${TaxUtils.formatCurrency(afterMarginalRelief.tax)}) + Surcharge (${TaxUtils.formatCurrency(surcharge.amount)}) + Cess (${TaxUtils.formatCurrency(cess.amount)}) + Capital Gains Tax (${TaxUtils.formatCurrency(capitalGainsTax.total)})`
+            `Tax after rebate (${TaxUtils.formatCurrency(afterMarginalRelief.tax)}) + Capital Gains Tax (${TaxUtils.formatCurrency(capitalGainsTax.total)})${rebate.onCapitalGains > 0 ? ` - 87A Rebate on Capital Gains (${TaxUtils.formatCurrency(rebate.onCapitalGains)})` : ''} + Surcharge (${TaxUtils.formatCurrency(surcharge.amount)}) + Cess (${TaxUtils.formatCurrency(cess.amount)})${section89Relief > 0 ? ` - Section 89 Relief (${TaxUtils.formatCurrency(section89Relief)})` : ''}`
         );
 
+        // Step 11b: Section 192(1C) - tax on eligible startup ESOP / RSU perquisites is paid later
+        const esopDeferredTax = EquityCompensation.getDeferredTax(userData.equityCompensation, finalTax, totalIncome);
+        const esopDeferral = EquityCompensation.describeDeferral(userData.equityCompensation, esopDeferredTax, this.config);
+        if (esopDeferral) {
+            this.addLog(esopDeferral.section, esopDeferral.item, esopDeferral.amount, null, esopDeferral.explanation);
+        }
+        const taxDueThisYear = TaxUtils.roundToRupee(finalTax - esopDeferredTax);
+
+        // Step 12: Interest u/s 234A/234B/234C on tax not paid in time; tax on capital gains
+        // and dividends is not due in the instalments before the income arose
+        const taxesPaid = TaxPayments.getTaxesPaid(userData);
+        const lateIncomeTax = TaxPayments.getLateIncomeTax(userData, {
+            taxableIncome,
+            slabTax: afterMarginalRelief.tax,
+            capitalGainsTax,
+            finalTax: taxDueThisYear
+        });
+        const interest = this.calculateInterest(taxDueThisYear, taxesPaid, userData, lateIncomeTax);
+
+        // Advance tax instalment schedule for the planner (no log entries)
+        const advanceTaxPlan = TaxPayments.buildAdvanceTaxPlan(taxDueThisYear, taxesPaid, userData, this.config, lateIncomeTax);
+
+        // Step 13: Balance payable / refund after taxes already paid
+        const balance = this.calculateBalancePayable(taxDueThisYear, taxesPaid, interest.total);
+
         return {
             regime: 'new',
             regimeName: 'New Tax Regime (Section 115BAC)',
+            financialYear: this.config.financialYear,
             grossIncome,
             deductions,
             taxableIncome,
+            totalIncome,
             slabTax,
             rebate,
             marginalRelief: afterMarginalRelief.marginalRelief,
             surcharge,
             cess,
             capitalGainsTax,
+            houseProperty,
             section89Relief: section89Relief > 0 ? section89Relief : 0,
+            section89,
             finalTax: TaxUtils.roundToRupee(finalTax),
+            esopDeferredTax,
             effectiveRate: grossIncome.total > 0 ? (finalTax / grossIncome.total) : 0,
+            interest,
+            advanceTaxPlan,
+            taxesPaid,
+            netPayable: balance.netPayable,
+            balancePayable: balance.balancePayable,
+            refundDue: balance.refundDue,
             log: this.log
         };
     }
@@ -119,13 +169,24 @@ class NewRegimeCalculator {
     /**
      * Calculate Gross Total Income
      * @param {Object} userData - User input data
+     * @param {Object} houseProperty - HouseProperty.compute() result for this regime
      * @returns {Object} Income breakdown
      */
-    calculateGrossIncome(userData) {
+    calculateGrossIncome(userData, houseProperty) {
         const breakdown = {};
         
         // Salary Income
         breakdown.salary = TaxUtils.validateNumber(userData.grossSalary);
+        if (userData.perquisiteValuation) {
+            Perquisites.describe(userData.perquisiteValuation, this.config).forEach(entry => {
+                this.addLog(entry.section, entry.item, entry.amount, null, entry.explanation);
+            });
+        }
+        if (userData.equityCompensation) {
+            EquityCompensation.describe(userData.equityCompensation, this.config).forEach(entry => {
+                this.addLog(entry.section, entry.item, entry.amount, null, entry.explanation);
+            });
+        }
         
         // Interest Income (not deductible in new regime)
         breakdown.savingsInterest = TaxUtils.validateNumber(userData.savingsInterest);
@@ -134,35 +195,12 @@ class NewRegimeCalculator {
         // Dividend Income
         breakdown.dividend = TaxUtils.validateNumber(userData.dividendIncome);
         
-        // Rental Income (after 30% standard deduction AND Interest for Let-Out)
-        const grossRental = TaxUtils.validateNumber(userData.rentalIncome);
-        const isLetOut = userData.isPropertyLetOut === true;
-        const homeLoanInterest = TaxUtils.validateNumber(userData.homeLoanInterest);
-        
-        // Standard Deduction @ 30%
-        let netRental = grossRental * 0.70;
-        
-        // Interest Deduction (ONLY if Let-Out property in New Regime)
-        // Self-occupied interest is NOT deductible in New Regime
-        if (isLetOut && homeLoanInterest > 0) {
-            netRental -= homeLoanInterest;
-        }
-        
-        // New Regime: Loss from House Property CANNOT be set off against other heads
-        // So we floor the income at 0
-        breakdown.rental = Math.max(0, netRental);
-        
-        if (grossRental > 0 || (isLetOut && homeLoanInterest > 0)) {
-            this.addLog(
-                'House Property',
-                'Rental Income',
-                breakdown.rental,
-                null,
-                isLetOut 
-                    ? `Gross Rent (${TaxUtils.formatCurrency(grossRental)}) - 30% Std Ded - Interest (${TaxUtils.formatCurrency(homeLoanInterest)}) = ${TaxUtils.formatCurrency(netRental)}. (Loss set-off NOT allowed in New Regime, so floored at 0)`
-                    : `Gross Rent: ${TaxUtils.formatCurrency(grossRental)} - 30% Standard Deduction. Self-occupied interest NOT deductible.`
-            );
-        }
+        // Income from house property: let-out interest is deductible, self-occupied interest is not,
+        // and a loss cannot be set off against other heads (carried forward instead)
+        breakdown.rental = houseProperty.chargeable;
+        HouseProperty.describe(houseProperty).forEach(entry => {
+            this.addLog(entry.section, entry.item, entry.amount, null, entry.explanation);
+        });
         
         // Family Pension (if any)
         const familyPension = TaxUtils.validateNumber(userData.familyPension);
@@ -185,7 +223,25 @@ class NewRegimeCalculator {
         // Other income
         breakdown.other = TaxUtils.validateNumber(userData.otherIncome);
         
-        // NOTE: Agricultural income is FULLY EXEMPT - not added to total
+        // Short-term gains without a special rate (debt / specified funds, gold, unlisted and
+        // foreign shares) are part of slab income, unlike 111A/112A/112 gains. Short-term
+        // losses are set off against them before the special-rate gains
+        const slabLossSetOff = CapitalGainsLedger.getSlabLossSetOff(userData);
+        if (slabLossSetOff > 0) {
+            this.addLog('Loss Setoff', 'STCL vs STCG (slab rates)', slabLossSetOff, null, `Offset ${TaxUtils.formatCurrency(slabLossSetOff)} STCL against short-term gains taxed at slab rates.`);
+        }
+        breakdown.shortTermGainsAtSlab = TaxUtils.validateNumber(userData.stcgOther) - slabLossSetOff;
+        if (breakdown.shortTermGainsAtSlab > 0) {
+            this.addLog(
+                'Capital Gains',
+                'Short-term Gains at Slab Rates',
+                breakdown.shortTermGainsAtSlab,
+                null,
+                `${TaxUtils.formatCurrency(breakdown.shortTermGainsAtSlab)} of short-term gains (Section 50AA funds, gold, unlisted / foreign shares, property) added to income and taxed at slab rates.`
+            );
+        }
+        
+        // NOTE: Agricultural income is exempt - not added to total (partial integration in Step 4)
         const agriculturalIncome = TaxUtils.validateNumber(userData.agriculturalIncome);
         if (agriculturalIncome > 0) {
             this.addLog(
@@ -193,11 +249,19 @@ class NewRegimeCalculator {
                 'Agricultural Income',
                 0,
                 null,
-                `Agricultural income of ${TaxUtils.formatCurrency(agriculturalIncome)} is 100% TAX-FREE. Not included in taxable income.`,
-                this.estimateTaxSaved(agriculturalIncome, 0.30)  // Assume 30% marginal rate
+                `Agricultural income of ${TaxUtils.formatCurrency(agriculturalIncome)} is exempt and not included in taxable income, but it can raise the rate on other income (partial integration).`
             );
         }
         
+        // Minor children's income (Section 64(1A)), with no Section 10(32) exemption in this regime; clubbed here if
+        // this parent's total income without it is the higher
+        const minorChildren = MinorClubbing.computeFor(
+            userData, 'new', data => new this.constructor(this.config).calculate(data), this.config);
+        breakdown.minorChildren = minorChildren.income;
+        MinorClubbing.describe(minorChildren, this.config).forEach(entry => {
+            this.addLog(entry.section, entry.item, entry.amount, null, entry.explanation);
+        });
+        
         // Calculate total
         breakdown.total = Object.values(breakdown).reduce((sum, val) => sum + (typeof val === 'number' ? val : 0), 0);
         
@@ -228,8 +292,8 @@ class NewRegimeCalculator {
                 'Section 16(ia)',
                 'Standard Deduction',
                 breakdown.standardDeduction,
-                75000,
-                'Automatic ₹75,000 deduction for salaried individuals under New Regime (Budget 2025).',
+                this.regimeConfig.standardDeduction.salary,
+                `Automatic ${TaxUtils.formatCurrency(breakdown.standardDeduction)} deduction for salaried individuals under New Regime.`,
                 this.estimateTaxSaved(breakdown.standardDeduction, 0.30),
                 'expense_based'  // Blue - automatic benefit
             );
@@ -379,57 +443,138 @@ class NewRegimeCalculator {
 
     /**
      * Calculate Section 87A Rebate
-     * @param {number} taxableIncome - Taxable income
-     * @param {number} tax - Calculated tax before rebate
+     * Residents only. Eligibility is tested on total income including special-rate gains,
+     * and the rebate is set first against slab tax, then against capital gains tax not excluded.
+     * @param {number} totalIncome - Taxable income + special-rate gains
+     * @param {number} tax - Calculated slab tax before rebate
+     * @param {Object} capitalGainsTax - From calculateCapitalGainsTax()
+     * @param {Object} userData - User input data (residentialStatus)
      * @returns {Object} Rebate details
      */
-    calculateRebate(taxableIncome, tax) {
+    calculateRebate(totalIncome, tax, capitalGainsTax, userData) {
         const rebateConfig = this.regimeConfig.rebate87A;
         
-        if (taxableIncome <= rebateConfig.incomeLimit) {
-            const rebateAmount = Math.min(tax, rebateConfig.maxRebate);
+        if ((userData.residentialStatus || 'resident') === 'nonResident') {
+            if (totalIncome <= rebateConfig.incomeLimit && tax + capitalGainsTax.total > 0) {
+                this.addLog('Section 87A', 'Tax Rebate', 0, rebateConfig.maxRebate, `Section 87A rebate (and its marginal relief) is available only to resident individuals.`);
+            }
+            return {
+                applicable: false,
+                eligible: false,
+                amount: 0,
+                onSlabTax: 0,
+                onCapitalGains: 0,
+                reason: 'Non-residents do not qualify for 87A rebate'
+            };
+        }
+        
+        if (totalIncome <= rebateConfig.incomeLimit) {
+            const excluded = rebateConfig.excludedSections || [];
+            const excludedTax = excluded.reduce((sum, code) => sum + (capitalGainsTax.bySection[`section${code}`] || 0), 0);
+            const onSlabTax = Math.min(tax, rebateConfig.maxRebate);
+            const onCapitalGains = Math.min(capitalGainsTax.total - excludedTax, rebateConfig.maxRebate - onSlabTax);
+            const rebateAmount = onSlabTax + onCapitalGains;
             
-            this.addLog(
-                'Section 87A',
-                'Tax Rebate',
-                rebateAmount,
-                rebateConfig.maxRebate,
-                `Taxable income (${TaxUtils.formatCurrency(taxableIncome)}) ≤ ₹12,00,000. Full rebate of ${TaxUtils.formatCurrency(rebateAmount)} applied. You pay ₹0 tax!`,
-                rebateAmount
-            );
+            if (rebateAmount > 0 || excludedTax === 0) {
+                this.addLog(
+                    'Section 87A',
+                    'Tax Rebate',
+                    rebateAmount,
+                    rebateConfig.maxRebate,
+                    excludedTax > 0 || onCapitalGains > 0
+                        ? `Total income (${TaxUtils.formatCurrency(totalIncome)}) ≤ ${TaxUtils.formatCurrency(rebateConfig.incomeLimit)}. Rebate of ${TaxUtils.formatCurrency(rebateAmount)} applied${onCapitalGains > 0 ? ` (${TaxUtils.formatCurrency(onCapitalGains)} against capital gains tax)` : ''}.`
+                        : `Taxable income (${TaxUtils.formatCurrency(totalIncome)}) ≤ ${TaxUtils.formatCurrency(rebateConfig.incomeLimit)}. Full rebate of ${TaxUtils.formatCurrency(rebateAmount)} applied. You pay ₹0 tax!`,
+                    rebateAmount
+                );
+            }
+            
+            if (excludedTax > 0) {
+                this.addLog(
+                    'Section 87A',
+                    'Special-Rate Tax Not Rebated',
+                    excludedTax,
+                    null,
+                    `Rebate cannot be set against tax on gains u/s ${excluded.join('/')}; ${TaxUtils.formatCurrency(excludedTax)} stays payable.`
+                );
+            }
             
             return {
                 applicable: true,
+                eligible: true,
                 amount: rebateAmount,
-                reason: `Income ≤ ₹12L qualifies for 87A rebate`
+                onSlabTax,
+                onCapitalGains,
+                reason: `Income ≤ ${TaxUtils.formatShortCurrency(rebateConfig.incomeLimit)} qualifies for 87A rebate`
             };
         }
         
+        if (totalIncome - capitalGainsTax.income.total <= rebateConfig.incomeLimit && tax > 0) {
+            this.addLog(
+                'Section 87A',
+                'Tax Rebate',
+                0,
+                rebateConfig.maxRebate,
+                `Income at slab rates is within ${TaxUtils.formatCurrency(rebateConfig.incomeLimit)}, but total income including capital gains (${TaxUtils.formatCurrency(totalIncome)}) is not. No rebate.`
+            );
+        }
+        
         return {
             applicable: false,
+            eligible: true,
             amount: 0,
-            reason: `Income > ₹12L does not qualify for 87A rebate`
+            onSlabTax: 0,
+            onCapitalGains: 0,
+            reason: `Income > ${TaxUtils.formatShortCurrency(rebateConfig.incomeLimit)} does not qualify for 87A rebate`
         };
     }
 
+    /**
+     * Unused basic exemption available against 111A/112A gains
+     * Resident individuals only (provisos to 111A(1) and 112A(2))
+     * @param {Object} userData - User input data
+     * @param {number} taxableIncome - Income taxed at slab rates
+     * @param {number} basicExemption - Basic exemption limit
+     * @returns {number} Shortfall to set off against the gains
+     */
+    calculateBasicExemptionShortfall(userData, taxableIncome, basicExemption) {
+        const rules = this.config.capitalGains.basicExemptionShortfall;
+        const shortfall = Math.max(0, basicExemption - taxableIncome);
+        const gains = TaxUtils.validateNumber(userData.stcgEquity) + TaxUtils.validateNumber(userData.ltcgEquity);
+        if (shortfall <= 0 || gains <= 0) return 0;
+        
+        if (!rules.residentialStatuses.includes(userData.residentialStatus || 'resident')) {
+            this.addLog('Basic Exemption Shortfall', 'Not Available', 0, null, `Only residents can set the unused basic exemption off against STCG (111A) and LTCG (112A).`);
+            return 0;
+        }
+        
+        this.addLog(
+            'Basic Exemption Shortfall',
+            'Unused Basic Exemption',
+            shortfall,
+            basicExemption,
+            `Income at slab rates (${TaxUtils.formatCurrency(taxableIncome)}) is below the basic exemption of ${TaxUtils.formatCurrency(basicExemption)}. The shortfall of ${TaxUtils.formatCurrency(shortfall)} is set off against STCG (111A), then LTCG (112A).`
+        );
+        return shortfall;
+    }
+
     /**
      * Apply Marginal Relief for income slightly above ₹12L
-     * Tax cannot exceed (Income - ₹12L)
-     * @param {number} taxableIncome - Taxable income
+     * Slab tax cannot exceed (Total income - ₹12L)
+     * @param {number} totalIncome - Taxable income + special-rate gains
      * @param {number} tax - Tax after slab calculation
      * @param {Object} rebate - Rebate object
      * @returns {Object} Tax after marginal relief
      */
-    applyMarginalRelief(taxableIncome, tax, rebate) {
+    applyMarginalRelief(totalIncome, tax, rebate) {
         const threshold = this.regimeConfig.marginalRelief.threshold;
-        const taxAfterRebate = tax - rebate.amount;
+        const taxAfterRebate = tax - rebate.onSlabTax;
         
-        // Check if marginal relief applies
-        if (taxableIncome > threshold && taxableIncome <= threshold + 500000) {
-            const excessIncome = taxableIncome - threshold;
+        // Check if marginal relief applies (part of 87A, so residents only)
+        if (rebate.eligible && totalIncome > threshold && totalIncome <= threshold + 500000) {
+            const excessIncome = totalIncome - threshold;
             
-            // Tax on ₹12L = ₹60,000 (exactly equal to rebate limit)
-            // So effective tax at ₹12L threshold = ₹0
+            // Tax at the threshold equals the 87A rebate limit (₹12L -> ₹60,000 in FY 2025-26)
+            // So effective tax at the threshold = ₹0
             // Marginal relief ensures tax ≤ excess income
             
             if (taxAfterRebate > excessIncome) {
@@ -437,10 +582,10 @@ class NewRegimeCalculator {
                 
                 this.addLog(
                     'Marginal Relief',
-                    'Income Slightly Above ₹12L',
+                    `Income Slightly Above ${TaxUtils.formatShortCurrency(threshold)}`,
                     marginalReliefAmount,
                     null,
-                    `Your income is ${TaxUtils.formatCurrency(excessIncome)} above ₹12L. Without relief, tax would be ${TaxUtils.formatCurrency(taxAfterRebate)}. With marginal relief, tax is capped at ${TaxUtils.formatCurrency(excessIncome)}.`,
+                    `Your income is ${TaxUtils.formatCurrency(excessIncome)} above ${TaxUtils.formatCurrency(threshold)}. Without relief, tax would be ${TaxUtils.formatCurrency(taxAfterRebate)}. With marginal relief, tax is capped at ${TaxUtils.formatCurrency(excessIncome)}.`,
                     marginalReliefAmount
                 );
                 
@@ -461,33 +606,62 @@ class NewRegimeCalculator {
 
     /**
      * Calculate Surcharge
-     * @param {number} totalIncome - Total income (before deductions)
-     * @param {number} tax - Tax after rebate and marginal relief
+     * The band is decided by total income including special-rate gains; the rate on
+     * tax from 111A/112/112A gains and dividends is capped at capitalGains.maxSurcharge.
+     * @param {number} taxableIncome - Income taxed at slab rates
+     * @param {number} tax - Slab tax after rebate and marginal relief
+     * @param {Object} capitalGainsTax - From calculateCapitalGainsTax()
+     * @param {number} gainsTaxAfterRebate - Capital gains tax less the 87A rebate set against it
+     * @param {number} dividendIncome - Dividends included in taxableIncome
      * @returns {Object} Surcharge details
      */
-    calculateSurcharge(totalIncome, tax) {
+    calculateSurcharge(taxableIncome, tax, capitalGainsTax, gainsTaxAfterRebate, dividendIncome) {
         const surchargeRates = this.regimeConfig.surcharge;
+        const totalIncome = taxableIncome + capitalGainsTax.income.total;
         
         for (const slab of surchargeRates) {
             if (totalIncome > slab.min && totalIncome <= slab.max) {
-                const surchargeAmount = TaxUtils.roundToRupee(tax * slab.rate);
+                const portions = this.getSurchargePortions(taxableIncome, tax, capitalGainsTax, dividendIncome);
+                const cappedRate = Math.min(slab.rate, this.config.capitalGains.maxSurcharge);
+                const surchargeAmount = TaxUtils.roundToRupee(portions.full * slab.rate + portions.capped * cappedRate);
                 
                 // Apply marginal relief for surcharge if applicable
-                const marginalRelief = this.calculateSurchargeMarginalRelief(totalIncome, tax, surchargeAmount, slab);
+                const marginalRelief = this.calculateSurchargeMarginalRelief(
+                    totalIncome, tax + gainsTaxAfterRebate, surchargeAmount, slab,
+                    { taxableIncome, capitalGainsTax, dividendIncome }
+                );
                 
                 this.addLog(
                     'Surcharge',
                     slab.description,
-                    marginalRelief.amount,
+                    surchargeAmount,
                     null,
-                    `Income > ${TaxUtils.formatCurrency(slab.min)}: ${TaxUtils.formatPercent(slab.rate)} surcharge on tax. New Regime caps surcharge at 25% max.`
+                    `Total income ${TaxUtils.formatCurrency(totalIncome)} (incl. capital gains) > ${TaxUtils.formatCurrency(slab.min)}: ${TaxUtils.formatPercent(slab.rate)} surcharge on tax` +
+                    (portions.capped > 0 && cappedRate < slab.rate
+                        ? `, capped at ${TaxUtils.formatPercent(cappedRate)} on tax from 111A/112/112A gains and dividends (${TaxUtils.formatCurrency(portions.capped)}).`
+                        : '.') +
+                    ` New Regime caps surcharge at 25% max.`
                 );
                 
+                if (marginalRelief.applied) {
+                    this.addLog(
+                        'Surcharge',
+                        'Marginal Relief on Surcharge',
+                        marginalRelief.relief,
+                        null,
+                        `Tax + surcharge may exceed tax + surcharge at ${TaxUtils.formatCurrency(slab.min)} (${TaxUtils.formatCurrency(marginalRelief.limitAtThreshold)}) by at most the income above it (${TaxUtils.formatCurrency(totalIncome - slab.min)}). Surcharge reduced from ${TaxUtils.formatCurrency(surchargeAmount)} to ${TaxUtils.formatCurrency(marginalRelief.amount)}.`,
+                        marginalRelief.relief
+                    );
+                }
+                
                 return {
                     applicable: true,
                     rate: slab.rate,
+                    cappedRate,
+                    totalIncome,
                     amount: marginalRelief.amount,
-                    marginalReliefApplied: marginalRelief.applied
+                    marginalReliefApplied: marginalRelief.applied,
+                    marginalRelief: marginalRelief.relief
                 };
             }
         }
@@ -495,38 +669,83 @@ class NewRegimeCalculator {
         return {
             applicable: false,
             rate: 0,
+            cappedRate: 0,
+            totalIncome,
             amount: 0,
-            marginalReliefApplied: false
+            marginalReliefApplied: false,
+            marginalRelief: 0
+        };
+    }
+
+    /**
+     * Split tax into the part surcharged at the full rate and the part whose rate is capped
+     * (111A/112/112A gains, and the dividend share of slab tax)
+     * @param {number} taxableIncome - Income taxed at slab rates
+     * @param {number} tax - Slab tax on it
+     * @param {Object} capitalGainsTax - From calculateCapitalGainsTax()
+     * @param {number} dividendIncome - Dividends included in taxableIncome
+     * @returns {Object} { full, capped }
+     */
+    getSurchargePortions(taxableIncome, tax, capitalGainsTax, dividendIncome) {
+        const dividendShare = taxableIncome > 0 ? Math.min(dividendIncome, taxableIncome) / taxableIncome : 0;
+        const dividendTax = tax * dividendShare;
+        return {
+            full: tax - dividendTax,
+            capped: dividendTax + capitalGainsTax.bySection.section111A + capitalGainsTax.bySection.section112A +
+                capitalGainsTax.bySection.section112
         };
     }
 
     /**
      * Calculate Surcharge Marginal Relief
-     * Ensures tax+surcharge doesn't exceed income - threshold
+     * Tax + surcharge cannot exceed (tax + surcharge at the threshold) + (income - threshold).
+     * At the threshold, slab income gives way first; gains are scaled down only if they alone exceed it.
+     * @param {number} totalIncome - Income that decides the surcharge band
+     * @param {number} tax - Slab tax + capital gains tax, both after rebate
+     * @param {number} surcharge - Surcharge at the band rate
+     * @param {Object} slab - Surcharge band the income falls in
+     * @param {Object} income - { taxableIncome, capitalGainsTax, dividendIncome }
+     * @returns {Object} { amount, applied, relief, limitAtThreshold }
      */
-    calculateSurchargeMarginalRelief(totalIncome, tax, surcharge, slab) {
+    calculateSurchargeMarginalRelief(totalIncome, tax, surcharge, slab, income) {
         const threshold = slab.min;
-        const taxWithSurcharge = tax + surcharge;
-        const taxWithoutSurcharge = tax;
-        const excessIncome = totalIncome - threshold;
+        const { taxableIncome, capitalGainsTax, dividendIncome } = income;
+        // Rate of the band just below this one (0 below ₹50L)
+        const previousBand = this.regimeConfig.surcharge.find(s => s.max === threshold);
+        const previousRate = previousBand ? previousBand.rate : 0;
+        const previousCappedRate = Math.min(previousRate, this.config.capitalGains.maxSurcharge);
         
-        // If jump in tax > excess income, apply relief
-        if (taxWithSurcharge > taxWithoutSurcharge + excessIncome) {
-            return {
-                amount: excessIncome + taxWithoutSurcharge - taxWithoutSurcharge,  // Cap increase at excess
-                applied: true
-            };
+        const gains = capitalGainsTax.income.total;
+        const gainsShare = gains > 0 ? Math.min(threshold, gains) / gains : 0;
+        const slabIncomeAtThreshold = Math.max(0, threshold - gains);
+        const cgAtThreshold = {
+            total: capitalGainsTax.total * gainsShare,
+            bySection: {
+                section111A: capitalGainsTax.bySection.section111A * gainsShare,
+                section112A: capitalGainsTax.bySection.section112A * gainsShare,
+                section112: capitalGainsTax.bySection.section112 * gainsShare
+            }
+        };
+        const slabTaxAtThreshold = TaxUtils.calculateSlabTax(slabIncomeAtThreshold, this.regimeConfig.slabs).tax;
+        const portions = this.getSurchargePortions(slabIncomeAtThreshold, slabTaxAtThreshold, cgAtThreshold,
+            taxableIncome > 0 ? slabIncomeAtThreshold * Math.min(dividendIncome, taxableIncome) / taxableIncome : 0);
+        
+        const limitAtThreshold = TaxUtils.roundToRupee(
+            slabTaxAtThreshold + cgAtThreshold.total + portions.full * previousRate + portions.capped * previousCappedRate
+        );
+        const maxTaxWithSurcharge = limitAtThreshold + (totalIncome - threshold);
+        
+        if (tax + surcharge > maxTaxWithSurcharge) {
+            const amount = Math.max(0, TaxUtils.roundToRupee(maxTaxWithSurcharge - tax));
+            return { amount, applied: true, relief: surcharge - amount, limitAtThreshold };
         }
         
-        return {
-            amount: surcharge,
-            applied: false
-        };
+        return { amount: surcharge, applied: false, relief: 0, limitAtThreshold };
     }
 
     /**
      * Calculate Health & Education Cess (4%)
-     * @param {number} taxWithSurcharge - Tax + Surcharge
+     * @param {number} taxWithSurcharge - Tax + Capital Gains Tax + Surcharge
      * @returns {Object} Cess details
      */
     calculateCess(taxWithSurcharge) {
@@ -539,7 +758,7 @@ class NewRegimeCalculator {
                 'Health & Education Cess',
                 cessAmount,
                 null,
-                `4% cess on (Tax + Surcharge) = ${TaxUtils.formatCurrency(taxWithSurcharge)} × 4% = ${TaxUtils.formatCurrency(cessAmount)}`
+                `4% cess on (Tax + Capital Gains Tax + Surcharge) = ${TaxUtils.formatCurrency(taxWithSurcharge)} × 4% = ${TaxUtils.formatCurrency(cessAmount)}`
             );
         }
         
@@ -553,136 +772,354 @@ class NewRegimeCalculator {
      * Calculate Capital Gains Tax
      * Same rates for both regimes
      * @param {Object} userData - User input data
+     * @param {number} exemptionShortfall - Unused basic exemption to set off against 111A/112A gains
      * @returns {Object} Capital gains tax breakdown
      */
-    calculateCapitalGainsTax(userData) {
+    calculateCapitalGainsTax(userData, exemptionShortfall = 0) {
         let totalTax = 0;
+        let shortfall = exemptionShortfall;
         let stcgTax = 0;
         let ltcgTax = 0;
+        let ltcgEquityTax = 0;
+        let propertyGain = 0;
         
+        // Sales entered lot by lot: show how they net into the totals below
+        if (userData.capitalGainsLedger) {
+            CapitalGainsLedger.describe(userData.capitalGainsLedger).forEach(entry => {
+                this.addLog('Capital Gains Ledger', entry.item, entry.amount, null, entry.explanation);
+            });
+        }
+
         // 1. STCG Equity (20%)
         let stcgEquity = TaxUtils.validateNumber(userData.stcgEquity);
-        let stcl = TaxUtils.validateNumber(userData.stclCarryForward);
+        // This year's losses left after its own sales, then losses brought forward (oldest first)
+        const currentLoss = userData.currentYearCapitalLoss || { stcl: 0, ltcl: 0 };
+        const stclAvailable = currentLoss.stcl + TaxUtils.validateNumber(userData.stclCarryForward);
+        // Short-term gains at slab rates have taken their part already (calculateGrossIncome)
+        let stcl = stclAvailable - CapitalGainsLedger.getSlabLossSetOff(userData);
         
         if (stcgEquity > 0 && stcl > 0) {
             const offset = Math.min(stcgEquity, stcl);
             stcgEquity -= offset;
             stcl -= offset;
-            this.addLog('Loss Setoff', 'STCL vs STCG', offset, null, `Offset ₹${TaxUtils.formatCurrency(offset)} STCL against STCG.`);
+            this.addLog('Loss Setoff', 'STCL vs STCG', offset, null, `Offset ${TaxUtils.formatCurrency(offset)} STCL against STCG.`);
         }
 
-        if (stcgEquity > 0) {
-            const rate = this.config.capitalGains.equity.stcgRate;
-            stcgTax = TaxUtils.roundToRupee(stcgEquity * rate);
+        // Unused basic exemption (residents) is set off against 111A gains first
+        const stcgShortfall = Math.min(Math.max(0, stcgEquity), shortfall);
+        if (stcgShortfall > 0) {
+            shortfall -= stcgShortfall;
+            this.addLog('Basic Exemption Shortfall', 'Set off against STCG (111A)', stcgShortfall, null, `${TaxUtils.formatCurrency(stcgShortfall)} of STCG falls within the unused basic exemption and is not taxed.`);
+        }
+        const stcgTaxable = stcgEquity - stcgShortfall;
+
+        if (stcgTaxable > 0) {
+            const rate = this.config.capitalGains.stcg.equity.rate;
+            stcgTax = TaxUtils.roundToRupee(stcgTaxable * rate);
             this.addLog(
                 'Section 111A', 
                 'STCG (Equity)', 
                 stcgTax, 
                 null, 
-                `STCG: ₹${TaxUtils.formatCurrency(stcgEquity)} @ ${(rate*100).toFixed(0)}% = ${TaxUtils.formatCurrency(stcgTax)}`
+                `STCG: ${TaxUtils.formatCurrency(stcgTaxable)} @ ${(rate*100).toFixed(0)}% = ${TaxUtils.formatCurrency(stcgTax)}`
             );
         }
 
-        // 2. LTCG Equity (12.5% > 1.25L)
+        // Losses go against Section 112 gains before 112A gains, whose first ₹1.25L is exempt anyway
+        let ltcl = currentLoss.ltcl + TaxUtils.validateNumber(userData.ltclCarryForward);
+        const ltclAvailable = ltcl;
+
+        // 2. LTCG on other assets (gold, unlisted / foreign shares, older debt funds)
+        // Section 112 without indexation, each asset class at its own rate
+        const otherGains = userData.ltcgOtherByClass || { other: TaxUtils.validateNumber(userData.ltcgOther) };
+        let ltcgOther = 0;
+        Object.entries(otherGains).forEach(([classKey, amount]) => {
+            let gain = TaxUtils.validateNumber(amount);
+            const label = CapitalGainsLedger.getClassLabel(classKey);
+            if (gain > 0 && stcl > 0) {
+                const offset = Math.min(gain, stcl);
+                gain -= offset;
+                stcl -= offset;
+                this.addLog('Loss Setoff', `STCL vs LTCG (${label})`, offset, null, `Offset remaining ${TaxUtils.formatCurrency(offset)} STCL against LTCG.`);
+            }
+            if (gain > 0 && ltcl > 0) {
+                const offset = Math.min(gain, ltcl);
+                gain -= offset;
+                ltcl -= offset;
+                this.addLog('Loss Setoff', `LTCL vs LTCG (${label})`, offset, null, `Offset remaining ${TaxUtils.formatCurrency(offset)} LTCL against LTCG.`);
+            }
+            if (gain <= 0) return;
+
+            const rules = this.config.capitalGains.ltcg[classKey] || this.config.capitalGains.ltcg.other;
+            const tax = TaxUtils.roundToRupee(gain * rules.rate);
+            ltcgOther += gain;
+            ltcgTax += tax;
+            this.addLog(
+                'Section 112',
+                `LTCG (${label})`,
+                tax,
+                null,
+                `${TaxUtils.formatCurrency(gain)} @ ${(rules.rate*100).toFixed(1)}% without indexation = ${TaxUtils.formatCurrency(tax)}`
+            );
+        });
+
+        // 3. Land, building and other asset sales (Sections 54 / 54F / 54EC worked out in TaxEngine.normalizeProfile)
+        const propertyGains = userData.propertyGains;
+        if (propertyGains) {
+            Section54Exemptions.describe(propertyGains).forEach(entry => {
+                this.addLog(entry.section, entry.item, entry.amount, null, entry.explanation);
+            });
+            propertyGains.sales.filter(sale => !sale.error && sale.taxableGain > 0).forEach(sale => {
+                let gain = sale.taxableGain;
+                const name = Section54Exemptions.getSaleName(sale);
+                if (stcl > 0) {
+                    const offset = Math.min(gain, stcl);
+                    gain -= offset;
+                    stcl -= offset;
+                    this.addLog('Loss Setoff', `STCL vs LTCG (${name})`, offset, null, `Offset remaining ${TaxUtils.formatCurrency(offset)} STCL against LTCG.`);
+                }
+                if (gain > 0 && ltcl > 0) {
+                    const offset = Math.min(gain, ltcl);
+                    gain -= offset;
+                    ltcl -= offset;
+                    this.addLog('Loss Setoff', `LTCL vs LTCG (${name})`, offset, null, `Offset remaining ${TaxUtils.formatCurrency(offset)} LTCL against LTCG.`);
+                }
+                const tax = gain === sale.taxableGain ? sale.tax : TaxUtils.roundToRupee(gain * sale.rate);
+                if (tax !== sale.tax) {
+                    this.addLog('Section 112', `LTCG after set-off (${name})`, tax, null, `${TaxUtils.formatCurrency(gain)} @ ${(sale.rate*100).toFixed(1)}% = ${TaxUtils.formatCurrency(tax)}`);
+                }
+                propertyGain += gain;
+                ltcgTax += tax;
+            });
+        }
+
+        // 4. LTCG Equity (12.5% > 1.25L); a set-off reduces the part above the exemption first
         let ltcgEquity = TaxUtils.validateNumber(userData.ltcgEquity);
-        let ltcl = TaxUtils.validateNumber(userData.ltclCarryForward);
-        
+
         if (ltcgEquity > 0 && stcl > 0) {
             const offset = Math.min(ltcgEquity, stcl);
             ltcgEquity -= offset;
             stcl -= offset;
-            this.addLog('Loss Setoff', 'STCL vs LTCG', offset, null, `Offset remaining ₹${TaxUtils.formatCurrency(offset)} STCL against LTCG.`);
+            this.addLog('Loss Setoff', 'STCL vs LTCG', offset, null, `Offset remaining ${TaxUtils.formatCurrency(offset)} STCL against LTCG.`);
         }
         if (ltcgEquity > 0 && ltcl > 0) {
             const offset = Math.min(ltcgEquity, ltcl);
             ltcgEquity -= offset;
             ltcl -= offset;
-            this.addLog('Loss Setoff', 'LTCL vs LTCG', offset, null, `Offset ₹${TaxUtils.formatCurrency(offset)} LTCL against LTCG.`);
+            this.addLog('Loss Setoff', 'LTCL vs LTCG', offset, null, `Offset ${TaxUtils.formatCurrency(offset)} LTCL against LTCG.`);
         }
 
         if (ltcgEquity > 0) {
-            const limit = this.config.capitalGains.equity.ltcgExemptionLimit;
-            const rate = this.config.capitalGains.equity.ltcgRate;
-            const taxable = Math.max(0, ltcgEquity - limit);
+            const limit = this.config.capitalGains.ltcg.equity.exemption;
+            const rate = this.config.capitalGains.ltcg.equity.rate;
+            const aboveLimit = Math.max(0, ltcgEquity - limit);
+            
+            // Then against 112A gains above the exemption limit
+            const ltcgShortfall = Math.min(aboveLimit, shortfall);
+            if (ltcgShortfall > 0) {
+                shortfall -= ltcgShortfall;
+                this.addLog('Basic Exemption Shortfall', 'Set off against LTCG (112A)', ltcgShortfall, null, `${TaxUtils.formatCurrency(ltcgShortfall)} of LTCG above ${TaxUtils.formatCurrency(limit)} falls within the unused basic exemption and is not taxed.`);
+            }
+            const taxable = aboveLimit - ltcgShortfall;
             
             if (taxable > 0) {
                 const tax = TaxUtils.roundToRupee(taxable * rate);
+                ltcgEquityTax = tax;
                 ltcgTax += tax;
                 this.addLog(
                     'Section 112A', 
                     'LTCG (Equity)', 
                     tax, 
                     null, 
-                    `LTCG: ₹${TaxUtils.formatCurrency(taxable)} (above 1.25L) @ ${(rate*100).toFixed(1)}% = ${TaxUtils.formatCurrency(tax)}`
+                    `LTCG: ${TaxUtils.formatCurrency(taxable)} (above 1.25L${ltcgShortfall > 0 ? ' and the exemption shortfall' : ''}) @ ${(rate*100).toFixed(1)}% = ${TaxUtils.formatCurrency(tax)}`
                 );
             }
         }
 
-        // 3. Real Estate LTCG
-        const sale = TaxUtils.validateNumber(userData.realEstateSaleValue);
-        const cost = TaxUtils.validateNumber(userData.realEstatePurchaseValue);
-        
-        if (sale > 0 && cost > 0) {
-            const expenses = TaxUtils.validateNumber(userData.realEstateTransferExpenses);
-            const purchaseDateStr = userData.realEstatePurchaseDate;
-            let rawGain = Math.max(0, sale - cost - expenses);
-            
-            const invest54 = Math.min(TaxUtils.validateNumber(userData.investmentSec54), 100000000); 
-            const invest54EC = Math.min(TaxUtils.validateNumber(userData.investmentSec54EC), 5000000); 
-            const deposit = TaxUtils.validateNumber(userData.capitalGainDeposit);
-            
-            const totalExemption = invest54 + invest54EC + deposit;
-            if (totalExemption > 0) {
-                this.addLog('Exemptions', 'Sec 54/54EC', totalExemption, null, `Total Claimed Exemptions: ₹${TaxUtils.formatCurrency(totalExemption)}`);
-            }
-
-            let reTax = 0;
-            const pDate = new Date(purchaseDateStr);
-            const cutoffDate = new Date(this.config.capitalGains.realEstate.grandfatherDate);
-            const isGrandfathered = pDate < cutoffDate;
-            
-            const gainNoIndex = Math.max(0, rawGain - totalExemption);
-            const taxNoIndex = TaxUtils.roundToRupee(gainNoIndex * 0.125);
-            
-            if (isGrandfathered && !isNaN(pDate.getTime())) {
-                const purchaseYear = pDate.getFullYear();
-                const purchaseMonth = pDate.getMonth() + 1;
-                const fyStart = purchaseMonth >= 4 ? purchaseYear : purchaseYear - 1;
-                const fyKey = `${fyStart}-${(fyStart+1).toString().slice(-2)}`;
-                const ciiMap = this.config.capitalGains.cii;
-                const purchaseCII = ciiMap[fyKey] || 100; 
-                const saleCII = 376; 
-                
-                const indexedCost = TaxUtils.roundToRupee(cost * (saleCII / purchaseCII));
-                const gainIndex = Math.max(0, sale - indexedCost - expenses - totalExemption);
-                const taxIndex = TaxUtils.roundToRupee(gainIndex * 0.20);
-                
-                if (taxIndex < taxNoIndex) {
-                    reTax = taxIndex;
-                    this.addLog('Section 112', 'LTCG (Property)', reTax, null, `Grandfathered: 20% w/ Indexation (Cost: ₹${TaxUtils.formatCurrency(indexedCost)}) is better.`);
-                } else {
-                    reTax = taxNoIndex;
-                    this.addLog('Section 112', 'LTCG (Property)', reTax, null, `Grandfathered: 12.5% No-Indexation is better.`);
-                }
-            } else {
-                reTax = taxNoIndex;
-                if (gainNoIndex > 0) {
-                     this.addLog('Section 112', 'LTCG (Property)', reTax, null, `New Rule: Flat 12.5%. Taxable Gain: ₹${TaxUtils.formatCurrency(gainNoIndex)}`);
-                }
-            }
-            
-            ltcgTax += reTax;
-        }
+        // Losses not set off this year go to Schedule CFL (carry-forward by year)
+        const lossSetOff = { stcl: stclAvailable - stcl, ltcl: ltclAvailable - ltcl };
+        const lossCarryForward = CapitalLossLedger.buildSchedule(
+            userData.capitalLossLedger || CapitalLossLedger.open([], this.config), currentLoss, lossSetOff, userData, this.config);
+        CapitalLossLedger.describe(lossCarryForward).forEach(entry => {
+            this.addLog('Loss Carry Forward', entry.item, entry.amount, null, entry.explanation);
+        });
 
         totalTax = stcgTax + ltcgTax;
 
+        // Gains after set-off form part of total income (surcharge band)
+        const income = {
+            section111A: Math.max(0, stcgEquity),
+            section112A: Math.max(0, ltcgEquity),
+            section112: propertyGain + ltcgOther
+        };
+        income.total = income.section111A + income.section112A + income.section112;
+
         return {
             stcg: stcgTax,
             ltcg: ltcgTax,
-            total: totalTax
+            total: totalTax,
+            income,
+            bySection: {
+                section111A: stcgTax,
+                section112A: ltcgEquityTax,
+                section112: ltcgTax - ltcgEquityTax
+            },
+            lossSetOff,
+            lossCarryForward
         };
     }
 
+    /**
+     * Relief u/s 89(1) for arrears / advance salary taxed this year (Form 10E)
+     * @param {Object} userData - User input data
+     * @param {number} taxableIncome - Taxable income including the arrears
+     * @returns {Object} Relief details from Section89Relief.calculate()
+     */
+    calculateSection89Relief(userData, taxableIncome) {
+        const section89 = Section89Relief.calculate(userData, 'new', taxableIncome, this.config);
+        const rules = this.config.specialRules.section89Relief;
+        const fmt = TaxUtils.formatCurrency;
+
+        section89.skipped.forEach(s => {
+            this.addLog(rules.section, `Arrears for FY ${s.financialYear || '?'} Not Considered`, s.arrears, null, s.reason);
+        });
+
+        if (section89.source === 'computed') {
+            const current = section89.current;
+            this.addLog(
+                rules.section,
+                'Tax on Arrears (This Year)',
+                current.taxOnArrears,
+                null,
+                `Steps 1-3: Tax on ${fmt(current.incomeWithArrears)} (${fmt(current.taxWithArrears)}) - tax on ${fmt(current.incomeWithoutArrears)} without arrears of ${fmt(section89.arrearsTotal)} (${fmt(current.taxWithoutArrears)})`
+            );
+            this.addLog(
+                rules.section,
+                'Tax on Arrears (Relevant Years)',
+                section89.pastYearsTax,
+                null,
+                `Steps 4-6: ${section89.years.map(y => `FY ${y.financialYear}: ${fmt(y.taxWith)} - ${fmt(y.taxWithout)}`).join('; ')}`
+            );
+            this.addLog(
+                rules.section,
+                'Relief for Arrears',
+                section89.relief,
+                null,
+                section89.relief > 0
+                    ? `Step 7: ${fmt(current.taxOnArrears)} - ${fmt(section89.pastYearsTax)}. ${rules.deadline}.`
+                    : `Step 7: Arrears cost no more tax this year than in the years they relate to, so no relief.`,
+                section89.relief > 0 ? section89.relief : null
+            );
+        } else if (section89.source === 'manual') {
+            this.addLog(
+                'Section 89',
+                'Relief for Arrears',
+                section89.relief,
+                null,
+                `Relief u/s 89 reduced from tax liability. Ensure Form 10E is filed.`,
+                section89.relief
+            );
+        }
+
+        return section89;
+    }
+
+    /**
+     * Calculate interest u/s 234A (late filing), 234B (advance tax shortfall) and 234C (deferment)
+     * @param {number} finalTax - Final tax liability
+     * @param {Object} taxesPaid - Taxes already paid
+     * @param {Object} userData - User input data
+     * @param {Array} lateIncomeTax - From TaxPayments.getLateIncomeTax()
+     * @returns {Object} Interest breakdown
+     */
+    calculateInterest(finalTax, taxesPaid, userData, lateIncomeTax = []) {
+        const interest = TaxPayments.calculateInterest(finalTax, taxesPaid, userData, this.config, lateIncomeTax);
+        const interestConfig = this.config.interest;
+        const rateText = `${interestConfig.ratePerMonth * 100}%`;
+
+        if (interest.section234C.amount > 0) {
+            const shortfalls = interest.section234C.instalments
+                .filter(i => i.interest > 0)
+                .map(i => `${i.label}: ${TaxUtils.formatCurrency(i.shortfall)} × ${rateText} × ${i.months}` +
+                    (i.excludedTax > 0 ? ` (tax of ${TaxUtils.formatCurrency(i.excludedTax)} on gains / dividends arising later left out)` : ''))
+                .join('; ');
+            this.addLog(
+                interestConfig.section234C.section,
+                'Interest on Deferred Advance Tax',
+                interest.section234C.amount,
+                null,
+                `${shortfalls}. ${interestConfig.section234C.explanation}`
+            );
+        }
+
+        if (interest.section234B.amount > 0) {
+            this.addLog(
+                interestConfig.section234B.section,
+                'Interest on Advance Tax Shortfall',
+                interest.section234B.amount,
+                null,
+                `Advance tax paid (${TaxUtils.formatCurrency(interest.section234B.advanceTaxPaid)}) < ${interestConfig.section234B.minAdvanceTaxPercent * 100}% of assessed tax (${TaxUtils.formatCurrency(interest.assessedTax)}). ${TaxUtils.formatCurrency(interest.section234B.base)} × ${rateText} × ${interest.section234B.months} months (1 April to ${TaxPayments.formatDate(interest.filingDate)})`
+            );
+        }
+
+        if (interest.section234A.amount > 0) {
+            this.addLog(
+                interestConfig.section234A.section,
+                'Interest for Late Filing',
+                interest.section234A.amount,
+                null,
+                `Return filed ${TaxPayments.formatDate(interest.filingDate)}, due ${TaxPayments.formatDate(interest.dueDate)}. ${TaxUtils.formatCurrency(interest.section234A.base)} × ${rateText} × ${interest.section234A.months} months`
+            );
+        }
+
+        return interest;
+    }
+
+    /**
+     * Credit taxes already paid (TDS, TCS, advance, self-assessment) against final tax and interest
+     * @param {number} finalTax - Final tax liability
+     * @param {Object} taxesPaid - Taxes already paid
+     * @param {number} interest - Interest u/s 234A/B/C
+     * @returns {Object} { netPayable, balancePayable, refundDue }
+     */
+    calculateBalancePayable(finalTax, taxesPaid, interest = 0) {
+        const balance = TaxPayments.calculateBalance(finalTax, taxesPaid, interest);
+        const taxWithInterest = finalTax + interest;
+        const dueText = interest > 0
+            ? `Tax (${TaxUtils.formatCurrency(finalTax)}) + Interest (${TaxUtils.formatCurrency(interest)})`
+            : `Tax (${TaxUtils.formatCurrency(finalTax)})`;
+
+        if (taxesPaid.total > 0) {
+            this.addLog(
+                'Taxes Paid',
+                'TDS / TCS / Advance / Self-Assessment',
+                taxesPaid.total,
+                null,
+                `${TaxPayments.describeTaxesPaid(taxesPaid, this.config)} credited against ${TaxUtils.formatCurrency(taxWithInterest)}`
+            );
+        }
+
+        if (balance.refundDue > 0) {
+            this.addLog(
+                'Balance',
+                'Refund Due',
+                balance.refundDue,
+                null,
+                `Taxes paid (${TaxUtils.formatCurrency(taxesPaid.total)}) exceed ${dueText}. ${this.config.taxesPaid.refundExplanation}`
+            );
+        } else {
+            this.addLog(
+                'Balance',
+                'Balance Tax Payable',
+                balance.balancePayable,
+                null,
+                `${dueText} - Taxes paid (${TaxUtils.formatCurrency(taxesPaid.total)})${balance.balancePayable > 0 ? `. ${this.config.taxesPaid.payableExplanation}` : ''}`
+            );
+        }
+
+        return balance;
+    }
+
     /**
      * Add entry to calculation log
      * @param {string} deductionType - 'investment', 'expense', 'exemption', or 'neutral'
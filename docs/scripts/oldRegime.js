@@ -1,6 +1,6 @@
 /**
  * OLD REGIME TAX CALCULATOR
- * FY 2025-26 (AY 2026-27)
+ * FY 2025-26 (AY 2026-27) by default; other years via TaxYearRegistry (taxYears.js)
  * 
  * Class-based calculator with detailed logging for each calculation step.
  * 
@@ -46,14 +46,16 @@ class OldRegimeCalculator {
         const ageCategory = userData.ageCategory || 'below60';
         const ageConfig = this.regimeConfig.ageCategories[ageCategory];
         
-        // Step 1: Calculate Gross Total Income
-        const grossIncome = this.calculateGrossIncome(userData);
+        // Step 1: Calculate Gross Total Income (house property worked out house by house)
+        const houseProperty = HouseProperty.compute(
+            userData.houseProperties || [], 'old', userData.housePropertyLossBroughtForward, this.config);
+        const grossIncome = this.calculateGrossIncome(userData, houseProperty);
         
         // Step 2: Calculate exemptions (HRA, LTA, etc.)
         const exemptions = this.calculateExemptions(userData);
         
         // Step 3: Calculate Chapter VI-A deductions
-        const deductions = this.calculateDeductions(userData, ageCategory, grossIncome.total);
+        const deductions = this.calculateDeductions(userData, ageCategory, grossIncome.total, houseProperty);
         
         // Step 4: Calculate Taxable Income
         const taxableIncome = Math.max(0, grossIncome.total - exemptions.total - deductions.total);
@@ -66,48 +68,111 @@ class OldRegimeCalculator {
             `Gross Income (${TaxUtils.formatCurrency(grossIncome.total)}) - Exemptions (${TaxUtils.formatCurrency(exemptions.total)}) - Deductions (${TaxUtils.formatCurrency(deductions.total)}) = ${TaxUtils.formatCurrency(taxableIncome)}`
         );
 
-        // Step 5: Calculate tax using age-based slabs
-        const slabTax = this.calculateSlabTax(taxableIncome, ageConfig.slabs);
+        // Step 5: Calculate tax using age-based slabs (agricultural income partially integrated)
+        const integration = TaxUtils.applyPartialIntegration(
+            taxableIncome,
+            this.calculateSlabTax(taxableIncome, ageConfig.slabs),
+            TaxUtils.validateNumber(userData.agriculturalIncome),
+            income => TaxUtils.calculateSlabTax(income, ageConfig.slabs).tax,
+            ageConfig.basicExemption,
+            this.config.specialRules.agriculturalIncome
+        );
+        integration.log.forEach(entry => {
+            this.addLog(entry.section, entry.item, entry.amount, null, entry.explanation, entry.taxSaved);
+        });
+        const slabTax = integration.slabTax;
         
-        // Step 6: Apply 87A Rebate
-        const rebate = this.calculateRebate(taxableIncome, slabTax.tax);
-        const taxAfterRebate = Math.max(0, slabTax.tax - rebate.amount);
+        // Step 6: Calculate Capital Gains Tax at special rates (111A/112A/112),
+        // after setting off any unused basic exemption (residents)
+        const exemptionShortfall = this.calculateBasicExemptionShortfall(userData, taxableIncome, ageConfig.basicExemption);
+        const capitalGainsTax = this.calculateCapitalGainsTax(userData, exemptionShortfall);
+        const totalIncome = taxableIncome + capitalGainsTax.income.total;
         
-        // Step 7: Calculate Surcharge
-        const surcharge = this.calculateSurcharge(grossIncome.total, taxAfterRebate);
+        // Step 7: Apply 87A Rebate (on total income; 112A tax excluded)
+        const rebate = this.calculateRebate(totalIncome, slabTax.tax, capitalGainsTax, userData);
+        const taxAfterRebate = Math.max(0, slabTax.tax - rebate.onSlabTax);
+        const capitalGainsTaxAfterRebate = capitalGainsTax.total - rebate.onCapitalGains;
         
-        // Step 8: Calculate Cess
-        const cess = this.calculateCess(taxAfterRebate + surcharge.amount);
+        // Step 8: Calculate Surcharge on total income including special-rate gains
+        const surcharge = this.calculateSurcharge(
+            taxableIncome,
+            taxAfterRebate,
+            capitalGainsTax,
+            capitalGainsTaxAfterRebate,
+            grossIncome.dividend,
+            ageConfig.slabs
+        );
         
-        // Step 9: Calculate Capital Gains Tax separately
-        const capitalGainsTax = this.calculateCapitalGainsTax(userData);
+        // Step 9: Calculate Cess on slab tax, capital gains tax and surcharge
+        const cess = this.calculateCess(taxAfterRebate + capitalGainsTaxAfterRebate + surcharge.amount);
         
-        // Step 10: Final Tax
-        const finalTax = Math.max(0, taxAfterRebate + surcharge.amount + cess.amount + capitalGainsTax.total);
+        // Step 10: Section 89 Relief (arrears by year, Form 10E)
+        const section89 = this.calculateSection89Relief(userData, taxableIncome);
+        const section89Relief = section89.relief;
+
+        // Step 11: Final Tax
+        const finalTax = Math.max(0, taxAfterRebate + capitalGainsTaxAfterRebate + surcharge.amount + cess.amount - section89Relief);
 
         this.addLog(
             'Final Tax',
             'Total Tax Payable',
             finalTax,
             null,
-            `Tax after rebate (${TaxUtils.formatCurrency(taxAfterRebate)}) + Surcharge (${TaxUtils.formatCurrency(surcharge.amount)}) + Cess (${TaxUtils.formatCurrency(cess.amount)}) + Capital Gains Tax (${TaxUtils.formatCurrency(capitalGainsTax.total)})`
+            `Tax after rebate (${TaxUtils.formatCurrency(taxAfterRebate)}) + Capital Gains Tax (${TaxUtils.formatCurrency(capitalGainsTax.total)})${rebate.onCapitalGains > 0 ? ` - 87A Rebate on Capital Gains (${TaxUtils.formatCurrency(rebate.onCapitalGains)})` : ''} + Surcharge (${TaxUtils.formatCurrency(surcharge.amount)}) + Cess (${TaxUtils.formatCurrency(cess.amount)})${section89Relief > 0 ? ` - Section 89 Relief (${TaxUtils.formatCurrency(section89Relief)})` : ''}`
         );
 
+        // Step 11b: Section 192(1C) - tax on eligible startup ESOP / RSU perquisites is paid later
+        const esopDeferredTax = EquityCompensation.getDeferredTax(userData.equityCompensation, finalTax, totalIncome);
+        const esopDeferral = EquityCompensation.describeDeferral(userData.equityCompensation, esopDeferredTax, this.config);
+        if (esopDeferral) {
+            this.addLog(esopDeferral.section, esopDeferral.item, esopDeferral.amount, null, esopDeferral.explanation);
+        }
+        const taxDueThisYear = TaxUtils.roundToRupee(finalTax - esopDeferredTax);
+
+        // Step 12: Interest u/s 234A/234B/234C on tax not paid in time; tax on capital gains
+        // and dividends is not due in the instalments before the income arose
+        const taxesPaid = TaxPayments.getTaxesPaid(userData);
+        const lateIncomeTax = TaxPayments.getLateIncomeTax(userData, {
+            taxableIncome,
+            slabTax: taxAfterRebate,
+            capitalGainsTax,
+            finalTax: taxDueThisYear
+        });
+        const interest = this.calculateInterest(taxDueThisYear, taxesPaid, userData, lateIncomeTax);
+
+        // Advance tax instalment schedule for the planner (no log entries)
+        const advanceTaxPlan = TaxPayments.buildAdvanceTaxPlan(taxDueThisYear, taxesPaid, userData, this.config, lateIncomeTax);
+
+        // Step 13: Balance payable / refund after taxes already paid
+        const balance = this.calculateBalancePayable(taxDueThisYear, taxesPaid, interest.total);
+
         return {
             regime: 'old',
             regimeName: 'Old Tax Regime',
+            financialYear: this.config.financialYear,
             ageCategory,
             grossIncome,
             exemptions,
             deductions,
             taxableIncome,
+            totalIncome,
             slabTax,
             rebate,
             surcharge,
             cess,
             capitalGainsTax,
+            houseProperty,
+            section89Relief: section89Relief > 0 ? section89Relief : 0,
+            section89,
             finalTax: TaxUtils.roundToRupee(finalTax),
+            esopDeferredTax,
             effectiveRate: grossIncome.total > 0 ? (finalTax / grossIncome.total) : 0,
+            interest,
+            advanceTaxPlan,
+            taxesPaid,
+            netPayable: balance.netPayable,
+            balancePayable: balance.balancePayable,
+            refundDue: balance.refundDue,
             log: this.log
         };
     }
@@ -115,12 +180,24 @@ class OldRegimeCalculator {
     /**
      * Calculate Gross Total Income
      * Same as New Regime (income sources don't change)
+     * @param {Object} userData - User input data
+     * @param {Object} houseProperty - HouseProperty.compute() result for this regime
      */
-    calculateGrossIncome(userData) {
+    calculateGrossIncome(userData, houseProperty) {
         const breakdown = {};
         
         // Salary Income (before any deductions)
         breakdown.salary = TaxUtils.validateNumber(userData.grossSalary);
+        if (userData.perquisiteValuation) {
+            Perquisites.describe(userData.perquisiteValuation, this.config).forEach(entry => {
+                this.addLog(entry.section, entry.item, entry.amount, null, entry.explanation);
+            });
+        }
+        if (userData.equityCompensation) {
+            EquityCompensation.describe(userData.equityCompensation, this.config).forEach(entry => {
+                this.addLog(entry.section, entry.item, entry.amount, null, entry.explanation);
+            });
+        }
         
         // Interest Income (will be partially deductible via 80TTA/80TTB)
         breakdown.savingsInterest = TaxUtils.validateNumber(userData.savingsInterest);
@@ -129,20 +206,12 @@ class OldRegimeCalculator {
         // Dividend Income
         breakdown.dividend = TaxUtils.validateNumber(userData.dividendIncome);
         
-        // Rental Income (after 30% standard deduction) - Section 24(a)
-        const grossRental = TaxUtils.validateNumber(userData.rentalIncome);
-        const rentalStdDeduction = grossRental * 0.30;
-        breakdown.rental = grossRental - rentalStdDeduction;
-        
-        if (grossRental > 0) {
-            this.addLog(
-                'Section 24(a)',
-                'Rental Income - Standard Deduction',
-                rentalStdDeduction,
-                null,
-                `30% standard deduction for repair and maintenance: ${TaxUtils.formatCurrency(grossRental)} × 30% = ${TaxUtils.formatCurrency(rentalStdDeduction)}`
-            );
-        }
+        // Income from house property before loan interest (after 30% standard deduction, Section 24(a),
+        // and earlier years' losses); the interest is Section 24(b) in calculateDeductions
+        breakdown.rental = houseProperty.annualValue - houseProperty.standardDeduction - houseProperty.broughtForwardSetOff;
+        HouseProperty.describe(houseProperty).forEach(entry => {
+            this.addLog(entry.section, entry.item, entry.amount, null, entry.explanation);
+        });
         
         // Family Pension
         breakdown.familyPension = TaxUtils.validateNumber(userData.familyPension);
@@ -164,7 +233,25 @@ class OldRegimeCalculator {
         // Other income
         breakdown.other = TaxUtils.validateNumber(userData.otherIncome);
         
-        // Agricultural income is FULLY EXEMPT
+        // Short-term gains without a special rate (debt / specified funds, gold, unlisted and
+        // foreign shares) are part of slab income, unlike 111A/112A/112 gains. Short-term
+        // losses are set off against them before the special-rate gains
+        const slabLossSetOff = CapitalGainsLedger.getSlabLossSetOff(userData);
+        if (slabLossSetOff > 0) {
+            this.addLog('Loss Setoff', 'STCL vs STCG (slab rates)', slabLossSetOff, null, `Offset ${TaxUtils.formatCurrency(slabLossSetOff)} STCL against short-term gains taxed at slab rates.`);
+        }
+        breakdown.shortTermGainsAtSlab = TaxUtils.validateNumber(userData.stcgOther) - slabLossSetOff;
+        if (breakdown.shortTermGainsAtSlab > 0) {
+            this.addLog(
+                'Capital Gains',
+                'Short-term Gains at Slab Rates',
+                breakdown.shortTermGainsAtSlab,
+                null,
+                `${TaxUtils.formatCurrency(breakdown.shortTermGainsAtSlab)} of short-term gains (Section 50AA funds, gold, unlisted / foreign shares, property) added to income and taxed at slab rates.`
+            );
+        }
+        
+        // Agricultural income is exempt - not added to total (partial integration in Step 5)
         const agriculturalIncome = TaxUtils.validateNumber(userData.agriculturalIncome);
         if (agriculturalIncome > 0) {
             this.addLog(
@@ -172,11 +259,19 @@ class OldRegimeCalculator {
                 'Agricultural Income',
                 0,
                 null,
-                `Agricultural income of ${TaxUtils.formatCurrency(agriculturalIncome)} is 100% TAX-FREE. Constitutional exemption, unlimited.`,
-                agriculturalIncome * 0.30  // Estimated tax saved at 30%
+                `Agricultural income of ${TaxUtils.formatCurrency(agriculturalIncome)} is exempt and not included in taxable income, but it can raise the rate on other income (partial integration).`
             );
         }
         
+        // Minor children's income (Section 64(1A)), less ₹1,500 per child exempt u/s 10(32); clubbed here if
+        // this parent's total income without it is the higher
+        const minorChildren = MinorClubbing.computeFor(
+            userData, 'old', data => new this.constructor(this.config).calculate(data), this.config);
+        breakdown.minorChildren = minorChildren.income;
+        MinorClubbing.describe(minorChildren, this.config).forEach(entry => {
+            this.addLog(entry.section, entry.item, entry.amount, null, entry.explanation);
+        });
+        
         // Calculate total
         breakdown.total = Object.values(breakdown).reduce((sum, val) => sum + (typeof val === 'number' ? val : 0), 0);
         
@@ -382,7 +477,7 @@ class OldRegimeCalculator {
     /**
      * Calculate HRA Exemption - Section 10(13A)
      * Monthly Calculation Method (Most Accurate)
-     * Iterates through each month of FY 2025-26 to match Rent with Salary
+     * Iterates through each month of the financial year to match Rent with Salary
      */
     calculateHRAExemption(userData) {
         const rentPayments = userData.rentPayments || [];
@@ -427,13 +522,12 @@ class OldRegimeCalculator {
         let totalHRAExemption = 0;
         const monthlyBreakdown = [];
         
-        // Financial Year Months: 4 (Apr'25) to 12 (Dec'25), then 1 (Jan'26) to 3 (Mar'26)
-        const fyMonths = [
-            { m: 4, y: 2025 }, { m: 5, y: 2025 }, { m: 6, y: 2025 }, 
-            { m: 7, y: 2025 }, { m: 8, y: 2025 }, { m: 9, y: 2025 }, 
-            { m: 10, y: 2025 }, { m: 11, y: 2025 }, { m: 12, y: 2025 },
-            { m: 1, y: 2026 }, { m: 2, y: 2026 }, { m: 3, y: 2026 }
-        ];
+        // Financial Year Months: 4 (Apr) to 12 (Dec) of fyStartYear, then 1 (Jan) to 3 (Mar) of the next year
+        const fyStartYear = this.config.fyStartYear;
+        const fyMonths = [...Array(12)].map((_, i) => ({
+            m: ((i + 3) % 12) + 1,
+            y: i < 9 ? fyStartYear : fyStartYear + 1
+        }));
         
         const monthNames = ["", "Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
         
@@ -741,60 +835,233 @@ class OldRegimeCalculator {
 
     /**
      * Calculate Section 87A Rebate - Old Regime
+     * Residents only. Eligibility is tested on total income including special-rate gains,
+     * and the rebate is set first against slab tax, then against capital gains tax not excluded.
+     * @param {number} totalIncome - Taxable income + special-rate gains
+     * @param {number} tax - Slab tax
+     * @param {Object} capitalGainsTax - From calculateCapitalGainsTax()
+     * @param {Object} userData - User input data (residentialStatus)
+     * @returns {Object} { applicable, amount, onSlabTax, onCapitalGains }
      */
-    calculateRebate(taxableIncome, tax) {
+    calculateRebate(totalIncome, tax, capitalGainsTax, userData) {
         const rebateConfig = this.regimeConfig.rebate87A;
+        const notApplicable = { applicable: false, amount: 0, onSlabTax: 0, onCapitalGains: 0 };
         
-        if (taxableIncome <= rebateConfig.incomeLimit) {
-            const rebateAmount = Math.min(tax, rebateConfig.maxRebate);
-            
+        if (totalIncome > rebateConfig.incomeLimit) {
+            if (totalIncome - capitalGainsTax.income.total <= rebateConfig.incomeLimit && tax > 0) {
+                this.addLog(
+                    'Section 87A',
+                    'Tax Rebate',
+                    0,
+                    rebateConfig.maxRebate,
+                    `Income at slab rates is within ${TaxUtils.formatCurrency(rebateConfig.incomeLimit)}, but total income including capital gains (${TaxUtils.formatCurrency(totalIncome)}) is not. No rebate.`
+                );
+            }
+            return notApplicable;
+        }
+        
+        if ((userData.residentialStatus || 'resident') === 'nonResident') {
+            if (tax + capitalGainsTax.total > 0) {
+                this.addLog('Section 87A', 'Tax Rebate', 0, rebateConfig.maxRebate, `Section 87A rebate is available only to resident individuals.`);
+            }
+            return notApplicable;
+        }
+        
+        const excluded = rebateConfig.excludedSections || [];
+        const excludedTax = excluded.reduce((sum, code) => sum + (capitalGainsTax.bySection[`section${code}`] || 0), 0);
+        const eligibleCgTax = capitalGainsTax.total - excludedTax;
+        const onSlabTax = Math.min(tax, rebateConfig.maxRebate);
+        const onCapitalGains = Math.min(eligibleCgTax, rebateConfig.maxRebate - onSlabTax);
+        const rebateAmount = onSlabTax + onCapitalGains;
+        
+        if (rebateAmount > 0 || excludedTax === 0) {
             this.addLog(
                 'Section 87A',
                 'Tax Rebate',
                 rebateAmount,
                 rebateConfig.maxRebate,
-                `Taxable income (${TaxUtils.formatCurrency(taxableIncome)}) ≤ ₹5,00,000. Rebate of ${TaxUtils.formatCurrency(rebateAmount)} applied.`,
+                `Total income (${TaxUtils.formatCurrency(totalIncome)}) ≤ ${TaxUtils.formatCurrency(rebateConfig.incomeLimit)}. Rebate of ${TaxUtils.formatCurrency(rebateAmount)} applied` +
+                (onCapitalGains > 0 ? ` (${TaxUtils.formatCurrency(onCapitalGains)} against capital gains tax).` : '.'),
                 rebateAmount
             );
-            
-            return {
-                applicable: true,
-                amount: rebateAmount
-            };
         }
         
-        return { applicable: false, amount: 0 };
+        if (excludedTax > 0) {
+            this.addLog(
+                'Section 87A',
+                'Special-Rate Tax Not Rebated',
+                excludedTax,
+                null,
+                `Rebate cannot be set against tax on gains u/s ${excluded.join('/')}; ${TaxUtils.formatCurrency(excludedTax)} stays payable.`
+            );
+        }
+        
+        return {
+            applicable: true,
+            amount: rebateAmount,
+            onSlabTax,
+            onCapitalGains
+        };
     }
 
-
+    /**
+     * Unused basic exemption available against 111A/112A gains
+     * Resident individuals only (provisos to 111A(1) and 112A(2))
+     * @param {Object} userData - User input data
+     * @param {number} taxableIncome - Income taxed at slab rates
+     * @param {number} basicExemption - Basic exemption limit in use
+     * @returns {number} Shortfall to set off against the gains
+     */
+    calculateBasicExemptionShortfall(userData, taxableIncome, basicExemption) {
+        const rules = this.config.capitalGains.basicExemptionShortfall;
+        const shortfall = Math.max(0, basicExemption - taxableIncome);
+        const gains = TaxUtils.validateNumber(userData.stcgEquity) + TaxUtils.validateNumber(userData.ltcgEquity);
+        if (shortfall <= 0 || gains <= 0) return 0;
+        
+        if (!rules.residentialStatuses.includes(userData.residentialStatus || 'resident')) {
+            this.addLog('Basic Exemption Shortfall', 'Not Available', 0, null, `Only residents can set the unused basic exemption off against STCG (111A) and LTCG (112A).`);
+            return 0;
+        }
+        
+        this.addLog(
+            'Basic Exemption Shortfall',
+            'Unused Basic Exemption',
+            shortfall,
+            basicExemption,
+            `Income at slab rates (${TaxUtils.formatCurrency(taxableIncome)}) is below the basic exemption of ${TaxUtils.formatCurrency(basicExemption)}. The shortfall of ${TaxUtils.formatCurrency(shortfall)} is set off against STCG (111A), then LTCG (112A).`
+        );
+        return shortfall;
+    }
 
     /**
      * Calculate Surcharge - Old Regime has higher rates
+     * The band is decided by total income including special-rate gains; the rate on
+     * tax from 111A/112/112A gains and dividends is capped at capitalGains.maxSurcharge.
+     * @param {number} taxableIncome - Income taxed at slab rates
+     * @param {number} tax - Slab tax after rebate
+     * @param {Object} capitalGainsTax - From calculateCapitalGainsTax()
+     * @param {number} gainsTaxAfterRebate - Capital gains tax less the 87A rebate set against it
+     * @param {number} dividendIncome - Dividends included in taxableIncome
+     * @param {Array} slabs - Age-based slabs (to price the threshold for marginal relief)
      */
-    calculateSurcharge(totalIncome, tax) {
+    calculateSurcharge(taxableIncome, tax, capitalGainsTax, gainsTaxAfterRebate, dividendIncome, slabs) {
         const surchargeRates = this.regimeConfig.surcharge;
+        const totalIncome = taxableIncome + capitalGainsTax.income.total;
         
         for (const slab of surchargeRates) {
             if (totalIncome > slab.min && totalIncome <= slab.max) {
-                const surchargeAmount = TaxUtils.roundToRupee(tax * slab.rate);
+                const portions = this.getSurchargePortions(taxableIncome, tax, capitalGainsTax, dividendIncome);
+                const cappedRate = Math.min(slab.rate, this.config.capitalGains.maxSurcharge);
+                const surchargeAmount = TaxUtils.roundToRupee(portions.full * slab.rate + portions.capped * cappedRate);
+                
+                // Apply marginal relief for surcharge if applicable
+                const marginalRelief = this.calculateSurchargeMarginalRelief(
+                    totalIncome, tax + gainsTaxAfterRebate, surchargeAmount, slab,
+                    { taxableIncome, capitalGainsTax, dividendIncome, slabs }
+                );
                 
                 this.addLog(
                     'Surcharge',
                     slab.description,
                     surchargeAmount,
                     null,
-                    `Old Regime: Income > ${TaxUtils.formatCurrency(slab.min)} attracts ${TaxUtils.formatPercent(slab.rate)} surcharge. Note: New Regime caps at 25%.`
+                    `Old Regime: Total income ${TaxUtils.formatCurrency(totalIncome)} (incl. capital gains) > ${TaxUtils.formatCurrency(slab.min)} attracts ${TaxUtils.formatPercent(slab.rate)} surcharge` +
+                    (portions.capped > 0 && cappedRate < slab.rate
+                        ? `, capped at ${TaxUtils.formatPercent(cappedRate)} on tax from 111A/112/112A gains and dividends (${TaxUtils.formatCurrency(portions.capped)}).`
+                        : '.') +
+                    ` Note: New Regime caps at 25%.`
                 );
                 
+                if (marginalRelief.applied) {
+                    this.addLog(
+                        'Surcharge',
+                        'Marginal Relief on Surcharge',
+                        marginalRelief.relief,
+                        null,
+                        `Tax + surcharge may exceed tax + surcharge at ${TaxUtils.formatCurrency(slab.min)} (${TaxUtils.formatCurrency(marginalRelief.limitAtThreshold)}) by at most the income above it (${TaxUtils.formatCurrency(totalIncome - slab.min)}). Surcharge reduced from ${TaxUtils.formatCurrency(surchargeAmount)} to ${TaxUtils.formatCurrency(marginalRelief.amount)}.`,
+                        marginalRelief.relief
+                    );
+                }
+                
                 return {
                     applicable: true,
                     rate: slab.rate,
-                    amount: surchargeAmount
+                    cappedRate,
+                    totalIncome,
+                    amount: marginalRelief.amount,
+                    marginalReliefApplied: marginalRelief.applied,
+                    marginalRelief: marginalRelief.relief
                 };
             }
         }
         
-        return { applicable: false, rate: 0, amount: 0 };
+        return { applicable: false, rate: 0, cappedRate: 0, totalIncome, amount: 0, marginalReliefApplied: false, marginalRelief: 0 };
+    }
+
+    /**
+     * Split tax into the part surcharged at the full rate and the part whose rate is capped
+     * (111A/112/112A gains, and the dividend share of slab tax)
+     * @param {number} taxableIncome - Income taxed at slab rates
+     * @param {number} tax - Slab tax on it
+     * @param {Object} capitalGainsTax - From calculateCapitalGainsTax()
+     * @param {number} dividendIncome - Dividends included in taxableIncome
+     * @returns {Object} { full, capped }
+     */
+    getSurchargePortions(taxableIncome, tax, capitalGainsTax, dividendIncome) {
+        const dividendShare = taxableIncome > 0 ? Math.min(dividendIncome, taxableIncome) / taxableIncome : 0;
+        const dividendTax = tax * dividendShare;
+        return {
+            full: tax - dividendTax,
+            capped: dividendTax + capitalGainsTax.bySection.section111A + capitalGainsTax.bySection.section112A +
+                capitalGainsTax.bySection.section112
+        };
+    }
+
+    /**
+     * Calculate Surcharge Marginal Relief
+     * Tax + surcharge cannot exceed (tax + surcharge at the threshold) + (income - threshold).
+     * At the threshold, slab income gives way first; gains are scaled down only if they alone exceed it.
+     * @param {number} totalIncome - Income that decides the surcharge band
+     * @param {number} tax - Slab tax + capital gains tax, both after rebate
+     * @param {number} surcharge - Surcharge at the band rate
+     * @param {Object} slab - Surcharge band the income falls in
+     * @param {Object} income - { taxableIncome, capitalGainsTax, dividendIncome, slabs }
+     * @returns {Object} { amount, applied, relief, limitAtThreshold }
+     */
+    calculateSurchargeMarginalRelief(totalIncome, tax, surcharge, slab, income) {
+        const threshold = slab.min;
+        const { taxableIncome, capitalGainsTax, dividendIncome, slabs } = income;
+        // Rate of the band just below this one (0 below ₹50L)
+        const previousBand = this.regimeConfig.surcharge.find(s => s.max === threshold);
+        const previousRate = previousBand ? previousBand.rate : 0;
+        const previousCappedRate = Math.min(previousRate, this.config.capitalGains.maxSurcharge);
+        
+        const gains = capitalGainsTax.income.total;
+        const gainsShare = gains > 0 ? Math.min(threshold, gains) / gains : 0;
+        const slabIncomeAtThreshold = Math.max(0, threshold - gains);
+        const cgAtThreshold = {
+            total: capitalGainsTax.total * gainsShare,
+            bySection: {
+                section111A: capitalGainsTax.bySection.section111A * gainsShare,
+                section112A: capitalGainsTax.bySection.section112A * gainsShare,
+                section112: capitalGainsTax.bySection.section112 * gainsShare
+            }
+        };
+        const slabTaxAtThreshold = TaxUtils.calculateSlabTax(slabIncomeAtThreshold, slabs).tax;
+        const portions = this.getSurchargePortions(slabIncomeAtThreshold, slabTaxAtThreshold, cgAtThreshold,
+            taxableIncome > 0 ? slabIncomeAtThreshold * Math.min(dividendIncome, taxableIncome) / taxableIncome : 0);
+        
+        const limitAtThreshold = TaxUtils.roundToRupee(
+            slabTaxAtThreshold + cgAtThreshold.total + portions.full * previousRate + portions.capped * previousCappedRate
+        );
+        const maxTaxWithSurcharge = limitAtThreshold + (totalIncome - threshold);
+        
+        if (tax + surcharge > maxTaxWithSurcharge) {
+            const amount = Math.max(0, TaxUtils.roundToRupee(maxTaxWithSurcharge - tax));
+            return { amount, applied: true, relief: surcharge - amount, limitAtThreshold };
+        }
+        
+        return { amount: surcharge, applied: false, relief: 0, limitAtThreshold };
     }
 
     /**
@@ -810,7 +1077,7 @@ class OldRegimeCalculator {
                 'Health & Education Cess',
                 cessAmount,
                 null,
-                `4% cess on (Tax + Surcharge) = ${TaxUtils.formatCurrency(taxWithSurcharge)} × 4% = ${TaxUtils.formatCurrency(cessAmount)}`
+                `4% cess on (Tax + Capital Gains Tax + Surcharge) = ${TaxUtils.formatCurrency(taxWithSurcharge)} × 4% = ${TaxUtils.formatCurrency(cessAmount)}`
             );
         }
         
@@ -820,47 +1087,139 @@ class OldRegimeCalculator {
     /**
      * Calculate Capital Gains Tax (same as New Regime)
      */
-    calculateCapitalGainsTax(userData) {
+    calculateCapitalGainsTax(userData, exemptionShortfall = 0) {
         let totalTax = 0;
+        let shortfall = exemptionShortfall;
         let stcgTax = 0;
         let ltcgTax = 0;
-        
+        let ltcgEquityTax = 0;
+        let propertyGain = 0;
+        
+        // Sales entered lot by lot: show how they net into the totals below
+        if (userData.capitalGainsLedger) {
+            CapitalGainsLedger.describe(userData.capitalGainsLedger).forEach(entry => {
+                this.addLog('Capital Gains Ledger', entry.item, entry.amount, null, entry.explanation);
+            });
+        }
+
         // 1. STCG Equity (20%)
         // -----------------------
         let stcgEquity = TaxUtils.validateNumber(userData.stcgEquity);
-        let stcl = TaxUtils.validateNumber(userData.stclCarryForward);
+        // This year's losses left after its own sales, then losses brought forward (oldest first)
+        const currentLoss = userData.currentYearCapitalLoss || { stcl: 0, ltcl: 0 };
+        const stclAvailable = currentLoss.stcl + TaxUtils.validateNumber(userData.stclCarryForward);
+        // Short-term gains at slab rates have taken their part already (calculateGrossIncome)
+        let stcl = stclAvailable - CapitalGainsLedger.getSlabLossSetOff(userData);
         
         // Offset STCL against STCG
         if (stcgEquity > 0 && stcl > 0) {
             const offset = Math.min(stcgEquity, stcl);
             stcgEquity -= offset;
             stcl -= offset;
-            this.addLog('Loss Setoff', 'STCL vs STCG', offset, null, `Offset ₹${TaxUtils.formatCurrency(offset)} STCL against STCG.`);
+            this.addLog('Loss Setoff', 'STCL vs STCG', offset, null, `Offset ${TaxUtils.formatCurrency(offset)} STCL against STCG.`);
+        }
+
+        // Unused basic exemption (residents) is set off against 111A gains first
+        const stcgShortfall = Math.min(Math.max(0, stcgEquity), shortfall);
+        if (stcgShortfall > 0) {
+            shortfall -= stcgShortfall;
+            this.addLog('Basic Exemption Shortfall', 'Set off against STCG (111A)', stcgShortfall, null, `${TaxUtils.formatCurrency(stcgShortfall)} of STCG falls within the unused basic exemption and is not taxed.`);
         }
+        const stcgTaxable = stcgEquity - stcgShortfall;
 
-        if (stcgEquity > 0) {
-            const rate = this.config.capitalGains.equity.stcgRate;
-            stcgTax = TaxUtils.roundToRupee(stcgEquity * rate);
+        if (stcgTaxable > 0) {
+            const rate = this.config.capitalGains.stcg.equity.rate;
+            stcgTax = TaxUtils.roundToRupee(stcgTaxable * rate);
             this.addLog(
                 'Section 111A', 
                 'STCG (Equity)', 
                 stcgTax, 
                 null, 
-                `Tax on ₹${TaxUtils.formatCurrency(stcgEquity)} @ ${(rate*100).toFixed(0)}% = ${TaxUtils.formatCurrency(stcgTax)}`
+                `Tax on ${TaxUtils.formatCurrency(stcgTaxable)} @ ${(rate*100).toFixed(0)}% = ${TaxUtils.formatCurrency(stcgTax)}`
+            );
+        }
+
+        // Losses go against Section 112 gains before 112A gains, whose first ₹1.25L is exempt anyway
+        let ltcl = currentLoss.ltcl + TaxUtils.validateNumber(userData.ltclCarryForward);
+        const ltclAvailable = ltcl;
+
+        // 2. LTCG on other assets (gold, unlisted / foreign shares, older debt funds)
+        // -----------------------------------------------------------------
+        // Section 112 without indexation, each asset class at its own rate
+        const otherGains = userData.ltcgOtherByClass || { other: TaxUtils.validateNumber(userData.ltcgOther) };
+        let ltcgOther = 0;
+        Object.entries(otherGains).forEach(([classKey, amount]) => {
+            let gain = TaxUtils.validateNumber(amount);
+            const label = CapitalGainsLedger.getClassLabel(classKey);
+            if (gain > 0 && stcl > 0) {
+                const offset = Math.min(gain, stcl);
+                gain -= offset;
+                stcl -= offset;
+                this.addLog('Loss Setoff', `STCL vs LTCG (${label})`, offset, null, `Offset remaining ${TaxUtils.formatCurrency(offset)} STCL against LTCG.`);
+            }
+            if (gain > 0 && ltcl > 0) {
+                const offset = Math.min(gain, ltcl);
+                gain -= offset;
+                ltcl -= offset;
+                this.addLog('Loss Setoff', `LTCL vs LTCG (${label})`, offset, null, `Offset remaining ${TaxUtils.formatCurrency(offset)} LTCL against LTCG.`);
+            }
+            if (gain <= 0) return;
+
+            const rules = this.config.capitalGains.ltcg[classKey] || this.config.capitalGains.ltcg.other;
+            const tax = TaxUtils.roundToRupee(gain * rules.rate);
+            ltcgOther += gain;
+            ltcgTax += tax;
+            this.addLog(
+                'Section 112',
+                `LTCG (${label})`,
+                tax,
+                null,
+                `${TaxUtils.formatCurrency(gain)} @ ${(rules.rate*100).toFixed(1)}% without indexation = ${TaxUtils.formatCurrency(tax)}`
             );
+        });
+
+        // 3. Land, Building and Other Asset Sales
+        // -----------------------------------------
+        // Sections 54 / 54F / 54EC are applied per sale in TaxEngine.normalizeProfile
+        const propertyGains = userData.propertyGains;
+        if (propertyGains) {
+            Section54Exemptions.describe(propertyGains).forEach(entry => {
+                this.addLog(entry.section, entry.item, entry.amount, null, entry.explanation);
+            });
+            propertyGains.sales.filter(sale => !sale.error && sale.taxableGain > 0).forEach(sale => {
+                let gain = sale.taxableGain;
+                const name = Section54Exemptions.getSaleName(sale);
+                if (stcl > 0) {
+                    const offset = Math.min(gain, stcl);
+                    gain -= offset;
+                    stcl -= offset;
+                    this.addLog('Loss Setoff', `STCL vs LTCG (${name})`, offset, null, `Offset remaining ${TaxUtils.formatCurrency(offset)} STCL against LTCG.`);
+                }
+                if (gain > 0 && ltcl > 0) {
+                    const offset = Math.min(gain, ltcl);
+                    gain -= offset;
+                    ltcl -= offset;
+                    this.addLog('Loss Setoff', `LTCL vs LTCG (${name})`, offset, null, `Offset remaining ${TaxUtils.formatCurrency(offset)} LTCL against LTCG.`);
+                }
+                const tax = gain === sale.taxableGain ? sale.tax : TaxUtils.roundToRupee(gain * sale.rate);
+                if (tax !== sale.tax) {
+                    this.addLog('Section 112', `LTCG after set-off (${name})`, tax, null, `${TaxUtils.formatCurrency(gain)} @ ${(sale.rate*100).toFixed(1)}% = ${TaxUtils.formatCurrency(tax)}`);
+                }
+                propertyGain += gain;
+                ltcgTax += tax;
+            });
         }
 
-        // 2. LTCG Equity (12.5% > 1.25L)
+        // 4. LTCG Equity (12.5% > 1.25L)
         // ------------------------------
         let ltcgEquity = TaxUtils.validateNumber(userData.ltcgEquity);
-        let ltcl = TaxUtils.validateNumber(userData.ltclCarryForward);
         
-        // Offset remaining STCL against LTCG
+        // Offset remaining STCL against LTCG (the part above the exemption goes first)
         if (ltcgEquity > 0 && stcl > 0) {
             const offset = Math.min(ltcgEquity, stcl);
             ltcgEquity -= offset;
             stcl -= offset;
-            this.addLog('Loss Setoff', 'STCL vs LTCG', offset, null, `Offset remaining ₹${TaxUtils.formatCurrency(offset)} STCL against LTCG.`);
+            this.addLog('Loss Setoff', 'STCL vs LTCG', offset, null, `Offset remaining ${TaxUtils.formatCurrency(offset)} STCL against LTCG.`);
         }
 
         // Offset LTCL against LTCG
@@ -868,125 +1227,220 @@ class OldRegimeCalculator {
             const offset = Math.min(ltcgEquity, ltcl);
             ltcgEquity -= offset;
             ltcl -= offset;
-            this.addLog('Loss Setoff', 'LTCL vs LTCG', offset, null, `Offset ₹${TaxUtils.formatCurrency(offset)} LTCL against LTCG.`);
+            this.addLog('Loss Setoff', 'LTCL vs LTCG', offset, null, `Offset ${TaxUtils.formatCurrency(offset)} LTCL against LTCG.`);
         }
 
         if (ltcgEquity > 0) {
-            const limit = this.config.capitalGains.equity.ltcgExemptionLimit;
-            const rate = this.config.capitalGains.equity.ltcgRate;
-            const taxable = Math.max(0, ltcgEquity - limit);
+            const limit = this.config.capitalGains.ltcg.equity.exemption;
+            const rate = this.config.capitalGains.ltcg.equity.rate;
+            const aboveLimit = Math.max(0, ltcgEquity - limit);
+            
+            // Then against 112A gains above the exemption limit
+            const ltcgShortfall = Math.min(aboveLimit, shortfall);
+            if (ltcgShortfall > 0) {
+                shortfall -= ltcgShortfall;
+                this.addLog('Basic Exemption Shortfall', 'Set off against LTCG (112A)', ltcgShortfall, null, `${TaxUtils.formatCurrency(ltcgShortfall)} of LTCG above ${TaxUtils.formatCurrency(limit)} falls within the unused basic exemption and is not taxed.`);
+            }
+            const taxable = aboveLimit - ltcgShortfall;
             
             if (taxable > 0) {
                 const tax = TaxUtils.roundToRupee(taxable * rate);
+                ltcgEquityTax = tax;
                 ltcgTax += tax;
                 this.addLog(
                     'Section 112A', 
                     'LTCG (Equity)', 
                     tax, 
                     null, 
-                    `Tax on ₹${TaxUtils.formatCurrency(taxable)} (above ₹1.25L) @ ${(rate*100).toFixed(1)}%`
+                    `Tax on ${TaxUtils.formatCurrency(taxable)} (above ₹1.25L${ltcgShortfall > 0 ? ' and the exemption shortfall' : ''}) @ ${(rate*100).toFixed(1)}%`
                 );
             }
         }
 
-        // 3. Real Estate LTCG (Complex Rules)
-        // -----------------------------------
-        const sale = TaxUtils.validateNumber(userData.realEstateSaleValue);
-        const cost = TaxUtils.validateNumber(userData.realEstatePurchaseValue);
-        
-        if (sale > 0 && cost > 0) {
-            const expenses = TaxUtils.validateNumber(userData.realEstateTransferExpenses);
-            const purchaseDateStr = userData.realEstatePurchaseDate;
-            
-            // Raw Gain
-            let rawGain = Math.max(0, sale - cost - expenses);
-            
-            // Apply Exemptions (54, 54EC) on Raw Gain first to find Taxable amount
-            // NOTE: For 54F (Net Consideration ratio), it's complex. Simplified check here for direct deduction.
-            // Caps
-            const invest54 = Math.min(TaxUtils.validateNumber(userData.investmentSec54), 100000000); // 10Cr
-            const invest54EC = Math.min(TaxUtils.validateNumber(userData.investmentSec54EC), 5000000); // 50L
-            const deposit = TaxUtils.validateNumber(userData.capitalGainDeposit);
-            
-            const totalExemption = invest54 + invest54EC + deposit;
-            
-            if (totalExemption > 0) {
-                this.addLog('Exemptions', 'Sec 54/54EC', totalExemption, null, `Total Claimed Exemptions (capped): ₹${TaxUtils.formatCurrency(totalExemption)}`);
-            }
-
-            // Determine Tax Logic (Grandfathering)
-            let reTax = 0;
-            const pDate = new Date(purchaseDateStr);
-            const cutoffDate = new Date(this.config.capitalGains.realEstate.grandfatherDate);
-            const isGrandfathered = pDate < cutoffDate;
-            
-            // We calculate taxable gain AFTER exemptions for both methods
-            // Method 1: 12.5% No Indexation
-            const gainNoIndex = Math.max(0, rawGain - totalExemption);
-            const taxNoIndex = TaxUtils.roundToRupee(gainNoIndex * 0.125);
-            
-            if (isGrandfathered && !isNaN(pDate.getTime())) {
-                // Method 2: 20% With Indexation
-                const purchaseYear = pDate.getFullYear();
-                const purchaseMonth = pDate.getMonth() + 1;
-                // Simple FY logic for lookups
-                const fyStart = purchaseMonth >= 4 ? purchaseYear : purchaseYear - 1;
-                const fyKey = `${fyStart}-${(fyStart+1).toString().slice(-2)}`;
-                
-                // Lookup CII
-                const ciiMap = this.config.capitalGains.cii;
-                const purchaseCII = ciiMap[fyKey] || 100; // Default to 2001-02 base if older or not found
-                const saleCII = 376; // FY 25-26
-                
-                const indexedCost = TaxUtils.roundToRupee(cost * (saleCII / purchaseCII));
-                const gainIndex = Math.max(0, sale - indexedCost - expenses - totalExemption);
-                const taxIndex = TaxUtils.roundToRupee(gainIndex * 0.20);
-                
-                if (taxIndex < taxNoIndex) {
-                    reTax = taxIndex;
-                    this.addLog(
-                        'Section 112', 
-                        'LTCG (Property)', 
-                        reTax, 
-                        null, 
-                        `Grandfathered Benefit! 20% with Indexation is lower. Indexed Cost: ₹${TaxUtils.formatCurrency(indexedCost)}. Taxable Gain: ₹${TaxUtils.formatCurrency(gainIndex)}`
-                    );
-                } else {
-                    reTax = taxNoIndex;
-                    this.addLog(
-                        'Section 112', 
-                        'LTCG (Property)', 
-                        reTax, 
-                        null, 
-                        `12.5% without Indexation is better/mandatory. Taxable Gain: ₹${TaxUtils.formatCurrency(gainNoIndex)}`
-                    );
-                }
-            } else {
-                // Non-Grandfathered
-                reTax = taxNoIndex;
-                if (gainNoIndex > 0) {
-                     this.addLog(
-                        'Section 112', 
-                        'LTCG (Property)', 
-                        reTax, 
-                        null, 
-                        `New Rule (Bought > Jul '24): Flat 12.5%. Taxable Gain: ₹${TaxUtils.formatCurrency(gainNoIndex)}`
-                    );
-                }
-            }
-            
-            ltcgTax += reTax;
-        }
+        // Losses not set off this year go to Schedule CFL (carry-forward by year)
+        const lossSetOff = { stcl: stclAvailable - stcl, ltcl: ltclAvailable - ltcl };
+        const lossCarryForward = CapitalLossLedger.buildSchedule(
+            userData.capitalLossLedger || CapitalLossLedger.open([], this.config), currentLoss, lossSetOff, userData, this.config);
+        CapitalLossLedger.describe(lossCarryForward).forEach(entry => {
+            this.addLog('Loss Carry Forward', entry.item, entry.amount, null, entry.explanation);
+        });
 
         totalTax = stcgTax + ltcgTax;
 
+        // Gains after set-off form part of total income (surcharge band)
+        const income = {
+            section111A: Math.max(0, stcgEquity),
+            section112A: Math.max(0, ltcgEquity),
+            section112: propertyGain + ltcgOther
+        };
+        income.total = income.section111A + income.section112A + income.section112;
+
         return {
             stcg: stcgTax,
             ltcg: ltcgTax,
-            total: totalTax
+            total: totalTax,
+            income,
+            bySection: {
+                section111A: stcgTax,
+                section112A: ltcgEquityTax,
+                section112: ltcgTax - ltcgEquityTax
+            },
+            lossSetOff,
+            lossCarryForward
         };
     }
 
+    /**
+     * Relief u/s 89(1) for arrears / advance salary taxed this year (Form 10E)
+     * @param {Object} userData - User input data
+     * @param {number} taxableIncome - Taxable income including the arrears
+     * @returns {Object} Relief details from Section89Relief.calculate()
+     */
+    calculateSection89Relief(userData, taxableIncome) {
+        const section89 = Section89Relief.calculate(userData, 'old', taxableIncome, this.config);
+        const rules = this.config.specialRules.section89Relief;
+        const fmt = TaxUtils.formatCurrency;
+
+        section89.skipped.forEach(s => {
+            this.addLog(rules.section, `Arrears for FY ${s.financialYear || '?'} Not Considered`, s.arrears, null, s.reason);
+        });
+
+        if (section89.source === 'computed') {
+            const current = section89.current;
+            this.addLog(
+                rules.section,
+                'Tax on Arrears (This Year)',
+                current.taxOnArrears,
+                null,
+                `Steps 1-3: Tax on ${fmt(current.incomeWithArrears)} (${fmt(current.taxWithArrears)}) - tax on ${fmt(current.incomeWithoutArrears)} without arrears of ${fmt(section89.arrearsTotal)} (${fmt(current.taxWithoutArrears)})`
+            );
+            this.addLog(
+                rules.section,
+                'Tax on Arrears (Relevant Years)',
+                section89.pastYearsTax,
+                null,
+                `Steps 4-6: ${section89.years.map(y => `FY ${y.financialYear}: ${fmt(y.taxWith)} - ${fmt(y.taxWithout)}`).join('; ')}`
+            );
+            this.addLog(
+                rules.section,
+                'Relief for Arrears',
+                section89.relief,
+                null,
+                section89.relief > 0
+                    ? `Step 7: ${fmt(current.taxOnArrears)} - ${fmt(section89.pastYearsTax)}. ${rules.deadline}.`
+                    : `Step 7: Arrears cost no more tax this year than in the years they relate to, so no relief.`,
+                section89.relief > 0 ? section89.relief : null
+            );
+        } else if (section89.source === 'manual') {
+            this.addLog(
+                'Section 89',
+                'Relief for Arrears',
+                section89.relief,
+                null,
+                `Relief u/s 89 reduced from tax liability. Ensure Form 10E is filed.`,
+                section89.relief
+            );
+        }
+
+        return section89;
+    }
+
+    /**
+     * Calculate interest u/s 234A (late filing), 234B (advance tax shortfall) and 234C (deferment)
+     * @param {number} finalTax - Final tax liability
+     * @param {Object} taxesPaid - Taxes already paid
+     * @param {Object} userData - User input data
+     * @param {Array} lateIncomeTax - From TaxPayments.getLateIncomeTax()
+     * @returns {Object} Interest breakdown
+     */
+    calculateInterest(finalTax, taxesPaid, userData, lateIncomeTax = []) {
+        const interest = TaxPayments.calculateInterest(finalTax, taxesPaid, userData, this.config, lateIncomeTax);
+        const interestConfig = this.config.interest;
+        const rateText = `${interestConfig.ratePerMonth * 100}%`;
+
+        if (interest.section234C.amount > 0) {
+            const shortfalls = interest.section234C.instalments
+                .filter(i => i.interest > 0)
+                .map(i => `${i.label}: ${TaxUtils.formatCurrency(i.shortfall)} × ${rateText} × ${i.months}` +
+                    (i.excludedTax > 0 ? ` (tax of ${TaxUtils.formatCurrency(i.excludedTax)} on gains / dividends arising later left out)` : ''))
+                .join('; ');
+            this.addLog(
+                interestConfig.section234C.section,
+                'Interest on Deferred Advance Tax',
+                interest.section234C.amount,
+                null,
+                `${shortfalls}. ${interestConfig.section234C.explanation}`
+            );
+        }
+
+        if (interest.section234B.amount > 0) {
+            this.addLog(
+                interestConfig.section234B.section,
+                'Interest on Advance Tax Shortfall',
+                interest.section234B.amount,
+                null,
+                `Advance tax paid (${TaxUtils.formatCurrency(interest.section234B.advanceTaxPaid)}) < ${interestConfig.section234B.minAdvanceTaxPercent * 100}% of assessed tax (${TaxUtils.formatCurrency(interest.assessedTax)}). ${TaxUtils.formatCurrency(interest.section234B.base)} × ${rateText} × ${interest.section234B.months} months (1 April to ${TaxPayments.formatDate(interest.filingDate)})`
+            );
+        }
+
+        if (interest.section234A.amount > 0) {
+            this.addLog(
+                interestConfig.section234A.section,
+                'Interest for Late Filing',
+                interest.section234A.amount,
+                null,
+                `Return filed ${TaxPayments.formatDate(interest.filingDate)}, due ${TaxPayments.formatDate(interest.dueDate)}. ${TaxUtils.formatCurrency(interest.section234A.base)} × ${rateText} × ${interest.section234A.months} months`
+            );
+        }
+
+        return interest;
+    }
+
+    /**
+     * Credit taxes already paid (TDS, TCS, advance, self-assessment) against final tax and interest
+     * @param {number} finalTax - Final tax liability
+     * @param {Object} taxesPaid - Taxes already paid
+     * @param {number} interest - Interest u/s 234A/B/C
+     * @returns {Object} { netPayable, balancePayable, refundDue }
+     */
+    calculateBalancePayable(finalTax, taxesPaid, interest = 0) {
+        const balance = TaxPayments.calculateBalance(finalTax, taxesPaid, interest);
+        const taxWithInterest = finalTax + interest;
+        const dueText = interest > 0
+            ? `Tax (${TaxUtils.formatCurrency(finalTax)}) + Interest (${TaxUtils.formatCurrency(interest)})`
+            : `Tax (${TaxUtils.formatCurrency(finalTax)})`;
+
+        if (taxesPaid.total > 0) {
+            this.addLog(
+                'Taxes Paid',
+                'TDS / TCS / Advance / Self-Assessment',
+                taxesPaid.total,
+                null,
+                `${TaxPayments.describeTaxesPaid(taxesPaid, this.config)} credited against ${TaxUtils.formatCurrency(taxWithInterest)}`
+            );
+        }
+
+        if (balance.refundDue > 0) {
+            this.addLog(
+                'Balance',
+                'Refund Due',
+                balance.refundDue,
+                null,
+                `Taxes paid (${TaxUtils.formatCurrency(taxesPaid.total)}) exceed ${dueText}. ${this.config.taxesPaid.refundExplanation}`
+            );
+        } else {
+            this.addLog(
+                'Balance',
+                'Balance Tax Payable',
+                balance.balancePayable,
+                null,
+                `${dueText} - Taxes paid (${TaxUtils.formatCurrency(taxesPaid.total)})${balance.balancePayable > 0 ? `. ${this.config.taxesPaid.payableExplanation}` : ''}`
+            );
+        }
+
+        return balance;
+    }
+
     /**
      * Add entry to calculation log
      * @param {string} deductionType - 'investment', 'expense', 'exemption', or 'neutral'
@@ -1000,6 +1454,9 @@ class OldRegimeCalculator {
 // These methods use 'this' and work correctly when called via the class instance
 if (typeof window !== 'undefined' && window.OldRegimeDeductionMethods) {
     Object.assign(OldRegimeCalculator.prototype, window.OldRegimeDeductionMethods);
+} else if (typeof require !== 'undefined') {
+    // Node (no window): load the same methods via require
+    Object.assign(OldRegimeCalculator.prototype, require('./oldRegimeDeductions.js'));
 }
 
 // Export for use in other modules
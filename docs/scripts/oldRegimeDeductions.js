@@ -445,7 +445,7 @@ function calculate80CDeductions(userData) {
     }
 
 // Calculate Chapter VI-A Deductions
-function calculateDeductions(userData, ageCategory, grossTotalIncome) {
+function calculateDeductions(userData, ageCategory, grossTotalIncome, houseProperty) {
         const breakdown = {};
         
         // =====================
@@ -711,21 +711,23 @@ function calculateDeductions(userData, ageCategory, grossTotalIncome) {
         // =====================
         // SECTION 24(b) - Home Loan Interest
         // =====================
-        const homeLoanInterest = TaxUtils.validateNumber(userData.homeLoanInterest);
-        const isLetOut = userData.isPropertyLetOut === true;
-        const sec24bLimit = isLetOut ? null : this.deductionConfig.section24b.limits.selfOccupied;
+        // Interest on all houses (self-occupied capped in HouseProperty.compute), less the part of
+        // a house property loss that is carried forward instead of set off this year
+        const interestClaimed = houseProperty ? houseProperty.interest - houseProperty.lossCarryForward : 0;
         
-        if (homeLoanInterest > 0) {
-            breakdown.section24b = sec24bLimit ? Math.min(homeLoanInterest, sec24bLimit) : homeLoanInterest;
+        if (interestClaimed > 0) {
+            breakdown.section24b = interestClaimed;
+            const selfOccupied = houseProperty.selfOccupiedInterest;
             
             this.addLog(
                 'Section 24(b)',
                 'Home Loan Interest',
                 breakdown.section24b,
-                sec24bLimit,
-                isLetOut 
-                    ? `Let-out property: UNLIMITED interest deduction (${TaxUtils.formatCurrency(homeLoanInterest)}).`
-                    : `Self-occupied property: Max ₹2,00,000 deduction. Interest paid: ${TaxUtils.formatCurrency(homeLoanInterest)}.`,
+                selfOccupied.paid > 0 ? selfOccupied.limit : null,
+                `Loan interest on house property: ${TaxUtils.formatCurrency(houseProperty.interest)}` +
+                    (houseProperty.preConstructionInterest > 0 ? ` including pre-construction instalments of ${TaxUtils.formatCurrency(houseProperty.preConstructionInterest)}` : '') +
+                    (selfOccupied.paid > 0 ? ` (self-occupied: ${TaxUtils.formatCurrency(selfOccupied.allowed)}, max ${TaxUtils.formatCurrency(selfOccupied.limit)} together; let-out: no limit)` : ' (let-out: no limit)') +
+                    (houseProperty.lossCarryForward > 0 ? `, less ${TaxUtils.formatCurrency(houseProperty.lossCarryForward)} carried forward as the loss set off against other income is capped at ${TaxUtils.formatCurrency(houseProperty.setOffLimit)}.` : '.'),
                 breakdown.section24b * 0.30,
                 'expense_based'  // Blue - home loan expense you'd pay anyway
             );
@@ -763,3 +765,8 @@ const OldRegimeDeductionMethods = {
 if (typeof window !== 'undefined') {
     window.OldRegimeDeductionMethods = OldRegimeDeductionMethods;
 }
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OldRegimeDeductionMethods;
+}
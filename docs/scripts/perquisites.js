@@ -0,0 +1,322 @@
+/**
+ * PERQUISITES - Section 17(2) values under Rule 3
+ *
+ * perquisites: { director, accommodation, car, loans, gifts, inSalary } where
+ *  - accommodation: { type, city, months, rent, furnitureCost, furnitureHire, recovered }
+ *    type is owned (by the employer), leased or hotel; city the population band of
+ *    valuation.accommodation.ownedRates; rent the lease rent or hotel charges the employer
+ *    paid for the months; recovered the rent the employee paid
+ *  - car: { usage, owner, engine, expensesBy, chauffeur, months, cost, expenses, recovered }
+ *    usage is official, mixed or personal; owner employer or employee; engine small
+ *    (up to 1.6 litres) or large; expenses the running, upkeep and driver costs the
+ *    employer met for the months
+ *  - loans: [{ type, amount, rate, sbiRate, months }] with amount the maximum monthly
+ *    outstanding balance and rates in % a year (sbiRate defaults to valuation.loans.sbiRates)
+ *  - gifts: gifts, vouchers and tokens received in the year
+ *  - inSalary: the salary entered (and its perquisitesValue) already includes these (Form-16)
+ *
+ *  - Accommodation: a share of salary by city population (owned), or the lower of the rent
+ *    and a share of salary (leased, hotel), plus 10% a year of furniture cost or its hire,
+ *    less rent recovered. Salary is the cash salary for the months (no perquisites)
+ *  - Employer's car for both official and personal use: a fixed amount a month by engine
+ *    size and who pays the running costs (plus the driver); wholly personal use is the actual
+ *    cost plus 10% a year of the car's cost. Taxed only for a specified employee (director,
+ *    20% voting power or salary above the Section 17(2)(iii) threshold)
+ *  - Employee's own car run at the employer's cost: the expenses, less the fixed amount when
+ *    it is also used for official work
+ *  - Loans: interest at the SBI rate less interest charged, on the outstanding balance; nil
+ *    when all loans together are small or for treatment of Rule 3A diseases
+ *  - Gifts: nil below ₹5,000 in the year, the whole value otherwise
+ *
+ * Government accommodation (licence fee) is not valued here: add it to perquisitesValue.
+ * Profile fields used: perquisites (added to grossSalary and perquisitesValue by TaxEngine
+ * unless inSalary)
+ */
+
+const Perquisites = {
+    // Loan purposes -> label (keys of valuation.loans.sbiRates, plus medical)
+    LOAN_TYPES: {
+        housing: 'Housing loan',
+        car: 'Vehicle loan',
+        education: 'Education loan',
+        personal: 'Personal loan',
+        medical: 'Medical treatment (Rule 3A)',
+        other: 'Other loan'
+    },
+
+    /**
+     * Whether any perquisite is entered for valuation
+     */
+    isEntered(perquisites) {
+        if (!perquisites) return false;
+        const { accommodation = {}, car = {}, loans = [] } = perquisites;
+        return Boolean(accommodation.type) || Boolean(car.usage) ||
+            loans.some(loan => loan.amount > 0) || perquisites.gifts > 0;
+    },
+
+    /**
+     * Taxable value of the perquisites
+     * @param {Object} perquisites - As entered (see header)
+     * @param {number} salary - Cash salary for the year (excluding perquisites)
+     * @param {Object} config - Tax configuration
+     * @returns {Object} { accommodation, car, loans, gifts, specifiedEmployee, total, inSalary, addedToSalary }
+     */
+    compute(perquisites, salary, config = TAX_CONFIG) {
+        const rules = config.exemptions.perquisites;
+        salary = TaxUtils.validateNumber(salary);
+        const specifiedEmployee = Boolean(perquisites.director) || salary > rules.threshold;
+
+        const accommodation = this.valueAccommodation(perquisites.accommodation || {}, salary, rules.valuation.accommodation);
+        const car = this.valueCar(perquisites.car || {}, specifiedEmployee, rules.valuation.car);
+        const loans = this.valueLoans(perquisites.loans || [], rules.valuation.loans);
+        const giftsReceived = TaxUtils.validateNumber(perquisites.gifts);
+        const gifts = {
+            received: giftsReceived,
+            value: giftsReceived >= rules.valuation.gifts.exemptBelow ? giftsReceived : 0
+        };
+
+        const total = TaxUtils.roundToRupee((accommodation ? accommodation.value : 0) + (car ? car.value : 0) +
+            loans.reduce((sum, loan) => sum + loan.value, 0) + gifts.value);
+        const inSalary = Boolean(perquisites.inSalary);
+        return {
+            salary,
+            threshold: rules.threshold,
+            specifiedEmployee,
+            accommodation,
+            car,
+            loans,
+            gifts,
+            total,
+            inSalary,
+            // Part the salary entered does not already include
+            addedToSalary: inSalary ? 0 : total
+        };
+    },
+
+    /**
+     * Rule 3(1) value of rent-free or concessional accommodation (null when none)
+     */
+    valueAccommodation(accommodation, salary, rule) {
+        const { type } = accommodation;
+        if (!['owned', 'leased', 'hotel'].includes(type)) return null;
+
+        const months = this.getMonths(accommodation.months);
+        const periodSalary = salary * months / 12;
+        const rent = TaxUtils.validateNumber(accommodation.rent);
+        const city = rule.ownedRates[accommodation.city] !== undefined ? accommodation.city : 'other';
+        let base;
+        if (type === 'owned') {
+            base = periodSalary * rule.ownedRates[city];
+        } else {
+            base = Math.min(rent, periodSalary * (type === 'hotel' ? rule.hotelRate : rule.leasedRate));
+        }
+        // Hotel charges already cover the furnishing
+        const furniture = type === 'hotel' ? 0 :
+            TaxUtils.validateNumber(accommodation.furnitureCost) * rule.furnitureRate * months / 12 +
+            TaxUtils.validateNumber(accommodation.furnitureHire);
+        const recovered = TaxUtils.validateNumber(accommodation.recovered);
+
+        return {
+            type,
+            city,
+            months,
+            periodSalary: TaxUtils.roundToRupee(periodSalary),
+            base: TaxUtils.roundToRupee(base),
+            furniture: TaxUtils.roundToRupee(furniture),
+            recovered,
+            // What the employer pays out (unknown for its own house)
+            employerCost: type === 'owned' ? null : rent + (type === 'hotel' ? 0 : TaxUtils.validateNumber(accommodation.furnitureHire)),
+            value: TaxUtils.roundToRupee(Math.max(0, base + furniture - recovered)),
+            section: rule.section
+        };
+    },
+
+    /**
+     * Rule 3(2) value of a motor car (null when none)
+     */
+    valueCar(car, specifiedEmployee, rule) {
+        const { usage } = car;
+        if (!['official', 'mixed', 'personal'].includes(usage)) return null;
+
+        const months = this.getMonths(car.months);
+        const owner = car.owner === 'employee' ? 'employee' : 'employer';
+        const engine = car.engine === 'large' ? 'large' : 'small';
+        const expensesBy = car.expensesBy === 'employee' ? 'employee' : 'employer';
+        const expenses = TaxUtils.validateNumber(car.expenses);
+        const recovered = TaxUtils.validateNumber(car.recovered);
+        const chauffeur = car.chauffeur ? rule.chauffeur : 0;
+        let value = 0;
+        let fixed = 0;
+
+        if (owner === 'employer') {
+            if (usage === 'personal') {
+                value = expenses + TaxUtils.validateNumber(car.cost) * rule.depreciationRate * months / 12 - recovered;
+            } else if (usage === 'mixed') {
+                fixed = (rule.mixedUse[expensesBy === 'employer' ? 'employerExpenses' : 'employeeExpenses'][engine] + chauffeur) * months;
+                value = fixed;
+            }
+        } else if (expensesBy === 'employer') {
+            if (usage === 'personal') {
+                value = expenses - recovered;
+            } else if (usage === 'mixed') {
+                fixed = (rule.mixedUse.employerExpenses[engine] + chauffeur) * months;
+                value = expenses - fixed;
+            }
+        }
+        value = Math.max(0, value);
+        // The employer's own car is an amenity (Section 17(2)(iii)); paying the employee's
+        // car expenses meets the employee's obligation (17(2)(iv)) and is taxed for everyone
+        const exempt = owner === 'employer' && !specifiedEmployee;
+
+        return {
+            usage,
+            owner,
+            engine,
+            expensesBy,
+            months,
+            fixed,
+            expenses,
+            recovered,
+            valued: TaxUtils.roundToRupee(value),
+            exempt,
+            employerCost: expensesBy === 'employer' ? expenses : null,
+            value: exempt ? 0 : TaxUtils.roundToRupee(value),
+            section: rule.section
+        };
+    },
+
+    /**
+     * Rule 3(7)(i) value of each interest-free or concessional loan
+     */
+    valueLoans(loans, rule) {
+        const entered = loans.filter(loan => loan.amount > 0);
+        const aggregate = entered.reduce((sum, loan) => sum + TaxUtils.validateNumber(loan.amount), 0);
+        const small = aggregate <= rule.exemptAggregate;
+
+        return entered.map(loan => {
+            const type = this.LOAN_TYPES[loan.type] ? loan.type : 'other';
+            const amount = TaxUtils.validateNumber(loan.amount);
+            const months = this.getMonths(loan.months);
+            const rate = TaxUtils.validateNumber(loan.rate);
+            const sbiRate = loan.sbiRate > 0 ? loan.sbiRate : +((rule.sbiRates[type] || rule.sbiRates.other) * 100).toFixed(2);
+            const medical = type === 'medical' && rule.medicalExempt;
+            const interest = amount * Math.max(0, sbiRate - rate) / 100 * months / 12;
+            return {
+                type,
+                amount,
+                months,
+                rate,
+                sbiRate,
+                exemptReason: medical ? 'medical' : small ? 'small' : null,
+                interestBenefit: TaxUtils.roundToRupee(interest),
+                value: medical || small ? 0 : TaxUtils.roundToRupee(interest),
+                section: rule.section
+            };
+        });
+    },
+
+    /**
+     * Months the perquisite was enjoyed (blank: the whole year)
+     */
+    getMonths(months) {
+        const value = TaxUtils.validateNumber(months);
+        return value > 0 ? Math.min(value, 12) : 12;
+    },
+
+    /**
+     * Calculation log lines (the calculators add them as given)
+     * @param {Object} result - From compute()
+     * @param {Object} config - Tax configuration
+     * @returns {Array} [{ section, item, amount, explanation }]
+     */
+    describe(result, config = TAX_CONFIG) {
+        const fmt = TaxUtils.formatCurrency;
+        const rules = config.exemptions.perquisites.valuation;
+        const percent = rate => `${+(rate * 100).toFixed(2)}%`;
+        const period = months => months === 12 ? 'the year' : `${months} month${months !== 1 ? 's' : ''}`;
+        const employerCost = (cost, value) => cost !== null && cost > 0
+            ? ` The employer spends ${fmt(cost)}; you are taxed on ${fmt(value)}.` : '';
+        const entries = [];
+
+        const home = result.accommodation;
+        if (home) {
+            const basis = home.type === 'owned'
+                ? `${percent(rules.accommodation.ownedRates[home.city])} of salary ${fmt(home.periodSalary)} for ${period(home.months)}`
+                : `Lower of the ${home.type === 'hotel' ? 'hotel charges' : 'lease rent'} ${fmt(home.employerCost)} and ${percent(home.type === 'hotel' ? rules.accommodation.hotelRate : rules.accommodation.leasedRate)} of salary ${fmt(home.periodSalary)} = ${fmt(home.base)}`;
+            const parts = [home.type === 'owned' ? `${basis} = ${fmt(home.base)}` : basis];
+            if (home.furniture > 0) parts.push(`+ furniture ${fmt(home.furniture)}`);
+            if (home.recovered > 0) parts.push(`- rent recovered ${fmt(home.recovered)}`);
+            entries.push({
+                section: home.section,
+                item: home.type === 'hotel' ? 'Hotel accommodation' : `Accommodation (${home.type === 'owned' ? 'employer-owned' : 'leased by employer'})`,
+                amount: home.value,
+                explanation: `${parts.join(' ')}.${employerCost(home.employerCost, home.value)}`
+            });
+        }
+
+        const car = result.car;
+        if (car) {
+            let explanation;
+            if (car.usage === 'official') {
+                explanation = 'Used only for official work (keep the log book and employer certificate): nil.';
+            } else if (car.owner === 'employee' && car.expensesBy === 'employee') {
+                explanation = 'Your own car run at your own cost: nothing is provided by the employer.';
+            } else if (car.usage === 'personal') {
+                explanation = car.owner === 'employer'
+                    ? `Wholly personal use: expenses ${fmt(car.expenses)} + ${percent(rules.car.depreciationRate)} a year of the car's cost${car.recovered > 0 ? ` - recovered ${fmt(car.recovered)}` : ''} = ${fmt(car.valued)}.`
+                    : `Wholly personal use: the employer's payment of ${fmt(car.expenses)}${car.recovered > 0 ? ` - recovered ${fmt(car.recovered)}` : ''} is taxed.`;
+            } else {
+                explanation = car.owner === 'employer'
+                    ? `Official and personal use, ${car.engine === 'large' ? 'engine above' : 'engine up to'} 1.6 litres, running costs met by ${car.expensesBy === 'employer' ? 'the employer' : 'you'}: ${fmt(car.fixed)} for ${period(car.months)}.`
+                    : `Official and personal use: expenses ${fmt(car.expenses)} - ${fmt(car.fixed)} for official use = ${fmt(car.valued)}.`;
+            }
+            if (car.exempt && car.valued > 0) {
+                explanation += ` Not taxed: only a specified employee (director, 20% voting power or salary above ${fmt(result.threshold)}) is taxed on the employer's car.`;
+            }
+            entries.push({
+                section: car.section,
+                item: `Motor car (${car.owner === 'employer' ? "employer's" : 'own car, employer pays'})`,
+                amount: car.value,
+                explanation: explanation + employerCost(car.employerCost, car.value)
+            });
+        }
+
+        result.loans.forEach(loan => {
+            const notes = [`${fmt(loan.amount)} at ${loan.rate}% against the SBI rate of ${loan.sbiRate}% for ${period(loan.months)}: interest saved ${fmt(loan.interestBenefit)}.`];
+            if (loan.exemptReason === 'medical') notes.push('Not taxed: loan for treatment of a Rule 3A disease.');
+            if (loan.exemptReason === 'small') notes.push(`Not taxed: all loans together are within ${fmt(rules.loans.exemptAggregate)}.`);
+            entries.push({
+                section: loan.section,
+                item: `Concessional loan (${this.LOAN_TYPES[loan.type]})`,
+                amount: loan.value,
+                explanation: notes.join(' ')
+            });
+        });
+
+        if (result.gifts.received > 0) {
+            entries.push({
+                section: rules.gifts.section,
+                item: 'Gifts and vouchers from employer',
+                amount: result.gifts.value,
+                explanation: result.gifts.value > 0
+                    ? `${fmt(result.gifts.received)} is ${fmt(rules.gifts.exemptBelow)} or more in the year, so all of it is taxed.`
+                    : `Below ${fmt(rules.gifts.exemptBelow)} in the year: nil.`
+            });
+        }
+
+        entries.push({
+            section: 'Section 17(2)',
+            item: 'Perquisites valued under Rule 3',
+            amount: result.total,
+            explanation: result.inSalary
+                ? `${fmt(result.total)}: already part of the salary entered (Form-16 Section 17(2)), so not added again.`
+                : `${fmt(result.total)} added to salary (both regimes value perquisites alike).`
+        });
+        return entries;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Perquisites;
+}
@@ -0,0 +1,425 @@
+/**
+ * SECTIONS 54 / 54F / 54EC - Land, building and other asset sales with reinvestment exemptions
+ *
+ * Each sale: { id, assetType, description, buyDate, sellDate, saleValue, cost, expenses }.
+ * Each reinvestment: { saleId, kind, date, amount } where kind is a new house (bought or
+ * constructed), a Capital Gains Account Scheme deposit or 54EC bonds.
+ *
+ * Per sale, long-term gains are worked out without indexation and (land / buildings bought
+ * before the grandfathering date) with indexation, the exemptions are applied to each and
+ * the lower tax is kept:
+ *  - Section 54  (house sold): amount invested in one new house (two with the two-house option)
+ *  - Section 54F (any other asset): gain × invested ÷ net consideration
+ *  - Section 54EC (land / building): bonds bought within 6 months, ₹50L across the FY
+ * Reinvestments outside the time limits in TAX_CONFIG.capitalGains.exemptions are not counted.
+ * Short-term gains have no exemption and go to slab income (stcgOther).
+ *
+ * Profile fields used: propertySales, reinvestments, section54TwoHouses, ownsMoreThanOneHouse
+ */
+
+const Section54Exemptions = {
+    // Sale asset types -> TAX_CONFIG.capitalGains.ltcg key and the exemptions open to them
+    SALE_TYPES: {
+        house: { label: 'Residential house', configKey: 'property', sections: ['section54', 'section54EC'] },
+        land: { label: 'Land / commercial building', configKey: 'property', sections: ['section54F', 'section54EC'] },
+        otherAsset: { label: 'Other asset (gold, unlisted shares...)', configKey: 'other', sections: ['section54F'] }
+    },
+
+    // Reinvestment kinds -> exemptions they count for
+    REINVESTMENT_KINDS: {
+        house: { label: 'New house bought', sections: ['section54', 'section54F'] },
+        construction: { label: 'New house constructed', sections: ['section54', 'section54F'] },
+        cgas: { label: 'Capital Gains Account deposit', sections: ['section54', 'section54F'] },
+        bonds: { label: '54EC bonds', sections: ['section54EC'] }
+    },
+
+    /**
+     * Date `months` months after (or before, if negative) an ISO date
+     * @param {string} date - 'YYYY-MM-DD'
+     * @param {number} months - Months to add
+     * @returns {string} 'YYYY-MM-DD'
+     */
+    addMonths(date, months) {
+        const [y, m, d] = date.split('-').map(Number);
+        return new Date(Date.UTC(y, m - 1 + months, d)).toISOString().slice(0, 10);
+    },
+
+    /**
+     * Months in a config time limit ({ n, unit: 'years' | 'months' })
+     */
+    toMonths(count, unit) {
+        return unit === 'years' ? count * 12 : count;
+    },
+
+    /**
+     * Check a reinvestment date against the section's time limit
+     * Undated entries are counted (the limit cannot be checked).
+     * @param {string} date - Reinvestment date ('YYYY-MM-DD' or '')
+     * @param {string} kind - Key of REINVESTMENT_KINDS
+     * @param {string} section - 'section54' | 'section54F' | 'section54EC'
+     * @param {string} sellDate - Date of the sale ('YYYY-MM-DD' or null)
+     * @param {Object} config - Tax configuration
+     * @returns {string|null} Why it does not count, or null
+     */
+    checkTimeLimit(date, kind, section, sellDate, config = TAX_CONFIG) {
+        if (!date || !sellDate) return null;
+        const limits = config.capitalGains.exemptions[section].timeLimit;
+
+        if (kind === 'house') {
+            const { before, after, unit } = limits.purchase;
+            const from = this.addMonths(sellDate, -this.toMonths(before, unit));
+            const to = this.addMonths(sellDate, this.toMonths(after, unit));
+            return date < from || date > to
+                ? `Bought ${date}: must be between ${from} and ${to} (${before} ${unit} before to ${after} ${unit} after the sale).`
+                : null;
+        }
+        if (kind === 'construction') {
+            const { within, unit } = limits.construct;
+            const to = this.addMonths(sellDate, this.toMonths(within, unit));
+            return date > to ? `Completed ${date}: construction must finish by ${to} (${within} ${unit} after the sale).` : null;
+        }
+        if (kind === 'cgas') {
+            const due = TaxPayments.getReturnDueDate(config);
+            const dueDate = `${due.year}-${String(due.month).padStart(2, '0')}-${String(due.day).padStart(2, '0')}`;
+            return date < sellDate || date > dueDate
+                ? `Deposited ${date}: must be after the sale and by the return due date (${dueDate}).`
+                : null;
+        }
+        // 54EC bonds
+        const { within, unit } = limits;
+        const to = this.addMonths(sellDate, this.toMonths(within, unit));
+        return date < sellDate || date > to
+            ? `Bought ${date}: must be within ${within} ${unit} after the sale (${sellDate} to ${to}).`
+            : null;
+    },
+
+    /**
+     * Section 54 / 54F exemption for a gain from the new-house investments
+     * @param {string} section - 'section54' or 'section54F'
+     * @param {number} gain - Long-term gain (by the method being tried)
+     * @param {Array} houses - Amounts invested in new houses, largest first
+     * @param {number} deposits - Capital Gains Account deposits for the house
+     * @param {number} netConsideration - Sale value less transfer expenses (54F formula)
+     * @param {Object} options - { section54TwoHouses, ownsMoreThanOneHouse }
+     * @param {Object} config - Tax configuration
+     * @returns {Object} { amount, invested, notes }
+     */
+    getHouseExemption(section, gain, houses, deposits, netConsideration, options, config = TAX_CONFIG) {
+        const rules = config.capitalGains.exemptions[section];
+        const fmt = TaxUtils.formatCurrency;
+        const notes = [];
+        if (houses.length === 0 && deposits === 0) return { amount: 0, invested: 0, notes };
+
+        if (section === 'section54F' && options.ownsMoreThanOneHouse) {
+            notes.push('Section 54F not available: more than one house owned on the date of sale.');
+            return { amount: 0, invested: 0, notes };
+        }
+
+        let counted = houses.slice(0, 1);
+        if (section === 'section54' && houses.length > 1) {
+            const twoHouse = rules.twoHouseOption;
+            if (options.section54TwoHouses && twoHouse.available && gain <= twoHouse.ltcgLimit) {
+                counted = houses.slice(0, 2);
+                notes.push(`Two-house option used (gain up to ${fmt(twoHouse.ltcgLimit)}). It can be used only once in a lifetime.`);
+            } else {
+                notes.push(options.section54TwoHouses
+                    ? `Two-house option needs a gain of at most ${fmt(twoHouse.ltcgLimit)}: only the larger new house counts.`
+                    : 'Only one new house counts (the larger). Tick the two-house option to count two.');
+            }
+        }
+
+        const total = counted.reduce((sum, a) => sum + a, 0) + deposits;
+        const invested = Math.min(total, rules.maxLimit);
+        if (total > rules.maxLimit) {
+            notes.push(`Investment above ${fmt(rules.maxLimit)} is ignored.`);
+        }
+
+        const amount = section === 'section54F'
+            ? Math.min(gain, netConsideration > 0 ? gain * invested / netConsideration : 0)
+            : Math.min(gain, invested);
+        return { amount: TaxUtils.roundToRupee(amount), invested, notes };
+    },
+
+    /**
+     * Work out one sale
+     * @param {Object} sale - Sale as entered
+     * @param {Array} investments - Reinvestments linked to this sale
+     * @param {Object} options - { section54TwoHouses, ownsMoreThanOneHouse }
+     * @param {number} bondLimitLeft - 54EC bond limit not used by earlier sales of the FY
+     * @param {Object} config - Tax configuration
+     * @returns {Object} Sale with term, gain, method, exemptions, taxableGain, tax (or an error)
+     */
+    evaluateSale(sale, investments, options, bondLimitLeft, config = TAX_CONFIG) {
+        const assetType = this.SALE_TYPES[sale.assetType] ? sale.assetType : 'house';
+        const type = this.SALE_TYPES[assetType];
+        const saleValue = TaxUtils.validateNumber(sale.saleValue);
+        const cost = TaxUtils.validateNumber(sale.cost);
+        const expenses = TaxUtils.validateNumber(sale.expenses);
+        const netConsideration = saleValue - expenses;
+        const buyDate = CapitalGainsLedger.parseDate(sale.buyDate);
+        const sellDate = CapitalGainsLedger.parseDate(sale.sellDate);
+
+        const result = {
+            ...sale,
+            assetType,
+            saleValue,
+            cost,
+            expenses,
+            netConsideration,
+            buyDate,
+            sellDate,
+            gain: netConsideration - cost,
+            term: 'long',
+            method: null,
+            rate: 0,
+            indexedCost: null,
+            exemptions: { section54: 0, section54F: 0, section54EC: 0 },
+            invested: { house: 0, bonds: 0 },
+            exemptionTotal: 0,
+            taxableGain: 0,
+            tax: 0,
+            stcg: 0,
+            loss: 0,
+            bondsCounted: 0,
+            rejected: [],
+            notes: []
+        };
+
+        if (sellDate && TaxUtils.getFinancialYearKey(sellDate) !== config.financialYear) {
+            return { ...result, error: `Sold outside FY ${config.financialYear}.` };
+        }
+        if (buyDate && sellDate && sellDate < buyDate) {
+            return { ...result, error: 'Sell date is before the buy date.' };
+        }
+
+        // A sale entered without dates (single-figure entry) is taken as long-term
+        const ltcgRules = config.capitalGains.ltcg[type.configKey];
+        if (!buyDate || !sellDate) {
+            result.notes.push('Buy or sell date missing: taken as long-term and reinvestment time limits not checked.');
+        } else if (!CapitalGainsLedger.isLongTerm(buyDate, sellDate, ltcgRules.holdingPeriod)) {
+            result.term = 'short';
+        }
+
+        if (result.term === 'short') {
+            investments.forEach(inv => result.rejected.push({
+                ...inv,
+                reason: `Held ${ltcgRules.holdingPeriod} months or less: Sections 54/54F/54EC need a long-term asset.`
+            }));
+            return result.gain > 0 ? { ...result, stcg: result.gain } : { ...result, loss: -result.gain };
+        }
+
+        // Reinvestments that count for this sale
+        const houseSection = type.sections.find(s => s === 'section54' || s === 'section54F') || null;
+        const houses = [];
+        let deposits = 0;
+        let bonds = 0;
+        investments.forEach(inv => {
+            const kind = this.REINVESTMENT_KINDS[inv.kind];
+            const amount = TaxUtils.validateNumber(inv.amount);
+            if (!kind || amount <= 0) return;
+            const section = kind.sections.find(s => type.sections.includes(s));
+            if (!section) {
+                result.rejected.push({ ...inv, reason: `${kind.label} does not qualify for the sale of a ${type.label.toLowerCase()}.` });
+                return;
+            }
+            const reason = this.checkTimeLimit(CapitalGainsLedger.parseDate(inv.date), inv.kind, section, sellDate, config);
+            if (reason) {
+                result.rejected.push({ ...inv, reason });
+                return;
+            }
+            if (inv.kind === 'bonds') bonds += amount;
+            else if (inv.kind === 'cgas') deposits += amount;
+            else houses.push(amount);
+        });
+        houses.sort((a, b) => b - a);
+
+        const bondsCounted = Math.min(bonds, Math.max(0, bondLimitLeft));
+        if (bonds > bondsCounted) {
+            result.notes.push(`Only ${TaxUtils.formatCurrency(bondsCounted)} of 54EC bonds count: ${TaxUtils.formatCurrency(config.capitalGains.exemptions.section54EC.maxLimit)} limit for the FY.`);
+        }
+
+        // Without indexation, and with it for land / buildings bought before the grandfathering date
+        const property = config.capitalGains.ltcg.property;
+        const methods = [{ method: 'flat', rate: type.configKey === 'property' ? property.afterGrandfathering.rate : ltcgRules.rate, gain: result.gain, indexedCost: null }];
+        if (type.configKey === 'property' && buyDate && buyDate < property.grandfatheringDate) {
+            const cii = config.capitalGains.cii;
+            const purchaseCII = cii[TaxUtils.getFinancialYearKey(buyDate)] || 100;  // 2001-02 base if older
+            const saleCII = cii[config.financialYear] || Math.max(...Object.values(cii));  // Latest notified if not yet out
+            const indexedCost = TaxUtils.roundToRupee(cost * saleCII / purchaseCII);
+            methods.push({ method: 'indexed', rate: property.beforeGrandfathering.option2.rate, gain: netConsideration - indexedCost, indexedCost });
+        }
+
+        const outcomes = methods.filter(m => m.gain > 0).map(m => {
+            const house = houseSection
+                ? this.getHouseExemption(houseSection, m.gain, houses, deposits, netConsideration, options, config)
+                : { amount: 0, invested: 0, notes: [] };
+            const section54EC = type.sections.includes('section54EC') ? Math.min(m.gain - house.amount, bondsCounted) : 0;
+            const taxableGain = Math.max(0, m.gain - house.amount - section54EC);
+            return { ...m, house, section54EC, taxableGain, tax: TaxUtils.roundToRupee(taxableGain * m.rate) };
+        });
+        if (outcomes.length === 0) {
+            return { ...result, loss: -result.gain };
+        }
+        const best = outcomes.reduce((a, b) => (b.tax < a.tax ? b : a));
+
+        const exemptions = {
+            section54: houseSection === 'section54' ? best.house.amount : 0,
+            section54F: houseSection === 'section54F' ? best.house.amount : 0,
+            section54EC: best.section54EC
+        };
+        return {
+            ...result,
+            gain: best.gain,
+            method: best.method,
+            rate: best.rate,
+            indexedCost: best.indexedCost,
+            exemptions,
+            invested: { house: best.house.invested, bonds: bondsCounted },
+            exemptionTotal: exemptions.section54 + exemptions.section54F + exemptions.section54EC,
+            taxableGain: best.taxableGain,
+            tax: best.tax,
+            bondsCounted,
+            alternative: outcomes.length > 1 ? outcomes.find(o => o !== best) : null,
+            notes: [...result.notes, ...best.house.notes]
+        };
+    },
+
+    /**
+     * Work out all sales of the year
+     * @param {Array} sales - Sales as entered
+     * @param {Array} reinvestments - Reinvestments, each linked to a sale by saleId
+     * @param {Object} options - { section54TwoHouses, ownsMoreThanOneHouse }
+     * @param {Object} config - Tax configuration
+     * @returns {Object} { sales, ltcg, tax, stcg, exempt, shortTermLoss, longTermLoss, issues }
+     */
+    evaluate(sales, reinvestments = [], options = {}, config = TAX_CONFIG) {
+        let bondLimitLeft = config.capitalGains.exemptions.section54EC.maxLimit;
+        const issues = [];
+
+        const results = sales.map(sale => {
+            const linked = reinvestments.filter(r => r.saleId === sale.id);
+            const result = this.evaluateSale(sale, linked, options, bondLimitLeft, config);
+            // Only the 54EC exemption given uses up the limit, not bonds bought beyond the gain
+            bondLimitLeft -= result.exemptions.section54EC;
+            const name = this.getSaleName(result);
+            if (result.error) issues.push(`Property sale ${name} not counted: ${result.error}`);
+            result.rejected.forEach(r => issues.push(`${this.REINVESTMENT_KINDS[r.kind] ? this.REINVESTMENT_KINDS[r.kind].label : 'Reinvestment'} for ${name} not counted: ${r.reason}`));
+            return result;
+        });
+
+        const saleIds = new Set(sales.map(s => s.id));
+        reinvestments.filter(r => !saleIds.has(r.saleId) && r.amount > 0).forEach(r => {
+            issues.push(`${this.REINVESTMENT_KINDS[r.kind] ? this.REINVESTMENT_KINDS[r.kind].label : 'Reinvestment'} of ${TaxUtils.formatCurrency(r.amount)} is not linked to a sale and was ignored.`);
+        });
+
+        const counted = results.filter(r => !r.error);
+        const sum = (key) => counted.reduce((total, r) => total + r[key], 0);
+        return {
+            sales: results,
+            ltcg: sum('taxableGain'),
+            tax: sum('tax'),
+            stcg: sum('stcg'),
+            exempt: sum('exemptionTotal'),
+            shortTermLoss: counted.filter(r => r.term === 'short').reduce((total, r) => total + r.loss, 0),
+            longTermLoss: counted.filter(r => r.term === 'long').reduce((total, r) => total + r.loss, 0),
+            issues
+        };
+    },
+
+    /**
+     * Short name of a sale for logs and warnings
+     */
+    getSaleName(sale) {
+        const type = this.SALE_TYPES[sale.assetType] || this.SALE_TYPES.house;
+        return sale.description || `${type.label.toLowerCase()}${sale.sellDate ? ` sold ${sale.sellDate}` : ''}`;
+    },
+
+    /**
+     * Calculation log lines (the calculators add them as given)
+     * @param {Object} propertyGains - From evaluate()
+     * @returns {Array} [{ section, item, amount, explanation }]
+     */
+    describe(propertyGains) {
+        const fmt = TaxUtils.formatCurrency;
+        const entries = [];
+
+        propertyGains.sales.filter(s => !s.error).forEach(sale => {
+            const name = this.getSaleName(sale);
+            sale.rejected.forEach(r => entries.push({
+                section: 'Exemptions',
+                item: `Not counted: ${this.REINVESTMENT_KINDS[r.kind] ? this.REINVESTMENT_KINDS[r.kind].label : 'Reinvestment'} (${name})`,
+                amount: TaxUtils.validateNumber(r.amount),
+                explanation: r.reason
+            }));
+
+            if (sale.term === 'short') {
+                entries.push({
+                    section: 'Property Sale',
+                    item: `Short-term: ${name}`,
+                    amount: sale.stcg > 0 ? sale.stcg : -sale.loss,
+                    explanation: sale.stcg > 0
+                        ? `Net consideration ${fmt(sale.netConsideration)} - cost ${fmt(sale.cost)}. Held too briefly for long-term: added to income at slab rates.`
+                        : `Short-term loss of ${fmt(sale.loss)}, set off against other capital gains.`
+                });
+                return;
+            }
+            if (!sale.method) {
+                entries.push({
+                    section: 'Property Sale',
+                    item: `Long-term loss: ${name}`,
+                    amount: -sale.loss,
+                    explanation: `Net consideration ${fmt(sale.netConsideration)} - cost ${fmt(sale.cost)}: long-term loss, set off against other long-term gains.`
+                });
+                return;
+            }
+
+            const costText = sale.method === 'indexed'
+                ? `indexed cost ${fmt(sale.indexedCost)} (cost ${fmt(sale.cost)} × CII)`
+                : `cost ${fmt(sale.cost)}`;
+            if (sale.exemptions.section54 > 0) {
+                entries.push({
+                    section: 'Section 54',
+                    item: `New house: ${name}`,
+                    amount: sale.exemptions.section54,
+                    explanation: `Lower of the gain (${fmt(sale.gain)}) and the amount invested in the new house (${fmt(sale.invested.house)}).`
+                });
+            }
+            if (sale.exemptions.section54F > 0) {
+                entries.push({
+                    section: 'Section 54F',
+                    item: `New house: ${name}`,
+                    amount: sale.exemptions.section54F,
+                    explanation: `Gain ${fmt(sale.gain)} × invested ${fmt(sale.invested.house)} ÷ net consideration ${fmt(sale.netConsideration)} = ${fmt(sale.exemptions.section54F)}.`
+                });
+            }
+            if (sale.exemptions.section54EC > 0) {
+                entries.push({
+                    section: 'Section 54EC',
+                    item: `Bonds: ${name}`,
+                    amount: sale.exemptions.section54EC,
+                    explanation: `Lower of the gain left (${fmt(sale.gain - sale.exemptions.section54 - sale.exemptions.section54F)}) and bonds bought (${fmt(sale.invested.bonds)}).`
+                });
+            }
+
+            const alternative = sale.alternative
+                ? ` ${sale.method === 'indexed' ? 'Without' : 'With'} indexation the tax would be ${fmt(sale.alternative.tax)}.`
+                : '';
+            entries.push({
+                section: 'Section 112',
+                item: `LTCG (${name})`,
+                amount: sale.tax,
+                explanation: `Net consideration ${fmt(sale.netConsideration)} - ${costText} = ${fmt(sale.gain)}` +
+                    (sale.exemptionTotal > 0 ? ` - exemptions ${fmt(sale.exemptionTotal)} = ${fmt(sale.taxableGain)}` : '') +
+                    ` @ ${(sale.rate * 100).toFixed(1)}%${sale.method === 'indexed' ? ' with indexation' : ''}.${alternative}` +
+                    (sale.notes.length ? ` ${sale.notes.join(' ')}` : '')
+            });
+        });
+
+        return entries;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Section54Exemptions;
+}
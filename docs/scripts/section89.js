@@ -0,0 +1,212 @@
+/**
+ * SECTION 89(1) - Relief for salary arrears / advance salary (Form 10E, Annexure I)
+ *
+ * Arrears are taxed in the year they are received, often at a higher slab.
+ * The relief is the extra tax caused by bunching them into this year,
+ * following the seven steps in TAX_CONFIG.specialRules.section89Relief.calculationMechanism:
+ * tax with and without the arrears this year, against tax with and without
+ * them in each year they relate to, using that year's slabs.
+ *
+ * Rates for a relevant year come from TaxYearRegistry when the year is
+ * supported there, else from section89Relief.pastYearRates.
+ *
+ * Profile fields used: arrearsByYear [{ financialYear, amount, taxableIncome, regime }],
+ * section89Relief (manual figure, used only when no arrears rows are entered)
+ */
+
+const Section89Relief = {
+    /**
+     * Years arrears can be attributed to (oldest first), excluding the current year
+     * @param {Object} config - Tax configuration of the current year
+     * @returns {Array} e.g. ['2014-15', ..., '2024-25']
+     */
+    listYears(config = TAX_CONFIG) {
+        const years = new Set([
+            ...Object.keys(config.specialRules.section89Relief.pastYearRates),
+            ...TaxYearRegistry.listYears()
+        ]);
+        years.delete(config.financialYear);
+        return [...years].sort();
+    },
+
+    /**
+     * Slabs, 87A rebate and cess rate for a year and regime
+     * @param {string} financialYear - e.g. '2022-23'
+     * @param {string} regime - 'old' or 'new'
+     * @param {string} ageCategory - below60 / 60to80 / above80 (old regime slabs)
+     * @param {Object} config - Tax configuration of the current year
+     * @returns {Object|null} { slabs, rebate87A, marginalRelief, cessRate } or null if no rates are known
+     */
+    getYearRules(financialYear, regime, ageCategory = 'below60', config = TAX_CONFIG) {
+        const yearConfig = financialYear === config.financialYear
+            ? config
+            : (TaxYearRegistry.hasYear(financialYear) ? TaxYearRegistry.getConfig(financialYear) : null);
+
+        if (yearConfig) {
+            if (regime === 'new') {
+                return {
+                    slabs: yearConfig.newRegime.slabs,
+                    rebate87A: yearConfig.newRegime.rebate87A,
+                    marginalRelief: yearConfig.newRegime.marginalRelief.applicable !== false,
+                    cessRate: yearConfig.cess.rate
+                };
+            }
+            return {
+                slabs: yearConfig.oldRegime.ageCategories[ageCategory].slabs,
+                rebate87A: yearConfig.oldRegime.rebate87A,
+                marginalRelief: false,
+                cessRate: yearConfig.cess.rate
+            };
+        }
+
+        const rules = config.specialRules.section89Relief;
+        const rates = rules.pastYearRates[financialYear];
+        if (!rates) return null;
+
+        if (regime === 'new') {
+            // Section 115BAC applies from FY 2020-21
+            if (!rates.newRegime) return null;
+            return {
+                slabs: rules.pastNewRegimeSlabs[rates.newRegime.slabs],
+                rebate87A: rates.newRegime.rebate87A,
+                marginalRelief: rates.newRegime.marginalRelief === true,
+                cessRate: rates.cessRate
+            };
+        }
+
+        // Same thresholds as today; only the rate on the band up to ₹5L differs
+        const slabs = config.oldRegime.ageCategories[ageCategory].slabs.map(slab => (
+            slab.rate > 0 && slab.max <= 500000 ? { ...slab, rate: rates.oldRegime.lowerBandRate } : slab
+        ));
+        return {
+            slabs,
+            rebate87A: rates.oldRegime.rebate87A,
+            marginalRelief: false,
+            cessRate: rates.cessRate
+        };
+    },
+
+    /**
+     * Tax (after 87A rebate, with cess) on a total income under one year's rules
+     * @param {number} income - Total income
+     * @param {Object} rules - From getYearRules()
+     * @returns {number}
+     */
+    taxOnIncome(income, rules) {
+        const slabTax = TaxUtils.calculateSlabTax(income, rules.slabs).tax;
+        const rebate = income <= rules.rebate87A.incomeLimit ? Math.min(slabTax, rules.rebate87A.maxRebate) : 0;
+        let tax = slabTax - rebate;
+
+        // Tax just above the rebate limit cannot exceed the income above it
+        if (rules.marginalRelief && income > rules.rebate87A.incomeLimit) {
+            tax = Math.min(tax, income - rules.rebate87A.incomeLimit);
+        }
+
+        return TaxUtils.roundToRupee(tax + tax * rules.cessRate);
+    },
+
+    /**
+     * Relief u/s 89(1) for the arrears included in this year's income
+     * @param {Object} userData - Normalized user data
+     * @param {string} regime - Regime of the current year's calculation ('old' or 'new')
+     * @param {number} taxableIncome - Current year's taxable income (arrears included)
+     * @param {Object} config - Tax configuration of the current year
+     * @returns {Object} { source, relief, arrearsTotal, current, years, pastYearsTax, steps, skipped }
+     */
+    calculate(userData, regime, taxableIncome, config = TAX_CONFIG) {
+        const ageCategory = userData.ageCategory || 'below60';
+        const entries = Array.isArray(userData.arrearsByYear) ? userData.arrearsByYear : [];
+        const years = [];
+        const skipped = [];
+
+        entries.forEach(entry => {
+            const arrears = TaxUtils.roundToRupee(TaxUtils.validateNumber(entry.amount));
+            if (arrears <= 0) return;
+
+            const yearRegime = entry.regime === 'new' ? 'new' : 'old';
+            if (entry.financialYear === config.financialYear) {
+                skipped.push({ financialYear: entry.financialYear, arrears, reason: 'Arrears must relate to an earlier (or later) year than the one they are received in.' });
+                return;
+            }
+            const rules = this.getYearRules(entry.financialYear, yearRegime, ageCategory, config);
+            if (!rules) {
+                skipped.push({
+                    financialYear: entry.financialYear,
+                    arrears,
+                    reason: yearRegime === 'new'
+                        ? `No new-regime (Section 115BAC) rates for FY ${entry.financialYear || '(missing)'}.`
+                        : `No tax rates on file for FY ${entry.financialYear || '(missing)'}.`
+                });
+                return;
+            }
+
+            const totalIncome = TaxUtils.roundToRupee(TaxUtils.validateNumber(entry.taxableIncome));
+            const taxWithout = this.taxOnIncome(totalIncome, rules);
+            const taxWith = this.taxOnIncome(totalIncome + arrears, rules);
+            years.push({
+                financialYear: entry.financialYear,
+                regime: yearRegime,
+                arrears,
+                totalIncome,
+                totalIncomeWithArrears: totalIncome + arrears,
+                taxWithout,
+                taxWith,
+                difference: taxWith - taxWithout
+            });
+        });
+
+        years.sort((a, b) => a.financialYear.localeCompare(b.financialYear));
+
+        // No usable arrears rows: fall back to a relief figure taken from Form 10E / Form 16
+        if (years.length === 0) {
+            const manual = TaxUtils.roundToRupee(TaxUtils.validateNumber(userData.section89Relief));
+            return {
+                source: manual > 0 ? 'manual' : 'none',
+                relief: manual,
+                arrearsTotal: 0,
+                current: null,
+                years,
+                pastYearsTax: 0,
+                steps: [],
+                skipped
+            };
+        }
+
+        const currentRules = this.getYearRules(config.financialYear, regime, ageCategory, config);
+        const arrearsTotal = years.reduce((sum, y) => sum + y.arrears, 0);
+        const incomeWithArrears = TaxUtils.roundToRupee(taxableIncome);
+        const incomeWithoutArrears = Math.max(0, incomeWithArrears - arrearsTotal);
+        const taxWithArrears = this.taxOnIncome(incomeWithArrears, currentRules);
+        const taxWithoutArrears = this.taxOnIncome(incomeWithoutArrears, currentRules);
+        const taxOnArrears = taxWithArrears - taxWithoutArrears;
+        const pastYearsTax = years.reduce((sum, y) => sum + y.difference, 0);
+        const relief = Math.max(0, taxOnArrears - pastYearsTax);
+
+        const mechanism = config.specialRules.section89Relief.calculationMechanism;
+        const steps = [
+            taxWithArrears,
+            taxWithoutArrears,
+            taxOnArrears,
+            years.reduce((sum, y) => sum + y.taxWith, 0),
+            years.reduce((sum, y) => sum + y.taxWithout, 0),
+            pastYearsTax,
+            relief
+        ].map((amount, i) => ({ step: i + 1, description: mechanism[`step${i + 1}`], amount }));
+
+        return {
+            source: 'computed',
+            relief,
+            arrearsTotal,
+            current: { incomeWithArrears, incomeWithoutArrears, taxWithArrears, taxWithoutArrears, taxOnArrears },
+            years,
+            pastYearsTax,
+            steps,
+            skipped
+        };
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Section89Relief;
+}
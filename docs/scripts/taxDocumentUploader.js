@@ -265,7 +265,7 @@ async function extractFromDocuments() {
         
         try {
             // 1. Extract Data
-            const extracted = await window.GeminiExtractor.extractTaxData(fileEntry.file);
+            const extracted = await window.GeminiExtractor.extractTaxData(fileEntry.file, getActiveTaxConfig());
             extracted._fileId = fileEntry.id;
             
             fileEntry.status = 'done';
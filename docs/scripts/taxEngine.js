@@ -0,0 +1,492 @@
+/**
+ * TAX ENGINE - Headless Regime Comparison
+ *
+ * DOM-free entry point that turns a taxpayer profile into a full
+ * Old vs New regime comparison. app.js feeds it the form data; Node
+ * scripts can require it directly.
+ *
+ * Pipeline:
+ * 1. normalizeProfile() - aggregate employment periods, rent, 80C, house property and capital gains lists
+ * 2. validateAndNormalizeInputs() - caps, sanity warnings, hard errors
+ * 3. NewRegimeCalculator / OldRegimeCalculator - results with logs
+ * 4. ItrEligibility - which ITR form the recommended regime's return needs
+ *
+ * Usage (Node):
+ *   const TaxEngine = require('./docs/scripts/taxEngine.js');
+ *   const comparison = TaxEngine.computeTaxComparison(profile);
+ */
+
+// In the browser these are loaded as globals via <script> tags (see index.html).
+// In Node, load them once and expose them the same way so the calculators work unchanged.
+if (typeof module !== 'undefined' && module.exports) {
+    if (typeof TAX_CONFIG === 'undefined') globalThis.TAX_CONFIG = require('./config.js');
+    if (typeof TaxYearRegistry === 'undefined') globalThis.TaxYearRegistry = require('./taxYears.js');
+    if (typeof TaxUtils === 'undefined') globalThis.TaxUtils = require('./utils.js');
+    if (typeof TaxPayments === 'undefined') globalThis.TaxPayments = require('./taxPayments.js');
+    if (typeof Section89Relief === 'undefined') globalThis.Section89Relief = require('./section89.js');
+    if (typeof CapitalGainsLedger === 'undefined') globalThis.CapitalGainsLedger = require('./capitalGainsLedger.js');
+    if (typeof Section54Exemptions === 'undefined') globalThis.Section54Exemptions = require('./section54.js');
+    if (typeof CapitalLossLedger === 'undefined') globalThis.CapitalLossLedger = require('./capitalLossLedger.js');
+    if (typeof HouseProperty === 'undefined') globalThis.HouseProperty = require('./houseProperty.js');
+    if (typeof Perquisites === 'undefined') globalThis.Perquisites = require('./perquisites.js');
+    if (typeof EquityCompensation === 'undefined') globalThis.EquityCompensation = require('./equityCompensation.js');
+    if (typeof MinorClubbing === 'undefined') globalThis.MinorClubbing = require('./minorClubbing.js');
+    if (typeof NewRegimeCalculator === 'undefined') globalThis.NewRegimeCalculator = require('./newRegime.js');
+    if (typeof OldRegimeCalculator === 'undefined') globalThis.OldRegimeCalculator = require('./oldRegime.js');
+    if (typeof ItrEligibility === 'undefined') globalThis.ItrEligibility = require('./itrEligibility.js');
+    if (typeof ITR_SCHEMAS === 'undefined') globalThis.ITR_SCHEMAS = require('./itrSchemas.js');
+    if (typeof ItrExport === 'undefined') globalThis.ItrExport = require('./itrExport.js');
+}
+
+const TaxEngine = {
+    // Salary fields summed across employment periods (userData key -> period key)
+    PERIOD_SUM_FIELDS: {
+        grossSalary: 'grossSalary',
+        epfContribution: 'epfContribution',
+        hraReceived: 'hraReceived',
+        bonus: 'bonus',
+        specialAllowance: 'specialAllowance',
+        commission: 'commission',
+        ltaReceived: 'ltaReceived',
+        telephoneReimb: 'telephoneReimb',
+        booksReimb: 'booksReimb',
+        conveyanceAllowance: 'conveyanceAllowance',
+        driverAllowance: 'driverAllowance',
+        childrenEducationAllowance: 'childrenEducationAllowance',
+        hostelAllowance: 'hostelAllowance',
+        mealVouchers: 'mealVouchers',
+        perquisitesValue: 'perquisitesValue',
+        profitsInLieuOfSalary: 'profitsInLieuOfSalary'
+    },
+
+    // 80C list entry type -> aggregate field read by the calculators
+    INVESTMENT_80C_FIELDS: {
+        ppf: 'ppfContribution',
+        elss: 'elssInvestment',
+        lifeInsurance: 'lifeInsurancePremium',
+        nsc: 'nscInvestment',
+        scss: 'scssInvestment',
+        taxSaverFD: 'taxSaverFD',
+        sukanyaSamriddhi: 'sukanyaSamriddhi',
+        tuitionFees: 'tuitionFees',
+        stampDuty: 'stampDuty'
+    },
+
+    // ============================================
+    // PROFILE NORMALIZATION
+    // ============================================
+
+    /**
+     * Build calculator-ready userData from a raw profile.
+     * Employment periods, perquisites, ESOP / RSU awards, rent payments, 80C/donation lists, capital gains lots, property sales,
+     * house properties, minor children, the capital loss ledger and advance tax instalments are aggregated into the flat fields the calculators read.
+     * Flat values in the profile are kept when no employment periods are supplied.
+     * @param {Object} profile - Raw profile (form data or JSON file)
+     * @param {Object} config - Tax configuration of the financial year
+     * @returns {Object} userData for NewRegimeCalculator / OldRegimeCalculator
+     */
+    normalizeProfile(profile = {}, config = TAX_CONFIG) {
+        const fyStartYear = config.fyStartYear;
+        const periods = Array.isArray(profile.employmentPeriods) ? profile.employmentPeriods : [];
+        const rentPayments = Array.isArray(profile.rentPayments) ? profile.rentPayments : [];
+        const investments80C = Array.isArray(profile.investments80C) ? profile.investments80C : [];
+        const donations = Array.isArray(profile.donations) ? profile.donations : [];
+        const advanceTaxPayments = Array.isArray(profile.advanceTaxPayments) ? profile.advanceTaxPayments : [];
+
+        // Process employment periods - auto-compute Basic if not provided
+        const processedPeriods = periods.map(p => ({
+            ...p,
+            monthsWorked: TaxUtils.calculatePeriodMonths(p, fyStartYear),
+            // Auto-compute Basic as 50% of gross if not provided
+            basicPlusDA: p.basicPlusDA > 0 ? p.basicPlusDA : ((p.grossSalary || 0) * 0.5)
+        }));
+
+        const userData = {
+            ...profile,
+            employmentPeriods: processedPeriods,
+            numberOfChildren: profile.numberOfChildren || 0,
+            scientificDonationPaymentMode: profile.scientificDonationPaymentMode || 'online',
+            selfDisabilityLevel: profile.selfDisabilityLevel || null,
+            dependentDisabilityLevel: profile.dependentDisabilityLevel || null
+        };
+
+        // Aggregate totals from all periods (periods win over flat values)
+        const sumOf = (key) => processedPeriods.reduce((sum, p) => sum + (p[key] || 0), 0);
+        Object.entries(this.PERIOD_SUM_FIELDS).forEach(([field, periodKey]) => {
+            userData[field] = processedPeriods.length > 0 ? sumOf(periodKey) : (profile[field] || 0);
+        });
+
+        if (processedPeriods.length > 0) {
+            const totalBasicPlusDA = sumOf('basicPlusDA');
+            userData.basicPlusDA = totalBasicPlusDA > 0 ? totalBasicPlusDA : userData.grossSalary * 0.5;
+
+            const totalEmployerNPS = sumOf('employerNPSContribution');
+            if (totalEmployerNPS > 0) userData.employerNPSContribution = totalEmployerNPS;
+        }
+
+        // Perquisites valued under Rule 3 join the salary unless already in it; Form-16's
+        // perquisitesValue is already in it
+        if (Perquisites.isEntered(profile.perquisites)) {
+            const cashSalary = userData.grossSalary - userData.perquisitesValue - userData.profitsInLieuOfSalary;
+            userData.perquisiteValuation = Perquisites.compute(profile.perquisites, cashSalary, config);
+            userData.grossSalary += userData.perquisiteValuation.addedToSalary;
+            userData.perquisitesValue += userData.perquisiteValuation.addedToSalary;
+        }
+
+        // ESOP / RSU awards: the perquisite joins the salary (unless already in it) and the
+        // year's sales join the capital gains lots at the FMV cost
+        const equityAwards = (Array.isArray(profile.equityAwards) ? profile.equityAwards : [])
+            .filter(a => EquityCompensation.isEntered(a));
+        if (equityAwards.length > 0) {
+            const equity = EquityCompensation.compute(equityAwards,
+                Array.isArray(profile.equitySales) ? profile.equitySales : [], config);
+            userData.equityCompensation = equity;
+            userData.grossSalary += equity.addedToSalary;
+            userData.perquisitesValue += equity.addedToSalary;
+            // Foreign shares go in Schedule FA; unlisted shares held also rule out ITR-1
+            userData.hasForeignAssets = Boolean(profile.hasForeignAssets) || equity.holdsForeign;
+            userData.holdsUnlistedShares = Boolean(profile.holdsUnlistedShares) || equity.holdsUnlisted;
+        }
+
+        // Rent Payments - r.amount is the TOTAL rent paid for the period (not monthly)
+        if (rentPayments.length > 0) {
+            userData.rentPayments = rentPayments.filter(r => r.amount > 0);
+            // Sum of all rent period durations (for validation - should not exceed 12)
+            userData.totalRentMonths = rentPayments.reduce((sum, r) => sum + TaxUtils.calculatePeriodMonths(r, fyStartYear), 0);
+            userData.annualRentPaid = rentPayments.reduce((sum, r) => sum + (r.amount || 0), 0);
+            userData.rentPaid = userData.annualRentPaid;
+        } else {
+            userData.rentPayments = [];
+        }
+
+        // 80C Investments and Donations (dynamic lists)
+        userData.investments80C = investments80C.filter(i => i.amount > 0);
+        userData.donations = donations.filter(d => d.amount > 0);
+
+        if (investments80C.length > 0) {
+            Object.entries(this.INVESTMENT_80C_FIELDS).forEach(([type, field]) => {
+                userData[field] = investments80C.filter(i => i.type === type).reduce((s, i) => s + i.amount, 0);
+            });
+        }
+
+        // Arrears split by the year they relate to (Section 89 / Form 10E)
+        userData.arrearsByYear = (Array.isArray(profile.arrearsByYear) ? profile.arrearsByYear : [])
+            .filter(a => a.financialYear && a.amount > 0);
+
+        // Capital gains sold lot by lot (ledger wins over flat stcgEquity / stcgOther / ltcgEquity / ltcgOther)
+        userData.capitalGainsLots = (Array.isArray(profile.capitalGainsLots) ? profile.capitalGainsLots : [])
+            .filter(l => l.cost > 0 || l.proceeds > 0)
+            .concat(userData.equityCompensation ? userData.equityCompensation.lots : []);
+        if (userData.capitalGainsLots.length > 0) {
+            const ledger = CapitalGainsLedger.summarize(userData.capitalGainsLots, config);
+            userData.capitalGainsLedger = ledger;
+            userData.stcgEquity = ledger.stcgEquity;
+            userData.stcgOther = ledger.stcgOther;
+            userData.ltcgEquity = ledger.ltcgEquity;
+            userData.ltcgOther = ledger.ltcgOther;
+            userData.ltcgOtherByClass = ledger.ltcgOtherByClass;
+        }
+
+        // Land, building and other asset sales with Section 54 / 54F / 54EC reinvestments.
+        // The single-sale fields (realEstateSaleValue, investmentSec54...) become one undated house sale.
+        let propertySales = (Array.isArray(profile.propertySales) ? profile.propertySales : [])
+            .filter(s => s.saleValue > 0 || s.cost > 0);
+        let reinvestments = (Array.isArray(profile.reinvestments) ? profile.reinvestments : [])
+            .filter(r => r.amount > 0);
+        if (propertySales.length === 0 && profile.realEstateSaleValue > 0 && profile.realEstatePurchaseValue > 0) {
+            propertySales = [{
+                id: 'realEstate',
+                assetType: 'house',
+                buyDate: profile.realEstatePurchaseDate || '',
+                sellDate: '',
+                saleValue: profile.realEstateSaleValue,
+                cost: profile.realEstatePurchaseValue,
+                expenses: profile.realEstateTransferExpenses || 0
+            }];
+            reinvestments = [
+                { saleId: 'realEstate', kind: 'house', date: '', amount: profile.investmentSec54 || 0 },
+                { saleId: 'realEstate', kind: 'bonds', date: '', amount: profile.investmentSec54EC || 0 },
+                { saleId: 'realEstate', kind: 'cgas', date: '', amount: profile.capitalGainDeposit || 0 }
+            ].filter(r => r.amount > 0);
+        }
+        userData.propertySales = propertySales;
+        userData.reinvestments = reinvestments;
+        if (propertySales.length > 0) {
+            userData.propertyGains = Section54Exemptions.evaluate(propertySales, reinvestments, {
+                section54TwoHouses: !!profile.section54TwoHouses,
+                ownsMoreThanOneHouse: !!profile.ownsMoreThanOneHouse
+            }, config);
+            // Short-term gains on these sales are taxed at slab rates
+            userData.stcgOther = (userData.stcgOther || 0) + userData.propertyGains.stcg;
+        }
+
+        // House properties (list wins over the single rentalIncome / homeLoanInterest / isPropertyLetOut fields)
+        const houseProperties = (Array.isArray(profile.houseProperties) ? profile.houseProperties : [])
+            .filter(p => HouseProperty.isEntered(p));
+        userData.houseProperties = houseProperties.length > 0 ? houseProperties : HouseProperty.fromLegacy(profile);
+        userData.housePropertyLossBroughtForward = TaxUtils.validateNumber(profile.housePropertyLossBroughtForward);
+        userData.numberOfHouseProperties = Math.max(
+            TaxUtils.validateNumber(profile.numberOfHouseProperties), userData.houseProperties.length);
+        // Minor children's income: the calculators club it (Section 64(1A)) unless spouseIncome is higher
+        userData.minorChildren = (Array.isArray(profile.minorChildren) ? profile.minorChildren : [])
+            .filter(c => c.income > 0 || c.skillIncome > 0);
+        userData.spouseIncome = TaxUtils.validateNumber(profile.spouseIncome);
+
+        // Principal on the house loans (your repayment share) joins homeLoanPrincipal in 80C
+        userData.homeLoanPrincipal = TaxUtils.validateNumber(profile.homeLoanPrincipal) +
+            HouseProperty.getPrincipal(userData.houseProperties);
+
+        // Capital losses: this year's losses the sales could not absorb are set off against other
+        // gains first, then losses brought forward year by year (single figures when no ledger rows)
+        const salesLoss = userData.capitalGainsLedger ? userData.capitalGainsLedger.unabsorbedLoss : { shortTerm: 0, longTerm: 0 };
+        userData.currentYearCapitalLoss = {
+            stcl: salesLoss.shortTerm + (userData.propertyGains ? userData.propertyGains.shortTermLoss : 0),
+            ltcl: salesLoss.longTerm + (userData.propertyGains ? userData.propertyGains.longTermLoss : 0)
+        };
+        const lossEntries = (Array.isArray(profile.capitalLossLedger) ? profile.capitalLossLedger : [])
+            .filter(l => l.stcl > 0 || l.ltcl > 0);
+        userData.capitalLossLedger = CapitalLossLedger.open(lossEntries.length > 0
+            ? lossEntries
+            : [{ financialYear: '', stcl: profile.stclCarryForward, ltcl: profile.ltclCarryForward }], config);
+        userData.stclCarryForward = userData.capitalLossLedger.stcl;
+        userData.ltclCarryForward = userData.capitalLossLedger.ltcl;
+
+        // Advance tax instalments (dated list wins over a flat advanceTaxPaid total)
+        userData.advanceTaxPayments = advanceTaxPayments.filter(p => p.amount > 0);
+        if (userData.advanceTaxPayments.length > 0) {
+            userData.advanceTaxPaid = userData.advanceTaxPayments.reduce((sum, p) => sum + p.amount, 0);
+        }
+
+        // Dividends by date received (dated list wins over a flat dividendIncome; dates feed the 234C proviso)
+        userData.dividendReceipts = (Array.isArray(profile.dividendReceipts) ? profile.dividendReceipts : [])
+            .filter(d => d.amount > 0);
+        if (userData.dividendReceipts.length > 0) {
+            userData.dividendIncome = userData.dividendReceipts.reduce((sum, d) => sum + d.amount, 0);
+        }
+
+        return userData;
+    },
+
+    // ============================================
+    // INPUT VALIDATION & NORMALIZATION
+    // ============================================
+
+    /**
+     * Apply statutory caps and collect warnings (soft) and errors (hard blocks)
+     * @param {Object} userData - Normalized user data (mutated in place)
+     * @returns {Object} {data, warnings, errors}
+     */
+    validateAndNormalizeInputs(userData) {
+        const warnings = [];
+
+        // 1. Auto-calculate Basic+DA if not provided (default to 50% of gross)
+        if (!userData.basicPlusDA || userData.basicPlusDA === 0) {
+            userData.basicPlusDA = userData.grossSalary * 0.5;
+        }
+
+        // 2. Basic+DA cannot exceed Gross Salary
+        if (userData.basicPlusDA > userData.grossSalary && userData.grossSalary > 0) {
+            userData.basicPlusDA = userData.grossSalary * 0.5;
+            warnings.push('Basic+DA exceeded Gross Salary. Auto-adjusted to 50% of Gross.');
+        }
+
+        // 3. EPF cannot exceed Basic+DA or 12%
+        const maxEPF = userData.basicPlusDA * 0.12;
+        if (userData.epfContribution > maxEPF * 2 && maxEPF > 0) {
+            warnings.push(`EPF contribution seems high (usually ~12% of Basic = ${TaxUtils.formatCurrency(maxEPF)}). Please verify.`);
+        }
+
+        // 4. HRA and 80GG are mutually exclusive
+        if (userData.hraReceived > 0 && userData.rentPaid > 0) {
+            // HRA is being claimed, 80GG won't apply - this is handled in oldRegime.js
+        }
+
+        // 5. NPS 80CCD(1B) capped at ₹50,000
+        if (userData.npsExtraContribution > 50000) {
+            userData.npsExtraContribution = 50000;
+            warnings.push('80CCD(1B) contribution capped at ₹50,000.');
+        }
+
+        // 6. Employer NPS - check against limits
+        const maxEmployerNPSPercent = userData.employerType === 'government' ? 0.14 : 0.10;
+        const maxEmployerNPS = userData.basicPlusDA * maxEmployerNPSPercent;
+        if (userData.employerNPSContribution > maxEmployerNPS && maxEmployerNPS > 0) {
+            warnings.push(`Employer NPS exceeds ${maxEmployerNPSPercent * 100}% limit. Only ${TaxUtils.formatCurrency(maxEmployerNPS)} will be allowed.`);
+        }
+
+        // 7. Preventive health checkup capped at ₹5,000
+        if (userData.preventiveCheckup > 5000) {
+            userData.preventiveCheckup = 5000;
+            warnings.push('Preventive health checkup capped at ₹5,000.');
+        }
+
+        // 8. Professional Tax capped at ₹2,500 (constitutional limit)
+        if (userData.professionalTax > 2500) {
+            userData.professionalTax = 2500;
+            warnings.push('Professional tax capped at ₹2,500 (constitutional limit).');
+        }
+
+        // 9. Gifts from non-relatives - only taxable if > ₹50,000 aggregate
+        // This is handled in calculation, no warning needed
+
+        // 10. If years of service is 0 but gratuity is claimed, show warning
+        if (userData.gratuityReceived > 0 && (!userData.yearsOfService || userData.yearsOfService === 0)) {
+            warnings.push('Gratuity calculation requires years of service. Please enter for accurate formula.');
+        }
+
+        // 11. Agricultural income partial integration warning
+        if (userData.agriculturalIncome > 5000 && userData.grossSalary > 0) {
+            warnings.push('Note: Agricultural income > ₹5,000 may trigger partial integration, affecting tax rate.');
+        }
+
+        // 12. Rent Period Validation
+        if (userData.totalRentMonths > 0) {
+            if (userData.totalRentMonths > 12) {
+                warnings.push(`⚠️ Rent periods sum to ${userData.totalRentMonths} months (exceeds 12). Please check for overlapping periods.`);
+            } else if (userData.totalRentMonths < 12 && userData.hraReceived > 0) {
+                warnings.push(`ℹ️ Rent entered for only ${userData.totalRentMonths} month(s). HRA exemption will be calculated ONLY for these months, not the full year.`);
+            }
+        }
+
+        // 12b. Capital gains lots that could not be classified are left out of the totals;
+        // equity held on 31 Jan 2018 needs that day's FMV for the grandfathered cost
+        if (userData.capitalGainsLedger) {
+            userData.capitalGainsLedger.excluded.forEach(lot => {
+                warnings.push(`Capital gains sale ${lot.description || `bought ${lot.buyDate || '?'}`} not counted: ${lot.error}`);
+            });
+            userData.capitalGainsLedger.lots.filter(lot => lot.missingFmv).forEach(lot => {
+                warnings.push(`Capital gains sale ${lot.description || `bought ${lot.buyDate}`} was held on 31 Jan 2018: enter its FMV on that day to use the grandfathered cost (actual cost used).`);
+            });
+        }
+
+        // 12b2. ESOP / RSU sales that do not fit their award are left out
+        if (userData.equityCompensation) {
+            userData.equityCompensation.excluded.forEach(sale => {
+                warnings.push(`ESOP / RSU sale ${sale.awardName ? `of ${sale.awardName} ` : ''}on ${sale.date || '?'} not counted: ${sale.error}`);
+            });
+        }
+
+        // 12b3. Perquisites valued under Rule 3 on top of a salary that already has Form-16
+        // perquisites in it may be the same benefits counted twice
+        if (userData.perquisiteValuation && userData.perquisiteValuation.addedToSalary > 0) {
+            const added = userData.perquisiteValuation.addedToSalary +
+                (userData.equityCompensation ? userData.equityCompensation.addedToSalary : 0);
+            const inForm16 = userData.perquisitesValue - added;
+            if (inForm16 > 0) {
+                warnings.push(`The salary entered already includes ${TaxUtils.formatCurrency(inForm16)} of perquisites (Form-16 Section 17(2)) and ${TaxUtils.formatCurrency(userData.perquisiteValuation.addedToSalary)} more were valued under Rule 3 and added. If they are the same benefits, mark the valued perquisites as already in salary.`);
+            }
+        }
+
+        // 12c. Property sales outside the FY and reinvestments outside the Section 54 / 54F / 54EC
+        // time limits are left out
+        if (userData.propertyGains) {
+            userData.propertyGains.issues.forEach(issue => warnings.push(issue));
+        }
+
+        // 12d. Loss ledger rows that are not earlier years, and losses past their carry-forward period
+        if (userData.capitalLossLedger) {
+            userData.capitalLossLedger.invalid.forEach(row => {
+                warnings.push(`Capital loss of ${TaxUtils.formatCurrency(row.stcl + row.ltcl)} not counted: ${row.reason}`);
+            });
+            userData.capitalLossLedger.expired.forEach(row => {
+                warnings.push(`Capital loss of FY ${row.financialYear} (${TaxUtils.formatCurrency(row.stcl + row.ltcl)}) has lapsed: it is past its carry-forward period.`);
+            });
+        }
+
+        // 12e. Loan repayments above the ownership share of a house cannot be claimed
+        userData.houseProperties.forEach((property, index) => {
+            const shares = HouseProperty.getShares(property);
+            if (shares.repayments > shares.ownership) {
+                warnings.push(`${HouseProperty.getName(property, index)}: you repay ${Math.round(shares.repayments * 100)}% of the loan but own ${Math.round(shares.ownership * 100)}%. Interest and principal are claimed only up to your ownership share.`);
+            }
+        });
+
+        // === NEW SALARY COMPONENT VALIDATIONS ===
+        const errors = [];  // Hard blocks
+
+        // 12. Sum of salary components cannot exceed Gross Salary (HARD BLOCK)
+        const sumOfComponents = (userData.basicPlusDA || 0) +
+                               (userData.hraReceived || 0) +
+                               (userData.bonus || 0) +
+                               (userData.specialAllowance || 0) +
+                               (userData.ltaReceived || 0) +
+                               (userData.telephoneReimb || 0) +
+                               (userData.booksReimb || 0) +
+                               (userData.fuelAllowance || 0);
+        if (sumOfComponents > userData.grossSalary && userData.grossSalary > 0) {
+            errors.push(`Total salary components (${TaxUtils.formatCurrency(sumOfComponents)}) exceed Gross Salary (${TaxUtils.formatCurrency(userData.grossSalary)}). Please correct.`);
+        }
+
+        // 13. Basic salary ratio warnings
+        if (userData.grossSalary > 0) {
+            const basicRatio = userData.basicPlusDA / userData.grossSalary;
+            if (basicRatio < 0.40 && userData.basicPlusDA > 0) {
+                warnings.push(`Basic salary is ${(basicRatio * 100).toFixed(0)}% of gross (typical: 40-50%). Please verify your salary slip.`);
+            }
+            if (basicRatio > 0.60) {
+                warnings.push(`Basic salary is ${(basicRatio * 100).toFixed(0)}% of gross (typical: 40-50%). Please verify.`);
+            }
+        }
+
+        // 14. HRA vs Basic ratio warning
+        if (userData.hraReceived > 0 && userData.basicPlusDA > 0) {
+            const hraRatio = userData.hraReceived / userData.basicPlusDA;
+            if (hraRatio > 0.50) {
+                warnings.push(`HRA (${(hraRatio * 100).toFixed(0)}% of Basic) seems high. Typical range: 40-50% of Basic.`);
+            }
+        }
+
+        // 15. LTA in New Regime warning (no exemption available)
+        if (userData.ltaReceived > 0) {
+            warnings.push('LTA exemption is only available in Old Regime. In New Regime, LTA is fully taxable.');
+        }
+
+        return { data: userData, warnings, errors };
+    },
+
+    // ============================================
+    // MAIN ENTRY POINT
+    // ============================================
+
+    /**
+     * Compute both regimes for a profile and pick the cheaper one.
+     * Validation errors are reported but do not stop the calculation.
+     * @param {Object} profile - Raw taxpayer profile
+     * @param {Object} config - Tax configuration (defaults to the profile's financialYear in TaxYearRegistry)
+     * @returns {Object} {newResult, oldResult, betterRegime, savings, itrForm, financialYear, userData, warnings, errors}
+     */
+    computeTaxComparison(profile, config = TaxYearRegistry.getConfig(profile && profile.financialYear)) {
+        const validation = this.validateAndNormalizeInputs(this.normalizeProfile(profile, config));
+        const userData = validation.data;
+
+        // Years whose figures are carried forward are flagged in the registry
+        if (config.provisional && config.provisionalNote) {
+            validation.warnings.push(config.provisionalNote);
+        }
+
+        const newResult = new NewRegimeCalculator(config).calculate(userData);
+        const oldResult = new OldRegimeCalculator(config).calculate(userData);
+        const betterRegime = newResult.finalTax <= oldResult.finalTax ? 'new' : 'old';
+
+        return {
+            newResult,
+            oldResult,
+            betterRegime,
+            savings: Math.abs(newResult.finalTax - oldResult.finalTax),
+            // ITR form for the return filed under the recommended regime
+            itrForm: ItrEligibility.determineForm(userData, betterRegime === 'new' ? newResult : oldResult, config),
+            financialYear: config.financialYear,
+            userData,
+            warnings: validation.warnings,
+            errors: validation.errors
+        };
+    }
+};
+
+// Freeze to prevent modifications
+Object.freeze(TaxEngine);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TaxEngine;
+}
@@ -0,0 +1,410 @@
+/**
+ * TAX PAYMENTS - Taxes Already Paid, Interest and Balance Payable / Refund
+ *
+ * Shared by both regime calculators: whatever was already deposited
+ * (TDS, TCS, advance tax, self-assessment tax) is credited against the
+ * regime's final tax to give the amount still owed or to be refunded.
+ * Interest u/s 234A/234B/234C follows from when advance tax was paid
+ * and when the return is filed.
+ *
+ * Profile fields: tdsDeducted, tcsCollected, advanceTaxPaid, selfAssessmentTaxPaid,
+ * advanceTaxPayments [{date: 'YYYY-MM-DD', amount}], returnFilingDate ('YYYY-MM-DD'),
+ * planAsOfDate ('YYYY-MM-DD', planner only - defaults to 1 April, before any instalment),
+ * dividendReceipts [{date: 'YYYY-MM-DD', amount}] (dated dividends for the 234C proviso)
+ *
+ * Self-assessment tax is assumed to be paid on the filing date. Interest is
+ * skipped when neither taxes paid nor a filing date were entered. Tax on capital
+ * gains and dividends is left out of the instalments due before the income arose.
+ */
+
+const TaxPayments = {
+    // Result key -> profile field
+    PAYMENT_FIELDS: {
+        tds: 'tdsDeducted',
+        tcs: 'tcsCollected',
+        advanceTax: 'advanceTaxPaid',
+        selfAssessmentTax: 'selfAssessmentTaxPaid'
+    },
+
+    /**
+     * Collect taxes already paid from a profile
+     * @param {Object} userData - Normalized user data
+     * @returns {Object} { tds, tcs, advanceTax, selfAssessmentTax, total }
+     */
+    getTaxesPaid(userData = {}) {
+        const paid = { total: 0 };
+
+        Object.entries(this.PAYMENT_FIELDS).forEach(([key, field]) => {
+            paid[key] = Math.max(0, TaxUtils.validateNumber(userData[field]));
+            paid.total += paid[key];
+        });
+
+        return paid;
+    },
+
+    /**
+     * Credit taxes paid against the final tax and interest
+     * @param {number} finalTax - Final tax liability for the regime
+     * @param {Object} taxesPaid - Output of getTaxesPaid()
+     * @param {number} interest - Interest u/s 234A/B/C (default 0)
+     * @returns {Object} { netPayable, balancePayable, refundDue } - netPayable < 0 means refund
+     */
+    calculateBalance(finalTax, taxesPaid, interest = 0) {
+        const netPayable = TaxUtils.roundToRupee(finalTax + interest - taxesPaid.total);
+
+        return {
+            netPayable,
+            balancePayable: Math.max(0, netPayable),
+            refundDue: Math.max(0, -netPayable)
+        };
+    },
+
+    /**
+     * Describe which payments make up the credit, e.g. "TDS ₹1,20,000 + Advance Tax ₹20,000"
+     * @param {Object} taxesPaid - Output of getTaxesPaid()
+     * @param {Object} config - Tax configuration
+     * @returns {string}
+     */
+    describeTaxesPaid(taxesPaid, config = TAX_CONFIG) {
+        const parts = Object.keys(this.PAYMENT_FIELDS)
+            .filter(key => taxesPaid[key] > 0)
+            .map(key => `${config.taxesPaid.components[key].label} ${TaxUtils.formatCurrency(taxesPaid[key])}`);
+
+        return parts.length > 0 ? parts.join(' + ') : 'No taxes paid yet';
+    },
+
+    // ============================================
+    // DATES
+    // ============================================
+
+    /**
+     * Parse an ISO date (YYYY-MM-DD) without timezone shifts
+     * @param {string} value - Date string from a date input or profile
+     * @returns {Object|null} { year, month, day }
+     */
+    parseDate(value) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || '').trim());
+        if (!match) return null;
+        return { year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) };
+    },
+
+    /**
+     * Sortable number for a date, e.g. 20250615
+     */
+    dateKey(date) {
+        return date.year * 10000 + date.month * 100 + date.day;
+    },
+
+    /**
+     * Date plus a number of days
+     */
+    addDays(date, days) {
+        const d = new Date(Date.UTC(date.year, date.month - 1, date.day + days));
+        return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+    },
+
+    /**
+     * Format a date for logs, e.g. "15 Jun 2025"
+     */
+    formatDate(date) {
+        const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+        return `${date.day} ${months[date.month - 1]} ${date.year}`;
+    },
+
+    /**
+     * Calendar date of an advance tax instalment (June-December in fyStartYear, March in the next year)
+     * @param {Object} instalment - Entry from config.advanceTax.instalments
+     * @param {number} fyStartYear - e.g. 2025 for FY 2025-26
+     * @returns {Object} { year, month, day }
+     */
+    getInstalmentDate(instalment, fyStartYear) {
+        return {
+            year: instalment.month >= 4 ? fyStartYear : fyStartYear + 1,
+            month: instalment.month,
+            day: instalment.day
+        };
+    },
+
+    /**
+     * Section 139(1) due date for the financial year's return
+     */
+    getReturnDueDate(config = TAX_CONFIG) {
+        const due = config.interest.returnDueDate;
+        return { year: config.fyStartYear + 1, month: due.month, day: due.day };
+    },
+
+    /**
+     * Interest months from the first day interest runs to the end date (part month = full month)
+     * @param {Object} fromDate - First day of the interest period
+     * @param {Object} toDate - Last day of the interest period
+     * @returns {number}
+     */
+    countInterestMonths(fromDate, toDate) {
+        if (this.dateKey(toDate) < this.dateKey(fromDate)) return 0;
+        return (toDate.year - fromDate.year) * 12 + (toDate.month - fromDate.month) + (toDate.day >= fromDate.day ? 1 : 0);
+    },
+
+    // ============================================
+    // INTEREST - Sections 234A, 234B, 234C
+    // ============================================
+
+    /**
+     * Dated advance tax payments, oldest first.
+     * Undated entries (and a flat advanceTaxPaid total) count as paid on the last instalment date.
+     * @param {Object} userData - Normalized user data
+     * @param {Object} config - Tax configuration
+     * @returns {Array} [{ date, amount }]
+     */
+    getAdvanceTaxPayments(userData = {}, config = TAX_CONFIG) {
+        const instalments = config.advanceTax.instalments;
+        const lastInstalmentDate = this.getInstalmentDate(instalments[instalments.length - 1], config.fyStartYear);
+        const listed = Array.isArray(userData.advanceTaxPayments) ? userData.advanceTaxPayments : [];
+        const payments = listed.length > 0 ? listed : [{ amount: userData.advanceTaxPaid }];
+
+        return payments
+            .map(p => ({
+                date: this.parseDate(p.date) || lastInstalmentDate,
+                amount: Math.max(0, TaxUtils.validateNumber(p.amount))
+            }))
+            .filter(p => p.amount > 0)
+            .sort((a, b) => this.dateKey(a.date) - this.dateKey(b.date));
+    },
+
+    /**
+     * Total paid on or before a date
+     */
+    sumPaidBy(payments, date) {
+        const limit = this.dateKey(date);
+        return payments
+            .filter(p => this.dateKey(p.date) <= limit)
+            .reduce((sum, p) => sum + p.amount, 0);
+    },
+
+    /**
+     * Tax on capital gains and dividends by the date the income arose, for the Section 234C
+     * proviso. Special-rate gains carry their section's average rate, slab-rate gains and
+     * dividends the average slab rate; surcharge, cess and reliefs follow in proportion.
+     * @param {Object} userData - Normalized user data (capitalGainsLedger, propertyGains, dividendReceipts)
+     * @param {Object} taxes - { taxableIncome, slabTax, capitalGainsTax, finalTax } of the regime
+     * @returns {Array} [{ date, tax }] - dated income only, oldest first
+     */
+    getLateIncomeTax(userData, taxes) {
+        const { taxableIncome, slabTax, capitalGainsTax, finalTax } = taxes;
+        const items = [];
+        const add = (date, income, kind) => {
+            const parsed = this.parseDate(date);
+            if (parsed && income > 0) items.push({ date: parsed, income, kind });
+        };
+
+        const buckets = { stcgEquity: 'section111A', ltcgEquity: 'section112A', ltcgOther: 'section112', stcgOther: 'slab' };
+        const ledger = userData.capitalGainsLedger;
+        (ledger ? ledger.lots : []).filter(l => !l.error).forEach(l => add(l.sellDate, l.gain, buckets[l.bucket]));
+        const propertySales = userData.propertyGains ? userData.propertyGains.sales : [];
+        propertySales.filter(s => !s.error).forEach(s => {
+            add(s.sellDate, s.taxableGain, 'section112');
+            add(s.sellDate, s.stcg, 'slab');
+        });
+        (Array.isArray(userData.dividendReceipts) ? userData.dividendReceipts : [])
+            .forEach(d => add(d.date, TaxUtils.validateNumber(d.amount), 'slab'));
+
+        // Gains before set-off can exceed the income taxed: the dated items then share its tax
+        const beforeSurcharge = slabTax + capitalGainsTax.total;
+        const scale = beforeSurcharge > 0 ? finalTax / beforeSurcharge : 0;
+        const rateOf = (kind, tax, income) => {
+            const dated = items.filter(i => i.kind === kind).reduce((sum, i) => sum + i.income, 0);
+            return Math.max(income, dated) > 0 ? tax * scale / Math.max(income, dated) : 0;
+        };
+        const rates = { slab: rateOf('slab', slabTax, taxableIncome) };
+        ['section111A', 'section112A', 'section112'].forEach(section => {
+            rates[section] = rateOf(section, capitalGainsTax.bySection[section], capitalGainsTax.income[section]);
+        });
+
+        return items
+            .map(i => ({ date: i.date, tax: TaxUtils.roundToRupee(i.income * rates[i.kind]) }))
+            .filter(i => i.tax > 0)
+            .sort((a, b) => this.dateKey(a.date) - this.dateKey(b.date));
+    },
+
+    /**
+     * Round tax down to the Rule 119A multiple before charging interest
+     */
+    roundDownForInterest(amount, config = TAX_CONFIG) {
+        const unit = config.interest.roundDownTo;
+        return Math.floor(Math.max(0, amount) / unit) * unit;
+    },
+
+    /**
+     * Cumulative advance tax due at each instalment, what was paid by then and the 234C
+     * interest on any shortfall (none if the safe-harbour share was paid). Tax on capital
+     * gains and dividends that arose after an instalment date is not due in that instalment.
+     * @param {number} assessedTax - Tax less TDS and TCS
+     * @param {Array} payments - Output of getAdvanceTaxPayments()
+     * @param {Object} config - Tax configuration
+     * @param {Array} lateIncomeTax - Output of getLateIncomeTax()
+     * @returns {Array} [{ label, date, cumulativePercent, excludedTax, required, paid, shortfall, months, interest }]
+     */
+    getInstalmentSchedule(assessedTax, payments, config = TAX_CONFIG, lateIncomeTax = []) {
+        const rate = config.interest.ratePerMonth;
+        const liableForAdvanceTax = assessedTax >= config.advanceTax.minLiability;
+
+        return config.advanceTax.instalments.map(instalment => {
+            const instalmentDate = this.getInstalmentDate(instalment, config.fyStartYear);
+            const excludedTax = Math.min(assessedTax, lateIncomeTax
+                .filter(i => this.dateKey(i.date) > this.dateKey(instalmentDate))
+                .reduce((sum, i) => sum + i.tax, 0));
+            const taxForInstalment = assessedTax - excludedTax;
+            const required = taxForInstalment * instalment.cumulativePercent;
+            const paid = this.sumPaidBy(payments, instalmentDate);
+            const shortfall = liableForAdvanceTax && paid < taxForInstalment * instalment.safeHarbourPercent
+                ? this.roundDownForInterest(required - paid, config)
+                : 0;
+
+            return {
+                label: instalment.label,
+                date: instalmentDate,
+                cumulativePercent: instalment.cumulativePercent,
+                excludedTax,
+                required: TaxUtils.roundToRupee(required),
+                paid,
+                shortfall,
+                months: instalment.interestMonths,
+                interest: TaxUtils.roundToRupee(shortfall * rate * instalment.interestMonths)
+            };
+        });
+    },
+
+    /**
+     * Interest for late filing (234A), advance tax shortfall (234B) and deferment of instalments (234C)
+     * @param {number} finalTax - Final tax liability for the regime
+     * @param {Object} taxesPaid - Output of getTaxesPaid()
+     * @param {Object} userData - Normalized user data (advanceTaxPayments, returnFilingDate)
+     * @param {Object} config - Tax configuration
+     * @param {Array} lateIncomeTax - Output of getLateIncomeTax() (234C proviso)
+     * @returns {Object} { assessedTax, dueDate, filingDate, section234A, section234B, section234C, total }
+     */
+    calculateInterest(finalTax, taxesPaid, userData = {}, config = TAX_CONFIG, lateIncomeTax = []) {
+        const interestConfig = config.interest;
+        const rate = interestConfig.ratePerMonth;
+        const roundDown = amount => this.roundDownForInterest(amount, config);
+
+        // Assessed tax = tax on total income less TDS and TCS (Explanation 1 to Section 234B)
+        const assessedTax = Math.max(0, finalTax - taxesPaid.tds - taxesPaid.tcs);
+        const payments = this.getAdvanceTaxPayments(userData, config);
+        const dueDate = this.getReturnDueDate(config);
+        const enteredFilingDate = this.parseDate(userData.returnFilingDate);
+        const filingDate = enteredFilingDate || dueDate;
+        const filedLate = this.dateKey(filingDate) > this.dateKey(dueDate);
+
+        // With no payments and no filing date we can't tell "paid nothing" from "not filled in"
+        const hasPaymentDetails = taxesPaid.total > 0 || enteredFilingDate !== null;
+        const liableForAdvanceTax = hasPaymentDetails && assessedTax >= config.advanceTax.minLiability;
+
+        // 234C: shortfall against each instalment, unless the safe-harbour share was paid
+        const instalments = this.getInstalmentSchedule(assessedTax, payments, config, lateIncomeTax);
+        const section234C = {
+            amount: liableForAdvanceTax ? instalments.reduce((sum, i) => sum + i.interest, 0) : 0,
+            instalments
+        };
+
+        // 234B: advance tax paid by 31 March below 90% of assessed tax -> from 1 April to filing
+        const advanceTaxInYear = this.sumPaidBy(payments, { year: config.fyStartYear + 1, month: 3, day: 31 });
+        const base234B = liableForAdvanceTax && advanceTaxInYear < assessedTax * interestConfig.section234B.minAdvanceTaxPercent
+            ? roundDown(assessedTax - advanceTaxInYear)
+            : 0;
+        const months234B = base234B > 0
+            ? this.countInterestMonths({ year: config.fyStartYear + 1, month: 4, day: 1 }, filingDate)
+            : 0;
+        const section234B = {
+            amount: TaxUtils.roundToRupee(base234B * rate * months234B),
+            base: base234B,
+            months: months234B,
+            advanceTaxPaid: advanceTaxInYear
+        };
+
+        // 234A: tax still unpaid when the due date passes -> from the day after the due date to filing
+        const base234A = hasPaymentDetails && filedLate ? roundDown(assessedTax - this.sumPaidBy(payments, filingDate)) : 0;
+        const months234A = base234A > 0 ? this.countInterestMonths(this.addDays(dueDate, 1), filingDate) : 0;
+        const section234A = {
+            amount: TaxUtils.roundToRupee(base234A * rate * months234A),
+            base: base234A,
+            months: months234A
+        };
+
+        return {
+            assessedTax,
+            dueDate,
+            filingDate,
+            filedLate,
+            section234A,
+            section234B,
+            section234C,
+            total: section234A.amount + section234B.amount + section234C.amount
+        };
+    },
+
+    // ============================================
+    // ADVANCE TAX PLANNER
+    // ============================================
+
+    /**
+     * Lay out the year's advance tax instalments for the current liability.
+     * Re-running it after income is revised spreads the catch-up over the
+     * remaining instalments, since each due amount is cumulative. The caller
+     * passes the as-of date in planAsOfDate, so the plan does not depend on the clock.
+     * @param {number} finalTax - Final tax liability for the regime
+     * @param {Object} taxesPaid - Output of getTaxesPaid() (TDS/TCS = expected for the year)
+     * @param {Object} userData - Normalized user data (advanceTaxPayments, planAsOfDate)
+     * @param {Object} config - Tax configuration
+     * @param {Array} lateIncomeTax - Output of getLateIncomeTax() (234C proviso)
+     * @returns {Object} { liability, required, needsTdsEstimate, asOfDate, instalments, nextInstalment, missedInterest, totalPaid }
+     */
+    buildAdvanceTaxPlan(finalTax, taxesPaid, userData = {}, config = TAX_CONFIG, lateIncomeTax = []) {
+        const liability = Math.max(0, finalTax - taxesPaid.tds - taxesPaid.tcs);
+        const required = liability >= config.advanceTax.minLiability;
+        const payments = this.getAdvanceTaxPayments(userData, config);
+        const asOfDate = this.parseDate(userData.planAsOfDate) || { year: config.fyStartYear, month: 4, day: 1 };
+
+        let previousRequired = 0;
+        let nextFound = false;
+        const instalments = this.getInstalmentSchedule(liability, payments, config, lateIncomeTax).map(instalment => {
+            const isPast = this.dateKey(asOfDate) > this.dateKey(instalment.date);
+            let status;
+            if (!required) {
+                status = 'notRequired';
+            } else if (isPast) {
+                status = instalment.interest > 0 ? 'missed' : 'paid';
+            } else if (!nextFound) {
+                status = 'next';
+                nextFound = true;
+            } else {
+                status = 'upcoming';
+            }
+
+            const entry = {
+                ...instalment,
+                instalmentAmount: instalment.required - previousRequired,
+                toPay: Math.max(0, instalment.required - instalment.paid),
+                status
+            };
+            previousRequired = instalment.required;
+            return entry;
+        });
+
+        return {
+            liability,
+            required,
+            // Salary without TDS: a foreign or contractor payroll, or TDS not entered yet
+            needsTdsEstimate: taxesPaid.tds === 0 && TaxUtils.validateNumber(userData.grossSalary) > 0,
+            asOfDate,
+            instalments,
+            nextInstalment: instalments.find(i => i.status === 'next') || null,
+            missedInterest: instalments.filter(i => i.status === 'missed').reduce((sum, i) => sum + i.interest, 0),
+            totalPaid: payments.reduce((sum, p) => sum + p.amount, 0)
+        };
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TaxPayments;
+}
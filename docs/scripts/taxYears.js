@@ -0,0 +1,162 @@
+/**
+ * TAX YEAR REGISTRY - Per-Financial-Year Configurations
+ *
+ * config.js holds the complete rule set for the base year (FY 2025-26).
+ * Every other year is described only by what changed, and getConfig()
+ * deep-merges those overrides onto TAX_CONFIG. Adding a year = adding an
+ * entry to YEAR_OVERRIDES.
+ *
+ * Merge rules: objects merge key-by-key, arrays (slabs, surcharge) replace wholesale.
+ *
+ * References:
+ * - Finance (No. 2) Act 2024 (FY 2024-25 slabs, 87A, capital gains rates)
+ * - Finance Act 2025 (FY 2025-26)
+ */
+
+const TaxYearRegistry = {
+    DEFAULT_YEAR: '2025-26',
+
+    // ============================================
+    // YEAR OVERRIDES (relative to TAX_CONFIG)
+    // ============================================
+    YEAR_OVERRIDES: {
+        // FY 2024-25 (AY 2025-26) - Finance (No. 2) Act 2024
+        '2024-25': {
+            financialYear: '2024-25',
+            assessmentYear: '2025-26',
+            fyStartYear: 2024,
+            newRegime: {
+                basicExemption: 300000,  // ₹3L
+                slabs: [
+                    { min: 0, max: 300000, rate: 0.00, description: 'Up to ₹3,00,000' },
+                    { min: 300000, max: 700000, rate: 0.05, description: '₹3,00,001 to ₹7,00,000' },
+                    { min: 700000, max: 1000000, rate: 0.10, description: '₹7,00,001 to ₹10,00,000' },
+                    { min: 1000000, max: 1200000, rate: 0.15, description: '₹10,00,001 to ₹12,00,000' },
+                    { min: 1200000, max: 1500000, rate: 0.20, description: '₹12,00,001 to ₹15,00,000' },
+                    { min: 1500000, max: Infinity, rate: 0.30, description: 'Above ₹15,00,000' }
+                ],
+                // Section 87A - ₹25,000 rebate if taxable income ≤ ₹7L
+                rebate87A: {
+                    incomeLimit: 700000,
+                    maxRebate: 25000,
+                    excludedSections: ['112A']  // 111A exclusion only from FY 2025-26
+                },
+                marginalRelief: {
+                    threshold: 700000
+                }
+            },
+            deductions: {
+                // Section 80TTB - ₹50,000 before the Budget 2025 increase
+                section80TTB: {
+                    maxLimit: 50000,
+                    explanation: 'All interest (savings + FD) deduction for seniors. Limit: ₹50,000.'
+                }
+            },
+            exemptions: {
+                // Section 17(2)(iii)(c) - specified employee above ₹50,000 before Finance Act 2025
+                perquisites: {
+                    threshold: 50000,
+                    // Rule 3(2) motor car amounts before the 2025 revision
+                    valuation: {
+                        car: {
+                            mixedUse: {
+                                employerExpenses: { small: 1800, large: 2400 },
+                                employeeExpenses: { small: 600, large: 900 }
+                            },
+                            chauffeur: 900
+                        }
+                    }
+                }
+            },
+            capitalGains: {
+                // Rates below apply to transfers on/after 23 Jul 2024.
+                // Earlier transfers in FY 2024-25 were taxed at 15% (111A) and 10% (112A).
+                stcg: {
+                    equity: {
+                        explanation: 'STCG on equity/mutual funds. 20% for transfers on/after 23 Jul 2024 (15% before).'
+                    }
+                },
+                ltcg: {
+                    equity: {
+                        explanation: 'LTCG on equity. First ₹1.25L exempt, then 12.5% for transfers on/after 23 Jul 2024 (10% before).'
+                    }
+                }
+            }
+        },
+
+        // FY 2025-26 (AY 2026-27) - base year, see config.js
+        '2025-26': {},
+
+        // FY 2026-27 (AY 2027-28)
+        // Rates carried forward from FY 2025-26 until updated here; CII not yet notified
+        '2026-27': {
+            financialYear: '2026-27',
+            assessmentYear: '2027-28',
+            fyStartYear: 2026,
+            provisional: true,
+            provisionalNote: 'FY 2026-27 uses FY 2025-26 slabs, limits and CII (376) until the notified figures are added.'
+        }
+    },
+
+    // Merged configs, built lazily
+    cache: {},
+
+    /**
+     * List supported financial years (oldest first)
+     * @returns {Array} e.g. ['2024-25', '2025-26', '2026-27']
+     */
+    listYears() {
+        return Object.keys(this.YEAR_OVERRIDES).sort();
+    },
+
+    /**
+     * Check whether a financial year is in the registry
+     * @param {string} financialYear - e.g. '2024-25'
+     * @returns {boolean}
+     */
+    hasYear(financialYear) {
+        return Object.prototype.hasOwnProperty.call(this.YEAR_OVERRIDES, financialYear);
+    },
+
+    /**
+     * Get the full configuration for a financial year
+     * @param {string} financialYear - e.g. '2024-25' (defaults to DEFAULT_YEAR)
+     * @returns {Object} Config with the same shape as TAX_CONFIG
+     */
+    getConfig(financialYear = this.DEFAULT_YEAR) {
+        const year = financialYear || this.DEFAULT_YEAR;
+        if (!this.hasYear(year)) {
+            throw new Error(`Unsupported financial year: ${year}. Supported: ${this.listYears().join(', ')}`);
+        }
+
+        if (!this.cache[year]) {
+            // Freeze like TAX_CONFIG to prevent accidental modifications
+            this.cache[year] = Object.freeze(this.deepMerge(TAX_CONFIG, this.YEAR_OVERRIDES[year]));
+        }
+        return this.cache[year];
+    },
+
+    /**
+     * Deep-merge overrides onto a base object (arrays are replaced, not merged)
+     * @param {Object} base - Base object (not modified)
+     * @param {Object} overrides - Values to apply
+     * @returns {Object} New merged object
+     */
+    deepMerge(base, overrides) {
+        const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const result = Array.isArray(base) ? [...base] : { ...base };
+
+        Object.entries(overrides || {}).forEach(([key, value]) => {
+            result[key] = isPlainObject(value) && isPlainObject(base[key])
+                ? this.deepMerge(base[key], value)
+                : value;
+        });
+
+        return result;
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TaxYearRegistry;
+}
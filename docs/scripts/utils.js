@@ -198,6 +198,124 @@ const TaxUtils = {
         return { tax: this.roundToRupee(tax), breakdown };
     },
 
+    /**
+     * Partial integration of agricultural income (rate purposes only), for either regime
+     * Tax on non-agri income = Tax A (non-agri + agri) - Tax B (basic exemption + agri)
+     * @param {number} taxableIncome - Non-agricultural taxable income
+     * @param {Object} slabTax - Slab tax on taxableIncome alone
+     * @param {number} agriculturalIncome - Agricultural income of the year
+     * @param {Function} slabTaxOf - The regime's slab tax on an income: (income) => tax
+     * @param {number} basicExemption - Basic exemption limit in use
+     * @param {Object} rules - specialRules.agriculturalIncome
+     * @returns {Object} { slabTax (with agriculturalIncome details), log: [{ section, item, amount, explanation, taxSaved }] }
+     */
+    applyPartialIntegration(taxableIncome, slabTax, agriculturalIncome, slabTaxOf, basicExemption, rules) {
+        const threshold = rules.partialIntegration.conditions.agriculturalIncomeThreshold;
+        if (agriculturalIncome <= 0) return { slabTax, log: [] };
+
+        if (agriculturalIncome <= threshold || taxableIncome <= basicExemption) {
+            const taxSaved = slabTaxOf(taxableIncome + agriculturalIncome) - slabTax.tax;
+            return {
+                slabTax: { ...slabTax, agriculturalIncome: { applied: false, amount: agriculturalIncome } },
+                log: [{
+                    section: 'Partial Integration',
+                    item: 'Not Applicable',
+                    amount: 0,
+                    explanation: agriculturalIncome <= threshold
+                        ? `Agricultural income (${this.formatCurrency(agriculturalIncome)}) is within ${this.formatCurrency(threshold)}, so it does not affect the rate on other income.`
+                        : `Non-agricultural income (${this.formatCurrency(taxableIncome)}) is within the basic exemption of ${this.formatCurrency(basicExemption)}, so agricultural income does not affect the rate.`,
+                    taxSaved: taxSaved > 0 ? taxSaved : null
+                }]
+            };
+        }
+
+        const taxA = slabTaxOf(taxableIncome + agriculturalIncome);
+        const taxB = slabTaxOf(basicExemption + agriculturalIncome);
+        const tax = Math.max(0, taxA - taxB);
+
+        return {
+            slabTax: {
+                ...slabTax,
+                tax,
+                agriculturalIncome: { applied: true, amount: agriculturalIncome, taxA, taxB, normalTax: slabTax.tax }
+            },
+            log: [
+                {
+                    section: 'Partial Integration',
+                    item: 'Tax A',
+                    amount: taxA,
+                    explanation: `Slab tax on non-agricultural ${this.formatCurrency(taxableIncome)} + agricultural ${this.formatCurrency(agriculturalIncome)} = ${this.formatCurrency(taxableIncome + agriculturalIncome)}`
+                },
+                {
+                    section: 'Partial Integration',
+                    item: 'Tax B',
+                    amount: taxB,
+                    explanation: `Slab tax on basic exemption ${this.formatCurrency(basicExemption)} + agricultural ${this.formatCurrency(agriculturalIncome)} = ${this.formatCurrency(basicExemption + agriculturalIncome)}`
+                },
+                {
+                    section: 'Partial Integration',
+                    item: 'Tax on Non-Agricultural Income (A - B)',
+                    amount: tax,
+                    explanation: `${this.formatCurrency(taxA)} - ${this.formatCurrency(taxB)} = ${this.formatCurrency(tax)}, replacing slab tax of ${this.formatCurrency(slabTax.tax)} (+${this.formatCurrency(tax - slabTax.tax)} from the higher rate). ${rules.partialIntegration.effect}.`,
+                    taxSaved: taxB
+                }
+            ]
+        };
+    },
+
+    /**
+     * Calculate months covered by a period within a financial year
+     * @param {Object} period - {startMonth, startYear, endMonth, endYear}
+     * @param {number} fyStartYear - Calendar year the FY starts in (2025 for FY 2025-26)
+     * @returns {number} Months within the FY (0-12)
+     */
+    calculatePeriodMonths(period, fyStartYear = 2025) {
+        // Convert to FY-relative months (April of fyStartYear = 1, March of next year = 12)
+        const toFYMonth = (month, year) => (Number(year) - fyStartYear) * 12 + Number(month) - 3;
+        const startFYMonth = toFYMonth(period.startMonth, period.startYear);
+        const endFYMonth = toFYMonth(period.endMonth, period.endYear);
+
+        // Period entirely outside this FY
+        if (endFYMonth < 1 || startFYMonth > 12) return 0;
+
+        // Clamp to valid FY range (1-12)
+        const clampedStart = Math.max(1, Math.min(12, startFYMonth));
+        const clampedEnd = Math.max(1, Math.min(12, endFYMonth));
+
+        if (clampedEnd < clampedStart) return 0;
+        return clampedEnd - clampedStart + 1;
+    },
+
+    /**
+     * Get the financial year a date falls in
+     * @param {Date|string} date - Date or ISO date string
+     * @returns {string|null} FY key (e.g. '2025-26'), null for invalid dates
+     */
+    getFinancialYearKey(date) {
+        const d = date instanceof Date ? date : new Date(date);
+        if (isNaN(d.getTime())) return null;
+        return this.toFinancialYearKey(d.getMonth() + 1 >= 4 ? d.getFullYear() : d.getFullYear() - 1);
+    },
+
+    /**
+     * Calendar year a financial year starts in: '2019-20' -> 2019
+     * @param {string} financialYear - FY key
+     * @returns {number} NaN if not a financial year
+     */
+    getFinancialYearStart(financialYear) {
+        const match = String(financialYear || '').match(/^(\d{4})-\d{2}$/);
+        return match ? Number(match[1]) : NaN;
+    },
+
+    /**
+     * FY key of the financial year starting in a calendar year: 2019 -> '2019-20'
+     * @param {number} startYear - Calendar year the FY starts in
+     * @returns {string}
+     */
+    toFinancialYearKey(startYear) {
+        return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+    },
+
     // ============================================
     // LOCAL STORAGE HELPERS
     // ============================================